@@ -13,4 +13,7 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
+// Wait for locks held by the gRPC server instead of failing immediately
+db.configure('busyTimeout', 5000);
+
 module.exports = db; 
\ No newline at end of file
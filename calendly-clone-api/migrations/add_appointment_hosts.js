@@ -0,0 +1,25 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Migration to record every host attending an appointment of a collective event type
+db.serialize(() => {
+  console.log('Starting migration: adding appointment hosts...');
+
+  db.run(`CREATE TABLE IF NOT EXISTS appointment_hosts (
+    appointmentId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    PRIMARY KEY (appointmentId, userId),
+    FOREIGN KEY (appointmentId) REFERENCES appointments(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating appointment_hosts table:', err);
+      process.exit(1);
+    }
+    console.log('Created appointment_hosts table');
+    console.log('Migration completed successfully!');
+
+    // Close the database connection
+    db.close();
+  });
+});
@@ -0,0 +1,52 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Migration to add recurring appointment series
+db.serialize(() => {
+  console.log('Starting migration: adding appointment series...');
+
+  // Step 1: Create the series table
+  db.run(`CREATE TABLE IF NOT EXISTS appointment_series (
+    id TEXT PRIMARY KEY,
+    eventId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    inviteeEmail TEXT NOT NULL,
+    rrule TEXT NOT NULL,
+    startTime TEXT NOT NULL,
+    endTime TEXT NOT NULL,
+    FOREIGN KEY (eventId) REFERENCES events(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating appointment_series table:', err);
+      process.exit(1);
+    }
+    console.log('Created appointment_series table');
+  });
+
+  // Step 2: Link appointments to their series
+  db.all('PRAGMA table_info(appointments)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    if (columns.some(column => column.name === 'seriesId')) {
+      console.log('Column seriesId already exists, nothing to do');
+      db.close();
+      return;
+    }
+
+    db.run('ALTER TABLE appointments ADD COLUMN seriesId TEXT REFERENCES appointment_series(id)', (err) => {
+      if (err) {
+        console.error('Error adding seriesId column:', err);
+        process.exit(1);
+      }
+      console.log('Added seriesId column to appointments table');
+      console.log('Migration completed successfully!');
+
+      // Close the database connection
+      db.close();
+    });
+  });
+});
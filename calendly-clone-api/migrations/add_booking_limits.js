@@ -0,0 +1,47 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Daily and weekly booking limits live on both event types and users; 0 means no limit
+const LIMIT_COLUMNS = ['dailyLimit', 'weeklyLimit'];
+
+// Add the limit columns missing from one table
+const addLimitColumns = (table, done) => {
+  db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const missing = LIMIT_COLUMNS.filter(name => !columns.some(column => column.name === name));
+    if (missing.length === 0) {
+      console.log(`Limit columns already exist on ${table}`);
+      return done();
+    }
+
+    let remaining = missing.length;
+    missing.forEach(name => {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} INTEGER NOT NULL DEFAULT 0`, (err) => {
+        if (err) {
+          console.error(`Error adding ${name} column to ${table}:`, err);
+          process.exit(1);
+        }
+        console.log(`Added ${name} column to ${table} table`);
+        if (--remaining === 0) {
+          done();
+        }
+      });
+    });
+  });
+};
+
+// Migration to add booking limit columns to the events and users tables
+console.log('Starting migration: adding booking limits to events and users tables...');
+
+addLimitColumns('events', () => {
+  addLimitColumns('users', () => {
+    console.log('Migration completed successfully!');
+
+    // Close the database connection
+    db.close();
+  });
+});
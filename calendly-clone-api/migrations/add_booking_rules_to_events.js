@@ -0,0 +1,42 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Booking rule columns; 0 turns a rule off
+const RULE_COLUMNS = ['bufferBefore', 'bufferAfter', 'minimumNotice', 'bookingHorizon', 'slotIncrement'];
+
+// Migration to add booking rule columns to the events table
+db.serialize(() => {
+  console.log('Starting migration: adding booking rules to events table...');
+
+  // Step 1: Find which rule columns are missing
+  db.all('PRAGMA table_info(events)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const missing = RULE_COLUMNS.filter(name => !columns.some(column => column.name === name));
+    if (missing.length === 0) {
+      console.log('Booking rule columns already exist, nothing to do');
+      db.close();
+      return;
+    }
+
+    // Step 2: Add the missing columns; existing events get no rules
+    db.serialize(() => {
+      missing.forEach(name => {
+        db.run(`ALTER TABLE events ADD COLUMN ${name} INTEGER NOT NULL DEFAULT 0`, (err) => {
+          if (err) {
+            console.error(`Error adding ${name} column:`, err);
+            process.exit(1);
+          }
+          console.log(`Added ${name} column to events table`);
+        });
+      });
+
+      db.close(() => {
+        console.log('Migration completed successfully!');
+      });
+    });
+  });
+});
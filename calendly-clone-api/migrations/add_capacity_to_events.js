@@ -0,0 +1,34 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Migration to add seat capacity to the events table; 1 keeps existing event types one-on-one
+db.serialize(() => {
+  console.log('Starting migration: adding capacity to events table...');
+
+  // Step 1: Check if the column already exists
+  db.all('PRAGMA table_info(events)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    if (columns.some(column => column.name === 'capacity')) {
+      console.log('Column capacity already exists, nothing to do');
+      db.close();
+      return;
+    }
+
+    // Step 2: Add the column
+    db.run('ALTER TABLE events ADD COLUMN capacity INTEGER NOT NULL DEFAULT 1', (err) => {
+      if (err) {
+        console.error('Error adding capacity column:', err);
+        process.exit(1);
+      }
+      console.log('Added capacity column to events table');
+      console.log('Migration completed successfully!');
+
+      // Close the database connection
+      db.close();
+    });
+  });
+});
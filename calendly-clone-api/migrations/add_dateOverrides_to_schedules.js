@@ -0,0 +1,34 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Migration to add the dateOverrides column to the schedules table
+db.serialize(() => {
+  console.log('Starting migration: adding dateOverrides to schedules table...');
+
+  // Step 1: Check if dateOverrides column already exists
+  db.all('PRAGMA table_info(schedules)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    if (columns.some(column => column.name === 'dateOverrides')) {
+      console.log('Column dateOverrides already exists, nothing to do');
+      db.close();
+      return;
+    }
+
+    // Step 2: Add the column; existing schedules have no overrides
+    db.run('ALTER TABLE schedules ADD COLUMN dateOverrides TEXT', (err) => {
+      if (err) {
+        console.error('Error adding dateOverrides column:', err);
+        process.exit(1);
+      }
+      console.log('Added dateOverrides column to schedules table');
+      console.log('Migration completed successfully!');
+
+      // Close the database connection
+      db.close();
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Migration to add the inviteeName column to the appointments table
+db.serialize(() => {
+  console.log('Starting migration: adding inviteeName to appointments table...');
+
+  // Step 1: Check if inviteeName column already exists
+  db.all('PRAGMA table_info(appointments)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    if (columns.some(column => column.name === 'inviteeName')) {
+      console.log('Column inviteeName already exists, nothing to do');
+      db.close();
+      return;
+    }
+
+    // Step 2: Add the column; appointments booked by hosts have no invitee name
+    db.run('ALTER TABLE appointments ADD COLUMN inviteeName TEXT', (err) => {
+      if (err) {
+        console.error('Error adding inviteeName column:', err);
+        process.exit(1);
+      }
+      console.log('Added inviteeName column to appointments table');
+      console.log('Migration completed successfully!');
+
+      // Close the database connection
+      db.close();
+    });
+  });
+});
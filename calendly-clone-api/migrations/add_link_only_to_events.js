@@ -0,0 +1,48 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Existing event types keep taking bookings without a scheduling link
+const NEW_COLUMNS = [
+  { table: 'events', name: 'linkOnly', definition: 'INTEGER NOT NULL DEFAULT 0' }
+];
+
+// Add the columns missing from one table
+const addColumns = (table, done) => {
+  db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const missing = NEW_COLUMNS.filter(column => column.table === table &&
+      !columns.some(existing => existing.name === column.name));
+    if (missing.length === 0) {
+      console.log(`Columns already exist on ${table}`);
+      return done();
+    }
+
+    let remaining = missing.length;
+    missing.forEach(({ name, definition }) => {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, (err) => {
+        if (err) {
+          console.error(`Error adding ${name} column to ${table}:`, err);
+          process.exit(1);
+        }
+        console.log(`Added ${name} column to ${table} table`);
+        if (--remaining === 0) {
+          done();
+        }
+      });
+    });
+  });
+};
+
+// Migration to add the link-only flag to event types
+console.log('Starting migration: adding the link-only flag to event types...');
+
+addColumns('events', () => {
+  console.log('Migration completed successfully!');
+
+  // Close the database connection
+  db.close();
+});
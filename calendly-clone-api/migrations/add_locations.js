@@ -0,0 +1,51 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Event types keep their location options and appointments the chosen location, both as JSON
+const NEW_COLUMNS = [
+  { table: 'events', name: 'locations', definition: 'TEXT' },
+  { table: 'appointments', name: 'location', definition: 'TEXT' }
+];
+
+// Add the columns missing from one table
+const addColumns = (table, done) => {
+  db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const missing = NEW_COLUMNS.filter(column => column.table === table &&
+      !columns.some(existing => existing.name === column.name));
+    if (missing.length === 0) {
+      console.log(`Columns already exist on ${table}`);
+      return done();
+    }
+
+    let remaining = missing.length;
+    missing.forEach(({ name, definition }) => {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, (err) => {
+        if (err) {
+          console.error(`Error adding ${name} column to ${table}:`, err);
+          process.exit(1);
+        }
+        console.log(`Added ${name} column to ${table} table`);
+        if (--remaining === 0) {
+          done();
+        }
+      });
+    });
+  });
+};
+
+// Migration to add meeting locations to event types and appointments
+console.log('Starting migration: adding meeting locations...');
+
+addColumns('events', () => {
+  addColumns('appointments', () => {
+    console.log('Migration completed successfully!');
+
+    // Close the database connection
+    db.close();
+  });
+});
@@ -0,0 +1,82 @@
+const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const db = new sqlite3.Database('./database.db');
+
+// Manage tokens are signed over a random per-appointment nonce; invitees may leave a reason
+// when they cancel
+const NEW_COLUMNS = ['manageNonce', 'cancellationReason'];
+
+// Give every existing appointment a nonce, so each one gets a manage token
+const backfillNonces = (done) => {
+  db.all('SELECT id FROM appointments WHERE manageNonce IS NULL', (err, rows) => {
+    if (err) {
+      console.error('Error reading appointments:', err);
+      process.exit(1);
+    }
+
+    if (rows.length === 0) {
+      return done();
+    }
+
+    let remaining = rows.length;
+    rows.forEach(row => {
+      db.run(
+        'UPDATE appointments SET manageNonce = ? WHERE id = ?',
+        [crypto.randomBytes(16).toString('hex'), row.id],
+        (err) => {
+          if (err) {
+            console.error(`Error updating appointment ${row.id}:`, err);
+            process.exit(1);
+          }
+          if (--remaining === 0) {
+            console.log(`Issued manage tokens for ${rows.length} appointments`);
+            done();
+          }
+        }
+      );
+    });
+  });
+};
+
+// Migration to add manage tokens and cancellation reasons to the appointments table
+db.serialize(() => {
+  console.log('Starting migration: adding manage tokens to appointments table...');
+
+  // Step 1: Add the columns that are missing
+  db.all('PRAGMA table_info(appointments)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const missing = NEW_COLUMNS.filter(name => !columns.some(column => column.name === name));
+    const finish = () => {
+      // Step 2: Issue nonces for existing appointments
+      backfillNonces(() => {
+        console.log('Migration completed successfully!');
+
+        // Close the database connection
+        db.close();
+      });
+    };
+
+    if (missing.length === 0) {
+      console.log('Columns already exist');
+      return finish();
+    }
+
+    let remaining = missing.length;
+    missing.forEach(name => {
+      db.run(`ALTER TABLE appointments ADD COLUMN ${name} TEXT`, (err) => {
+        if (err) {
+          console.error(`Error adding ${name} column:`, err);
+          process.exit(1);
+        }
+        console.log(`Added ${name} column to appointments table`);
+        if (--remaining === 0) {
+          finish();
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Users can keep several named schedules with one default; event types may pick one
+const NEW_COLUMNS = [
+  { table: 'schedules', name: 'name', definition: "TEXT NOT NULL DEFAULT 'Working hours'" },
+  { table: 'schedules', name: 'isDefault', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'events', name: 'scheduleId', definition: 'INTEGER REFERENCES schedules(id)' }
+];
+
+// Add the columns missing from one table
+const addColumns = (table, done) => {
+  db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const missing = NEW_COLUMNS.filter(column => column.table === table &&
+      !columns.some(existing => existing.name === column.name));
+    if (missing.length === 0) {
+      console.log(`Columns already exist on ${table}`);
+      return done();
+    }
+
+    let remaining = missing.length;
+    missing.forEach(({ name, definition }) => {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, (err) => {
+        if (err) {
+          console.error(`Error adding ${name} column to ${table}:`, err);
+          process.exit(1);
+        }
+        console.log(`Added ${name} column to ${table} table`);
+        if (--remaining === 0) {
+          done();
+        }
+      });
+    });
+  });
+};
+
+// Each user's oldest schedule becomes their default, unless they already have one
+const markDefaults = (done) => {
+  db.run(
+    `UPDATE schedules SET isDefault = 1
+     WHERE id IN (SELECT MIN(id) FROM schedules GROUP BY userId)
+       AND userId NOT IN (SELECT userId FROM schedules WHERE isDefault = 1)`,
+    function (err) {
+      if (err) {
+        console.error('Error marking default schedules:', err);
+        process.exit(1);
+      }
+      console.log(`Marked ${this.changes} default schedules`);
+      done();
+    }
+  );
+};
+
+// Migration to add named schedules and let events reference one
+console.log('Starting migration: adding named schedules...');
+
+addColumns('schedules', () => {
+  addColumns('events', () => {
+    markDefaults(() => {
+      console.log('Migration completed successfully!');
+
+      // Close the database connection
+      db.close();
+    });
+  });
+});
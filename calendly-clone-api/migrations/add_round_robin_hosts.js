@@ -0,0 +1,61 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Event types can be hosted by a pool of users, one of whom is assigned each booking
+const NEW_COLUMNS = [
+  { name: 'hostMode', definition: "TEXT NOT NULL DEFAULT 'single'" },
+  { name: 'assignmentStrategy', definition: "TEXT NOT NULL DEFAULT 'least_recent'" }
+];
+
+// Migration to add round-robin hosts to event types
+db.serialize(() => {
+  console.log('Starting migration: adding round-robin hosts...');
+
+  // Step 1: Create the hosts table
+  db.run(`CREATE TABLE IF NOT EXISTS event_hosts (
+    eventId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    lastAssignedAt TEXT,
+    PRIMARY KEY (eventId, userId),
+    FOREIGN KEY (eventId) REFERENCES events(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating event_hosts table:', err);
+      process.exit(1);
+    }
+    console.log('Created event_hosts table');
+  });
+
+  // Step 2: Add the host settings to events
+  db.all('PRAGMA table_info(events)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const missing = NEW_COLUMNS.filter(column => !columns.some(existing => existing.name === column.name));
+    if (missing.length === 0) {
+      console.log('Columns already exist, nothing to do');
+      db.close();
+      return;
+    }
+
+    let remaining = missing.length;
+    missing.forEach(({ name, definition }) => {
+      db.run(`ALTER TABLE events ADD COLUMN ${name} ${definition}`, (err) => {
+        if (err) {
+          console.error(`Error adding ${name} column:`, err);
+          process.exit(1);
+        }
+        console.log(`Added ${name} column to events table`);
+        if (--remaining === 0) {
+          console.log('Migration completed successfully!');
+
+          // Close the database connection
+          db.close();
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Users and event types get readable slugs for their public links
+const NEW_COLUMNS = [
+  { table: 'users', name: 'slug', definition: 'TEXT' },
+  { table: 'events', name: 'slug', definition: 'TEXT' }
+];
+
+// Same rules as utils/slugs.js: "Eero's 30 min" -> "eeros-30-min"
+const slugify = (name, fallback) => {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 50)
+    .replace(/^-+|-+$/g, '');
+  return slug || fallback;
+};
+
+// Pick `base`, or `base-2`, `base-3`, ... when `used` has it, and mark the pick as used
+const claim = (base, used) => {
+  let slug = base;
+  for (let n = 2; used.has(slug); n++) {
+    slug = `${base.slice(0, 50 - `-${n}`.length).replace(/-+$/, '')}-${n}`;
+  }
+  used.add(slug);
+  return slug;
+};
+
+// Add the columns missing from one table
+const addColumns = (table, done) => {
+  db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const missing = NEW_COLUMNS.filter(column => column.table === table &&
+      !columns.some(existing => existing.name === column.name));
+    if (missing.length === 0) {
+      console.log(`Columns already exist on ${table}`);
+      return done();
+    }
+
+    let remaining = missing.length;
+    missing.forEach(({ name, definition }) => {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, (err) => {
+        if (err) {
+          console.error(`Error adding ${name} column to ${table}:`, err);
+          process.exit(1);
+        }
+        console.log(`Added ${name} column to ${table} table`);
+        if (--remaining === 0) {
+          done();
+        }
+      });
+    });
+  });
+};
+
+// Give every row without a slug one made from its name, unique within its namespace
+const backfill = (table, fallback, namespace, done) => {
+  db.all(`SELECT id, name, slug, ${namespace} AS namespace FROM ${table} ORDER BY id`, (err, rows) => {
+    if (err) {
+      console.error(`Error reading ${table}:`, err);
+      process.exit(1);
+    }
+
+    const used = new Map();
+    const usedIn = (key) => used.get(key) || used.set(key, new Set()).get(key);
+    rows.filter(row => row.slug).forEach(row => usedIn(row.namespace).add(row.slug));
+
+    const stmt = db.prepare(`UPDATE ${table} SET slug = ? WHERE id = ?`);
+    const pending = rows.filter(row => !row.slug);
+    pending.forEach(row => stmt.run(claim(slugify(row.name, fallback), usedIn(row.namespace)), row.id));
+    stmt.finalize((err) => {
+      if (err) {
+        console.error(`Error adding slugs to ${table}:`, err);
+        process.exit(1);
+      }
+      console.log(`Added slugs to ${pending.length} rows of ${table}`);
+      done();
+    });
+  });
+};
+
+// Unique slugs, and the old slugs kept as redirects
+const createIndexes = (done) => {
+  db.serialize(() => {
+    db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_slug ON users(slug)');
+    db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_events_user_slug ON events(userId, slug)');
+    db.run(`CREATE TABLE IF NOT EXISTS slug_redirects (
+      scope TEXT NOT NULL,
+      slug TEXT NOT NULL,
+      targetId TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY (scope, slug)
+    )`, (err) => {
+      if (err) {
+        console.error('Error creating slug indexes and redirects:', err);
+        process.exit(1);
+      }
+      console.log('Created slug indexes and slug_redirects table');
+      done();
+    });
+  });
+};
+
+// Migration to add slugs to users and event types
+console.log('Starting migration: adding slugs...');
+
+addColumns('users', () => {
+  addColumns('events', () => {
+    backfill('users', 'user', "''", () => {
+      backfill('events', 'event', 'userId', () => {
+        createIndexes(() => {
+          console.log('Migration completed successfully!');
+
+          // Close the database connection
+          db.close();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Who canceled an appointment and when it entered each status
+const NEW_COLUMNS = ['canceledBy', 'confirmedAt', 'completedAt', 'canceledAt', 'noShowAt'];
+const STATUSES = ['scheduled', 'confirmed', 'completed', 'canceled', 'no_show'];
+
+// Statuses used to be free-form; map the British spelling and reset anything else
+const normalizeStatuses = (done) => {
+  db.run("UPDATE appointments SET status = 'canceled' WHERE status = 'cancelled'", (err) => {
+    if (err) {
+      console.error('Error normalizing statuses:', err);
+      process.exit(1);
+    }
+
+    db.run(
+      `UPDATE appointments SET status = 'scheduled' WHERE status NOT IN (${STATUSES.map(() => '?').join(', ')})`,
+      STATUSES,
+      function (err) {
+        if (err) {
+          console.error('Error normalizing statuses:', err);
+          process.exit(1);
+        }
+        console.log(`Reset ${this.changes} appointments with an unknown status to scheduled`);
+        done();
+      }
+    );
+  });
+};
+
+// Migration to add status transition metadata to the appointments table
+db.serialize(() => {
+  console.log('Starting migration: adding status transitions to appointments table...');
+
+  // Step 1: Add the columns that are missing
+  db.all('PRAGMA table_info(appointments)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    const finish = () => {
+      // Step 2: Bring existing statuses into the state machine
+      normalizeStatuses(() => {
+        console.log('Migration completed successfully!');
+
+        // Close the database connection
+        db.close();
+      });
+    };
+
+    const missing = NEW_COLUMNS.filter(name => !columns.some(column => column.name === name));
+    if (missing.length === 0) {
+      console.log('Columns already exist');
+      return finish();
+    }
+
+    let remaining = missing.length;
+    missing.forEach(name => {
+      db.run(`ALTER TABLE appointments ADD COLUMN ${name} TEXT`, (err) => {
+        if (err) {
+          console.error(`Error adding ${name} column:`, err);
+          process.exit(1);
+        }
+        console.log(`Added ${name} column to appointments table`);
+        if (--remaining === 0) {
+          finish();
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+const TABLES = {
+  teams: `CREATE TABLE IF NOT EXISTS teams (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    createdAt TEXT NOT NULL
+  )`,
+  team_members: `CREATE TABLE IF NOT EXISTS team_members (
+    teamId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    joinedAt TEXT NOT NULL,
+    PRIMARY KEY (teamId, userId),
+    FOREIGN KEY (teamId) REFERENCES teams(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`,
+  team_invitations: `CREATE TABLE IF NOT EXISTS team_invitations (
+    id TEXT PRIMARY KEY,
+    teamId TEXT NOT NULL,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    invitedBy TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    expiresAt TEXT NOT NULL,
+    FOREIGN KEY (teamId) REFERENCES teams(id),
+    FOREIGN KEY (invitedBy) REFERENCES users(id)
+  )`
+};
+
+// Migration to add teams, their members and invitations, and team-owned event types
+db.serialize(() => {
+  console.log('Starting migration: adding teams...');
+
+  // Step 1: Create the team tables
+  Object.entries(TABLES).forEach(([table, sql]) => {
+    db.run(sql, (err) => {
+      if (err) {
+        console.error(`Error creating ${table} table:`, err);
+        process.exit(1);
+      }
+      console.log(`Created ${table} table`);
+    });
+  });
+
+  // Step 2: Let event types belong to a team
+  db.all('PRAGMA table_info(events)', (err, columns) => {
+    if (err) {
+      console.error('Error checking table schema:', err);
+      process.exit(1);
+    }
+
+    if (columns.some(column => column.name === 'teamId')) {
+      console.log('Column already exists, nothing to do');
+      db.close();
+      return;
+    }
+
+    db.run('ALTER TABLE events ADD COLUMN teamId TEXT', (err) => {
+      if (err) {
+        console.error('Error adding teamId column:', err);
+        process.exit(1);
+      }
+      console.log('Added teamId column to events table');
+      console.log('Migration completed successfully!');
+
+      // Close the database connection
+      db.close();
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const sqlite3 = require('sqlite3').verbose();
+const db = new sqlite3.Database('./database.db');
+
+// Migration to store all appointment times as UTC ISO 8601 strings
+db.serialize(() => {
+  console.log('Starting migration: normalizing appointment times to UTC...');
+
+  db.all('SELECT id, startTime, endTime FROM appointments', (err, rows) => {
+    if (err) {
+      console.error('Error reading appointments:', err);
+      process.exit(1);
+    }
+
+    const statement = db.prepare('UPDATE appointments SET startTime = ?, endTime = ? WHERE id = ?');
+    let normalized = 0;
+
+    rows.forEach(row => {
+      const start = Date.parse(row.startTime);
+      const end = Date.parse(row.endTime);
+
+      if (isNaN(start) || isNaN(end)) {
+        console.warn(`Skipping appointment ${row.id}: unparseable time`);
+        return;
+      }
+
+      const startTime = new Date(start).toISOString();
+      const endTime = new Date(end).toISOString();
+      if (startTime !== row.startTime || endTime !== row.endTime) {
+        statement.run(startTime, endTime, row.id);
+        normalized++;
+      }
+    });
+
+    statement.finalize((err) => {
+      if (err) {
+        console.error('Error updating appointments:', err);
+        process.exit(1);
+      }
+      console.log(`Normalized ${normalized} appointment(s)`);
+      console.log('Migration completed successfully!');
+
+      // Close the database connection
+      db.close();
+    });
+  });
+});
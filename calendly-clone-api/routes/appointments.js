@@ -1,8 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const dbAsync = require('../utils/dbAsync');
 const { auth } = require('../middleware/auth');
-const { isValidEmail } = require('../utils/validators');
+const { isValidEmail, isValidTimezone } = require('../utils/validators');
+const { parseAppointmentWindow, checkHosts, assignHost } = require('../utils/booking');
+const { bookingHostIds, setAppointmentHosts, withHostIds } = require('../utils/hosts');
+const { getSeries, listOccurrences, createSeries, cancelOccurrences, updateSeries } = require('../utils/series');
+const { sendRejection } = require('../utils/rejections');
+const { newManageNonce, createManageToken } = require('../utils/manageToken');
+const { renderTimes, renderAppointment } = require('../utils/appointmentView');
+const { STATUSES, isValidStatus, isActive, transitionError, transitionFields } = require('../utils/status');
+const { parseCancellationReason } = require('../utils/publicBooking');
+const { checkAnswers, storeList } = require('../utils/questions');
+const { checkLocation, meetingLocation, storeLocation } = require('../utils/locations');
+const { offerFreedSlot } = require('../utils/waitlist');
+
+// Middleware to reject unknown ?timeZone= display zones
+const validateTimeZone = (req, res, next) => {
+  const { timeZone } = req.query;
+  if (timeZone && !isValidTimezone(timeZone)) {
+    return res.status(400).json({ error: 'Time zone must be a valid IANA time zone (e.g., Europe/Tallinn)' });
+  }
+  next();
+};
 
 // Custom middleware to check if user owns the appointment
 const checkAppointmentOwnership = (req, res, next) => {
@@ -23,9 +44,32 @@ const checkAppointmentOwnership = (req, res, next) => {
   });
 };
 
+// Custom middleware to check if user owns the series; the series is kept on req.series
+const checkSeriesOwnership = async (req, res, next) => {
+  try {
+    const series = await getSeries(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({ error: 'Appointment series not found' });
+    }
+    if (series.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Forbidden: You can only modify your own appointment series' });
+    }
+    req.series = series;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+// Render a series with its occurrences
+const renderSeries = (series, occurrences, timeZone) => ({
+  ...renderTimes(series, timeZone),
+  occurrences: occurrences.map(occurrence => renderAppointment(occurrence, timeZone))
+});
+
 // Schedule an appointment
-router.post('/', auth, (req, res) => {
-  const { eventId, inviteeEmail, startTime, endTime } = req.body;
+router.post('/', auth, async (req, res) => {
+  const { eventId, inviteeEmail, startTime, endTime, locationType, inviteePhone } = req.body;
   const userId = req.user.id; // Get the authenticated user's ID
   const status = 'scheduled'; // Default status
 
@@ -37,25 +81,144 @@ router.post('/', auth, (req, res) => {
     return res.status(400).json({ error: 'Invalid invitee email format' });
   }
 
+  const window = parseAppointmentWindow(startTime, endTime);
+  if (window.error) {
+    return res.status(400).json({ error: window.error });
+  }
+
   const id = Date.now().toString();
-  db.run(
-    'INSERT INTO appointments (id, eventId, userId, inviteeEmail, startTime, endTime, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
-    [id, eventId, userId, inviteeEmail, startTime, endTime, status],
-    (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
+  const manageNonce = newManageNonce();
+  try {
+    // Answers must suit the event's questions, and the location be one the event offers
+    const { answers, error } = await checkAnswers(eventId, req.body.answers);
+    const { choice, error: locationError } = await checkLocation(eventId, { locationType, inviteePhone });
+    if (error || locationError) {
+      return res.status(400).json({ error: error || locationError });
+    }
+
+    // Check the booking and insert atomically so concurrent bookings can't both succeed;
+    // round-robin events assign the appointment to one of their hosts, collective events
+    // book all of them
+    const { hostId, hostIds, location, rejection } = await dbAsync.transaction(async () => {
+      const assignment = await assignHost({ userId, eventId, window, inviteeEmail });
+      if (assignment.rejection) {
+        return assignment;
       }
-      res.status(201).json({ id, eventId, userId, inviteeEmail, startTime, endTime, status });
+      const location = await meetingLocation(choice, {
+        appointmentId: id, eventId, hostId: assignment.hostId, startTime: window.startTime, endTime: window.endTime
+      });
+      await dbAsync.run(
+        `INSERT INTO appointments (id, eventId, userId, inviteeEmail, startTime, endTime, status, manageNonce, answers, location)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, eventId, assignment.hostId, inviteeEmail, window.startTime, window.endTime, status, manageNonce,
+          storeList(answers), storeLocation(location)]
+      );
+      await setAppointmentHosts(id, assignment.hostIds);
+      return { ...assignment, location };
+    });
+
+    if (rejection) {
+      return sendRejection(res, rejection);
     }
-  );
+    res.status(201).json({
+      id,
+      eventId,
+      userId: hostId,
+      hostIds,
+      inviteeEmail,
+      startTime: window.startTime,
+      endTime: window.endTime,
+      status,
+      answers,
+      location,
+      manageToken: createManageToken(id, manageNonce)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// Partially update an appointment
-router.patch('/:appointmentId', auth, checkAppointmentOwnership, (req, res) => {
+// Book a recurring series of appointments from an RRULE
+router.post('/series', auth, async (req, res) => {
+  const { eventId, inviteeEmail, startTime, endTime, rrule } = req.body;
+
+  if (!eventId || !inviteeEmail || !startTime || !endTime || !rrule) {
+    return res.status(400).json({ error: 'All fields are required' });
+  }
+
+  if (!isValidEmail(inviteeEmail)) {
+    return res.status(400).json({ error: 'Invalid invitee email format' });
+  }
+
+  const window = parseAppointmentWindow(startTime, endTime);
+  if (window.error) {
+    return res.status(400).json({ error: window.error });
+  }
+
+  try {
+    // Every occurrence is checked like a single booking; one rejection books nothing
+    const { series, occurrences, rejection, error } = await createSeries({
+      userId: req.user.id,
+      eventId,
+      inviteeEmail,
+      window,
+      rrule
+    });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (rejection) {
+      return sendRejection(res, rejection);
+    }
+    res.status(201).json(renderSeries(series, occurrences));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List the occurrences of a series
+router.get('/series/:seriesId/occurrences', auth, validateTimeZone, checkSeriesOwnership, async (req, res) => {
+  try {
+    const occurrences = await listOccurrences(req.series.id);
+    res.json(occurrences.map(occurrence => renderAppointment(occurrence, req.query.timeZone)));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Cancel one occurrence of a series, or it and all following occurrences ({ andFollowing: true })
+router.post('/series/:seriesId/occurrences/:appointmentId/cancel', auth, checkSeriesOwnership, async (req, res) => {
   const { appointmentId } = req.params;
-  const { eventId, inviteeEmail, startTime, endTime, status } = req.body;
+  const { andFollowing = false } = req.body || {};
 
-  if (!eventId && !inviteeEmail && !startTime && !endTime && !status) {
+  try {
+    const occurrence = await dbAsync.get(
+      'SELECT * FROM appointments WHERE id = ? AND seriesId = ?',
+      [appointmentId, req.series.id]
+    );
+    if (!occurrence) {
+      return res.status(404).json({ error: 'Occurrence not found in this series' });
+    }
+
+    const transition = transitionError(occurrence, 'canceled');
+    if (transition) {
+      return res.status(409).json({ error: transition });
+    }
+
+    const canceled = await cancelOccurrences({ series: req.series, occurrence, andFollowing: Boolean(andFollowing) });
+    res.json(canceled.map(occurrence => renderAppointment(occurrence)));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Edit the whole series
+router.patch('/series/:seriesId', auth, checkSeriesOwnership, async (req, res) => {
+  const { inviteeEmail, startTime, endTime, rrule } = req.body;
+
+  if (!inviteeEmail && !startTime && !endTime && !rrule) {
     return res.status(400).json({ error: 'At least one field is required' });
   }
 
@@ -63,74 +226,207 @@ router.patch('/:appointmentId', auth, checkAppointmentOwnership, (req, res) => {
     return res.status(400).json({ error: 'Invalid invitee email format' });
   }
 
-  const fields = [];
-  const values = [];
+  // A new first occurrence needs both ends
+  let window = null;
+  if (startTime || endTime) {
+    window = parseAppointmentWindow(startTime, endTime);
+    if (window.error) {
+      return res.status(400).json({ error: window.error });
+    }
+  }
+
+  try {
+    const result = await updateSeries({ series: req.series, inviteeEmail, window, rrule });
 
-  if (eventId) {
-    fields.push('eventId = ?');
-    values.push(eventId);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    if (result.rejection) {
+      return sendRejection(res, result.rejection);
+    }
+    res.json(renderSeries(result.series, result.occurrences));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
   }
-  if (inviteeEmail) {
-    fields.push('inviteeEmail = ?');
-    values.push(inviteeEmail);
+});
+
+// Partially update an appointment
+router.patch('/:appointmentId', auth, checkAppointmentOwnership, async (req, res) => {
+  const { appointmentId } = req.params;
+  const { eventId, inviteeEmail, startTime, endTime, status, cancellationReason } = req.body;
+
+  if (!eventId && !inviteeEmail && !startTime && !endTime && !status) {
+    return res.status(400).json({ error: 'At least one field is required' });
   }
-  if (startTime) {
-    fields.push('startTime = ?');
-    values.push(startTime);
+
+  if (inviteeEmail && !isValidEmail(inviteeEmail)) {
+    return res.status(400).json({ error: 'Invalid invitee email format' });
   }
-  if (endTime) {
-    fields.push('endTime = ?');
-    values.push(endTime);
+
+  if (status && !isValidStatus(status)) {
+    return res.status(400).json({ error: `Status must be one of ${STATUSES.join(', ')}` });
   }
-  if (status) {
-    fields.push('status = ?');
-    values.push(status);
+
+  // Only cancellations carry a reason
+  const cancellation = parseCancellationReason(cancellationReason);
+  if (cancellation.error || (cancellation.reason && status !== 'canceled')) {
+    return res.status(400).json({ error: cancellation.error || 'A cancellation reason can only be given when canceling' });
   }
 
-  values.push(appointmentId);
+  try {
+    const existing = await dbAsync.get('SELECT * FROM appointments WHERE id = ?', [appointmentId]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    // Status changes must follow the allowed transitions; repeating the current status is a no-op
+    const statusChange = status && status !== existing.status;
+    if (statusChange) {
+      const error = transitionError(existing, status);
+      if (error) {
+        return res.status(409).json({ error });
+      }
+    }
+
+    // Validate and normalize the time window when either end moves
+    let window = null;
+    if (startTime || endTime) {
+      window = parseAppointmentWindow(startTime || existing.startTime, endTime || existing.endTime);
+      if (window.error) {
+        return res.status(400).json({ error: window.error });
+      }
+    }
 
-  const query = `UPDATE appointments SET ${fields.join(', ')} WHERE id = ?`;
+    const fields = [];
+    const values = [];
 
-  db.run(query, values, function (err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+    if (eventId) {
+      fields.push('eventId = ?');
+      values.push(eventId);
     }
-    if (this.changes === 0) {
+    if (inviteeEmail) {
+      fields.push('inviteeEmail = ?');
+      values.push(inviteeEmail);
+    }
+    if (startTime) {
+      fields.push('startTime = ?');
+      values.push(window.startTime);
+    }
+    if (endTime) {
+      fields.push('endTime = ?');
+      values.push(window.endTime);
+    }
+    let transition = {};
+    if (statusChange) {
+      transition = transitionFields({ status, canceledBy: 'host', cancellationReason: cancellation.reason });
+      Object.keys(transition).forEach(column => {
+        fields.push(`${column} = ?`);
+        values.push(transition[column]);
+      });
+    }
+
+    // Nothing to write when only the current status was repeated
+    if (fields.length === 0) {
+      return res.json(renderAppointment(existing));
+    }
+
+    values.push(appointmentId);
+
+    const query = `UPDATE appointments SET ${fields.join(', ')} WHERE id = ?`;
+
+    // Re-check the booking when an active appointment moves or changes event
+    const needsBookingCheck = isActive(status || existing.status) && (eventId || startTime || endTime);
+
+    if (needsBookingCheck && !window) {
+      window = parseAppointmentWindow(existing.startTime, existing.endTime);
+      if (window.error) {
+        return res.status(400).json({ error: window.error });
+      }
+    }
+
+    // Execute update atomically with the booking check
+    const { rejection, result, hostIds } = await dbAsync.transaction(async () => {
+      let hostIds;
+      if (needsBookingCheck) {
+        const rejection = await checkHosts({
+          userId: req.user.id,
+          eventId: eventId || existing.eventId,
+          window,
+          inviteeEmail: inviteeEmail || existing.inviteeEmail,
+          excludeId: appointmentId
+        });
+        if (rejection) {
+          return { rejection };
+        }
+        // The hosts the booking was checked with attend it from now on
+        hostIds = await bookingHostIds(eventId || existing.eventId, req.user.id);
+        await setAppointmentHosts(appointmentId, hostIds);
+      }
+      return { result: await dbAsync.run(query, values), hostIds };
+    });
+
+    if (rejection) {
+      return sendRejection(res, rejection);
+    }
+    if (result.changes === 0) {
       return res.status(404).json({ error: 'Appointment not found' });
     }
-    res.json({ id: appointmentId, eventId, userId: req.user.id, inviteeEmail, startTime, endTime, status });
-  });
+    // The canceled time goes to the first invitee on the event's waitlist
+    if (statusChange && status === 'canceled') {
+      await offerFreedSlot(existing);
+    }
+    res.json({
+      id: appointmentId,
+      eventId,
+      userId: req.user.id,
+      hostIds,
+      inviteeEmail,
+      startTime: startTime && window.startTime,
+      endTime: endTime && window.endTime,
+      status,
+      ...transition
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
 // Delete an appointment
-router.delete('/:appointmentId', auth, checkAppointmentOwnership, (req, res) => {
+router.delete('/:appointmentId', auth, checkAppointmentOwnership, async (req, res) => {
   const { appointmentId } = req.params;
 
-  db.run('DELETE FROM appointments WHERE id = ?', [appointmentId], function (err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-    if (this.changes === 0) {
+  try {
+    const existing = await dbAsync.get('SELECT * FROM appointments WHERE id = ?', [appointmentId]);
+    const result = await dbAsync.run('DELETE FROM appointments WHERE id = ?', [appointmentId]);
+    if (result.changes === 0) {
       return res.status(404).json({ error: 'Appointment not found' });
     }
+    await dbAsync.run('DELETE FROM appointment_hosts WHERE appointmentId = ?', [appointmentId]);
+    // Deleting an active appointment frees its time for the event's waitlist
+    await offerFreedSlot(existing);
     res.status(204).send(); // No content
-  });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
 // Get all appointments (users can only see their own appointments)
-router.get('/', auth, (req, res) => {
+router.get('/', auth, validateTimeZone, (req, res) => {
   const userId = req.user.id;
   
   db.all('SELECT * FROM appointments WHERE userId = ?', [userId], (err, rows) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
-    res.json(rows);
+    withHostIds(rows)
+      .then(appointments => res.json(appointments.map(row => renderAppointment(row, req.query.timeZone))))
+      .catch(() => res.status(500).json({ error: 'Database error' }));
   });
 });
 
 // Get a specific appointment by ID
-router.get('/:appointmentId', auth, (req, res) => {
+router.get('/:appointmentId', auth, validateTimeZone, (req, res) => {
   const { appointmentId } = req.params;
   const userId = req.user.id;
 
@@ -141,7 +437,9 @@ router.get('/:appointmentId', auth, (req, res) => {
     if (!row) {
       return res.status(404).json({ error: 'Appointment not found' });
     }
-    res.json(row);
+    withHostIds([row])
+      .then(([appointment]) => res.json(renderAppointment(appointment, req.query.timeZone)))
+      .catch(() => res.status(500).json({ error: 'Database error' }));
   });
 });
 
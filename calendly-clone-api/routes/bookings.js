@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const { isValidEmail, isValidTimezone } = require('../utils/validators');
+const { parseAppointmentWindow } = require('../utils/booking');
+const {
+  parseInviteeName,
+  parseCancellationReason,
+  throttleClient,
+  bookAsInvitee,
+  findByManageToken,
+  cancelAsInvitee,
+  rescheduleAsInvitee
+} = require('../utils/publicBooking');
+const { sendRejection } = require('../utils/rejections');
+const { renderAppointment } = require('../utils/appointmentView');
+const { checkAnswers } = require('../utils/questions');
+const { checkLocation } = require('../utils/locations');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { linkBooking } = require('../utils/links');
+const { throttleHolds, reserveSlot, findByHoldToken, holdBooking } = require('../utils/holds');
+const { renderHold } = require('../utils/holdView');
+
+// Public booking routes for invitees; none of them need the host's token
+
+// Middleware to load the appointment behind a manage token into req.appointment
+const findBooking = async (req, res, next) => {
+  try {
+    const appointment = await findByManageToken(req.params.manageToken);
+    if (!appointment) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    req.appointment = appointment;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+// Hold an offered slot for the invitee while they fill in the booking form
+router.post('/holds', async (req, res) => {
+  const throttled = throttleHolds(req.ip);
+  if (throttled) {
+    return sendRejection(res, throttled);
+  }
+
+  const { userId, eventId, startTime, endTime } = req.body;
+  if (!userId || !eventId || !startTime || !endTime) {
+    return res.status(400).json({ error: 'All fields are required' });
+  }
+
+  const window = parseAppointmentWindow(startTime, endTime);
+  if (window.error) {
+    return res.status(400).json({ error: window.error });
+  }
+
+  try {
+    const result = await reserveSlot({ userId, eventId, window });
+    if (result.rejection) {
+      return sendRejection(res, result.rejection);
+    }
+    res.status(201).json(renderHold(result.hold));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Book an offered slot as an invitee; the appointment belongs to the host
+router.post('/', async (req, res) => {
+  const { inviteeName, locationType, inviteePhone, linkId, holdToken } = req.body;
+
+  // Bookings of a held slot were counted against the client when the slot was reserved
+  const throttled = holdToken ? null : throttleClient(req.ip);
+  if (throttled) {
+    return sendRejection(res, throttled);
+  }
+
+  try {
+    const { hold, rejection } = holdToken ? await findByHoldToken(holdToken) : {};
+    if (rejection) {
+      return sendRejection(res, rejection);
+    }
+
+    // Booking through a scheduling link takes the event and host from the link, and booking a
+    // held slot takes them and the time from the hold
+    const requested = {
+      userId: req.body.userId,
+      eventId: req.body.eventId,
+      inviteeEmail: req.body.inviteeEmail,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime
+    };
+    const linked = linkId ? await linkBooking(linkId, requested) : requested;
+    const booking = hold && !linked.rejection ? await holdBooking(hold, linked) : linked;
+    if (booking.rejection) {
+      return sendRejection(res, booking.rejection);
+    }
+    const { userId, eventId, inviteeEmail, startTime, endTime } = booking;
+
+    if (!userId || !eventId || !inviteeEmail || !startTime || !endTime) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    const name = parseInviteeName(inviteeName);
+    if (name.error) {
+      return res.status(400).json({ error: name.error });
+    }
+
+    if (!isValidEmail(inviteeEmail)) {
+      return res.status(400).json({ error: 'Invalid invitee email format' });
+    }
+
+    const window = parseAppointmentWindow(startTime, endTime);
+    if (window.error) {
+      return res.status(400).json({ error: window.error });
+    }
+
+    // Answers must suit the event's questions, and the location be one the event offers
+    const { answers, error } = await checkAnswers(eventId, req.body.answers);
+    const { choice, error: locationError } = await checkLocation(eventId, { locationType, inviteePhone });
+    if (error || locationError) {
+      return res.status(400).json({ error: error || locationError });
+    }
+
+    const result = await bookAsInvitee({
+      userId,
+      eventId,
+      inviteeName: name.name,
+      inviteeEmail,
+      window,
+      answers,
+      location: choice,
+      holdId: hold ? hold.id : null,
+      linkId: linkId || null
+    });
+    if (result.rejection) {
+      return sendRejection(res, result.rejection);
+    }
+    res.status(201).json(renderAppointment(result.appointment));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Fetch an appointment by its manage token
+router.get('/:manageToken', findBooking, (req, res) => {
+  const { timeZone } = req.query;
+  if (timeZone && !isValidTimezone(timeZone)) {
+    return res.status(400).json({ error: 'Time zone must be a valid IANA time zone (e.g., Europe/Tallinn)' });
+  }
+  res.json(renderAppointment(req.appointment, timeZone));
+});
+
+// Cancel an appointment by its manage token, optionally with { reason }
+router.post('/:manageToken/cancel', findBooking, async (req, res) => {
+  const cancellation = parseCancellationReason((req.body || {}).reason);
+  if (cancellation.error) {
+    return res.status(400).json({ error: cancellation.error });
+  }
+
+  try {
+    const result = await cancelAsInvitee({ appointment: req.appointment, reason: cancellation.reason });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    await offerFreedSlot(req.appointment);
+    res.json(renderAppointment(result.appointment));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Move an appointment into another offered slot by its manage token
+router.post('/:manageToken/reschedule', findBooking, async (req, res) => {
+  const throttled = throttleClient(req.ip);
+  if (throttled) {
+    return sendRejection(res, throttled);
+  }
+
+  const { startTime, endTime } = req.body || {};
+  if (!startTime || !endTime) {
+    return res.status(400).json({ error: 'Start and end time are required' });
+  }
+
+  const window = parseAppointmentWindow(startTime, endTime);
+  if (window.error) {
+    return res.status(400).json({ error: window.error });
+  }
+
+  try {
+    const result = await rescheduleAsInvitee({ appointment: req.appointment, window });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    if (result.rejection) {
+      return sendRejection(res, result.rejection);
+    }
+    res.json(renderAppointment(result.appointment));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
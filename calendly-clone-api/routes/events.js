@@ -3,10 +3,42 @@ const router = express.Router();
 const db = require('../db');
 const { auth, checkOwnership } = require('../middleware/auth');
 const { isValidHexColor } = require('../utils/validators');
+const { RULE_FIELDS, validateBookingRules, eventRules } = require('../utils/rules');
+const dbAsync = require('../utils/dbAsync');
+const { scheduleOwnershipError } = require('../utils/schedules');
+const { validateCapacity, eventCapacity } = require('../utils/seats');
+const { parseDateTime } = require('../utils/booking');
+const { validateHostSettings, setEventHosts, poolHostIds } = require('../utils/hosts');
+const { teamEventError, teamHostsError, canManageEvent } = require('../utils/teams');
+const {
+  eventScope, parseSlug, generateEventSlug, eventSlugTaken, recordSlugChange, deleteSlugRedirects
+} = require('../utils/slugs');
+const { validateQuestions, storeList } = require('../utils/questions');
+const { validateLocations, storeLocations } = require('../utils/locations');
+const { validateVisibility, storeVisibility } = require('../utils/visibility');
+const { renderEvent } = require('../utils/eventView');
+const { duplicateEvent } = require('../utils/duplicates');
+const { listWaitlist } = require('../utils/waitlist');
+const { renderWaitlistEntry } = require('../utils/waitlistView');
+const { validateLinkSettings, getLink, listLinks, createLink, revokeLink } = require('../utils/links');
+const { renderLink } = require('../utils/linkView');
+
+// Check an event's chosen schedule; null uses the owner's default. Returns an error message or null
+const eventScheduleError = async (scheduleId, userId) => {
+  if (scheduleId === undefined || scheduleId === null) {
+    return null;
+  }
+  if (!Number.isInteger(scheduleId)) {
+    return 'scheduleId must be an integer or null';
+  }
+  return scheduleOwnershipError(scheduleId, userId);
+};
 
 // Create a new event type
-router.post('/', auth, (req, res) => {
-  const { name, duration, description, color } = req.body;
+router.post('/', auth, async (req, res) => {
+  const {
+    name, duration, description, color, scheduleId = null, hostMode, assignmentStrategy, hostIds, teamId = null
+  } = req.body;
   const userId = req.user.id; // Get the user ID from the authenticated user
 
   if (!name || !duration) {
@@ -17,17 +49,72 @@ router.post('/', auth, (req, res) => {
     return res.status(400).json({ error: 'Color must be a valid hex color (e.g., #FF0000)' });
   }
 
+  const { rules, error } = validateBookingRules(req.body);
+  const { capacity = 1, error: capacityError } = validateCapacity(req.body.capacity);
+  const chosen = req.body.slug === undefined ? {} : parseSlug(req.body.slug);
+  const { questions = [], error: questionsError } = validateQuestions(req.body.questions);
+  const { locations = [], error: locationsError } = validateLocations(req.body.locations);
+  const { visibility, error: visibilityError } = validateVisibility(req.body);
+  const validationError = error || capacityError || chosen.error || questionsError || locationsError || visibilityError;
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const storedRules = eventRules(rules);
+  const flags = { active: true, secret: false, linkOnly: false, ...visibility };
+  const storedFlags = storeVisibility(flags);
+
+  let hosts;
+  let slug;
+  try {
+    const scheduleError = await eventScheduleError(scheduleId, userId);
+    hosts = await validateHostSettings({ hostMode, assignmentStrategy, hostIds, capacity, ownerId: userId });
+    if (scheduleError || hosts.error) {
+      return res.status(400).json({ error: scheduleError || hosts.error });
+    }
+
+    // Team event types are created by team admins and hosted by team members
+    const forbidden = await teamEventError(teamId, userId);
+    if (forbidden) {
+      return res.status(403).json({ error: forbidden });
+    }
+    const teamError = await teamHostsError(teamId, hosts.settings.hostIds, userId);
+    if (teamError) {
+      return res.status(400).json({ error: teamError });
+    }
+
+    // Event types pick their slug or get one made from their name
+    if (chosen.slug && await eventSlugTaken(userId, chosen.slug)) {
+      return res.status(409).json({ error: 'Slug is already taken' });
+    }
+    slug = chosen.slug || await generateEventSlug(userId, name);
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  // Round-robin event types assign each booking to one of their hosts; collective ones need all of them
+  const { assignmentStrategy: strategy = 'least_recent', hostIds: pool = [] } = hosts.settings;
   const id = Date.now().toString(); // Simple ID generation
-  db.run(
-    'INSERT INTO events (id, name, duration, description, color, userId) VALUES (?, ?, ?, ?, ?, ?)',
-    [id, name, duration, description, color, userId],
-    (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-      res.status(201).json({ id, name, duration, description, color, userId });
+  try {
+    await dbAsync.run(
+      `INSERT INTO events (id, name, duration, description, color, userId, scheduleId, capacity, hostMode, assignmentStrategy,
+         teamId, slug, questions, locations, active, secret, linkOnly, ${RULE_FIELDS.join(', ')})
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${', ?'.repeat(RULE_FIELDS.length)})`,
+      [id, name, duration, description, color, userId, scheduleId, capacity, hosts.settings.hostMode, strategy,
+        teamId, slug, storeList(questions), storeLocations(locations), storedFlags.active, storedFlags.secret,
+        storedFlags.linkOnly, ...RULE_FIELDS.map(field => storedRules[field])]
+    );
+    if (pool.length > 0) {
+      await setEventHosts(id, pool);
     }
-  );
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  res.status(201).json({
+    id, name, duration, description, color, userId, scheduleId, capacity,
+    hostMode: hosts.settings.hostMode, assignmentStrategy: strategy, hostIds: pool, teamId, slug, questions, locations,
+    ...flags, ...storedRules
+  });
 });
 
 // Get event by ID
@@ -50,35 +137,52 @@ router.get('/:eventId', auth, (req, res) => {
       row.isOwner = true;
     }
     
-    res.json(row);
+    poolHostIds(row)
+      .then(hostIds => res.json(renderEvent(row, hostIds)))
+      .catch(() => res.status(500).json({ error: 'Database error' }));
   });
 });
 
-// Custom middleware to check if user owns the event
+// Custom middleware to check if user owns the event or administers its team
 const checkEventOwnership = (req, res, next) => {
   const { eventId } = req.params;
   const userId = req.user.id;
 
-  db.get('SELECT userId FROM events WHERE id = ?', [eventId], (err, row) => {
+  db.get('SELECT userId, teamId FROM events WHERE id = ?', [eventId], (err, row) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
     if (!row) {
       return res.status(404).json({ error: 'Event not found' });
     }
-    if (row.userId !== userId) {
-      return res.status(403).json({ error: 'Forbidden: You can only modify your own events' });
-    }
-    next();
+    canManageEvent(row, userId)
+      .then(allowed => {
+        if (!allowed) {
+          return res.status(403).json({ error: 'Forbidden: You can only modify your own events' });
+        }
+        req.eventOwnerId = row.userId;
+        next();
+      })
+      .catch(() => res.status(500).json({ error: 'Database error' }));
   });
 };
 
 // Partially update an event
-router.patch('/:eventId', auth, checkEventOwnership, (req, res) => {
+router.patch('/:eventId', auth, checkEventOwnership, async (req, res) => {
   const { eventId } = req.params;
-  const { name, duration, description, color } = req.body;
+  const { name, duration, description, color, scheduleId, hostMode, assignmentStrategy, hostIds } = req.body;
+  const { rules, error } = validateBookingRules(req.body);
+  const { capacity, error: capacityError } = validateCapacity(req.body.capacity);
+  const { slug, error: slugError } = req.body.slug === undefined ? {} : parseSlug(req.body.slug);
+  const { questions, error: questionsError } = validateQuestions(req.body.questions);
+  const { locations, error: locationsError } = validateLocations(req.body.locations);
+  const { visibility, error: visibilityError } = validateVisibility(req.body);
 
-  if (!name && !duration && !description && !color) {
+  if (!name && !duration && !description && !color && Object.keys(rules).length === 0 && scheduleId === undefined &&
+      req.body.capacity === undefined && hostMode === undefined && assignmentStrategy === undefined &&
+      hostIds === undefined && req.body.slug === undefined && req.body.questions === undefined &&
+      req.body.locations === undefined && req.body.active === undefined && req.body.secret === undefined &&
+      req.body.linkOnly === undefined) {
     return res.status(400).json({ error: 'At least one field is required' });
   }
 
@@ -86,6 +190,29 @@ router.patch('/:eventId', auth, checkEventOwnership, (req, res) => {
     return res.status(400).json({ error: 'Color must be a valid hex color (e.g., #FF0000)' });
   }
 
+  const validationError = error || capacityError || slugError || questionsError || locationsError || visibilityError;
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  // Schedules and hosts stay the owner's when a team admin edits the event
+  let hosts;
+  let existing;
+  try {
+    existing = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+    const scheduleError = await eventScheduleError(scheduleId, existing.userId);
+    hosts = await validateHostSettings({ hostMode, assignmentStrategy, hostIds, capacity, ownerId: existing.userId }, existing);
+    const teamError = hosts.error ? null : await teamHostsError(existing.teamId, hosts.settings.hostIds, existing.userId);
+    if (scheduleError || hosts.error || teamError) {
+      return res.status(400).json({ error: scheduleError || hosts.error || teamError });
+    }
+    if (slug && await eventSlugTaken(existing.userId, slug, eventId)) {
+      return res.status(409).json({ error: 'Slug is already taken' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+
   const fields = [];
   const values = [];
 
@@ -105,22 +232,158 @@ router.patch('/:eventId', auth, checkEventOwnership, (req, res) => {
     fields.push('color = ?');
     values.push(color);
   }
+  Object.keys(rules).forEach(field => {
+    fields.push(`${field} = ?`);
+    values.push(rules[field]);
+  });
+  // null goes back to the owner's default schedule
+  if (scheduleId !== undefined) {
+    fields.push('scheduleId = ?');
+    values.push(scheduleId);
+  }
+  if (capacity) {
+    fields.push('capacity = ?');
+    values.push(capacity);
+  }
+  fields.push('hostMode = ?');
+  values.push(hosts.settings.hostMode);
+  if (assignmentStrategy) {
+    fields.push('assignmentStrategy = ?');
+    values.push(assignmentStrategy);
+  }
+  if (slug) {
+    fields.push('slug = ?');
+    values.push(slug);
+  }
+  // An empty list removes the questions; answers already given stay on their appointments
+  if (questions) {
+    fields.push('questions = ?');
+    values.push(storeList(questions));
+  }
+  // An empty list removes the locations; booked appointments keep theirs
+  if (locations) {
+    fields.push('locations = ?');
+    values.push(storeLocations(locations));
+  }
+  // Deactivating keeps the event type's appointments; it just takes no new bookings
+  const storedVisibility = storeVisibility(visibility);
+  Object.keys(storedVisibility).forEach(field => {
+    fields.push(`${field} = ?`);
+    values.push(storedVisibility[field]);
+  });
 
   values.push(eventId);
 
   const query = `UPDATE events SET ${fields.join(', ')} WHERE id = ?`;
 
-  db.run(query, values, function (err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-    if (this.changes === 0) {
+  try {
+    const result = await dbAsync.run(query, values);
+    if (result.changes === 0) {
       return res.status(404).json({ error: 'Event not found' });
     }
-    res.json({ id: eventId, name, duration, description, color, userId: req.user.id });
+    // Hosts are only replaced when given; going back to a single host drops them
+    if (hosts.settings.hostIds) {
+      await setEventHosts(eventId, hosts.settings.hostIds);
+    }
+    // The old slug keeps redirecting to the event type
+    if (slug) {
+      await recordSlugChange(eventScope(existing.userId), eventId, existing.slug, slug);
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  res.json({
+    id: eventId, name, duration, description, color, userId: existing.userId, scheduleId, capacity,
+    hostMode: hosts.settings.hostMode, assignmentStrategy, hostIds: hosts.settings.hostIds, teamId: existing.teamId, slug,
+    questions, locations, ...visibility, ...rules
   });
 });
 
+// Copy an event type with its settings; fields in the body override the original's
+router.post('/:eventId/duplicate', auth, checkEventOwnership, async (req, res) => {
+  const { eventId } = req.params;
+  const { name, duration, description, color, scheduleId } = req.body;
+  const { rules, error } = validateBookingRules(req.body);
+  const { capacity, error: capacityError } = validateCapacity(req.body.capacity);
+  const { slug, error: slugError } = req.body.slug === undefined ? {} : parseSlug(req.body.slug);
+  const { questions, error: questionsError } = validateQuestions(req.body.questions);
+  const { locations, error: locationsError } = validateLocations(req.body.locations);
+  const { visibility, error: visibilityError } = validateVisibility(req.body);
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ error: 'Name cannot be empty' });
+  }
+
+  if (duration !== undefined && !(Number.isInteger(duration) && duration > 0)) {
+    return res.status(400).json({ error: 'Duration must be a positive number of minutes' });
+  }
+
+  if (color && !isValidHexColor(color)) {
+    return res.status(400).json({ error: 'Color must be a valid hex color (e.g., #FF0000)' });
+  }
+
+  const validationError = error || capacityError || slugError || questionsError || locationsError || visibilityError;
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  // The copy stays the owner's, in the same team and with the same hosts
+  let event;
+  try {
+    event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+    const scheduleError = await eventScheduleError(scheduleId, event.userId);
+    const hosts = await validateHostSettings({ capacity, ownerId: event.userId }, event);
+    if (scheduleError || hosts.error) {
+      return res.status(400).json({ error: scheduleError || hosts.error });
+    }
+    if (slug && await eventSlugTaken(event.userId, slug)) {
+      return res.status(409).json({ error: 'Slug is already taken' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  const columns = { ...rules, ...storeVisibility(visibility) };
+  if (name !== undefined) {
+    columns.name = name.trim();
+  }
+  if (duration !== undefined) {
+    columns.duration = duration;
+  }
+  if (description !== undefined) {
+    columns.description = description || null;
+  }
+  if (color !== undefined) {
+    columns.color = color || null;
+  }
+  // null goes back to the owner's default schedule
+  if (scheduleId !== undefined) {
+    columns.scheduleId = scheduleId;
+  }
+  if (capacity) {
+    columns.capacity = capacity;
+  }
+  if (slug) {
+    columns.slug = slug;
+  }
+  // An empty list leaves the copy without questions or locations
+  if (questions) {
+    columns.questions = storeList(questions);
+  }
+  if (locations) {
+    columns.locations = storeLocations(locations);
+  }
+
+  const id = Date.now().toString(); // Simple ID generation
+  try {
+    const copy = await duplicateEvent(event, id, columns);
+    res.status(201).json(renderEvent(copy, await poolHostIds(copy)));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // Delete an event
 router.delete('/:eventId', auth, checkEventOwnership, (req, res) => {
   const { eventId } = req.params;
@@ -132,10 +395,101 @@ router.delete('/:eventId', auth, checkEventOwnership, (req, res) => {
     if (this.changes === 0) {
       return res.status(404).json({ error: 'Event not found' });
     }
-    res.status(204).send(); // No content
+    db.run('DELETE FROM event_hosts WHERE eventId = ?', [eventId], (err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      deleteSlugRedirects(eventScope(req.eventOwnerId), eventId)
+        .then(() => res.status(204).send()) // No content
+        .catch(() => res.status(500).json({ error: 'Database error' }));
+    });
   });
 });
 
+// List the invitees holding a seat in the slot starting at `startTime`
+router.get('/:eventId/attendees', auth, checkEventOwnership, async (req, res) => {
+  const { eventId } = req.params;
+
+  const start = parseDateTime(req.query.startTime);
+  if (isNaN(start)) {
+    return res.status(400).json({ error: 'startTime must be an ISO 8601 date-time with a UTC offset' });
+  }
+
+  try {
+    const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+
+    // Seats are the event's active appointments covering exactly this slot
+    const startTime = new Date(start).toISOString();
+    const endTime = new Date(start + event.duration * 60 * 1000).toISOString();
+    const attendees = await dbAsync.all(
+      `SELECT id AS appointmentId, inviteeName, inviteeEmail, status FROM appointments
+       WHERE eventId = ? AND startTime = ? AND endTime = ? AND status != 'canceled'
+       ORDER BY rowid`,
+      [eventId, startTime, endTime]
+    );
+    const capacity = eventCapacity(event);
+
+    res.json({
+      eventId,
+      startTime,
+      endTime,
+      capacity,
+      remainingSeats: Math.max(capacity - attendees.length, 0),
+      attendees
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List the event's waitlist in line order
+router.get('/:eventId/waitlist', auth, checkEventOwnership, async (req, res) => {
+  try {
+    const entries = await listWaitlist(req.params.eventId);
+    res.json(entries.map(entry => renderWaitlistEntry(entry)));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Generate a scheduling link to the event with { maxUses, expiresInDays, inviteeEmail }
+router.post('/:eventId/links', auth, checkEventOwnership, async (req, res) => {
+  const { settings, error } = validateLinkSettings(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const link = await createLink({ eventId: req.params.eventId, userId: req.user.id, settings });
+    res.status(201).json(renderLink(link));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List the event's scheduling links, newest first
+router.get('/:eventId/links', auth, checkEventOwnership, async (req, res) => {
+  try {
+    const links = await listLinks(req.params.eventId);
+    res.json(links.map(renderLink));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Revoke one of the event's scheduling links so it takes no more bookings
+router.post('/:eventId/links/:linkId/revoke', auth, checkEventOwnership, async (req, res) => {
+  try {
+    const link = await getLink(req.params.linkId);
+    if (!link || link.eventId !== req.params.eventId) {
+      return res.status(404).json({ error: 'Scheduling link not found' });
+    }
+    res.json(renderLink(await revokeLink(link)));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // Get all events (users can only see their own events)
 router.get('/', auth, (req, res) => {
   const userId = req.user.id;
@@ -144,7 +498,9 @@ router.get('/', auth, (req, res) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
-    res.json(rows);
+    Promise.all(rows.map(async row => renderEvent(row, await poolHostIds(row))))
+      .then(events => res.json(events))
+      .catch(() => res.status(500).json({ error: 'Database error' }));
   });
 });
 
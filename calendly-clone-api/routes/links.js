@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const dbAsync = require('../utils/dbAsync');
+const { poolHostIds } = require('../utils/hosts');
+const { hostProfile } = require('../utils/slugs');
+const { isEventActive } = require('../utils/visibility');
+const { getLink } = require('../utils/links');
+const { renderEvent } = require('../utils/eventView');
+const { renderLink } = require('../utils/linkView');
+
+// Public scheduling link pages; book through a link with POST /bookings and its linkId
+
+// Resolve a scheduling link to the event type, host and link state a booking page needs
+router.get('/:linkId', async (req, res) => {
+  try {
+    const link = await getLink(req.params.linkId);
+    const event = link && await dbAsync.get('SELECT * FROM events WHERE id = ?', [link.eventId]);
+    const host = event && await dbAsync.get('SELECT * FROM users WHERE id = ?', [event.userId]);
+
+    // Inactive event types take no bookings, so their links are gone too
+    if (!host || !isEventActive(event)) {
+      return res.status(404).json({ error: 'Scheduling link not found' });
+    }
+
+    res.json({ host: hostProfile(host), event: renderEvent(event, await poolHostIds(event)), link: renderLink(link) });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { poolHostIds } = require('../utils/hosts');
+const { resolveUserLink, resolveEventLink, listPublicEvents, hostProfile } = require('../utils/slugs');
+const { isEventActive } = require('../utils/visibility');
+const { renderEvent } = require('../utils/eventView');
+
+// Public booking pages addressed by slug; none of them need a token
+
+// List a host's public event types; secret ones are only reachable by their own link
+router.get('/:userSlug', async (req, res) => {
+  try {
+    const link = await resolveUserLink(req.params.userSlug);
+    if (!link) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Old slugs redirect to the current link
+    const { user } = link;
+    if (link.redirected) {
+      return res.redirect(301, `${req.baseUrl}/${user.slug}`);
+    }
+
+    const events = await listPublicEvents(user.id);
+    res.json({
+      host: hostProfile(user),
+      events: await Promise.all(events.map(async event => renderEvent(event, await poolHostIds(event))))
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Resolve a public link to the event type and host profile a booking page needs
+router.get('/:userSlug/:eventSlug', async (req, res) => {
+  try {
+    // Inactive event types take no bookings, so their pages are gone too
+    const link = await resolveEventLink(req.params.userSlug, req.params.eventSlug);
+    if (!link || !isEventActive(link.event)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    // Old slugs redirect to the current link
+    const { user, event } = link;
+    if (link.redirected) {
+      return res.redirect(301, `${req.baseUrl}/${user.slug}/${event.slug}`);
+    }
+
+    res.json({ host: hostProfile(user), event: renderEvent(event, await poolHostIds(event)) });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
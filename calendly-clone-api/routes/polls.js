@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const dbAsync = require('../utils/dbAsync');
+const { auth } = require('../middleware/auth');
+const { isValidEmail } = require('../utils/validators');
+const { parseInviteeName, throttleClient } = require('../utils/publicBooking');
+const { canManageEvent } = require('../utils/teams');
+const {
+  parsePollTitle,
+  validatePollOptions,
+  getPoll,
+  listPolls,
+  createPoll,
+  validateVotes,
+  addParticipant,
+  changeVotes,
+  findByVoteToken,
+  schedulePoll
+} = require('../utils/polls');
+const { sendRejection } = require('../utils/rejections');
+const { renderParticipant, renderPoll } = require('../utils/pollView');
+
+// Meeting polls. Hosts create, list and schedule their polls with their token; participants
+// open a poll by its link and vote without one
+
+// Middleware to load the poll in the URL into req.poll
+const findPoll = async (req, res, next) => {
+  try {
+    const poll = await getPoll(req.params.pollId);
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+    req.poll = poll;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+// Propose candidate times { startTime, endTime } of one of the user's events
+router.post('/', auth, async (req, res) => {
+  const { eventId, options } = req.body;
+
+  const { title, error } = parsePollTitle(req.body.title);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (!await canManageEvent(event, req.user.id)) {
+      return res.status(403).json({ error: 'Forbidden: You can only create polls for your own events' });
+    }
+
+    const checked = await validatePollOptions(event, options);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error });
+    }
+    if (checked.rejection) {
+      return sendRejection(res, checked.rejection);
+    }
+
+    const poll = await createPoll({ event, userId: req.user.id, title, options: checked.options });
+    res.status(201).json(renderPoll(poll));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List the polls the authenticated user created, newest first
+router.get('/', auth, async (req, res) => {
+  try {
+    const polls = await listPolls(req.user.id);
+    res.json(polls.map(poll => renderPoll(poll)));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Open a poll by its link; participant emails are left out
+router.get('/:pollId', findPoll, (req, res) => {
+  res.json(renderPoll(req.poll, false));
+});
+
+// Answer every option with { inviteeName, inviteeEmail, votes: [{ optionId, answer }] }
+router.post('/:pollId/votes', findPoll, async (req, res) => {
+  const throttled = throttleClient(req.ip);
+  if (throttled) {
+    return sendRejection(res, throttled);
+  }
+
+  const { inviteeEmail } = req.body;
+
+  const name = parseInviteeName(req.body.inviteeName);
+  if (name.error) {
+    return res.status(400).json({ error: name.error });
+  }
+
+  if (!inviteeEmail || !isValidEmail(inviteeEmail)) {
+    return res.status(400).json({ error: 'Invalid invitee email format' });
+  }
+
+  const { votes, error } = validateVotes(req.poll, req.body.votes);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await addParticipant({ pollId: req.poll.id, inviteeName: name.name, inviteeEmail, votes });
+    if (result.error || result.conflict) {
+      return res.status(409).json({ error: result.error || result.conflict });
+    }
+    res.status(201).json(renderParticipant(result.participant, { withToken: true }));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Replace a participant's answers by their vote token
+router.put('/:pollId/votes/:voteToken', findPoll, async (req, res) => {
+  try {
+    const participant = await findByVoteToken(req.params.voteToken);
+    if (!participant || participant.pollId !== req.poll.id) {
+      return res.status(404).json({ error: 'Vote not found' });
+    }
+
+    const { votes, error } = validateVotes(req.poll, req.body.votes);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await changeVotes(participant, votes);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.json(renderParticipant(result.participant, { withToken: true }));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Pick the winning option { optionId }: closes the poll and books it for every participant
+router.post('/:pollId/schedule', auth, findPoll, async (req, res) => {
+  const { optionId } = req.body;
+
+  if (req.poll.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Forbidden: You can only schedule your own polls' });
+  }
+  if (!req.poll.options.some(option => option.id === optionId)) {
+    return res.status(400).json({ error: 'Option is not part of the poll' });
+  }
+
+  try {
+    const result = await schedulePoll({ pollId: req.poll.id, optionId });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    if (result.rejection) {
+      return sendRejection(res, result.rejection);
+    }
+    res.json(renderPoll(result.poll));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -1,63 +1,170 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../db');
+const dbAsync = require('../utils/dbAsync');
 const { auth, checkOwnership } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/validators');
+const {
+  parseDate,
+  parseDateRange,
+  validateDateOverrides,
+  mergeDateOverrides,
+  parseDateOverrides
+} = require('../utils/availability');
+const { renderTime } = require('../utils/timezone');
+const {
+  DEFAULT_SCHEDULE_NAME,
+  parseScheduleName,
+  getSchedule,
+  getDefaultSchedule,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+} = require('../utils/schedules');
+const { eventSlots } = require('../utils/slots');
+const { passOnClaims } = require('../utils/waitlist');
 
-// Get all schedules (admin only)
-router.get('/', auth, (req, res) => {
-  // In a real application, you would add admin check here
-  // For now, let users see only their own schedule
-  const userId = req.user.id;
-  
-  db.all('SELECT * FROM schedules WHERE userId = ?', [userId], (err, rows) => {
-    if (err) {
-      console.error('Database error:', err.message);
-      return res.status(500).json({ error: 'Database error' });
+// Parse a schedule row's JSON columns for the response
+const renderSchedule = (row) => ({
+  ...row,
+  availability: JSON.parse(row.availability),
+  dateOverrides: parseDateOverrides(row.dateOverrides),
+  isDefault: Boolean(row.isDefault)
+});
+
+// Load the schedule in the URL into req.schedule, ensuring the user owns it
+const checkScheduleOwnership = async (req, res, next) => {
+  try {
+    const schedule = await getSchedule(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (schedule.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Forbidden: You can only modify your own schedules' });
     }
+    req.schedule = schedule;
+    next();
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+};
+
+// Get all of the user's schedules, default first
+router.get('/', auth, async (req, res) => {
+  // In a real application, you would add admin check here
+  // For now, let users see only their own schedules
+  try {
+    const rows = await listSchedules(req.user.id);
 
     // Parse availability for each schedule
     try {
-      const parsedRows = rows.map(row => {
-        return {
-          ...row,
-          availability: JSON.parse(row.availability)
-        };
-      });
-      res.json(parsedRows);
+      res.json(rows.map(renderSchedule));
     } catch (parseError) {
       console.error('JSON parse error:', parseError);
       res.status(500).json({ error: 'Failed to parse availability data' });
     }
-  });
+  } catch (err) {
+    console.error('Database error:', err.message);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// Get user's schedule (public view for booking)
-router.get('/:userId', (req, res) => {
-  const { userId } = req.params;
+// Get a schedule by ID (public view for booking)
+router.get('/by-id/:scheduleId', async (req, res) => {
+  try {
+    const row = await getSchedule(req.params.scheduleId);
+    if (!row) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
 
-  db.get('SELECT * FROM schedules WHERE userId = ?', [userId], (err, row) => {
-    if (err) {
-      console.error('Database error:', err); // Log the error for debugging
-      return res.status(500).json({ error: 'Database error', details: err.message });
+    try {
+      res.json(renderSchedule(row));
+    } catch (parseError) {
+      console.error('JSON parse error:', parseError);
+      res.status(500).json({ error: 'Failed to parse availability data' });
     }
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+});
+
+// Get user's default schedule (public view for booking)
+router.get('/:userId', async (req, res) => {
+  try {
+    const row = await getDefaultSchedule(req.params.userId);
     if (!row) {
       return res.status(404).json({ error: 'Schedule not found' });
     }
 
     try {
-      // Parse availability from JSON string
-      row.availability = JSON.parse(row.availability);
-      res.json(row);
+      // Parse availability and overrides from JSON strings
+      res.json(renderSchedule(row));
     } catch (parseError) {
       console.error('JSON parse error:', parseError);
       res.status(500).json({ error: 'Failed to parse availability data' });
     }
-  });
+  } catch (err) {
+    console.error('Database error:', err); // Log the error for debugging
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
 });
 
-// Create schedule - ensure users can only create for themselves
-router.post('/', auth, (req, res) => {
-  const { userId, availability } = req.body;
+// Get bookable slots for one of the user's events (public view for booking)
+router.get('/:userId/slots', async (req, res) => {
+  const { userId } = req.params;
+  const { eventId, from, to, timeZone } = req.query;
+
+  if (!eventId || !from || !to) {
+    return res.status(400).json({ error: 'eventId, from and to are required' });
+  }
+
+  if (timeZone && !isValidTimezone(timeZone)) {
+    return res.status(400).json({ error: 'Time zone must be a valid IANA time zone (e.g., Europe/Tallinn)' });
+  }
+
+  const range = parseDateRange(from, to);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    // The event defines the slot length and must belong to the user
+    const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+    if (!event || event.userId !== userId) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    // Slots from the event's own schedule or the hosts' default ones, once lapsed waitlist
+    // claims have passed on
+    await passOnClaims();
+    const slots = await eventSlots(event, { from: range.from, to: range.to });
+    if (!slots) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({
+      userId,
+      eventId,
+      from,
+      to,
+      slots: slots.map(slot => ({
+        startTime: renderTime(slot.startTime, timeZone),
+        endTime: renderTime(slot.endTime, timeZone),
+        remainingSeats: slot.remainingSeats
+      }))
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+});
+
+// Create schedule - ensure users can only create for themselves. A user's first schedule
+// becomes their default; later ones only when `isDefault` is set
+router.post('/', auth, async (req, res) => {
+  const { userId, availability, dateOverrides = [], name, isDefault = false } = req.body;
   const authenticatedUserId = req.user.id;
 
   if (!userId || !availability) {
@@ -69,59 +176,137 @@ router.post('/', auth, (req, res) => {
     return res.status(403).json({ error: 'Forbidden: You can only create schedules for yourself' });
   }
 
-  const availabilityJson = JSON.stringify(availability);
-  db.run(
-    'INSERT INTO schedules (userId, availability) VALUES (?, ?)',
-    [userId, availabilityJson],
-    (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-      res.status(201).json({ userId, availability });
-    }
+  if (typeof isDefault !== 'boolean') {
+    return res.status(400).json({ error: 'isDefault must be a boolean' });
+  }
+
+  // The name defaults for clients that predate named schedules
+  const scheduleName = name === undefined ? { name: DEFAULT_SCHEDULE_NAME } : parseScheduleName(name);
+  const { overrides, error: overridesError } = validateDateOverrides(dateOverrides);
+  const error = scheduleName.error || overridesError;
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const schedule = await createSchedule({
+      userId,
+      name: scheduleName.name,
+      availabilityJson: JSON.stringify(availability),
+      dateOverridesJson: JSON.stringify(overrides),
+      isDefault
+    });
+    res.status(201).json(renderSchedule(schedule));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Apply a PATCH body to `existing` and send the updated schedule.
+// `dateOverrides` replaces all overrides; `upsertDateOverrides` and `removeOverrideDates`
+// change single dates without resending the whole week.
+const patchSchedule = async (existing, body, res) => {
+  const {
+    availability,
+    dateOverrides,
+    upsertDateOverrides = [],
+    removeOverrideDates = [],
+    name,
+    isDefault
+  } = body;
+
+  if (!availability && !dateOverrides && upsertDateOverrides.length === 0 && removeOverrideDates.length === 0 &&
+      name === undefined && isDefault === undefined) {
+    return res.status(400).json({ error: 'Availability, date override, name or default changes are required' });
+  }
+
+  if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+    return res.status(400).json({ error: 'isDefault must be a boolean' });
+  }
+
+  const scheduleName = name === undefined ? {} : parseScheduleName(name);
+  const replacement = dateOverrides ? validateDateOverrides(dateOverrides) : {};
+  const upserts = validateDateOverrides(upsertDateOverrides);
+  const error = scheduleName.error || replacement.error || upserts.error;
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (!Array.isArray(removeOverrideDates) || removeOverrideDates.some(date => !parseDate(date))) {
+    return res.status(400).json({ error: 'Override dates must be in YYYY-MM-DD format' });
+  }
+
+  const mergedOverrides = mergeDateOverrides(
+    replacement.overrides || parseDateOverrides(existing.dateOverrides),
+    upserts.overrides,
+    removeOverrideDates
   );
+
+  const result = await updateSchedule(existing, {
+    name: scheduleName.name,
+    availabilityJson: availability ? JSON.stringify(availability) : null,
+    dateOverridesJson: JSON.stringify(mergedOverrides),
+    isDefault
+  });
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  res.json(renderSchedule(result.schedule));
+};
+
+// Partially update a schedule by ID - ensure users can only update their own schedules
+router.patch('/by-id/:scheduleId', auth, checkScheduleOwnership, async (req, res) => {
+  try {
+    await patchSchedule(req.schedule, req.body, res);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
 });
 
-// Partially update a schedule - ensure users can only update their own schedule
-router.patch('/:userId', auth, checkOwnership, (req, res) => {
-  const { userId } = req.params;
-  const { availability } = req.body;
-
-  if (!availability) {
-    return res.status(400).json({ error: 'Availability is required' });
-  }
-
-  const availabilityJson = JSON.stringify(availability);
-  db.run(
-    'UPDATE schedules SET availability = ? WHERE userId = ?',
-    [availabilityJson, userId],
-    function (err) {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).json({ error: 'Database error', details: err.message });
-      }
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Schedule not found' });
-      }
-      res.json({ userId, availability });
+// Partially update the user's default schedule - ensure users can only update their own schedule
+router.patch('/:userId', auth, checkOwnership, async (req, res) => {
+  try {
+    const existing = await getDefaultSchedule(req.params.userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
     }
-  );
+
+    await patchSchedule(existing, req.body, res);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
 });
 
-// Delete a schedule - ensure users can only delete their own schedule
-router.delete('/:userId', auth, checkOwnership, (req, res) => {
-  const { userId } = req.params;
+// Delete a schedule by ID. Events using it fall back to the default schedule, and deleting
+// the default promotes the user's oldest remaining schedule
+router.delete('/by-id/:scheduleId', auth, checkScheduleOwnership, async (req, res) => {
+  try {
+    await deleteSchedule(req.schedule);
+    res.status(204).send(); // No content
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
+});
 
-  db.run('DELETE FROM schedules WHERE userId = ?', [userId], function (err) {
-    if (err) {
-      console.error('Database error:', err);
-      return res.status(500).json({ error: 'Database error', details: err.message });
-    }
-    if (this.changes === 0) {
+// Delete the user's default schedule - ensure users can only delete their own schedule
+router.delete('/:userId', auth, checkOwnership, async (req, res) => {
+  try {
+    const schedule = await getDefaultSchedule(req.params.userId);
+    if (!schedule) {
       return res.status(404).json({ error: 'Schedule not found' });
     }
+
+    await deleteSchedule(schedule);
     res.status(204).send(); // No content
-  });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error', details: err.message });
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
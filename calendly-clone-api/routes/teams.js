@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const dbAsync = require('../utils/dbAsync');
+const { isValidEmail } = require('../utils/validators');
+const { poolHostIds } = require('../utils/hosts');
+const { renderEvent } = require('../utils/eventView');
+const {
+  ROLES,
+  isValidRole,
+  hasRole,
+  parseTeamName,
+  getTeam,
+  getMembership,
+  listTeams,
+  createTeam,
+  deleteTeam,
+  listMembers,
+  getMember,
+  isLastOwner,
+  roleChangeError,
+  removalError,
+  updateRole,
+  removeMember,
+  inviteMember,
+  getInvitation,
+  listInvitations,
+  listInvitationsFor,
+  isInvitee,
+  isExpired,
+  acceptInvitation,
+  deleteInvitation
+} = require('../utils/teams');
+
+// Load the team in the URL into req.team and the user's membership into req.membership,
+// requiring `role` or a higher one. Teams are private, so non-members get a 404
+const checkTeamRole = (role, forbiddenMessage) => async (req, res, next) => {
+  try {
+    const team = await getTeam(req.params.teamId);
+    const membership = team ? await getMembership(team.id, req.user.id) : null;
+    if (!membership) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    if (!hasRole(membership, role)) {
+      return res.status(403).json({ error: forbiddenMessage });
+    }
+    req.team = team;
+    req.membership = membership;
+    next();
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+// Render a team with the user's role in it
+const renderTeam = (team, role) => ({ id: team.id, name: team.name, role, createdAt: team.createdAt });
+
+// Create a team owned by the authenticated user
+router.post('/', async (req, res) => {
+  const { name, error } = parseTeamName(req.body.name);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const team = await createTeam({ name, userId: req.user.id });
+    res.status(201).json(renderTeam(team, team.role));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List the teams the authenticated user belongs to
+router.get('/', async (req, res) => {
+  try {
+    const teams = await listTeams(req.user.id);
+    res.json(teams.map(team => renderTeam(team, team.role)));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List the pending invitations addressed to the authenticated user's email
+router.get('/invitations', async (req, res) => {
+  try {
+    res.json(await listInvitationsFor(req.user.email));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Join a team by accepting an invitation addressed to the user
+router.post('/invitations/:invitationId/accept', async (req, res) => {
+  try {
+    const invitation = await getInvitation(req.params.invitationId);
+    if (!invitation || !isInvitee(invitation, req.user)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (isExpired(invitation)) {
+      return res.status(409).json({ error: 'Invitation has expired' });
+    }
+
+    const member = await acceptInvitation(invitation, req.user);
+    res.json(member);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Decline an invitation addressed to the user, or revoke one of the team's (admins)
+router.delete('/invitations/:invitationId', async (req, res) => {
+  try {
+    const invitation = await getInvitation(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (!isInvitee(invitation, req.user)) {
+      // Outsiders can't tell other people's invitations exist
+      const membership = await getMembership(invitation.teamId, req.user.id);
+      if (!membership) {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+      if (!hasRole(membership, 'admin')) {
+        return res.status(403).json({ error: 'Forbidden: Only team admins can revoke invitations' });
+      }
+    }
+
+    await deleteInvitation(invitation.id);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get one of the user's teams
+router.get('/:teamId', checkTeamRole('member'), (req, res) => {
+  res.json(renderTeam(req.team, req.membership.role));
+});
+
+// Rename a team (admins)
+router.patch('/:teamId', checkTeamRole('admin', 'Forbidden: Only team admins can update the team'), async (req, res) => {
+  if (req.body.name === undefined) {
+    return res.status(400).json({ error: 'At least one field is required' });
+  }
+
+  const { name, error } = parseTeamName(req.body.name);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await dbAsync.run('UPDATE teams SET name = ? WHERE id = ?', [name, req.team.id]);
+    res.json(renderTeam({ ...req.team, name }, req.membership.role));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete a team (owners); its event types stay with their owners
+router.delete('/:teamId', checkTeamRole('owner', 'Forbidden: Only team owners can delete the team'), async (req, res) => {
+  try {
+    await deleteTeam(req.team.id);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get a team's members with pagination, owners first
+router.get('/:teamId/members', checkTeamRole('member'), async (req, res) => {
+  const page = parseInt(req.query.page || 1);
+  const pageSize = parseInt(req.query.pageSize || 20);
+
+  if (!(page >= 1) || !(pageSize >= 1 && pageSize <= 100)) {
+    return res.status(400).json({ error: 'page must be at least 1 and pageSize from 1 to 100' });
+  }
+
+  try {
+    const { members, total } = await listMembers(req.team.id, { page, pageSize });
+    res.json({
+      data: members,
+      pagination: {
+        page,
+        pageSize,
+        total
+      }
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Change a member's role (admins; only owners grant or change the owner role)
+router.patch('/:teamId/members/:userId', checkTeamRole('admin', 'Forbidden: Only team admins can change roles'), async (req, res) => {
+  const { role } = req.body;
+  if (!isValidRole(role)) {
+    return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const target = await getMembership(req.team.id, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const forbidden = roleChangeError(req.membership, target, role);
+    if (forbidden) {
+      return res.status(403).json({ error: forbidden });
+    }
+    if (role !== 'owner' && await isLastOwner(target)) {
+      return res.status(409).json({ error: 'A team needs at least one owner' });
+    }
+
+    await updateRole(target, role);
+    res.json(await getMember(req.team.id, target.userId));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Remove a member, or leave the team when the user removes themselves
+router.delete('/:teamId/members/:userId', checkTeamRole('member'), async (req, res) => {
+  try {
+    const target = await getMembership(req.team.id, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const forbidden = removalError(req.membership, target);
+    if (forbidden) {
+      return res.status(403).json({ error: forbidden });
+    }
+    if (await isLastOwner(target)) {
+      return res.status(409).json({ error: 'A team needs at least one owner' });
+    }
+
+    await removeMember(target);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Invite someone to the team by email (admins)
+router.post('/:teamId/invitations', checkTeamRole('admin', 'Forbidden: Only team admins can invite members'), async (req, res) => {
+  const { email, role = 'member' } = req.body;
+
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email format' });
+  }
+  if (!isValidRole(role)) {
+    return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  }
+
+  const forbidden = roleChangeError(req.membership, { role: 'member' }, role);
+  if (forbidden) {
+    return res.status(403).json({ error: forbidden });
+  }
+
+  try {
+    const { invitation, conflict } = await inviteMember({ teamId: req.team.id, email, role, invitedBy: req.user.id });
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+    res.status(201).json({ ...invitation, teamName: req.team.name });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List a team's pending invitations (admins)
+router.get('/:teamId/invitations', checkTeamRole('admin', 'Forbidden: Only team admins can view invitations'), async (req, res) => {
+  try {
+    res.json(await listInvitations(req.team.id));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List the event types owned by the team
+router.get('/:teamId/events', checkTeamRole('member'), async (req, res) => {
+  try {
+    const rows = await dbAsync.all('SELECT * FROM events WHERE teamId = ? ORDER BY id', [req.team.id]);
+    res.json(await Promise.all(rows.map(async row => renderEvent(row, await poolHostIds(row)))));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
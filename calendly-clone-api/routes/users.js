@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { auth, checkOwnership } = require('../middleware/auth');
-const { isValidEmail } = require('../utils/validators');
+const { isValidEmail, isValidTimezone } = require('../utils/validators');
+const { validateLimits } = require('../utils/rules');
+const dbAsync = require('../utils/dbAsync');
+const {
+  USER_SCOPE, parseSlug, generateUserSlug, userSlugTaken, recordSlugChange, deleteSlugRedirects
+} = require('../utils/slugs');
 
 // Get all users with pagination (protected)
 router.get('/', auth, (req, res) => {
@@ -43,11 +48,13 @@ router.get('/:userId', auth, (req, res) => {
 });
 
 // Partially update a user
-router.patch('/:userId', auth, checkOwnership, (req, res) => {
+router.patch('/:userId', auth, checkOwnership, async (req, res) => {
   const { userId } = req.params;
   const { name, email, password, timezone } = req.body;
+  const { rules: limits, error } = validateLimits(req.body);
+  const { slug, error: slugError } = req.body.slug === undefined ? {} : parseSlug(req.body.slug);
 
-  if (!name && !email && !password && !timezone) {
+  if (!name && !email && !password && !timezone && Object.keys(limits).length === 0 && req.body.slug === undefined) {
     return res.status(400).json({ error: 'At least one field is required' });
   }
 
@@ -55,6 +62,14 @@ router.patch('/:userId', auth, checkOwnership, (req, res) => {
     return res.status(400).json({ error: 'Invalid email format' });
   }
 
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'Timezone must be a valid IANA time zone (e.g., Europe/Tallinn)' });
+  }
+
+  if (error || slugError) {
+    return res.status(400).json({ error: error || slugError });
+  }
+
   const fields = [];
   const values = [];
 
@@ -74,20 +89,37 @@ router.patch('/:userId', auth, checkOwnership, (req, res) => {
     fields.push('timezone = ?');
     values.push(timezone);
   }
+  Object.keys(limits).forEach(field => {
+    fields.push(`${field} = ?`);
+    values.push(limits[field]);
+  });
+  if (slug) {
+    fields.push('slug = ?');
+    values.push(slug);
+  }
 
   values.push(userId);
 
   const query = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
 
-  db.run(query, values, function (err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+  try {
+    // The old slug keeps redirecting to the user
+    const existing = await dbAsync.get('SELECT slug FROM users WHERE id = ?', [userId]);
+    if (slug && await userSlugTaken(slug, userId)) {
+      return res.status(409).json({ error: 'Slug is already taken' });
     }
-    if (this.changes === 0) {
+
+    const result = await dbAsync.run(query, values);
+    if (result.changes === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json({ id: userId, name, email, timezone });
-  });
+    if (slug) {
+      await recordSlugChange(USER_SCOPE, userId, existing.slug, slug);
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+  res.json({ id: userId, name, email, timezone, slug, ...limits });
 });
 
 // Delete a user
@@ -101,12 +133,14 @@ router.delete('/:userId', auth, checkOwnership, (req, res) => {
     if (this.changes === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.status(204).send(); // No content
+    deleteSlugRedirects(USER_SCOPE, userId)
+      .then(() => res.status(204).send()) // No content
+      .catch(() => res.status(500).json({ error: 'Database error' }));
   });
 });
 
 // Create a new user (unprotected)
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   const { name, email, password, timezone } = req.body;
 
   if (!name || !email || !password) {
@@ -117,11 +151,31 @@ router.post('/', (req, res) => {
     return res.status(400).json({ error: 'Invalid email format' });
   }
 
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'Timezone must be a valid IANA time zone (e.g., Europe/Tallinn)' });
+  }
+
+  // Users pick their slug or get one made from their name
+  const chosen = req.body.slug === undefined ? {} : parseSlug(req.body.slug);
+  if (chosen.error) {
+    return res.status(400).json({ error: chosen.error });
+  }
+
+  let slug;
+  try {
+    if (chosen.slug && await userSlugTaken(chosen.slug)) {
+      return res.status(409).json({ error: 'Slug is already taken' });
+    }
+    slug = chosen.slug || await generateUserSlug(name);
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+
   const id = Date.now().toString(); // Simple ID generation
 
   db.run(
-    'INSERT INTO users (id, name, email, password, timezone) VALUES (?, ?, ?, ?, ?)',
-    [id, name, email, password, timezone],
+    'INSERT INTO users (id, name, email, password, timezone, slug) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, name, email, password, timezone, slug],
     function (err) {
       if (err) {
         console.error('Database error:', err.message); // Log the specific error
@@ -131,7 +185,7 @@ router.post('/', (req, res) => {
         }
         return res.status(500).json({ error: 'Database error' });
       }
-      res.status(201).json({ id, name, email, timezone });
+      res.status(201).json({ id, name, email, timezone, slug });
     }
   );
 });
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const dbAsync = require('../utils/dbAsync');
+const { isValidEmail } = require('../utils/validators');
+const { parseAppointmentWindow } = require('../utils/booking');
+const { parseDate } = require('../utils/availability');
+const { parseInviteeName, throttleClient, claimOffer } = require('../utils/publicBooking');
+const { joinWaitlist, findByWaitlistToken, leaveWaitlist } = require('../utils/waitlist');
+const { sendRejection } = require('../utils/rejections');
+const { renderAppointment } = require('../utils/appointmentView');
+const { renderWaitlistEntry } = require('../utils/waitlistView');
+const { checkAnswers } = require('../utils/questions');
+const { checkLocation } = require('../utils/locations');
+
+// Public waitlist routes for invitees; none of them need the host's token
+
+// Middleware to load the entry behind a waitlist token into req.entry
+const findEntry = async (req, res, next) => {
+  try {
+    const entry = await findByWaitlistToken(req.params.waitlistToken);
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+    req.entry = entry;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+// Wait in line for a fully booked slot ({ startTime, endTime }) or day ({ date }) of an event
+router.post('/', async (req, res) => {
+  const { eventId, inviteeName, inviteeEmail, startTime, endTime, date } = req.body;
+
+  if (!eventId || !inviteeEmail || (!startTime && !endTime && !date)) {
+    return res.status(400).json({ error: 'Event, invitee email and a slot or date are required' });
+  }
+  if (date && (startTime || endTime)) {
+    return res.status(400).json({ error: 'Give either a slot or a date' });
+  }
+
+  const name = parseInviteeName(inviteeName);
+  if (name.error) {
+    return res.status(400).json({ error: name.error });
+  }
+
+  if (!isValidEmail(inviteeEmail)) {
+    return res.status(400).json({ error: 'Invalid invitee email format' });
+  }
+
+  const window = date ? null : parseAppointmentWindow(startTime, endTime);
+  if (window && window.error) {
+    return res.status(400).json({ error: window.error });
+  }
+  if (date && !parseDate(date)) {
+    return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+  }
+
+  try {
+    const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const result = await joinWaitlist({ event, inviteeName: name.name, inviteeEmail, window, date: date || null });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    if (result.rejection) {
+      return sendRejection(res, result.rejection);
+    }
+    res.status(201).json(renderWaitlistEntry(result.entry, true));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Fetch a waitlist entry by its waitlist token
+router.get('/:waitlistToken', findEntry, (req, res) => {
+  res.json(renderWaitlistEntry(req.entry, true));
+});
+
+// Leave the waitlist; a claim held passes to the next invitee in line
+router.delete('/:waitlistToken', findEntry, async (req, res) => {
+  try {
+    await leaveWaitlist(req.entry);
+    res.status(204).send(); // No content
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Book the time the entry holds a claim on, with { answers, locationType, inviteePhone }
+router.post('/:waitlistToken/claim', findEntry, async (req, res) => {
+  const throttled = throttleClient(req.ip);
+  if (throttled) {
+    return sendRejection(res, throttled);
+  }
+
+  const { locationType, inviteePhone } = req.body || {};
+
+  try {
+    // Answers must suit the event's questions, and the location be one the event offers
+    const { answers, error } = await checkAnswers(req.entry.eventId, (req.body || {}).answers);
+    const { choice, error: locationError } = await checkLocation(req.entry.eventId, { locationType, inviteePhone });
+    if (error || locationError) {
+      return res.status(400).json({ error: error || locationError });
+    }
+
+    const result = await claimOffer({ entry: req.entry, answers, location: choice });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    if (result.rejection) {
+      return sendRejection(res, result.rejection);
+    }
+    res.status(201).json(renderAppointment(result.appointment));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
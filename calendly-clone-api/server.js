@@ -24,7 +24,13 @@ const userRoutes = require('./routes/users');
 const eventRoutes = require('./routes/events');
 const scheduleRoutes = require('./routes/schedules');
 const appointmentRoutes = require('./routes/appointments');
+const bookingRoutes = require('./routes/bookings');
 const sessionsRoutes = require('./routes/sessions');
+const teamRoutes = require('./routes/teams');
+const pageRoutes = require('./routes/pages');
+const waitlistRoutes = require('./routes/waitlist');
+const pollRoutes = require('./routes/polls');
+const linkRoutes = require('./routes/links');
 const docsRouter = require('./routes/docs');
 
 // Mount documentation route at /en path only
@@ -42,9 +48,15 @@ app.get('/', (req, res) => {
 // API routes without /api prefix
 app.use('/users', userRoutes);
 app.use('/events', auth, eventRoutes);
-app.use('/schedules', auth, scheduleRoutes);
+app.use('/schedules', scheduleRoutes);
 app.use('/appointments', auth, appointmentRoutes);
+app.use('/bookings', bookingRoutes);
+app.use('/waitlist', waitlistRoutes);
+app.use('/polls', pollRoutes);
+app.use('/links', linkRoutes);
 app.use('/sessions', sessionsRoutes);
+app.use('/teams', auth, teamRoutes);
+app.use('/u', pageRoutes);
 
 // Serve static OpenAPI specs from docs directory (for raw YAML access)
 app.use('/en/specs', express.static(path.join(__dirname, 'docs')));
@@ -57,9 +69,14 @@ db.serialize(() => {
     email TEXT NOT NULL UNIQUE,
     password TEXT NOT NULL,
     timezone TEXT,
-    token TEXT
+    token TEXT,
+    dailyLimit INTEGER NOT NULL DEFAULT 0,
+    weeklyLimit INTEGER NOT NULL DEFAULT 0,
+    slug TEXT
   )`);
 
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_slug ON users(slug)');
+
   db.run(`CREATE TABLE IF NOT EXISTS events (
     id TEXT PRIMARY KEY,
     name TEXT NOT NULL,
@@ -67,13 +84,91 @@ db.serialize(() => {
     description TEXT,
     color TEXT,
     userId TEXT NOT NULL,
+    bufferBefore INTEGER NOT NULL DEFAULT 0,
+    bufferAfter INTEGER NOT NULL DEFAULT 0,
+    minimumNotice INTEGER NOT NULL DEFAULT 0,
+    bookingHorizon INTEGER NOT NULL DEFAULT 0,
+    slotIncrement INTEGER NOT NULL DEFAULT 0,
+    dailyLimit INTEGER NOT NULL DEFAULT 0,
+    weeklyLimit INTEGER NOT NULL DEFAULT 0,
+    scheduleId INTEGER,
+    capacity INTEGER NOT NULL DEFAULT 1,
+    hostMode TEXT NOT NULL DEFAULT 'single',
+    assignmentStrategy TEXT NOT NULL DEFAULT 'least_recent',
+    teamId TEXT,
+    slug TEXT,
+    questions TEXT,
+    locations TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    secret INTEGER NOT NULL DEFAULT 0,
+    linkOnly INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (userId) REFERENCES users(id),
+    FOREIGN KEY (scheduleId) REFERENCES schedules(id),
+    FOREIGN KEY (teamId) REFERENCES teams(id)
+  )`);
+
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_events_user_slug ON events(userId, slug)');
+
+  db.run(`CREATE TABLE IF NOT EXISTS slug_redirects (
+    scope TEXT NOT NULL,
+    slug TEXT NOT NULL,
+    targetId TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    PRIMARY KEY (scope, slug)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS event_hosts (
+    eventId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    lastAssignedAt TEXT,
+    PRIMARY KEY (eventId, userId),
+    FOREIGN KEY (eventId) REFERENCES events(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS appointment_hosts (
+    appointmentId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    PRIMARY KEY (appointmentId, userId),
+    FOREIGN KEY (appointmentId) REFERENCES appointments(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS teams (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    createdAt TEXT NOT NULL
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS team_members (
+    teamId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    joinedAt TEXT NOT NULL,
+    PRIMARY KEY (teamId, userId),
+    FOREIGN KEY (teamId) REFERENCES teams(id),
     FOREIGN KEY (userId) REFERENCES users(id)
   )`);
 
+  db.run(`CREATE TABLE IF NOT EXISTS team_invitations (
+    id TEXT PRIMARY KEY,
+    teamId TEXT NOT NULL,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    invitedBy TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    expiresAt TEXT NOT NULL,
+    FOREIGN KEY (teamId) REFERENCES teams(id),
+    FOREIGN KEY (invitedBy) REFERENCES users(id)
+  )`);
+
   db.run(`CREATE TABLE IF NOT EXISTS schedules (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     userId TEXT NOT NULL,
+    name TEXT NOT NULL DEFAULT 'Working hours',
     availability TEXT,
+    dateOverrides TEXT,
+    isDefault INTEGER NOT NULL DEFAULT 0,
     FOREIGN KEY (userId) REFERENCES users(id)
   )`);
 
@@ -81,10 +176,131 @@ db.serialize(() => {
     id TEXT PRIMARY KEY,
     eventId TEXT NOT NULL,
     userId TEXT NOT NULL,
+    inviteeName TEXT,
     inviteeEmail TEXT NOT NULL,
     startTime TEXT NOT NULL,
     endTime TEXT NOT NULL,
     status TEXT NOT NULL DEFAULT 'scheduled',
+    seriesId TEXT,
+    manageNonce TEXT,
+    cancellationReason TEXT,
+    canceledBy TEXT,
+    confirmedAt TEXT,
+    completedAt TEXT,
+    canceledAt TEXT,
+    noShowAt TEXT,
+    answers TEXT,
+    location TEXT,
+    FOREIGN KEY (eventId) REFERENCES events(id),
+    FOREIGN KEY (userId) REFERENCES users(id),
+    FOREIGN KEY (seriesId) REFERENCES appointment_series(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id TEXT PRIMARY KEY,
+    eventId TEXT NOT NULL,
+    hostId TEXT,
+    inviteeName TEXT,
+    inviteeEmail TEXT NOT NULL,
+    date TEXT NOT NULL,
+    startTime TEXT,
+    endTime TEXT,
+    status TEXT NOT NULL DEFAULT 'waiting',
+    offerStartTime TEXT,
+    offerEndTime TEXT,
+    offerExpiresAt TEXT,
+    appointmentId TEXT,
+    nonce TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    FOREIGN KEY (eventId) REFERENCES events(id),
+    FOREIGN KEY (hostId) REFERENCES users(id),
+    FOREIGN KEY (appointmentId) REFERENCES appointments(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS scheduling_links (
+    id TEXT PRIMARY KEY,
+    eventId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    maxUses INTEGER NOT NULL DEFAULT 1,
+    useCount INTEGER NOT NULL DEFAULT 0,
+    inviteeEmail TEXT,
+    expiresAt TEXT NOT NULL,
+    revokedAt TEXT,
+    createdAt TEXT NOT NULL,
+    FOREIGN KEY (eventId) REFERENCES events(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS slot_holds (
+    id TEXT PRIMARY KEY,
+    eventId TEXT NOT NULL,
+    hostId TEXT NOT NULL,
+    startTime TEXT NOT NULL,
+    endTime TEXT NOT NULL,
+    expiresAt TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    FOREIGN KEY (eventId) REFERENCES events(id),
+    FOREIGN KEY (hostId) REFERENCES users(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS slot_hold_hosts (
+    holdId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    PRIMARY KEY (holdId, userId),
+    FOREIGN KEY (holdId) REFERENCES slot_holds(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS polls (
+    id TEXT PRIMARY KEY,
+    eventId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    title TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    chosenOptionId TEXT,
+    createdAt TEXT NOT NULL,
+    FOREIGN KEY (eventId) REFERENCES events(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS poll_options (
+    id TEXT PRIMARY KEY,
+    pollId TEXT NOT NULL,
+    startTime TEXT NOT NULL,
+    endTime TEXT NOT NULL,
+    FOREIGN KEY (pollId) REFERENCES polls(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS poll_participants (
+    id TEXT PRIMARY KEY,
+    pollId TEXT NOT NULL,
+    inviteeName TEXT,
+    inviteeEmail TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    appointmentId TEXT,
+    createdAt TEXT NOT NULL,
+    FOREIGN KEY (pollId) REFERENCES polls(id),
+    FOREIGN KEY (appointmentId) REFERENCES appointments(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS poll_votes (
+    participantId TEXT NOT NULL,
+    optionId TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    PRIMARY KEY (participantId, optionId),
+    FOREIGN KEY (participantId) REFERENCES poll_participants(id),
+    FOREIGN KEY (optionId) REFERENCES poll_options(id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS appointment_series (
+    id TEXT PRIMARY KEY,
+    eventId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    inviteeEmail TEXT NOT NULL,
+    rrule TEXT NOT NULL,
+    startTime TEXT NOT NULL,
+    endTime TEXT NOT NULL,
     FOREIGN KEY (eventId) REFERENCES events(id),
     FOREIGN KEY (userId) REFERENCES users(id)
   )`);
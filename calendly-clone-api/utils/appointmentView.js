@@ -0,0 +1,37 @@
+// Rendering of appointment rows for REST responses
+const { renderTime } = require('./timezone');
+const { withManageToken } = require('./manageToken');
+const { appointmentAnswers } = require('./questions');
+const { appointmentLocation } = require('./locations');
+
+// Timestamps of status transitions, rendered like the appointment times
+const TRANSITION_TIMES = ['confirmedAt', 'completedAt', 'canceledAt', 'noShowAt'];
+
+// Render a row's times in `timeZone` when one is requested
+const renderTimes = (row, timeZone) => ({
+  ...row,
+  startTime: renderTime(row.startTime, timeZone),
+  endTime: renderTime(row.endTime, timeZone)
+});
+
+// Render an appointment row with its manage token in place of the stored nonce, and its
+// answers and location parsed. Rows without hostIds are hosted by their owner alone
+const renderAppointment = (row, timeZone) => {
+  const appointment = withManageToken(renderTimes({
+    ...row,
+    hostIds: row.hostIds || [row.userId],
+    answers: appointmentAnswers(row),
+    location: appointmentLocation(row)
+  }, timeZone));
+  TRANSITION_TIMES.forEach(column => {
+    if (appointment[column]) {
+      appointment[column] = renderTime(appointment[column], timeZone);
+    }
+  });
+  return appointment;
+};
+
+module.exports = {
+  renderTimes,
+  renderAppointment
+};
@@ -0,0 +1,307 @@
+// Availability and slot computation utilities
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_RANGE_DAYS = 62;
+
+// Convert an HH:MM string to minutes since midnight ("24:00" is allowed as an end of day)
+const parseTime = (value) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+// Parse a YYYY-MM-DD string into a Date at UTC midnight
+const parseDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return null;
+  }
+  return date;
+};
+
+// Validate a from/to pair of dates (both inclusive) and return { from, to } or { error }
+const parseDateRange = (from, to) => {
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+
+  if (!fromDate || !toDate) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (toDate < fromDate) {
+    return { error: 'from must not be after to' };
+  }
+  if ((toDate - fromDate) / DAY_MS >= MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return { from: fromDate, to: toDate };
+};
+
+// Convert a list of { start_time, end_time } (or camelCase) ranges into sorted minute ranges,
+// skipping malformed entries
+const parseRanges = (ranges) => {
+  const parsed = [];
+
+  (ranges || []).forEach(range => {
+    const start = parseTime(range.start_time || range.startTime);
+    const end = parseTime(range.end_time || range.endTime);
+    if (start !== null && end !== null && start < end) {
+      parsed.push({ start, end });
+    }
+  });
+
+  return parsed.sort((a, b) => a.start - b.start);
+};
+
+// Normalize stored availability into a map of weekday index (0 = Sunday) -> sorted minute ranges.
+// Accepts the gRPC shape ({ days: [{ day, time_ranges }] }) as well as the REST array shapes
+// ([{ day, time_ranges }] or [{ day, startTime, endTime }]).
+const normalizeAvailability = (availability) => {
+  const days = Array.isArray(availability) ? availability : (availability && availability.days) || [];
+  const weekly = DAY_NAMES.map(() => []);
+
+  days.forEach(entry => {
+    const dayIndex = DAY_NAMES.indexOf(String((entry && entry.day) || '').toLowerCase());
+    if (dayIndex === -1) {
+      return;
+    }
+    weekly[dayIndex].push(...parseRanges(entry.time_ranges || entry.timeRanges || [entry]));
+  });
+
+  weekly.forEach(ranges => ranges.sort((a, b) => a.start - b.start));
+  return weekly;
+};
+
+// Validate date overrides from a request and return { overrides } in the stored shape
+// ({ date, time_ranges, unavailable }) or { error }. Each override either marks its date
+// unavailable or lists the time ranges that replace the weekly hours for that date.
+const validateDateOverrides = (overrides) => {
+  if (!Array.isArray(overrides)) {
+    return { error: 'Date overrides must be a list' };
+  }
+
+  const normalized = [];
+  for (const override of overrides) {
+    const date = override && override.date;
+    if (!parseDate(date)) {
+      return { error: 'Override date must be in YYYY-MM-DD format' };
+    }
+    if (normalized.some(existing => existing.date === date)) {
+      return { error: `Duplicate override for ${date}` };
+    }
+
+    const ranges = override.time_ranges || override.timeRanges || [];
+    const unavailable = Boolean(override.unavailable);
+    if (unavailable === (ranges.length > 0)) {
+      return { error: `Override for ${date} must either be unavailable or list time ranges` };
+    }
+    if (parseRanges(ranges).length !== ranges.length) {
+      return { error: `Override for ${date} has an invalid time range` };
+    }
+
+    normalized.push({
+      date,
+      time_ranges: ranges.map(range => ({
+        start_time: range.start_time || range.startTime,
+        end_time: range.end_time || range.endTime
+      })),
+      unavailable
+    });
+  }
+
+  normalized.sort((a, b) => a.date.localeCompare(b.date));
+  return { overrides: normalized };
+};
+
+// Apply upserts and removals (by date) to an existing list of stored overrides
+const mergeDateOverrides = (existing, upserts = [], removeDates = []) => {
+  const byDate = {};
+  existing.forEach(override => { byDate[override.date] = override; });
+  removeDates.forEach(date => { delete byDate[date]; });
+  upserts.forEach(override => { byDate[override.date] = override; });
+
+  return Object.keys(byDate).sort().map(date => byDate[date]);
+};
+
+// Parse the stored dateOverrides column (NULL for schedules without overrides)
+const parseDateOverrides = (json) => (json ? JSON.parse(json) : []);
+
+// Index stored overrides by date
+const indexOverrides = (dateOverrides) => {
+  const byDate = {};
+  (dateOverrides || []).forEach(override => { byDate[override.date] = override; });
+  return byDate;
+};
+
+// Minute ranges that apply on a local date: an override for the date wins over the weekly rules
+const rangesForDate = (weekly, overridesByDate, date) => {
+  const override = overridesByDate[date.toISOString().slice(0, 10)];
+  if (override) {
+    return override.unavailable ? [] : parseRanges(override.time_ranges);
+  }
+  return weekly[date.getUTCDay()];
+};
+
+// Check whether two [start, end) intervals overlap
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+// Convert a weekly minute range on a local date into a [start, end) interval in milliseconds
+const toInterval = (date, range, timeZone) => ({
+  start: zonedTimeToUtc(date, range.start, timeZone),
+  end: zonedTimeToUtc(date, range.end, timeZone)
+});
+
+// Local date (as UTC midnight in milliseconds) of an instant read in `timeZone`
+const localDate = (ms, timeZone) => {
+  const local = getZonedParts(ms, timeZone);
+  return Date.UTC(local.year, local.month - 1, local.day);
+};
+
+// Find the availability interval of its local date that [start, end) in milliseconds fits
+// inside, or null. Date overrides apply before the weekly ranges and all ranges are read
+// as wall-clock times in `timeZone`
+const findAvailabilityInterval = ({ availability, dateOverrides = [], start, end, timeZone = DEFAULT_TIME_ZONE }) => {
+  const weekly = normalizeAvailability(availability);
+  const date = new Date(localDate(start, timeZone));
+
+  return rangesForDate(weekly, indexOverrides(dateOverrides), date)
+    .map(range => toInterval(date, range, timeZone))
+    .find(interval => interval.start <= start && end <= interval.end) || null;
+};
+
+// Check whether [start, end) in milliseconds fits inside a single availability range
+const isWithinAvailability = (options) => findAvailabilityInterval(options) !== null;
+
+// Monday of the week containing a local date
+const weekOf = (day) => day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+
+// Check a local date against booking `limits` (see rules.bookingLimits): each is
+// { dailyLimit, weeklyLimit, appointments } and counts its appointments by their local
+// date in `timeZone`. The seats of one group slot count as a single booking.
+// Returns 'DAILY' or 'WEEKLY' for the first limit reached, or null.
+const limitReached = ({ limits = [], date, timeZone = DEFAULT_TIME_ZONE }) => {
+  const day = date.getTime();
+  const week = weekOf(day);
+
+  for (const limit of limits) {
+    const meetings = new Map(limit.appointments.map(appointment => [
+      `${appointment.eventId} ${appointment.startTime}`,
+      appointment.startTime
+    ]));
+    const days = [...meetings.values()].map(startTime => localDate(Date.parse(startTime), timeZone));
+    if (limit.dailyLimit && days.filter(booked => booked === day).length >= limit.dailyLimit) {
+      return 'DAILY';
+    }
+    if (limit.weeklyLimit && days.filter(booked => weekOf(booked) === week).length >= limit.weeklyLimit) {
+      return 'WEEKLY';
+    }
+  }
+  return null;
+};
+
+// Convert appointment rows into busy intervals in milliseconds, skipping unparseable times.
+// Rows joined with their event carry bufferBefore/bufferAfter, which widen the interval.
+const toBusyIntervals = (appointments) => {
+  return appointments
+    .map(appointment => ({
+      start: Date.parse(appointment.startTime) - (appointment.bufferBefore || 0) * MINUTE_MS,
+      end: Date.parse(appointment.endTime) + (appointment.bufferAfter || 0) * MINUTE_MS
+    }))
+    .filter(interval => !isNaN(interval.start) && !isNaN(interval.end));
+};
+
+// Expand weekly availability over a date range into slots of `duration` minutes,
+// dropping slots in the past and slots that overlap a busy interval. Date overrides
+// replace the weekly ranges on their dates. The dates and ranges are read as wall-clock
+// times in `timeZone`; slots are returned in UTC. The event's booking `rules` (see
+// utils/rules.js) set the start increment, pad each slot with its buffers before the busy
+// check and drop slots inside the minimum notice or beyond the booking horizon. Days that
+// reached one of the booking `limits` only keep the group slots that already have invitees.
+// Group events pass their `seats` (see utils/seats.js splitSeats): slots with some seats
+// taken stay open until they are full and block the slots they overlap. Each slot carries
+// its remainingSeats.
+const computeSlots = ({ availability, dateOverrides = [], duration, rules = {}, limits = [], seats = { capacity: 1, taken: {} }, from, to, busy = [], now = Date.now(), timeZone = DEFAULT_TIME_ZONE }) => {
+  const weekly = normalizeAvailability(availability);
+  const overridesByDate = indexOverrides(dateOverrides);
+  const slots = [];
+
+  if (!(duration > 0)) {
+    return slots;
+  }
+
+  const step = (rules.slotIncrement || duration) * MINUTE_MS;
+  const bufferBefore = (rules.bufferBefore || 0) * MINUTE_MS;
+  const bufferAfter = (rules.bufferAfter || 0) * MINUTE_MS;
+  const earliest = now + (rules.minimumNotice || 0) * MINUTE_MS;
+  const latest = rules.bookingHorizon ? now + rules.bookingHorizon * DAY_MS : Infinity;
+  // Group slots with seats taken, padded with the event's buffers like any busy interval
+  const seatedBusy = Object.keys(seats.taken).map(Number).map(start => ({
+    start: start - bufferBefore,
+    end: start + duration * MINUTE_MS + bufferAfter,
+    slotStart: start
+  }));
+
+  for (let day = from.getTime(); day <= to.getTime(); day += DAY_MS) {
+    const date = new Date(day);
+    const dayLimited = limitReached({ limits, date, timeZone }) !== null;
+
+    rangesForDate(weekly, overridesByDate, date).forEach(range => {
+      const interval = toInterval(date, range, timeZone);
+
+      for (let start = interval.start; start + duration * MINUTE_MS <= interval.end; start += step) {
+        const end = start + duration * MINUTE_MS;
+        const taken = seats.taken[start] || 0;
+
+        if (start < earliest || start > latest || taken >= seats.capacity || (dayLimited && !taken)) {
+          continue;
+        }
+        if (busy.some(busyInterval => overlaps(start - bufferBefore, end + bufferAfter, busyInterval.start, busyInterval.end))) {
+          continue;
+        }
+        if (seatedBusy.some(busyInterval => busyInterval.slotStart !== start &&
+            overlaps(start - bufferBefore, end + bufferAfter, busyInterval.start, busyInterval.end))) {
+          continue;
+        }
+
+        slots.push({
+          startTime: new Date(start).toISOString(),
+          endTime: new Date(end).toISOString(),
+          remainingSeats: seats.capacity - taken
+        });
+      }
+    });
+  }
+
+  return slots;
+};
+
+module.exports = {
+  parseTime,
+  parseDate,
+  parseDateRange,
+  normalizeAvailability,
+  validateDateOverrides,
+  mergeDateOverrides,
+  parseDateOverrides,
+  overlaps,
+  findAvailabilityInterval,
+  isWithinAvailability,
+  localDate,
+  limitReached,
+  toBusyIntervals,
+  computeSlots
+};
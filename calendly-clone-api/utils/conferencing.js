@@ -0,0 +1,39 @@
+// Conference links for event types with a generated meeting location. The generator is
+// pluggable so a video provider can be wired in; the default one makes a stable link from
+// the appointment ID without calling out, which keeps bookings working offline.
+const crypto = require('crypto');
+
+// Host of the links the default generator makes
+const CONFERENCE_HOST = process.env.CONFERENCE_HOST || 'meet.calendly-clone.local';
+
+// Default generator: the same appointment always gets the same link, e.g.
+// https://meet.calendly-clone.local/abc-defg-hij
+const localConferenceLink = ({ appointmentId }) => {
+  const letters = crypto.createHash('sha256').update(String(appointmentId)).digest()
+    .subarray(0, 10)
+    .reduce((code, byte) => code + String.fromCharCode(97 + (byte % 26)), '');
+  return `https://${CONFERENCE_HOST}/${letters.slice(0, 3)}-${letters.slice(3, 7)}-${letters.slice(7)}`;
+};
+
+let generator = localConferenceLink;
+
+// Replace the generator. It receives { appointmentId, eventId, hostId, startTime, endTime }
+// and returns the link, or a promise of it; null restores the default
+const setConferenceLinkGenerator = (generate) => {
+  generator = generate || localConferenceLink;
+};
+
+// Make the conference link for a new appointment
+const generateConferenceLink = async (appointment) => {
+  const link = await generator(appointment);
+  if (typeof link !== 'string' || !link) {
+    throw new Error('Conference link generator returned no link');
+  }
+  return link;
+};
+
+module.exports = {
+  localConferenceLink,
+  setConferenceLinkGenerator,
+  generateConferenceLink
+};
@@ -0,0 +1,56 @@
+const db = require('../db');
+
+// Transactions are queued so only one is open on the shared connection at a time
+let transactionQueue = Promise.resolve();
+
+// Promise wrappers around the shared database connection
+const dbAsync = {
+  all: (query, params) => {
+    return new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  get: (query, params) => {
+    return new Promise((resolve, reject) => {
+      db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  },
+
+  run: (query, params) => {
+    return new Promise((resolve, reject) => {
+      db.run(query, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  },
+
+  // Run `work` inside a transaction. BEGIN IMMEDIATE takes the write lock up front,
+  // so check-then-write sequences are atomic across the REST and gRPC servers.
+  transaction: (work) => {
+    const run = async () => {
+      await dbAsync.run('BEGIN IMMEDIATE');
+      try {
+        const result = await work();
+        await dbAsync.run('COMMIT');
+        return result;
+      } catch (err) {
+        await dbAsync.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    };
+
+    const result = transactionQueue.then(run, run);
+    transactionQueue = result.catch(() => {});
+    return result;
+  }
+};
+
+module.exports = dbAsync;
@@ -0,0 +1,18 @@
+// Rendering of event rows for REST responses
+const { eventQuestions } = require('./questions');
+const { eventLocations } = require('./locations');
+const { eventVisibility } = require('./visibility');
+
+// Render an event row with its pool hosts, its questions and locations parsed and its
+// active and secret flags as booleans
+const renderEvent = (row, hostIds) => ({
+  ...row,
+  ...eventVisibility(row),
+  questions: eventQuestions(row),
+  locations: eventLocations(row),
+  hostIds
+});
+
+module.exports = {
+  renderEvent
+};
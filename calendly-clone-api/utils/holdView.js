@@ -0,0 +1,17 @@
+// Rendering of slot holds for REST responses
+const { holdToken } = require('./holds');
+
+// Render a slot hold row for the invitee who reserved it, with its hold token in place of the
+// nonce; userId is the host whose time is held
+const renderHold = (row) => ({
+  eventId: row.eventId,
+  userId: row.hostId,
+  startTime: row.startTime,
+  endTime: row.endTime,
+  expiresAt: row.expiresAt,
+  holdToken: holdToken(row)
+});
+
+module.exports = {
+  renderHold
+};
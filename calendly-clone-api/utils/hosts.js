@@ -0,0 +1,219 @@
+// Event types hosted by a pool of users. A single-host event type is hosted by its owner;
+// a round-robin event type lists its hosts in event_hosts and assigns each booking to one
+// of them: the host assigned least recently (`least_recent`) or the one with the fewest
+// bookings of the event (`balanced`), among the hosts who are free at that time.
+// A collective event type is hosted by its owner together with the other listed hosts, so
+// it can only be booked when all of them are free. Its appointments belong to the owner
+// and list every host in appointment_hosts.
+const dbAsync = require('./dbAsync');
+
+const HOST_MODES = ['single', 'round_robin', 'collective'];
+const ASSIGNMENT_STRATEGIES = ['least_recent', 'balanced'];
+const MAX_HOSTS = 50;
+
+const isPooled = (event) => Boolean(event && event.hostMode && event.hostMode !== 'single');
+const isCollective = (event) => Boolean(event && event.hostMode === 'collective');
+
+// SQL condition matching the appointments `a` a host attends: their own and the collective
+// ones they co-host. Takes the host's ID twice
+const HOST_APPOINTMENTS = '(a.userId = ? OR a.id IN (SELECT appointmentId FROM appointment_hosts WHERE userId = ?))';
+
+// SQL selecting the time a host has given away as { id, eventId, inviteeEmail, startTime,
+// endTime } rows: the non-canceled appointments they attend, the waitlist claims on their
+// time (a lapsed claim until it is passed on; a claim on a collective event's time blocks
+// every host, like its appointments) and the live slot holds they are part of, like their
+// appointments. Takes the parameters from bookedTimeParams
+const HOST_BOOKED_TIME = `SELECT a.id, a.eventId, a.inviteeEmail, a.startTime, a.endTime FROM appointments a
+  WHERE ${HOST_APPOINTMENTS} AND a.status != 'canceled'
+  UNION ALL
+  SELECT w.id, w.eventId, w.inviteeEmail, w.offerStartTime, w.offerEndTime FROM waitlist_entries w
+  WHERE (w.hostId = ? OR w.eventId IN (
+    SELECT e.id FROM events e JOIN event_hosts eh ON eh.eventId = e.id WHERE e.hostMode = 'collective' AND eh.userId = ?
+  )) AND w.status = 'offered'
+  UNION ALL
+  SELECT h.id, h.eventId, NULL, h.startTime, h.endTime FROM slot_holds h
+  WHERE (h.hostId = ? OR h.id IN (SELECT holdId FROM slot_hold_hosts WHERE userId = ?)) AND h.expiresAt > ?`;
+
+// Parameters of HOST_BOOKED_TIME for host `hostId` at time `now`
+const bookedTimeParams = (hostId, now) => {
+  const at = new Date(now).toISOString();
+  return [hostId, hostId, hostId, hostId, hostId, hostId, at];
+};
+
+// Validate the host settings of an event type. `existing` is the stored event row when
+// updating, so unchanged settings are read from it; `ownerId` is the event's owner, whom a
+// collective event always includes. Returns { settings } holding the columns to store plus
+// hostIds (undefined when the hosts don't change), or { error }
+const validateHostSettings = async ({ hostMode, assignmentStrategy, hostIds, capacity, ownerId }, existing = null) => {
+  const mode = hostMode === undefined ? (existing ? existing.hostMode : 'single') : hostMode;
+
+  if (!HOST_MODES.includes(mode)) {
+    return { error: `Host mode must be one of ${HOST_MODES.join(', ')}` };
+  }
+  if (assignmentStrategy !== undefined && !ASSIGNMENT_STRATEGIES.includes(assignmentStrategy)) {
+    return { error: `Assignment strategy must be one of ${ASSIGNMENT_STRATEGIES.join(', ')}` };
+  }
+  if (hostIds !== undefined && (!Array.isArray(hostIds) || hostIds.some(id => typeof id !== 'string' || !id))) {
+    return { error: 'hostIds must be an array of user IDs' };
+  }
+
+  const settings = { hostMode: mode };
+  if (assignmentStrategy !== undefined) {
+    settings.assignmentStrategy = assignmentStrategy;
+  }
+
+  const hostList = hostIds === undefined ? undefined : [...new Set(hostIds)];
+  if (mode === 'single') {
+    if (hostList && hostList.length > 0) {
+      return { error: 'Only round-robin and collective event types have hosts' };
+    }
+    // Going back to a single host drops the pool
+    settings.hostIds = existing && isPooled(existing) ? [] : undefined;
+    return { settings };
+  }
+
+  // The owner of a collective event hosts it too; a round-robin pool may leave them out
+  let hosts = hostList;
+  if (mode === 'collective' && !hosts && existing && existing.hostMode === 'round_robin') {
+    hosts = await getEventHostIds(existing);
+  }
+  if (mode === 'collective' && hosts) {
+    hosts = [...new Set([ownerId, ...hosts])];
+  }
+  if (hosts === undefined && !(existing && isPooled(existing))) {
+    return { error: 'Round-robin and collective event types need hostIds' };
+  }
+  if (hosts !== undefined && (hosts.length === 0 || hosts.length > MAX_HOSTS)) {
+    return { error: `Round-robin and collective event types need 1 to ${MAX_HOSTS} hosts` };
+  }
+  if ((capacity || (existing && existing.capacity) || 1) > 1) {
+    return { error: 'Group event types have a single host' };
+  }
+  if (hosts) {
+    const placeholders = hosts.map(() => '?').join(', ');
+    const { count } = await dbAsync.get(`SELECT COUNT(*) AS count FROM users WHERE id IN (${placeholders})`, hosts);
+    if (count !== hosts.length) {
+      return { error: 'Hosts must be existing users' };
+    }
+  }
+
+  settings.hostIds = hosts;
+  return { settings };
+};
+
+// Replace the hosts of an event, keeping the assignment history of the hosts that stay
+const setEventHosts = (eventId, hostIds) => dbAsync.transaction(async () => {
+  const placeholders = hostIds.map(() => '?').join(', ');
+  await dbAsync.run(
+    `DELETE FROM event_hosts WHERE eventId = ?${hostIds.length ? ` AND userId NOT IN (${placeholders})` : ''}`,
+    [eventId, ...hostIds]
+  );
+  for (const hostId of hostIds) {
+    await dbAsync.run('INSERT OR IGNORE INTO event_hosts (eventId, userId) VALUES (?, ?)', [eventId, hostId]);
+  }
+});
+
+// IDs of the users hosting an event row, in the order they were added
+const getEventHostIds = async (event) => {
+  if (!isPooled(event)) {
+    return [event.userId];
+  }
+  const rows = await dbAsync.all('SELECT userId FROM event_hosts WHERE eventId = ? ORDER BY rowid', [event.id]);
+  return rows.map(row => row.userId);
+};
+
+// The pool hosts reported for an event row; a single-host event has none
+const poolHostIds = (event) => (isPooled(event) ? getEventHostIds(event) : Promise.resolve([]));
+
+// Hosts of a round-robin event in the order they should be offered the next booking
+const assignmentOrder = async (event) => {
+  const order = event.assignmentStrategy === 'balanced'
+    ? 'bookings, h.lastAssignedAt IS NOT NULL, h.lastAssignedAt, h.rowid'
+    : 'h.lastAssignedAt IS NOT NULL, h.lastAssignedAt, h.rowid';
+  const rows = await dbAsync.all(
+    `SELECT h.userId,
+       (SELECT COUNT(*) FROM appointments a
+        WHERE a.eventId = h.eventId AND a.userId = h.userId AND a.status != 'canceled') AS bookings
+     FROM event_hosts h WHERE h.eventId = ?
+     ORDER BY ${order}`,
+    [event.id]
+  );
+  return rows.map(row => row.userId);
+};
+
+// Record that a booking of the event was assigned to `hostId`
+const markAssigned = (eventId, hostId, now = Date.now()) => dbAsync.run(
+  'UPDATE event_hosts SET lastAssignedAt = ? WHERE eventId = ? AND userId = ?',
+  [new Date(now).toISOString(), eventId, hostId]
+);
+
+// IDs of the hosts attending a booking of the event with host `hostId`: every host of a
+// collective event, otherwise just that host
+const bookingHostIds = async (eventId, hostId) => {
+  const event = await dbAsync.get('SELECT id, userId, hostMode FROM events WHERE id = ?', [eventId]);
+  return isCollective(event) ? getEventHostIds(event) : [hostId];
+};
+
+// Record the hosts attending an appointment; only collective appointments, which have more
+// than their owner, keep rows. Call inside dbAsync.transaction() with the appointment write
+const setAppointmentHosts = async (appointmentId, hostIds) => {
+  await dbAsync.run('DELETE FROM appointment_hosts WHERE appointmentId = ?', [appointmentId]);
+  if (hostIds.length > 1) {
+    for (const hostId of hostIds) {
+      await dbAsync.run('INSERT INTO appointment_hosts (appointmentId, userId) VALUES (?, ?)', [appointmentId, hostId]);
+    }
+  }
+};
+
+// Add each appointment row's hostIds: its owner, or every host of a collective appointment
+const withHostIds = async (appointments) => {
+  if (appointments.length === 0) {
+    return appointments;
+  }
+  const placeholders = appointments.map(() => '?').join(', ');
+  const rows = await dbAsync.all(
+    `SELECT appointmentId, userId FROM appointment_hosts WHERE appointmentId IN (${placeholders}) ORDER BY rowid`,
+    appointments.map(appointment => appointment.id)
+  );
+  return appointments.map(appointment => {
+    const hostIds = rows.filter(row => row.appointmentId === appointment.id).map(row => row.userId);
+    return { ...appointment, hostIds: hostIds.length > 0 ? hostIds : [appointment.userId] };
+  });
+};
+
+// The gRPC HostMode and AssignmentStrategy enums use the upper-case names. Unset fields and
+// an empty host_ids list leave the settings unchanged
+const enumFromGrpc = (value) => (value && !value.endsWith('_UNSPECIFIED') ? value.toLowerCase() : undefined);
+
+const hostSettingsFromGrpc = (request) => ({
+  hostMode: enumFromGrpc(request.host_mode),
+  assignmentStrategy: enumFromGrpc(request.assignment_strategy),
+  hostIds: request.host_ids && request.host_ids.length > 0 ? request.host_ids : undefined
+});
+
+const hostSettingsToGrpc = (event, hostIds) => ({
+  host_mode: (event.hostMode || 'single').toUpperCase(),
+  assignment_strategy: (event.assignmentStrategy || 'least_recent').toUpperCase(),
+  host_ids: hostIds
+});
+
+module.exports = {
+  HOST_MODES,
+  ASSIGNMENT_STRATEGIES,
+  HOST_APPOINTMENTS,
+  HOST_BOOKED_TIME,
+  bookedTimeParams,
+  isPooled,
+  isCollective,
+  validateHostSettings,
+  setEventHosts,
+  getEventHostIds,
+  poolHostIds,
+  assignmentOrder,
+  markAssigned,
+  bookingHostIds,
+  setAppointmentHosts,
+  withHostIds,
+  hostSettingsFromGrpc,
+  hostSettingsToGrpc
+};
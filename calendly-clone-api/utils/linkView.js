@@ -0,0 +1,9 @@
+// Rendering of scheduling links for REST responses
+const { linkStatus } = require('./links');
+
+// Render a scheduling link row with its current status
+const renderLink = (link) => ({ ...link, status: linkStatus(link) });
+
+module.exports = {
+  renderLink
+};
@@ -0,0 +1,48 @@
+// Manage tokens let invitees fetch, cancel and reschedule their appointment without the
+// host's session token. A token is "<appointmentId>.<nonce>.<signature>": the random nonce is
+// stored with the appointment and the HMAC signature covers both, so tokens can be neither
+// guessed nor forged, and replacing the nonce revokes the token.
+const crypto = require('crypto');
+
+// Both servers must sign with the same secret; set MANAGE_TOKEN_SECRET outside development
+const secret = () => process.env.MANAGE_TOKEN_SECRET || 'calendly-clone-development-secret';
+
+const sign = (appointmentId, nonce) => crypto
+  .createHmac('sha256', secret())
+  .update(`${appointmentId}.${nonce}`)
+  .digest('base64url');
+
+// Random nonce to store with a new appointment
+const newManageNonce = () => crypto.randomBytes(16).toString('hex');
+
+const createManageToken = (appointmentId, nonce) => `${appointmentId}.${nonce}.${sign(appointmentId, nonce)}`;
+
+// Check a token's signature; returns { appointmentId, nonce } or null. The caller still has
+// to compare the nonce with the stored one.
+const verifyManageToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [appointmentId, nonce, signature] = parts;
+  const expected = Buffer.from(sign(appointmentId, nonce));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  return { appointmentId, nonce };
+};
+
+// Replace the nonce stored on an appointment row with its manage token
+const withManageToken = (row) => {
+  const { manageNonce, ...appointment } = row;
+  return { ...appointment, manageToken: manageNonce ? createManageToken(row.id, manageNonce) : null };
+};
+
+module.exports = {
+  newManageNonce,
+  createManageToken,
+  verifyManageToken,
+  withManageToken
+};
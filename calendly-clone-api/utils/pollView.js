@@ -0,0 +1,23 @@
+// Rendering of meeting polls for REST responses
+const { voteToken } = require('./polls');
+
+// Render a participant with their votes, without the nonce. Emails are for the host and the
+// participant; only the participant gets the vote token
+const renderParticipant = (participant, { withEmail = true, withToken = false } = {}) => {
+  const { nonce, pollId, ...rendered } = participant;
+  if (!withEmail) {
+    delete rendered.inviteeEmail;
+  }
+  return withToken ? { ...rendered, voteToken: voteToken(participant) } : rendered;
+};
+
+// Render a poll from getPoll; the public view leaves out participant emails
+const renderPoll = (poll, withEmails = true) => ({
+  ...poll,
+  participants: poll.participants.map(participant => renderParticipant(participant, { withEmail: withEmails }))
+});
+
+module.exports = {
+  renderParticipant,
+  renderPoll
+};
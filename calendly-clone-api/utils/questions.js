@@ -0,0 +1,217 @@
+// Custom invitee questions. An event type asks its ordered questions on every booking and
+// the appointment keeps the answers next to a copy of each question's label and type, so
+// later edits to the questions don't change what an invitee was asked.
+const crypto = require('crypto');
+const dbAsync = require('./dbAsync');
+const { isValidPhoneNumber } = require('./validators');
+
+const QUESTION_TYPES = ['short_text', 'long_text', 'single_choice', 'multi_choice', 'phone_number'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+const MAX_QUESTIONS = 20;
+const MAX_LABEL_LENGTH = 300;
+const MAX_OPTIONS = 50;
+const MAX_OPTION_LENGTH = 100;
+// Longest answer to each text type
+const MAX_ANSWER_LENGTH = { short_text: 255, long_text: 5000, phone_number: 30 };
+const QUESTION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const isChoice = (type) => CHOICE_TYPES.includes(type);
+
+// Parse a stored JSON list (questions or answers); rows without one have none
+const storedList = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value ? JSON.parse(value) : [];
+};
+
+const eventQuestions = (event) => storedList(event && event.questions);
+
+const appointmentAnswers = (appointment) => storedList(appointment && appointment.answers);
+
+// Check one question; returns { question } or { error }
+const validateQuestion = (input, index) => {
+  const position = `Question ${index + 1}`;
+  if (!input || typeof input !== 'object') {
+    return { error: `${position} must be an object` };
+  }
+
+  const { id = crypto.randomUUID(), type, required = false, options } = input;
+  const label = typeof input.label === 'string' ? input.label.trim() : '';
+  if (typeof id !== 'string' || !QUESTION_ID_PATTERN.test(id)) {
+    return { error: `${position} id must be 1 to 64 letters, digits, hyphens or underscores` };
+  }
+  if (!label || label.length > MAX_LABEL_LENGTH) {
+    return { error: `${position} label must be 1 to ${MAX_LABEL_LENGTH} characters` };
+  }
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `${position} type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+  if (typeof required !== 'boolean') {
+    return { error: `${position} required must be a boolean` };
+  }
+
+  if (!isChoice(type)) {
+    if (options !== undefined && !(Array.isArray(options) && options.length === 0)) {
+      return { error: `${position} can only have options when it is a choice question` };
+    }
+    return { question: { id, label, type, required, options: [] } };
+  }
+
+  if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS) {
+    return { error: `${position} must have 1 to ${MAX_OPTIONS} options` };
+  }
+  const trimmed = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+  if (trimmed.some(option => !option || option.length > MAX_OPTION_LENGTH)) {
+    return { error: `${position} options must be 1 to ${MAX_OPTION_LENGTH} characters` };
+  }
+  if (new Set(trimmed).size !== trimmed.length) {
+    return { error: `${position} options must be unique` };
+  }
+  return { question: { id, label, type, required, options: trimmed } };
+};
+
+// Validate an event type's questions; returns { questions } (undefined when not given) or { error }
+const validateQuestions = (input) => {
+  if (input === undefined) {
+    return {};
+  }
+  if (!Array.isArray(input) || input.length > MAX_QUESTIONS) {
+    return { error: `Questions must be a list of at most ${MAX_QUESTIONS} questions` };
+  }
+
+  const questions = [];
+  for (let i = 0; i < input.length; i++) {
+    const { question, error } = validateQuestion(input[i], i);
+    if (error) {
+      return { error };
+    }
+    if (questions.some(other => other.id === question.id)) {
+      return { error: `Question ${i + 1} id is already used by another question` };
+    }
+    questions.push(question);
+  }
+  return { questions };
+};
+
+// Check the answer to one question; returns { value } (undefined when unanswered) or { error }
+const validateAnswer = (question, input) => {
+  const values = (Array.isArray(input) ? input : [input])
+    .filter(value => value !== undefined && value !== null && value !== '');
+  if (values.some(value => typeof value !== 'string')) {
+    return { error: `Answer to "${question.label}" must be text` };
+  }
+  const trimmed = values.map(value => value.trim()).filter(Boolean);
+  if (trimmed.length === 0) {
+    return question.required ? { error: `Answer to "${question.label}" is required` } : {};
+  }
+
+  if (question.type === 'multi_choice') {
+    if (trimmed.some(value => !question.options.includes(value)) || new Set(trimmed).size !== trimmed.length) {
+      return { error: `Answer to "${question.label}" must be distinct options of the question` };
+    }
+    return { value: question.options.filter(option => trimmed.includes(option)) };
+  }
+
+  if (trimmed.length > 1) {
+    return { error: `Answer to "${question.label}" must be a single value` };
+  }
+  const [value] = trimmed;
+  if (question.type === 'single_choice') {
+    return question.options.includes(value) ? { value } : { error: `Answer to "${question.label}" must be one of its options` };
+  }
+  if (value.length > MAX_ANSWER_LENGTH[question.type]) {
+    return { error: `Answer to "${question.label}" must be at most ${MAX_ANSWER_LENGTH[question.type]} characters` };
+  }
+  if (question.type === 'phone_number' && !isValidPhoneNumber(value)) {
+    return { error: `Answer to "${question.label}" must be a phone number` };
+  }
+  return { value };
+};
+
+// Validate the answers [{ questionId, value }] given to `questions`, where value is text, or a
+// list of options for a multi-choice question. Returns { answers } in question order, holding
+// the answered questions only, or { error }
+const validateAnswers = (questions, input = []) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Answers must be a list of { questionId, value }' };
+  }
+
+  const given = new Map();
+  for (const answer of input) {
+    const questionId = answer && answer.questionId;
+    if (!questions.some(question => question.id === questionId)) {
+      return { error: `Unknown question: ${questionId}` };
+    }
+    if (given.has(questionId)) {
+      return { error: `Question ${questionId} is answered more than once` };
+    }
+    given.set(questionId, answer.value);
+  }
+
+  const answers = [];
+  for (const question of questions) {
+    const { value, error } = validateAnswer(question, given.get(question.id));
+    if (error) {
+      return { error };
+    }
+    if (value !== undefined) {
+      answers.push({ questionId: question.id, question: question.label, type: question.type, value });
+    }
+  }
+  return { answers };
+};
+
+// Validate answers to the questions of event `eventId`. A missing event has no questions to
+// check; booking it is rejected later
+const checkAnswers = async (eventId, input) => {
+  const event = await dbAsync.get('SELECT questions FROM events WHERE id = ?', [eventId]);
+  if (!event) {
+    return { answers: [] };
+  }
+  return validateAnswers(eventQuestions(event), input);
+};
+
+// JSON for the events.questions and appointments.answers columns; empty lists are stored as null
+const storeList = (list) => (list && list.length > 0 ? JSON.stringify(list) : null);
+
+// The gRPC QuestionType enum uses the upper-case names
+const questionsFromGrpc = (questions) => questions.map(question => ({
+  ...(question.id ? { id: question.id } : {}),
+  label: question.label,
+  type: question.type && !question.type.endsWith('_UNSPECIFIED') ? question.type.toLowerCase() : undefined,
+  required: question.required,
+  options: question.options
+}));
+
+const questionsToGrpc = (questions) => questions.map(question => ({
+  ...question,
+  type: question.type.toUpperCase()
+}));
+
+// gRPC answers carry a list of values whatever the question type
+const answersFromGrpc = (answers) => answers.map(answer => ({
+  questionId: answer.question_id,
+  value: answer.values
+}));
+
+const answersToGrpc = (answers) => answers.map(answer => ({
+  question_id: answer.questionId,
+  question: answer.question,
+  type: answer.type.toUpperCase(),
+  values: Array.isArray(answer.value) ? answer.value : [answer.value]
+}));
+
+module.exports = {
+  QUESTION_TYPES,
+  eventQuestions,
+  appointmentAnswers,
+  validateQuestions,
+  validateAnswers,
+  checkAnswers,
+  storeList,
+  questionsFromGrpc,
+  questionsToGrpc,
+  answersFromGrpc,
+  answersToGrpc
+};
@@ -0,0 +1,39 @@
+// HTTP status codes for each booking rejection reason
+const REJECTION_STATUSES = {
+  EVENT_NOT_FOUND: 404,
+  EVENT_NOT_OWNED: 403,
+  EVENT_INACTIVE: 422,
+  DURATION_MISMATCH: 400,
+  INSUFFICIENT_NOTICE: 422,
+  BEYOND_HORIZON: 422,
+  NO_SCHEDULE: 422,
+  OUTSIDE_AVAILABILITY: 422,
+  MISALIGNED_START: 422,
+  DAILY_LIMIT_REACHED: 422,
+  WEEKLY_LIMIT_REACHED: 422,
+  SLOT_CONFLICT: 409,
+  SLOT_FULL: 409,
+  NO_HOST_AVAILABLE: 422,
+  INVITEE_LIMIT_REACHED: 429,
+  TOO_MANY_REQUESTS: 429,
+  SLOT_AVAILABLE: 422,
+  ALREADY_WAITLISTED: 409,
+  LINK_NOT_FOUND: 404,
+  LINK_UNAVAILABLE: 410,
+  LINK_REQUIRED: 403,
+  HOLD_NOT_FOUND: 404,
+  HOLD_EXPIRED: 410
+};
+
+// Respond to a rejected booking with its reason
+const sendRejection = (res, rejection) => {
+  const { reason, message, conflictingAppointmentId, retryAfter } = rejection;
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  res.status(REJECTION_STATUSES[reason]).json({ error: message, reason, conflictingAppointmentId });
+};
+
+module.exports = {
+  sendRejection
+};
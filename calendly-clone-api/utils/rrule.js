@@ -0,0 +1,179 @@
+// Minimal RFC 5545 RRULE support for appointment series: FREQ=DAILY, WEEKLY or MONTHLY with
+// INTERVAL, COUNT, UNTIL and (weekly) BYDAY. Series must end, so COUNT or UNTIL is required.
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const MAX_OCCURRENCES = 52;
+const MAX_INTERVAL = 100;
+// Occurrences must fall within this many years of the first one
+const MAX_SERIES_YEARS = 10;
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UNTIL as a date (20250131) or UTC date-time (20250131T235959Z)
+const UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/;
+
+const parsePositiveInteger = (value) => (/^\d+$/.test(value) && parseInt(value, 10) > 0 ? parseInt(value, 10) : null);
+
+// Parse an RRULE string (with or without the "RRULE:" prefix) into
+// { rule: { freq, interval, count, until, untilIsDate, byDay } } or { error }
+const parseRRule = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: 'RRULE is required' };
+  }
+
+  const rule = { interval: 1, count: null, until: null, untilIsDate: false, byDay: null };
+  const parts = value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, partValue = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = partValue.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          return { error: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInteger(partValue);
+        if (!rule.interval || rule.interval > MAX_INTERVAL) {
+          return { error: `INTERVAL must be between 1 and ${MAX_INTERVAL}` };
+        }
+        break;
+      case 'COUNT':
+        rule.count = parsePositiveInteger(partValue);
+        if (!rule.count || rule.count > MAX_OCCURRENCES) {
+          return { error: `COUNT must be between 1 and ${MAX_OCCURRENCES}` };
+        }
+        break;
+      case 'UNTIL': {
+        const match = UNTIL_PATTERN.exec(partValue.toUpperCase());
+        if (!match) {
+          return { error: 'UNTIL must be a date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)' };
+        }
+        const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+        rule.untilIsDate = match[4] === undefined;
+        rule.until = Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds);
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = partValue.toUpperCase().split(',');
+        if (rule.byDay.some(day => !WEEKDAYS.includes(day))) {
+          return { error: 'BYDAY must list weekdays such as MO,WE,FR' };
+        }
+        break;
+      default:
+        return { error: `Unsupported RRULE part: ${key}` };
+    }
+  }
+
+  if (!rule.freq) {
+    return { error: 'FREQ is required' };
+  }
+  if (rule.byDay && rule.freq !== 'WEEKLY') {
+    return { error: 'BYDAY is only supported with FREQ=WEEKLY' };
+  }
+  if (rule.count && rule.until !== null) {
+    return { error: 'COUNT and UNTIL cannot be combined' };
+  }
+  if (!rule.count && rule.until === null) {
+    return { error: 'RRULE must end with COUNT or UNTIL' };
+  }
+
+  return { rule };
+};
+
+// Local dates (UTC midnight in milliseconds) matching the rule, from `firstDate` up to
+// `lastDate`. Yields candidates in order; the caller stops when the series ends.
+function* candidateDates(rule, firstDate, lastDate) {
+  const first = new Date(firstDate);
+
+  for (let period = 0; ; period += rule.interval) {
+    // Periods starting after the last date (or outside the Date range, NaN) end the candidates
+    const periodStart = rule.freq === 'MONTHLY'
+      ? Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + period, 1)
+      : firstDate + period * (rule.freq === 'WEEKLY' ? 7 : 1) * DAY_MS;
+    if (!(periodStart <= lastDate)) {
+      return;
+    }
+
+    if (rule.freq === 'DAILY') {
+      yield firstDate + period * DAY_MS;
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (WKST=MO)
+      const monday = firstDate - ((first.getUTCDay() + 6) % 7) * DAY_MS + period * 7 * DAY_MS;
+      const days = (rule.byDay || [WEEKDAYS[first.getUTCDay()]])
+        .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+        .sort((a, b) => a - b);
+      for (const offset of days) {
+        const date = monday + offset * DAY_MS;
+        if (date >= firstDate && date <= lastDate) {
+          yield date;
+        }
+      }
+    } else {
+      // Months without the start's day of month are skipped
+      const date = Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + period, first.getUTCDate());
+      if (new Date(date).getUTCDate() === first.getUTCDate() && date <= lastDate) {
+        yield date;
+      }
+    }
+  }
+}
+
+// Expand a parsed rule from a first occurrence [start, end) in milliseconds. Occurrences keep
+// the wall-clock start time in `timeZone` across DST changes. Returns { occurrences: [{ start, end }] }
+// or { error } when the start does not match the rule or the series is too long or does not
+// end within MAX_SERIES_YEARS.
+const expandRRule = ({ rule, start, end, timeZone = DEFAULT_TIME_ZONE }) => {
+  const local = getZonedParts(start, timeZone);
+  const firstDate = Date.UTC(local.year, local.month - 1, local.day);
+  const lastDate = Date.UTC(local.year + MAX_SERIES_YEARS, local.month - 1, local.day);
+  const minuteOfDay = local.hour * 60 + local.minute;
+  const duration = end - start;
+
+  if (rule.byDay && !rule.byDay.includes(WEEKDAYS[new Date(firstDate).getUTCDay()])) {
+    return { error: 'Start time must fall on one of the BYDAY weekdays' };
+  }
+
+  const occurrences = [];
+  for (const date of candidateDates(rule, firstDate, lastDate)) {
+    if (rule.count && occurrences.length === rule.count) {
+      break;
+    }
+
+    const occurrenceStart = zonedTimeToUtc(new Date(date), minuteOfDay, timeZone);
+    if (rule.until !== null && (rule.untilIsDate ? date > rule.until : occurrenceStart > rule.until)) {
+      break;
+    }
+    if (occurrences.length === MAX_OCCURRENCES) {
+      return { error: `A series can have at most ${MAX_OCCURRENCES} occurrences` };
+    }
+
+    occurrences.push({ start: occurrenceStart, end: occurrenceStart + duration });
+  }
+
+  // Candidates stop at the last date, so a longer series comes up short of its COUNT or UNTIL
+  if (rule.count ? occurrences.length < rule.count : rule.until > lastDate) {
+    return { error: `A series must end within ${MAX_SERIES_YEARS} years` };
+  }
+
+  return { occurrences };
+};
+
+// Format an instant as an RRULE UTC date-time (YYYYMMDDTHHMMSSZ)
+const formatUntil = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// End a rule before `ms` by replacing its COUNT/UNTIL with UNTIL one second earlier
+const truncateRRule = (value, ms) => {
+  const parts = value.trim().replace(/^RRULE:/i, '').split(';')
+    .filter(part => part && !/^(COUNT|UNTIL)=/i.test(part));
+  return [...parts, `UNTIL=${formatUntil(ms - 1000)}`].join(';');
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRRule,
+  expandRRule,
+  truncateRRule
+};
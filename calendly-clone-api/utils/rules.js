@@ -0,0 +1,82 @@
+// Per-event booking rules. Buffers and minimum notice are minutes, the booking horizon
+// is days and the slot increment is minutes; 0 turns a rule off (a 0 increment steps
+// slots by the event duration). The daily and weekly limits cap the number of bookings
+// per day and per week (Monday to Sunday) in the host's time zone; users carry the same
+// limits across all their event types.
+const LIMIT_FIELDS = ['dailyLimit', 'weeklyLimit'];
+const RULE_FIELDS = ['bufferBefore', 'bufferAfter', 'minimumNotice', 'bookingHorizon', 'slotIncrement', ...LIMIT_FIELDS];
+
+// events/users column -> gRPC field
+const GRPC_RULE_FIELDS = {
+  bufferBefore: 'buffer_before',
+  bufferAfter: 'buffer_after',
+  minimumNotice: 'minimum_notice',
+  bookingHorizon: 'booking_horizon',
+  slotIncrement: 'slot_increment',
+  dailyLimit: 'daily_limit',
+  weeklyLimit: 'weekly_limit'
+};
+
+// Validate the `fields` present in `input` (keyed by column name). Returns { rules }
+// holding only the provided fields, or { error }
+const validateFields = (input, fields) => {
+  const rules = {};
+
+  for (const field of fields) {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: 'Booking rules and limits must be non-negative whole numbers' };
+    }
+    rules[field] = value;
+  }
+
+  return { rules };
+};
+
+const validateBookingRules = (input) => validateFields(input, RULE_FIELDS);
+const validateLimits = (input) => validateFields(input, LIMIT_FIELDS);
+
+// Read the rules stored on an event row or the limits stored on a user row
+const readFields = (row, fields) => {
+  const rules = {};
+  fields.forEach(field => { rules[field] = Number(row && row[field]) || 0; });
+  return rules;
+};
+
+const eventRules = (event) => readFields(event, RULE_FIELDS);
+const userLimits = (user) => readFields(user, LIMIT_FIELDS);
+
+// Limits that apply to booking `event` with `host`, each with the host's appointments it
+// counts (rows with eventId and startTime)
+const bookingLimits = (event, host, appointments) => [
+  { ...readFields(event, LIMIT_FIELDS), appointments: appointments.filter(appointment => appointment.eventId === event.id) },
+  { ...userLimits(host), appointments }
+];
+
+// Pick the rules out of a gRPC request or convert stored rules into gRPC fields
+const rulesFromGrpc = (request, fields = RULE_FIELDS) => {
+  const input = {};
+  fields.forEach(field => { input[field] = request[GRPC_RULE_FIELDS[field]]; });
+  return input;
+};
+
+const rulesToGrpc = (rules) => {
+  const fields = {};
+  Object.keys(rules).forEach(field => { fields[GRPC_RULE_FIELDS[field]] = rules[field]; });
+  return fields;
+};
+
+module.exports = {
+  LIMIT_FIELDS,
+  RULE_FIELDS,
+  validateBookingRules,
+  validateLimits,
+  eventRules,
+  userLimits,
+  bookingLimits,
+  rulesFromGrpc,
+  rulesToGrpc
+};
@@ -0,0 +1,166 @@
+// Slugs give users and event types readable share links (/u/eero/30min). A user's slug is
+// unique across users and an event type's slug is unique among its owner's event types.
+// A changed slug stays behind as a redirect to the same user or event type until someone
+// in the same namespace takes it.
+const dbAsync = require('./dbAsync');
+
+const MAX_SLUG_LENGTH = 50;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Redirect namespaces: users share one, each owner's event types get their own
+const USER_SCOPE = 'user';
+const eventScope = (userId) => `event:${userId}`;
+
+// Validate a chosen slug; returns { slug } or { error }
+const parseSlug = (value) => {
+  if (typeof value !== 'string' || !SLUG_PATTERN.test(value) || value.length > MAX_SLUG_LENGTH) {
+    return {
+      error: `Slug must be 1 to ${MAX_SLUG_LENGTH} lowercase letters and digits, optionally separated by single hyphens`
+    };
+  }
+  return { slug: value };
+};
+
+// Turn a name into a slug ("Eero's 30 min" -> "eeros-30-min"), or `fallback` when nothing is left
+const slugify = (name, fallback) => {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return slug || fallback;
+};
+
+// Pick `base`, or `base-2`, `base-3`, ... when it is taken; `taken` lists the slugs in use
+const firstFree = (base, taken) => {
+  const used = new Set(taken);
+  if (!used.has(base)) {
+    return base;
+  }
+  for (let n = 2; ; n++) {
+    const suffix = `-${n}`;
+    const candidate = `${base.slice(0, MAX_SLUG_LENGTH - suffix.length).replace(/-+$/, '')}${suffix}`;
+    if (!used.has(candidate)) {
+      return candidate;
+    }
+  }
+};
+
+// Slugs starting with `base` that are current or kept as redirects in a namespace
+const takenSlugs = async (base, table, scope, ownerClause = '', ownerParams = []) => {
+  const pattern = `${base.slice(0, MAX_SLUG_LENGTH - 4)}%`;
+  const rows = await dbAsync.all(
+    `SELECT slug FROM ${table} WHERE slug LIKE ?${ownerClause}
+     UNION SELECT slug FROM slug_redirects WHERE scope = ? AND slug LIKE ?`,
+    [pattern, ...ownerParams, scope, pattern]
+  );
+  return rows.map(row => row.slug);
+};
+
+// A free slug for a new user named `name`; generated slugs never take over a redirect
+const generateUserSlug = async (name) => {
+  const base = slugify(name, 'user');
+  return firstFree(base, await takenSlugs(base, 'users', USER_SCOPE));
+};
+
+// A free slug for a new event type of `userId` named `name`
+const generateEventSlug = async (userId, name) => {
+  const base = slugify(name, 'event');
+  return firstFree(base, await takenSlugs(base, 'events', eventScope(userId), ' AND userId = ?', [userId]));
+};
+
+// Whether another user already uses `slug`
+const userSlugTaken = async (slug, userId = null) => Boolean(await dbAsync.get(
+  'SELECT 1 FROM users WHERE slug = ? AND id IS NOT ?',
+  [slug, userId]
+));
+
+// Whether another event type of `userId` already uses `slug`
+const eventSlugTaken = async (userId, slug, eventId = null) => Boolean(await dbAsync.get(
+  'SELECT 1 FROM events WHERE userId = ? AND slug = ? AND id IS NOT ?',
+  [userId, slug, eventId]
+));
+
+// Keep `oldSlug` as a redirect to `targetId` after its slug became `newSlug`, which stops
+// redirecting anywhere now that it is in use
+const recordSlugChange = (scope, targetId, oldSlug, newSlug, now = Date.now()) => dbAsync.transaction(async () => {
+  await dbAsync.run('DELETE FROM slug_redirects WHERE scope = ? AND slug = ?', [scope, newSlug]);
+  if (oldSlug && oldSlug !== newSlug) {
+    await dbAsync.run(
+      'INSERT OR REPLACE INTO slug_redirects (scope, slug, targetId, createdAt) VALUES (?, ?, ?, ?)',
+      [scope, oldSlug, targetId, new Date(now).toISOString()]
+    );
+  }
+});
+
+// Drop the redirects to a deleted user or event type
+const deleteSlugRedirects = (scope, targetId) => dbAsync.run(
+  'DELETE FROM slug_redirects WHERE scope = ? AND targetId = ?',
+  [scope, targetId]
+);
+
+// Find a row by its current slug, or by an old one kept as a redirect. Returns
+// { row, redirected } or null
+const resolveSlug = async (table, slug, scope, ownerClause = '', ownerParams = []) => {
+  const current = await dbAsync.get(`SELECT * FROM ${table} WHERE slug = ?${ownerClause}`, [slug, ...ownerParams]);
+  if (current) {
+    return { row: current, redirected: false };
+  }
+  const redirect = await dbAsync.get('SELECT targetId FROM slug_redirects WHERE scope = ? AND slug = ?', [scope, slug]);
+  const row = redirect && await dbAsync.get(`SELECT * FROM ${table} WHERE id = ?`, [redirect.targetId]);
+  return row ? { row, redirected: true } : null;
+};
+
+// Resolve a host's public link to the user. Returns { user, redirected } or null
+const resolveUserLink = async (userSlug) => {
+  const user = await resolveSlug('users', userSlug, USER_SCOPE);
+  return user ? { user: user.row, redirected: user.redirected } : null;
+};
+
+// Resolve a public link to its host and event type. Returns { user, event, redirected },
+// where redirected tells that either slug is an old one, or null when nothing matches
+const resolveEventLink = async (userSlug, eventSlug) => {
+  const user = await resolveSlug('users', userSlug, USER_SCOPE);
+  if (!user) {
+    return null;
+  }
+  const event = await resolveSlug('events', eventSlug, eventScope(user.row.id), ' AND userId = ?', [user.row.id]);
+  if (!event) {
+    return null;
+  }
+  return { user: user.row, event: event.row, redirected: user.redirected || event.redirected };
+};
+
+// The event types listed on a host's public page: the active ones that aren't secret or link-only
+const listPublicEvents = (userId) => dbAsync.all(
+  'SELECT * FROM events WHERE userId = ? AND active != 0 AND secret = 0 AND linkOnly = 0 ORDER BY name, id',
+  [userId]
+);
+
+// The public part of a host's profile shown on a booking page
+const hostProfile = (user) => ({
+  id: user.id,
+  name: user.name,
+  slug: user.slug,
+  timezone: user.timezone || 'UTC'
+});
+
+module.exports = {
+  USER_SCOPE,
+  eventScope,
+  parseSlug,
+  slugify,
+  generateUserSlug,
+  generateEventSlug,
+  userSlugTaken,
+  eventSlugTaken,
+  recordSlugChange,
+  deleteSlugRedirects,
+  resolveUserLink,
+  resolveEventLink,
+  listPublicEvents,
+  hostProfile
+};
@@ -0,0 +1,62 @@
+// Appointment status state machine. Scheduled and confirmed appointments are active;
+// completed, canceled and no-show are final. An appointment can only be completed or
+// marked a no-show once it has started.
+const STATUSES = ['scheduled', 'confirmed', 'completed', 'canceled', 'no_show'];
+
+const TRANSITIONS = {
+  scheduled: ['confirmed', 'canceled', 'completed', 'no_show'],
+  confirmed: ['canceled', 'completed', 'no_show'],
+  completed: [],
+  canceled: [],
+  no_show: []
+};
+
+// Column recording when an appointment entered each status
+const TRANSITION_COLUMNS = {
+  confirmed: 'confirmedAt',
+  completed: 'completedAt',
+  canceled: 'canceledAt',
+  no_show: 'noShowAt'
+};
+
+const isValidStatus = (status) => STATUSES.includes(status);
+
+// Active appointments take up the host's time and can still change status
+const isActive = (status) => (TRANSITIONS[status] || []).length > 0;
+
+// Check moving `appointment` (a row with status and startTime) to `status` at `now`;
+// returns an error message or null
+const transitionError = (appointment, status, now = Date.now()) => {
+  if (!(TRANSITIONS[appointment.status] || []).includes(status)) {
+    return `Cannot change appointment status from ${appointment.status} to ${status}`;
+  }
+  if ((status === 'completed' || status === 'no_show') && Date.parse(appointment.startTime) > now) {
+    return `Appointment cannot be marked ${status} before it starts`;
+  }
+  return null;
+};
+
+// Columns to set for a transition to `status` at `now`; cancellations also record who
+// canceled ('host' or 'invitee') and why
+const transitionFields = ({ status, now = Date.now(), canceledBy = null, cancellationReason = null }) => {
+  const fields = { status, [TRANSITION_COLUMNS[status]]: new Date(now).toISOString() };
+  if (status === 'canceled') {
+    fields.canceledBy = canceledBy;
+    fields.cancellationReason = cancellationReason;
+  }
+  return fields;
+};
+
+// The gRPC AppointmentStatus enum uses the upper-case status names
+const statusToGrpc = (status) => (isValidStatus(status) ? status.toUpperCase() : 'STATUS_UNSPECIFIED');
+const statusFromGrpc = (value) => (value && value !== 'STATUS_UNSPECIFIED' ? value.toLowerCase() : null);
+
+module.exports = {
+  STATUSES,
+  isValidStatus,
+  isActive,
+  transitionError,
+  transitionFields,
+  statusToGrpc,
+  statusFromGrpc
+};
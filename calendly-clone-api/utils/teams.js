@@ -0,0 +1,288 @@
+// Teams group users and own shared event types. Every member has a role: owners manage the
+// team and its roles, admins invite and remove members and manage the team's event types,
+// and members can see the team. Users join by accepting an invitation addressed to their
+// account's email.
+const crypto = require('crypto');
+const dbAsync = require('./dbAsync');
+
+// Highest role first
+const ROLES = ['owner', 'admin', 'member'];
+const MAX_TEAM_NAME_LENGTH = 100;
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+const isValidRole = (role) => ROLES.includes(role);
+
+// Whether a membership row holds `role` or a higher one
+const hasRole = (membership, role) => Boolean(membership) && ROLES.indexOf(membership.role) <= ROLES.indexOf(role);
+
+// Validate a team name; returns { name } trimmed, or { error }
+const parseTeamName = (value) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    return { error: 'Team name is required' };
+  }
+  if (name.length > MAX_TEAM_NAME_LENGTH) {
+    return { error: `Team name must be at most ${MAX_TEAM_NAME_LENGTH} characters` };
+  }
+  return { name };
+};
+
+const getTeam = (teamId) => dbAsync.get('SELECT * FROM teams WHERE id = ?', [teamId]);
+
+const getMembership = (teamId, userId) => dbAsync.get(
+  'SELECT * FROM team_members WHERE teamId = ? AND userId = ?',
+  [teamId, userId]
+);
+
+// The teams a user belongs to, each with the user's role
+const listTeams = (userId) => dbAsync.all(
+  `SELECT t.*, m.role FROM teams t JOIN team_members m ON m.teamId = t.id
+   WHERE m.userId = ? ORDER BY t.createdAt, t.id`,
+  [userId]
+);
+
+// Create a team owned by `userId`. Returns the team row with the creator's role
+const createTeam = async ({ name, userId, now = Date.now() }) => {
+  const team = { id: crypto.randomUUID(), name, createdAt: new Date(now).toISOString() };
+  await dbAsync.transaction(async () => {
+    await dbAsync.run('INSERT INTO teams (id, name, createdAt) VALUES (?, ?, ?)', [team.id, name, team.createdAt]);
+    await dbAsync.run(
+      "INSERT INTO team_members (teamId, userId, role, joinedAt) VALUES (?, ?, 'owner', ?)",
+      [team.id, userId, team.createdAt]
+    );
+  });
+  return { ...team, role: 'owner' };
+};
+
+// Delete a team with its memberships and invitations; its event types stay with their owners
+const deleteTeam = (teamId) => dbAsync.transaction(async () => {
+  await dbAsync.run('DELETE FROM team_invitations WHERE teamId = ?', [teamId]);
+  await dbAsync.run('DELETE FROM team_members WHERE teamId = ?', [teamId]);
+  await dbAsync.run('UPDATE events SET teamId = NULL WHERE teamId = ?', [teamId]);
+  await dbAsync.run('DELETE FROM teams WHERE id = ?', [teamId]);
+});
+
+// A page of a team's members with their user details, owners first. Returns { members, total }
+const listMembers = async (teamId, { page, pageSize }) => {
+  const members = await dbAsync.all(
+    `SELECT u.id, u.name, u.email, u.timezone, m.role, m.joinedAt
+     FROM team_members m JOIN users u ON u.id = m.userId
+     WHERE m.teamId = ?
+     ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, m.joinedAt, u.id
+     LIMIT ? OFFSET ?`,
+    [teamId, pageSize, (page - 1) * pageSize]
+  );
+  const { total } = await dbAsync.get('SELECT COUNT(*) AS total FROM team_members WHERE teamId = ?', [teamId]);
+  return { members, total };
+};
+
+// Whether `membership` is the only owner of its team
+const isLastOwner = async (membership) => {
+  if (membership.role !== 'owner') {
+    return false;
+  }
+  const { count } = await dbAsync.get(
+    "SELECT COUNT(*) AS count FROM team_members WHERE teamId = ? AND role = 'owner'",
+    [membership.teamId]
+  );
+  return count === 1;
+};
+
+// Check that admin `actor` may give `target` (a membership, or a new invitee) the role `role`;
+// only owners grant or take away the owner role. Returns an error message or null
+const roleChangeError = (actor, target, role) => {
+  if ((role === 'owner' || target.role === 'owner') && actor.role !== 'owner') {
+    return 'Forbidden: Only team owners can grant or change the owner role';
+  }
+  return null;
+};
+
+// Check that `actor` may remove `target` from the team. Anyone can leave; admins remove
+// members and owners remove anyone. Returns an error message or null
+const removalError = (actor, target) => {
+  if (actor.userId === target.userId) {
+    return null;
+  }
+  if (!hasRole(actor, 'admin')) {
+    return 'Forbidden: Only team admins can remove members';
+  }
+  if (hasRole(target, 'admin') && actor.role !== 'owner') {
+    return 'Forbidden: Only team owners can remove admins and owners';
+  }
+  return null;
+};
+
+const updateRole = (membership, role) => dbAsync.run(
+  'UPDATE team_members SET role = ? WHERE teamId = ? AND userId = ?',
+  [role, membership.teamId, membership.userId]
+);
+
+// Remove a member along with their places among the hosts of the team's event types, as only
+// team members may host them
+const removeMember = (membership) => dbAsync.transaction(async () => {
+  await dbAsync.run(
+    'DELETE FROM event_hosts WHERE userId = ? AND eventId IN (SELECT id FROM events WHERE teamId = ?)',
+    [membership.userId, membership.teamId]
+  );
+  await dbAsync.run(
+    'DELETE FROM team_members WHERE teamId = ? AND userId = ?',
+    [membership.teamId, membership.userId]
+  );
+});
+
+// A team member with their user details
+const getMember = (teamId, userId) => dbAsync.get(
+  `SELECT u.id, u.name, u.email, u.timezone, m.role, m.joinedAt
+   FROM team_members m JOIN users u ON u.id = m.userId
+   WHERE m.teamId = ? AND m.userId = ?`,
+  [teamId, userId]
+);
+
+// Invite `email` to the team with `role`. An expired invitation for the same email is
+// replaced. Returns { invitation } or { conflict } with a message
+const inviteMember = ({ teamId, email, role, invitedBy, now = Date.now() }) => dbAsync.transaction(async () => {
+  const member = await dbAsync.get(
+    `SELECT 1 FROM team_members m JOIN users u ON u.id = m.userId
+     WHERE m.teamId = ? AND LOWER(u.email) = LOWER(?)`,
+    [teamId, email]
+  );
+  if (member) {
+    return { conflict: 'User is already a member of the team' };
+  }
+
+  const nowIso = new Date(now).toISOString();
+  await dbAsync.run(
+    'DELETE FROM team_invitations WHERE teamId = ? AND LOWER(email) = LOWER(?) AND expiresAt <= ?',
+    [teamId, email, nowIso]
+  );
+  const pending = await dbAsync.get(
+    'SELECT 1 FROM team_invitations WHERE teamId = ? AND LOWER(email) = LOWER(?)',
+    [teamId, email]
+  );
+  if (pending) {
+    return { conflict: 'An invitation for this email is already pending' };
+  }
+
+  const invitation = {
+    id: crypto.randomUUID(),
+    teamId,
+    email,
+    role,
+    invitedBy,
+    createdAt: nowIso,
+    expiresAt: new Date(now + INVITATION_TTL_MS).toISOString()
+  };
+  await dbAsync.run(
+    'INSERT INTO team_invitations (id, teamId, email, role, invitedBy, createdAt, expiresAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [invitation.id, teamId, email, role, invitedBy, invitation.createdAt, invitation.expiresAt]
+  );
+  return { invitation };
+});
+
+// Invitation rows with the name of their team
+const INVITATION_SELECT = 'SELECT i.*, t.name AS teamName FROM team_invitations i JOIN teams t ON t.id = i.teamId';
+
+const getInvitation = (invitationId) => dbAsync.get(`${INVITATION_SELECT} WHERE i.id = ?`, [invitationId]);
+
+// A team's invitations that can still be accepted, oldest first
+const listInvitations = (teamId, now = Date.now()) => dbAsync.all(
+  `${INVITATION_SELECT} WHERE i.teamId = ? AND i.expiresAt > ? ORDER BY i.createdAt`,
+  [teamId, new Date(now).toISOString()]
+);
+
+// The invitations addressed to `email` that can still be accepted, oldest first
+const listInvitationsFor = (email, now = Date.now()) => dbAsync.all(
+  `${INVITATION_SELECT} WHERE LOWER(i.email) = LOWER(?) AND i.expiresAt > ? ORDER BY i.createdAt`,
+  [email, new Date(now).toISOString()]
+);
+
+const isInvitee = (invitation, user) => invitation.email.toLowerCase() === user.email.toLowerCase();
+
+const isExpired = (invitation, now = Date.now()) => Date.parse(invitation.expiresAt) <= now;
+
+// Join the team of an invitation addressed to `user`, which is used up. Returns the member
+const acceptInvitation = async (invitation, user, now = Date.now()) => {
+  await dbAsync.transaction(async () => {
+    await dbAsync.run(
+      'INSERT OR IGNORE INTO team_members (teamId, userId, role, joinedAt) VALUES (?, ?, ?, ?)',
+      [invitation.teamId, user.id, invitation.role, new Date(now).toISOString()]
+    );
+    await dbAsync.run('DELETE FROM team_invitations WHERE id = ?', [invitation.id]);
+  });
+  return getMember(invitation.teamId, user.id);
+};
+
+const deleteInvitation = (invitationId) => dbAsync.run('DELETE FROM team_invitations WHERE id = ?', [invitationId]);
+
+// Check that `userId` may give a team `teamId` (null for a personal event type) to an event
+// type they create; returns an error message or null
+const teamEventError = async (teamId, userId) => {
+  if (!teamId) {
+    return null;
+  }
+  return hasRole(await getMembership(teamId, userId), 'admin')
+    ? null
+    : 'Forbidden: Only team admins can create team event types';
+};
+
+// Check that the hosts of an event type owned by `ownerId` agreed to host it: a team's event
+// type may only be hosted by members of the team, and a personal one only by its owner.
+// Returns an error message or null
+const teamHostsError = async (teamId, hostIds, ownerId) => {
+  if (!hostIds || hostIds.length === 0) {
+    return null;
+  }
+  if (!teamId) {
+    return hostIds.every(id => id === ownerId) ? null : 'Only team event types can have other hosts';
+  }
+  const placeholders = hostIds.map(() => '?').join(', ');
+  const { count } = await dbAsync.get(
+    `SELECT COUNT(*) AS count FROM team_members WHERE teamId = ? AND userId IN (${placeholders})`,
+    [teamId, ...hostIds]
+  );
+  return count === hostIds.length ? null : 'Hosts must be members of the team';
+};
+
+// Whether `userId` may manage the event row: its owner, or an admin of the team owning it
+const canManageEvent = async (event, userId) => {
+  if (event.userId === userId) {
+    return true;
+  }
+  return Boolean(event.teamId) && hasRole(await getMembership(event.teamId, userId), 'admin');
+};
+
+// The gRPC TeamRole enum uses the upper-case role names
+const roleToGrpc = (role) => (isValidRole(role) ? role.toUpperCase() : 'TEAM_ROLE_UNSPECIFIED');
+const roleFromGrpc = (value) => (value && value !== 'TEAM_ROLE_UNSPECIFIED' ? value.toLowerCase() : null);
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasRole,
+  parseTeamName,
+  getTeam,
+  getMembership,
+  listTeams,
+  createTeam,
+  deleteTeam,
+  listMembers,
+  getMember,
+  isLastOwner,
+  roleChangeError,
+  removalError,
+  updateRole,
+  removeMember,
+  inviteMember,
+  getInvitation,
+  listInvitations,
+  listInvitationsFor,
+  isInvitee,
+  isExpired,
+  acceptInvitation,
+  deleteInvitation,
+  teamEventError,
+  teamHostsError,
+  canManageEvent,
+  roleToGrpc,
+  roleFromGrpc
+};
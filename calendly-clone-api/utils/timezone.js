@@ -0,0 +1,95 @@
+// Time zone conversion utilities built on Intl (IANA zone names)
+const { isValidTimezone } = require('./validators');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = {};
+
+// Cache one formatter per zone; formatting is the expensive part of these conversions
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+};
+
+// Split an instant into the wall-clock fields seen in `timeZone`
+const getZonedParts = (ms, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(ms)).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+};
+
+// Offset of `timeZone` from UTC at the given instant, in minutes
+const getTimezoneOffset = (ms, timeZone) => {
+  const parts = getZonedParts(ms, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / MINUTE_MS);
+};
+
+// Convert a local date (UTC midnight Date) plus minutes since midnight in `timeZone` to an instant
+const zonedTimeToUtc = (date, minuteOfDay, timeZone) => {
+  const guess = date.getTime() + minuteOfDay * MINUTE_MS;
+  const firstOffset = getTimezoneOffset(guess, timeZone);
+  const result = guess - firstOffset * MINUTE_MS;
+  const secondOffset = getTimezoneOffset(result, timeZone);
+
+  // Re-apply when the guess landed on the other side of a DST change
+  return secondOffset === firstOffset ? result : guess - secondOffset * MINUTE_MS;
+};
+
+// Render an instant as ISO 8601 with the UTC offset of `timeZone`, e.g. 2024-01-15T12:00:00+02:00
+const formatInTimeZone = (ms, timeZone) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const parts = getZonedParts(ms, timeZone);
+  const offset = getTimezoneOffset(ms, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+// Render a stored UTC time string in `timeZone`, or unchanged when no zone is requested
+const renderTime = (value, timeZone) => {
+  const ms = Date.parse(value);
+  if (!timeZone || isNaN(ms)) {
+    return value;
+  }
+  return formatInTimeZone(ms, timeZone);
+};
+
+// Zone to read a user's schedule in; users without a (valid) timezone fall back to UTC
+const resolveTimeZone = (timezone) => (isValidTimezone(timezone) ? timezone : DEFAULT_TIME_ZONE);
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  resolveTimeZone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  renderTime
+};
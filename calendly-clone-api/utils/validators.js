@@ -6,7 +6,37 @@ const isValidEmail = (email) => {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 };
 
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return typeof timezone === 'string' && timezone.length > 0;
+  } catch (err) {
+    return false;
+  }
+};
+
+// An optional leading +, then digits with common separators; 7 to 15 digits in all (E.164)
+const isValidPhoneNumber = (phone) => {
+  if (typeof phone !== 'string' || !/^\+?[0-9 ().-]+$/.test(phone)) {
+    return false;
+  }
+  const digits = phone.replace(/[^0-9]/g, '').length;
+  return digits >= 7 && digits <= 15;
+};
+
+// Absolute http(s) URLs
+const isValidUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
 module.exports = {
   isValidHexColor,
-  isValidEmail
+  isValidEmail,
+  isValidTimezone,
+  isValidPhoneNumber,
+  isValidUrl
 };
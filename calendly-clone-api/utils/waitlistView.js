@@ -0,0 +1,12 @@
+// Rendering of waitlist entries for REST responses
+const { waitlistToken } = require('./waitlist');
+
+// Render a waitlist entry row without its nonce; only the invitee gets the waitlist token
+const renderWaitlistEntry = (row, withToken = false) => {
+  const { nonce, hostId, ...entry } = row;
+  return withToken ? { ...entry, waitlistToken: waitlistToken(row) } : entry;
+};
+
+module.exports = {
+  renderWaitlistEntry
+};
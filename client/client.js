@@ -249,23 +249,28 @@ async function runAllCalls() {
     // APPOINTMENT SERVICE CALLS
     console.log('\n🔹 APPOINTMENT SERVICE');
     
-    // Create appointment
-    console.log('Creating appointment...');
-    // Calculate start and end time for appointment (tomorrow)
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(10, 0, 0, 0);
-    const startTime = tomorrow.toISOString();
-    
-    tomorrow.setHours(11, 0, 0, 0);
-    const endTime = tomorrow.toISOString();
+    // Get available slots for the next week
+    console.log('Getting available slots...');
+    const from = new Date();
+    from.setDate(from.getDate() + 1);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 6);
+    const availableSlots = await promisify(scheduleServiceClient, 'getAvailableSlots')({
+      user_id: userId,
+      event_id: eventId,
+      from: from.toISOString().slice(0, 10),
+      to: to.toISOString().slice(0, 10)
+    });
+    console.log(`Found ${availableSlots.slots.length} available slots`);
     
+    // Create appointment in the first available slot
+    console.log('\nCreating appointment...');
     const appointment = await promisify(appointmentServiceClient, 'createAppointment')(
       {
         event_id: eventId,
         invitee_email: 'invitee@example.com',
-        start_time: startTime,
-        end_time: endTime
+        start_time: availableSlots.slots[0].start_time,
+        end_time: availableSlots.slots[0].end_time
       },
       authMetadata
     );
@@ -290,7 +295,7 @@ async function runAllCalls() {
     const updatedAppointment = await promisify(appointmentServiceClient, 'updateAppointment')(
       {
         appointment_id: appointmentId,
-        status: 'rescheduled',
+        status: 'CONFIRMED',
         invitee_email: 'updated@example.com'
       },
       authMetadata
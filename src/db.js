@@ -22,6 +22,12 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
+// Wait for locks held by the REST server instead of failing immediately
+db.configure('busyTimeout', 5000);
+
+// Transactions are queued so only one is open on the shared connection at a time
+let transactionQueue = Promise.resolve();
+
 // Create promise wrapper for database operations
 const dbAsync = {
   all: (query, params) => {
@@ -51,6 +57,26 @@ const dbAsync = {
     });
   },
 
+  // Run `work` inside a transaction. BEGIN IMMEDIATE takes the write lock up front,
+  // so check-then-write sequences are atomic across the REST and gRPC servers.
+  transaction: (work) => {
+    const run = async () => {
+      await dbAsync.run('BEGIN IMMEDIATE');
+      try {
+        const result = await work();
+        await dbAsync.run('COMMIT');
+        return result;
+      } catch (err) {
+        await dbAsync.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    };
+
+    const result = transactionQueue.then(run, run);
+    transactionQueue = result.catch(() => {});
+    return result;
+  },
+
   serialize: (cb) => {
     return new Promise((resolve, reject) => {
       db.serialize(() => {
@@ -77,7 +103,10 @@ const initializeDb = async () => {
     
     // Check required tables exist
     const tables = [
-      'users', 'events', 'schedules', 'appointments'
+      'users', 'events', 'schedules', 'appointments', 'appointment_series', 'event_hosts',
+      'appointment_hosts', 'teams', 'team_members', 'team_invitations', 'slug_redirects', 'waitlist_entries',
+      'polls', 'poll_options', 'poll_participants', 'poll_votes', 'scheduling_links',
+      'slot_holds', 'slot_hold_hosts'
     ];
     
     let missingTables = [];
@@ -15,6 +15,8 @@ const sessionService = require('./services/session-service');
 const eventService = require('./services/event-service');
 const scheduleService = require('./services/schedule-service');
 const appointmentService = require('./services/appointment-service');
+const teamService = require('./services/team-service');
+const pollService = require('./services/poll-service');
 
 // Initialize database
 initializeDb()
@@ -48,6 +50,8 @@ function startServer() {
   server.addService(calendlyProto.EventService.service, eventService);
   server.addService(calendlyProto.ScheduleService.service, scheduleService);
   server.addService(calendlyProto.AppointmentService.service, appointmentService);
+  server.addService(calendlyProto.TeamService.service, teamService);
+  server.addService(calendlyProto.PollService.service, pollService);
   
   // Start server
   const port = process.env.GRPC_PORT || 50051;
@@ -1,8 +1,187 @@
 const { dbAsync } = require('../db');
-const { isValidEmail } = require('../utils/validators');
+const { isValidEmail, isValidTimezone } = require('../utils/validators');
 const { authenticate } = require('../middleware/auth');
+const { parseAppointmentWindow, checkHosts, assignHost } = require('../utils/booking');
+const { bookingHostIds, setAppointmentHosts, withHostIds } = require('../utils/hosts');
+const { getSeries, listOccurrences, createSeries, cancelOccurrences, updateSeries } = require('../utils/series');
+const {
+  parseInviteeName,
+  parseCancellationReason,
+  throttleClient,
+  bookAsInvitee,
+  claimOffer,
+  findByManageToken,
+  cancelAsInvitee,
+  rescheduleAsInvitee
+} = require('../utils/publicBooking');
+const { newManageNonce, createManageToken } = require('../utils/manageToken');
+const { isActive, transitionError, transitionFields, statusToGrpc, statusFromGrpc } = require('../utils/status');
+const { renderTime } = require('../utils/timezone');
+const { appointmentAnswers, checkAnswers, storeList, answersFromGrpc, answersToGrpc } = require('../utils/questions');
+const {
+  appointmentLocation, checkLocation, meetingLocation, storeLocation, locationTypeFromGrpc, locationToGrpc
+} = require('../utils/locations');
+const {
+  offerFreedSlot, joinWaitlist, waitlistToken, findByWaitlistToken, listWaitlist, leaveWaitlist,
+  waitlistStatusToGrpc
+} = require('../utils/waitlist');
+const { parseDate } = require('../utils/availability');
+const { canManageEvent } = require('../utils/teams');
+const { linkBooking } = require('../utils/links');
+const { throttleHolds, reserveSlot, holdToken, findByHoldToken, holdBooking } = require('../utils/holds');
+const { rejectionError, clientKey } = require('../utils/rejections');
 const grpc = require('@grpc/grpc-js');
 
+// Map an appointment row to the gRPC message, rendering times in `timeZone` when given
+const formatAppointment = (appointment, timeZone) => ({
+  id: appointment.id,
+  event_id: appointment.eventId,
+  user_id: appointment.userId,
+  host_ids: appointment.hostIds || [appointment.userId],
+  invitee_email: appointment.inviteeEmail,
+  start_time: renderTime(appointment.startTime, timeZone),
+  end_time: renderTime(appointment.endTime, timeZone),
+  status: statusToGrpc(appointment.status),
+  series_id: appointment.seriesId || '',
+  invitee_name: appointment.inviteeName || '',
+  manage_token: appointment.manageNonce ? createManageToken(appointment.id, appointment.manageNonce) : '',
+  cancellation_reason: appointment.cancellationReason || '',
+  canceled_by: appointment.canceledBy || '',
+  confirmed_at: renderTime(appointment.confirmedAt, timeZone) || '',
+  completed_at: renderTime(appointment.completedAt, timeZone) || '',
+  canceled_at: renderTime(appointment.canceledAt, timeZone) || '',
+  no_show_at: renderTime(appointment.noShowAt, timeZone) || '',
+  answers: answersToGrpc(appointmentAnswers(appointment)),
+  location: locationToGrpc(appointmentLocation(appointment))
+});
+
+// Check the answers of a booking request against the event's questions; returns the answers to store
+const validateBookingAnswers = async (eventId, answers) => {
+  const result = await checkAnswers(eventId, answersFromGrpc(answers));
+  if (result.error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: result.error
+    };
+  }
+  return result.answers;
+};
+
+// Choose the location of a booking request from the event's options
+const validateBookingLocation = async (eventId, request) => {
+  const { choice, error } = await checkLocation(eventId, {
+    locationType: locationTypeFromGrpc(request.location_type),
+    inviteePhone: request.invitee_phone
+  });
+  if (error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: error
+    };
+  }
+  return choice;
+};
+
+// Map a series row and its occurrences to the gRPC message
+const formatSeries = (series, occurrences, timeZone) => ({
+  id: series.id,
+  event_id: series.eventId,
+  user_id: series.userId,
+  invitee_email: series.inviteeEmail,
+  rrule: series.rrule,
+  start_time: renderTime(series.startTime, timeZone),
+  end_time: renderTime(series.endTime, timeZone),
+  occurrences: occurrences.map(occurrence => formatAppointment(occurrence, timeZone))
+});
+
+// Load a series owned by `userId`, throwing NOT_FOUND or PERMISSION_DENIED otherwise
+const getOwnedSeries = async (seriesId, userId) => {
+  const series = await getSeries(seriesId);
+  
+  if (!series) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Appointment series not found'
+    };
+  }
+  
+  if (series.userId !== userId) {
+    throw {
+      code: grpc.status.PERMISSION_DENIED,
+      message: 'Forbidden: You can only modify your own appointment series'
+    };
+  }
+  
+  return series;
+};
+
+// Load the appointment behind an invitee's manage token, throwing NOT_FOUND otherwise
+const getManagedAppointment = async (token) => {
+  const appointment = await findByManageToken(token);
+  
+  if (!appointment) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Booking not found'
+    };
+  }
+  
+  return appointment;
+};
+
+// Map a waitlist entry row to the gRPC message; only the invitee gets the waitlist token
+const formatWaitlistEntry = (entry, withToken = false) => ({
+  id: entry.id,
+  event_id: entry.eventId,
+  invitee_name: entry.inviteeName || '',
+  invitee_email: entry.inviteeEmail,
+  date: entry.date,
+  start_time: entry.startTime || '',
+  end_time: entry.endTime || '',
+  status: waitlistStatusToGrpc(entry.status),
+  offer_start_time: entry.offerStartTime || '',
+  offer_end_time: entry.offerEndTime || '',
+  offer_expires_at: entry.offerExpiresAt || '',
+  appointment_id: entry.appointmentId || '',
+  created_at: entry.createdAt,
+  waitlist_token: withToken ? waitlistToken(entry) : ''
+});
+
+// Map a slot hold row to the gRPC message with its hold token
+const formatHold = (hold) => ({
+  event_id: hold.eventId,
+  user_id: hold.hostId,
+  start_time: hold.startTime,
+  end_time: hold.endTime,
+  expires_at: hold.expiresAt,
+  hold_token: holdToken(hold)
+});
+
+// Load the waitlist entry behind a waitlist token, throwing NOT_FOUND for invalid tokens
+const getWaitlistEntry = async (token) => {
+  const entry = await findByWaitlistToken(token);
+  
+  if (!entry) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Waitlist entry not found'
+    };
+  }
+  
+  return entry;
+};
+
+// Validate a requested display time zone and return an INVALID_ARGUMENT error if it is unknown
+const invalidTimeZoneError = (timeZone) => {
+  if (timeZone && !isValidTimezone(timeZone)) {
+    return {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: 'Time zone must be a valid IANA time zone (e.g., Europe/Tallinn)'
+    };
+  }
+  return null;
+};
+
 const appointmentService = {
   // Create a new appointment
   CreateAppointment: async (call, callback) => {
@@ -29,23 +208,60 @@ const appointmentService = {
         });
       }
       
+      // Validate the time window
+      const window = parseAppointmentWindow(start_time, end_time);
+      if (window.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: window.error
+        });
+      }
+      
+      // Answers must suit the event's questions, and the location be one the event offers
+      const answers = await validateBookingAnswers(event_id, call.request.answers);
+      const choice = await validateBookingLocation(event_id, call.request);
+      
       // Generate simple ID
       const id = Date.now().toString();
+      const manageNonce = newManageNonce();
       
-      // Insert appointment into database
-      await dbAsync.run(
-        'INSERT INTO appointments (id, eventId, userId, inviteeEmail, startTime, endTime, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
-        [id, event_id, user.id, invitee_email, start_time, end_time, status]
-      );
+      // Check the booking and insert atomically so concurrent bookings can't both succeed;
+      // round-robin events assign the appointment to one of their hosts, collective events
+      // book all of them
+      const { hostId, hostIds, location, rejection } = await dbAsync.transaction(async () => {
+        const assignment = await assignHost({ userId: user.id, eventId: event_id, window, inviteeEmail: invitee_email });
+        if (assignment.rejection) {
+          return assignment;
+        }
+        const location = await meetingLocation(choice, {
+          appointmentId: id, eventId: event_id, hostId: assignment.hostId, startTime: window.startTime, endTime: window.endTime
+        });
+        await dbAsync.run(
+          `INSERT INTO appointments (id, eventId, userId, inviteeEmail, startTime, endTime, status, manageNonce, answers, location)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, event_id, assignment.hostId, invitee_email, window.startTime, window.endTime, status, manageNonce,
+            storeList(answers), storeLocation(location)]
+        );
+        await setAppointmentHosts(id, assignment.hostIds);
+        return { ...assignment, location };
+      });
+      
+      if (rejection) {
+        return callback(rejectionError(rejection));
+      }
       
       callback(null, {
         id,
         event_id,
-        user_id: user.id,
+        user_id: hostId,
+        host_ids: hostIds,
         invitee_email,
-        start_time,
-        end_time,
-        status
+        start_time: window.startTime,
+        end_time: window.endTime,
+        status: statusToGrpc(status),
+        manage_token: createManageToken(id, manageNonce),
+        answers: answersToGrpc(answers),
+        location: locationToGrpc(location)
       });
     } catch (err) {
       if (err.code) {
@@ -66,7 +282,12 @@ const appointmentService = {
       // Authenticate the user
       const user = await authenticate(call);
       
-      const { appointment_id } = call.request;
+      const { appointment_id, time_zone } = call.request;
+      
+      const timeZoneError = invalidTimeZoneError(time_zone);
+      if (timeZoneError) {
+        return callback(timeZoneError);
+      }
       
       // Get appointment from database
       const appointment = await dbAsync.get(
@@ -81,15 +302,8 @@ const appointmentService = {
         });
       }
       
-      callback(null, {
-        id: appointment.id,
-        event_id: appointment.eventId,
-        user_id: appointment.userId,
-        invitee_email: appointment.inviteeEmail,
-        start_time: appointment.startTime,
-        end_time: appointment.endTime,
-        status: appointment.status
-      });
+      const [withHosts] = await withHostIds([appointment]);
+      callback(null, formatAppointment(withHosts, time_zone));
     } catch (err) {
       if (err.code) {
         return callback(err);
@@ -109,6 +323,13 @@ const appointmentService = {
       // Authenticate the user
       const user = await authenticate(call);
       
+      const { time_zone } = call.request;
+      
+      const timeZoneError = invalidTimeZoneError(time_zone);
+      if (timeZoneError) {
+        return callback(timeZoneError);
+      }
+      
       // Get appointments from database
       const appointments = await dbAsync.all(
         'SELECT * FROM appointments WHERE userId = ?',
@@ -116,15 +337,8 @@ const appointmentService = {
       );
       
       // Format appointments for response
-      const formattedAppointments = appointments.map(appointment => ({
-        id: appointment.id,
-        event_id: appointment.eventId,
-        user_id: appointment.userId,
-        invitee_email: appointment.inviteeEmail,
-        start_time: appointment.startTime,
-        end_time: appointment.endTime,
-        status: appointment.status
-      }));
+      const formattedAppointments = (await withHostIds(appointments))
+        .map(appointment => formatAppointment(appointment, time_zone));
       
       callback(null, { appointments: formattedAppointments });
     } catch (err) {
@@ -146,16 +360,33 @@ const appointmentService = {
       // Authenticate the user
       const user = await authenticate(call);
       
-      const { appointment_id, event_id, invitee_email, start_time, end_time, status } = call.request;
+      const { appointment_id, event_id, invitee_email, start_time, end_time, status, cancellation_reason } = call.request;
       
       // Validate at least one field is provided
-      if (!event_id && !invitee_email && !start_time && !end_time && !status) {
+      if (!event_id && !invitee_email && !start_time && !end_time && status === undefined) {
         return callback({
           code: grpc.status.INVALID_ARGUMENT,
           message: 'At least one field is required'
         });
       }
       
+      const newStatus = statusFromGrpc(status);
+      if (status !== undefined && !newStatus) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Status must be set'
+        });
+      }
+      
+      // Only cancellations carry a reason
+      const cancellation = parseCancellationReason(cancellation_reason);
+      if (cancellation.error || (cancellation.reason && newStatus !== 'canceled')) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: cancellation.error || 'A cancellation reason can only be given when canceling'
+        });
+      }
+      
       // Validate email format if provided
       if (invitee_email && !isValidEmail(invitee_email)) {
         return callback({
@@ -184,6 +415,33 @@ const appointmentService = {
         });
       }
       
+      // Status changes must follow the allowed transitions; repeating the current status is a no-op
+      const statusChange = newStatus && newStatus !== existingAppointment.status;
+      if (statusChange) {
+        const error = transitionError(existingAppointment, newStatus);
+        if (error) {
+          return callback({
+            code: grpc.status.FAILED_PRECONDITION,
+            message: error
+          });
+        }
+      }
+      
+      // Validate and normalize the time window when either end moves
+      let window = null;
+      if (start_time || end_time) {
+        window = parseAppointmentWindow(
+          start_time || existingAppointment.startTime,
+          end_time || existingAppointment.endTime
+        );
+        if (window.error) {
+          return callback({
+            code: grpc.status.INVALID_ARGUMENT,
+            message: window.error
+          });
+        }
+      }
+      
       // Build update query
       const fields = [];
       const values = [];
@@ -198,23 +456,69 @@ const appointmentService = {
       }
       if (start_time) {
         fields.push('startTime = ?');
-        values.push(start_time);
+        values.push(window.startTime);
       }
       if (end_time) {
         fields.push('endTime = ?');
-        values.push(end_time);
+        values.push(window.endTime);
       }
-      if (status) {
-        fields.push('status = ?');
-        values.push(status);
+      if (statusChange) {
+        const transition = transitionFields({
+          status: newStatus,
+          canceledBy: 'host',
+          cancellationReason: cancellation.reason
+        });
+        Object.keys(transition).forEach(column => {
+          fields.push(`${column} = ?`);
+          values.push(transition[column]);
+        });
+      }
+      
+      // Nothing to write when only the current status was repeated
+      if (fields.length === 0) {
+        return callback(null, formatAppointment(existingAppointment));
       }
       
       values.push(appointment_id);
       
       const query = `UPDATE appointments SET ${fields.join(', ')} WHERE id = ?`;
       
-      // Execute update
-      const result = await dbAsync.run(query, values);
+      // Re-check the booking when an active appointment moves or changes event
+      const needsBookingCheck = isActive(newStatus || existingAppointment.status) &&
+        (event_id || start_time || end_time);
+      
+      if (needsBookingCheck && !window) {
+        window = parseAppointmentWindow(existingAppointment.startTime, existingAppointment.endTime);
+        if (window.error) {
+          return callback({
+            code: grpc.status.INVALID_ARGUMENT,
+            message: window.error
+          });
+        }
+      }
+      
+      // Execute update atomically with the booking check
+      const { rejection, result } = await dbAsync.transaction(async () => {
+        if (needsBookingCheck) {
+          const rejection = await checkHosts({
+            userId: user.id,
+            eventId: event_id || existingAppointment.eventId,
+            window,
+            inviteeEmail: invitee_email || existingAppointment.inviteeEmail,
+            excludeId: appointment_id
+          });
+          if (rejection) {
+            return { rejection };
+          }
+          // The hosts the booking was checked with attend it from now on
+          await setAppointmentHosts(appointment_id, await bookingHostIds(event_id || existingAppointment.eventId, user.id));
+        }
+        return { result: await dbAsync.run(query, values) };
+      });
+      
+      if (rejection) {
+        return callback(rejectionError(rejection));
+      }
       
       if (result.changes === 0) {
         return callback({
@@ -223,21 +527,19 @@ const appointmentService = {
         });
       }
       
+      // The canceled time goes to the first invitee on the event's waitlist
+      if (statusChange && newStatus === 'canceled') {
+        await offerFreedSlot(existingAppointment);
+      }
+      
       // Get updated appointment
       const updatedAppointment = await dbAsync.get(
         'SELECT * FROM appointments WHERE id = ?',
         [appointment_id]
       );
       
-      callback(null, {
-        id: updatedAppointment.id,
-        event_id: updatedAppointment.eventId,
-        user_id: updatedAppointment.userId,
-        invitee_email: updatedAppointment.inviteeEmail,
-        start_time: updatedAppointment.startTime,
-        end_time: updatedAppointment.endTime,
-        status: updatedAppointment.status
-      });
+      const [withHosts] = await withHostIds([updatedAppointment]);
+      callback(null, formatAppointment(withHosts));
     } catch (err) {
       if (err.code) {
         return callback(err);
@@ -261,7 +563,7 @@ const appointmentService = {
       
       // Check if appointment exists and user is owner
       const existingAppointment = await dbAsync.get(
-        'SELECT userId FROM appointments WHERE id = ?',
+        'SELECT * FROM appointments WHERE id = ?',
         [appointment_id]
       );
       
@@ -291,6 +593,9 @@ const appointmentService = {
           message: 'Appointment not found'
         });
       }
+      await setAppointmentHosts(appointment_id, []);
+      // Deleting an active appointment frees its time for the event's waitlist
+      await offerFreedSlot(existingAppointment);
       
       callback(null, {});
     } catch (err) {
@@ -304,6 +609,673 @@ const appointmentService = {
         message: 'Database error'
       });
     }
+  },
+  
+  // Book a recurring series of appointments from an RRULE
+  CreateAppointmentSeries: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { event_id, invitee_email, start_time, end_time, rrule } = call.request;
+      
+      // Validate required fields
+      if (!event_id || !invitee_email || !start_time || !end_time || !rrule) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'All fields are required'
+        });
+      }
+      
+      // Validate email format
+      if (!isValidEmail(invitee_email)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Invalid invitee email format'
+        });
+      }
+      
+      // Validate the first occurrence
+      const window = parseAppointmentWindow(start_time, end_time);
+      if (window.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: window.error
+        });
+      }
+      
+      // Every occurrence is checked like a single booking; one rejection books nothing
+      const { series, occurrences, rejection, error } = await createSeries({
+        userId: user.id,
+        eventId: event_id,
+        inviteeEmail: invitee_email,
+        window,
+        rrule
+      });
+      
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error
+        });
+      }
+      if (rejection) {
+        return callback(rejectionError(rejection));
+      }
+      
+      callback(null, formatSeries(series, occurrences));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error creating appointment series:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // List the occurrences of a series
+  ListSeriesOccurrences: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { series_id, time_zone } = call.request;
+      
+      const timeZoneError = invalidTimeZoneError(time_zone);
+      if (timeZoneError) {
+        return callback(timeZoneError);
+      }
+      
+      const series = await getOwnedSeries(series_id, user.id);
+      const occurrences = await listOccurrences(series.id);
+      
+      callback(null, {
+        appointments: occurrences.map(occurrence => formatAppointment(occurrence, time_zone))
+      });
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error listing series occurrences:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Cancel one occurrence of a series, or it and all following occurrences
+  CancelSeriesOccurrence: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { series_id, appointment_id, and_following } = call.request;
+      
+      const series = await getOwnedSeries(series_id, user.id);
+      const occurrence = await dbAsync.get(
+        'SELECT * FROM appointments WHERE id = ? AND seriesId = ?',
+        [appointment_id, series.id]
+      );
+      
+      if (!occurrence) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Occurrence not found in this series'
+        });
+      }
+      
+      const transition = transitionError(occurrence, 'canceled');
+      if (transition) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: transition
+        });
+      }
+      
+      const canceled = await cancelOccurrences({ series, occurrence, andFollowing: and_following });
+      
+      callback(null, { appointments: canceled.map(appointment => formatAppointment(appointment)) });
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error canceling series occurrence:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Edit the whole series
+  UpdateAppointmentSeries: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { series_id, invitee_email, start_time, end_time, rrule } = call.request;
+      
+      // Validate at least one field is provided
+      if (!invitee_email && !start_time && !end_time && !rrule) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'At least one field is required'
+        });
+      }
+      
+      // Validate email format if provided
+      if (invitee_email && !isValidEmail(invitee_email)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Invalid invitee email format'
+        });
+      }
+      
+      // A new first occurrence needs both ends
+      let window = null;
+      if (start_time || end_time) {
+        window = parseAppointmentWindow(start_time, end_time);
+        if (window.error) {
+          return callback({
+            code: grpc.status.INVALID_ARGUMENT,
+            message: window.error
+          });
+        }
+      }
+      
+      const series = await getOwnedSeries(series_id, user.id);
+      const result = await updateSeries({ series, inviteeEmail: invitee_email, window, rrule });
+      
+      if (result.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: result.error
+        });
+      }
+      if (result.rejection) {
+        return callback(rejectionError(result.rejection));
+      }
+      
+      callback(null, formatSeries(result.series, result.occurrences));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error updating appointment series:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Hold an offered slot for the invitee while they fill in the booking form; no authentication
+  ReserveSlot: async (call, callback) => {
+    try {
+      const throttled = throttleHolds(clientKey(call));
+      if (throttled) {
+        return callback(rejectionError(throttled));
+      }
+      
+      const { user_id, event_id, start_time, end_time } = call.request;
+      
+      // Validate required fields
+      if (!user_id || !event_id || !start_time || !end_time) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'All fields are required'
+        });
+      }
+      
+      // Validate the time window
+      const window = parseAppointmentWindow(start_time, end_time);
+      if (window.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: window.error
+        });
+      }
+      
+      const result = await reserveSlot({ userId: user_id, eventId: event_id, window });
+      if (result.rejection) {
+        return callback(rejectionError(result.rejection));
+      }
+      
+      callback(null, formatHold(result.hold));
+    } catch (err) {
+      console.error('Error reserving slot:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Book an offered slot as an invitee; no authentication, the appointment belongs to the host
+  BookAppointment: async (call, callback) => {
+    try {
+      const { user_id, event_id, invitee_name, invitee_email, start_time, end_time, scheduling_link_id, hold_token } =
+        call.request;
+      
+      // Bookings of a held slot were counted against the client when the slot was reserved
+      const throttled = hold_token ? null : throttleClient(clientKey(call));
+      if (throttled) {
+        return callback(rejectionError(throttled));
+      }
+      
+      const { hold, rejection } = hold_token ? await findByHoldToken(hold_token) : {};
+      if (rejection) {
+        return callback(rejectionError(rejection));
+      }
+      
+      // Booking through a scheduling link takes the event and host from the link, and booking a
+      // held slot takes them and the time from the hold
+      const requested = {
+        userId: user_id, eventId: event_id, inviteeEmail: invitee_email, startTime: start_time, endTime: end_time
+      };
+      const linked = scheduling_link_id ? await linkBooking(scheduling_link_id, requested) : requested;
+      const booking = hold && !linked.rejection ? await holdBooking(hold, linked) : linked;
+      if (booking.rejection) {
+        return callback(rejectionError(booking.rejection));
+      }
+      const { userId, eventId, inviteeEmail, startTime, endTime } = booking;
+      
+      // Validate required fields
+      if (!userId || !eventId || !inviteeEmail || !startTime || !endTime) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'All fields are required'
+        });
+      }
+      
+      const inviteeName = parseInviteeName(invitee_name);
+      if (inviteeName.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: inviteeName.error
+        });
+      }
+      
+      // Validate email format
+      if (!isValidEmail(inviteeEmail)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Invalid invitee email format'
+        });
+      }
+      
+      // Validate the time window
+      const window = parseAppointmentWindow(startTime, endTime);
+      if (window.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: window.error
+        });
+      }
+      
+      // Answers must suit the event's questions, and the location be one the event offers
+      const answers = await validateBookingAnswers(eventId, call.request.answers);
+      const location = await validateBookingLocation(eventId, call.request);
+      
+      const result = await bookAsInvitee({
+        userId,
+        eventId,
+        inviteeName: inviteeName.name,
+        inviteeEmail,
+        window,
+        answers,
+        location,
+        holdId: hold ? hold.id : null,
+        linkId: scheduling_link_id || null
+      });
+      if (result.rejection) {
+        return callback(rejectionError(result.rejection));
+      }
+      
+      callback(null, formatAppointment(result.appointment));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error booking appointment:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Fetch an appointment by the invitee's manage token
+  GetBooking: async (call, callback) => {
+    try {
+      const { manage_token, time_zone } = call.request;
+      
+      const timeZoneError = invalidTimeZoneError(time_zone);
+      if (timeZoneError) {
+        return callback(timeZoneError);
+      }
+      
+      const appointment = await getManagedAppointment(manage_token);
+      
+      callback(null, formatAppointment(appointment, time_zone));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error getting booking:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Cancel an appointment by the invitee's manage token
+  CancelBooking: async (call, callback) => {
+    try {
+      const { manage_token, reason } = call.request;
+      
+      const cancellation = parseCancellationReason(reason);
+      if (cancellation.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: cancellation.error
+        });
+      }
+      
+      const appointment = await getManagedAppointment(manage_token);
+      
+      const result = await cancelAsInvitee({ appointment, reason: cancellation.reason });
+      if (result.error) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: result.error
+        });
+      }
+      await offerFreedSlot(appointment);
+      
+      callback(null, formatAppointment(result.appointment));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error canceling booking:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Move an appointment into another offered slot by the invitee's manage token
+  RescheduleBooking: async (call, callback) => {
+    try {
+      const throttled = throttleClient(clientKey(call));
+      if (throttled) {
+        return callback(rejectionError(throttled));
+      }
+      
+      const { manage_token, start_time, end_time } = call.request;
+      
+      if (!start_time || !end_time) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Start and end time are required'
+        });
+      }
+      
+      // Validate the time window
+      const window = parseAppointmentWindow(start_time, end_time);
+      if (window.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: window.error
+        });
+      }
+      
+      const appointment = await getManagedAppointment(manage_token);
+      
+      const result = await rescheduleAsInvitee({ appointment, window });
+      if (result.error) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: result.error
+        });
+      }
+      if (result.rejection) {
+        return callback(rejectionError(result.rejection));
+      }
+      
+      callback(null, formatAppointment(result.appointment));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error rescheduling booking:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Wait in line for a fully booked slot or day of an event as an invitee
+  JoinWaitlist: async (call, callback) => {
+    try {
+      const { event_id, invitee_name, invitee_email, start_time, end_time, date } = call.request;
+      
+      // Validate required fields; invitees wait for one slot or for any slot of a day
+      if (!event_id || !invitee_email || (!start_time && !end_time && !date)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Event, invitee email and a slot or date are required'
+        });
+      }
+      if (date && (start_time || end_time)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Give either a slot or a date'
+        });
+      }
+      
+      const inviteeName = parseInviteeName(invitee_name);
+      if (inviteeName.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: inviteeName.error
+        });
+      }
+      
+      // Validate email format
+      if (!isValidEmail(invitee_email)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Invalid invitee email format'
+        });
+      }
+      
+      // Validate the slot or the date
+      const window = date ? null : parseAppointmentWindow(start_time, end_time);
+      if (window && window.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: window.error
+        });
+      }
+      if (date && !parseDate(date)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Date must be in YYYY-MM-DD format'
+        });
+      }
+      
+      const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [event_id]);
+      if (!event) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Event not found'
+        });
+      }
+      
+      const result = await joinWaitlist({
+        event,
+        inviteeName: inviteeName.name,
+        inviteeEmail: invitee_email,
+        window,
+        date: date || null
+      });
+      if (result.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: result.error
+        });
+      }
+      if (result.rejection) {
+        return callback(rejectionError(result.rejection));
+      }
+      
+      callback(null, formatWaitlistEntry(result.entry, true));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error joining waitlist:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Fetch a waitlist entry by the invitee's waitlist token
+  GetWaitlistEntry: async (call, callback) => {
+    try {
+      const entry = await getWaitlistEntry(call.request.waitlist_token);
+      
+      callback(null, formatWaitlistEntry(entry, true));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error getting waitlist entry:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Leave the waitlist by the invitee's waitlist token
+  LeaveWaitlist: async (call, callback) => {
+    try {
+      const entry = await getWaitlistEntry(call.request.waitlist_token);
+      
+      await leaveWaitlist(entry);
+      
+      callback(null, {});
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error leaving waitlist:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Book the time a waitlist entry holds a claim on, by the invitee's waitlist token
+  ClaimWaitlistOffer: async (call, callback) => {
+    try {
+      const throttled = throttleClient(clientKey(call));
+      if (throttled) {
+        return callback(rejectionError(throttled));
+      }
+      
+      const entry = await getWaitlistEntry(call.request.waitlist_token);
+      
+      // Answers must suit the event's questions, and the location be one the event offers
+      const answers = await validateBookingAnswers(entry.eventId, call.request.answers);
+      const location = await validateBookingLocation(entry.eventId, call.request);
+      
+      const result = await claimOffer({ entry, answers, location });
+      if (result.error) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: result.error
+        });
+      }
+      if (result.rejection) {
+        return callback(rejectionError(result.rejection));
+      }
+      
+      callback(null, formatAppointment(result.appointment));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error claiming waitlist offer:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // List the waitlist of an event the user owns or manages for its team
+  ListWaitlist: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { event_id } = call.request;
+      
+      const event = await dbAsync.get('SELECT userId, teamId FROM events WHERE id = ?', [event_id]);
+      if (!event) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Event not found'
+        });
+      }
+      
+      if (!await canManageEvent(event, user.id)) {
+        return callback({
+          code: grpc.status.PERMISSION_DENIED,
+          message: 'Forbidden: You can only view the waitlist of your own events'
+        });
+      }
+      
+      const entries = await listWaitlist(event_id);
+      
+      callback(null, { entries: entries.map(entry => formatWaitlistEntry(entry)) });
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error listing waitlist:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
   }
 };
 
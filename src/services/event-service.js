@@ -1,8 +1,182 @@
 const { dbAsync } = require('../db');
 const { isValidHexColor } = require('../utils/validators');
+const { RULE_FIELDS, validateBookingRules, eventRules, rulesFromGrpc, rulesToGrpc } = require('../utils/rules');
+const { scheduleOwnershipError } = require('../utils/schedules');
+const { validateCapacity, eventCapacity } = require('../utils/seats');
+const { parseDateTime } = require('../utils/booking');
+const { statusToGrpc } = require('../utils/status');
+const {
+  validateHostSettings, setEventHosts, poolHostIds, hostSettingsFromGrpc, hostSettingsToGrpc
+} = require('../utils/hosts');
+const { getMembership, teamEventError, teamHostsError, canManageEvent } = require('../utils/teams');
+const {
+  eventScope, parseSlug, generateEventSlug, eventSlugTaken, recordSlugChange, deleteSlugRedirects, resolveUserLink,
+  resolveEventLink, listPublicEvents, hostProfile
+} = require('../utils/slugs');
+const {
+  validateVisibility, isEventActive, storeVisibility, visibilityFromGrpc, visibilityToGrpc
+} = require('../utils/visibility');
+const {
+  eventQuestions, validateQuestions, storeList, questionsFromGrpc, questionsToGrpc
+} = require('../utils/questions');
+const {
+  eventLocations, validateLocations, storeLocations, locationsFromGrpc, locationToGrpc
+} = require('../utils/locations');
+const { duplicateEvent } = require('../utils/duplicates');
+const {
+  validateLinkSettings, getLink, listLinks, createLink, revokeLink, linkStatus, linkStatusToGrpc
+} = require('../utils/links');
 const { authenticate } = require('../middleware/auth');
 const grpc = require('@grpc/grpc-js');
 
+// Map an event row and its pool hosts to the gRPC message
+const formatEvent = (event, isOwner, hostIds = []) => ({
+  id: event.id,
+  name: event.name,
+  duration: event.duration,
+  description: event.description || '',
+  color: event.color || '',
+  user_id: event.userId,
+  is_owner: isOwner,
+  ...rulesToGrpc(eventRules(event)),
+  schedule_id: event.scheduleId || 0,
+  capacity: eventCapacity(event),
+  ...hostSettingsToGrpc(event, hostIds),
+  team_id: event.teamId || '',
+  slug: event.slug || '',
+  questions: questionsToGrpc(eventQuestions(event)),
+  locations: eventLocations(event).map(locationToGrpc),
+  ...visibilityToGrpc(event)
+});
+
+// Check an event's chosen schedule; 0 (the owner's default) is always allowed
+const validateEventSchedule = async (scheduleId, userId) => {
+  const error = scheduleId ? await scheduleOwnershipError(scheduleId, userId) : null;
+  if (error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: error
+    };
+  }
+};
+
+// Check the host settings of a gRPC request for an event of `ownerId`; returns the settings to store
+const validateEventHosts = async (request, ownerId, existing = null) => {
+  const { settings, error } = await validateHostSettings({
+    ...hostSettingsFromGrpc(request),
+    capacity: request.capacity,
+    ownerId
+  }, existing);
+  if (error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: error
+    };
+  }
+  return settings;
+};
+
+// Check a chosen slug for an event type of `ownerId`; returns it, or undefined when not given
+const validateEventSlug = async (value, ownerId, eventId = null) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const { slug, error } = parseSlug(value);
+  if (error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: error
+    };
+  }
+  if (await eventSlugTaken(ownerId, slug, eventId)) {
+    throw {
+      code: grpc.status.ALREADY_EXISTS,
+      message: 'Slug is already taken'
+    };
+  }
+  return slug;
+};
+
+// Check the questions of a gRPC request; returns the questions to store, or undefined when not given
+const validateEventQuestions = (questions) => {
+  if (questions.length === 0) {
+    return undefined;
+  }
+  const result = validateQuestions(questionsFromGrpc(questions));
+  if (result.error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: result.error
+    };
+  }
+  return result.questions;
+};
+
+// Check the locations of a gRPC request; returns the locations to store, or undefined when not given
+const validateEventLocations = (locations) => {
+  if (locations.length === 0) {
+    return undefined;
+  }
+  const result = validateLocations(locationsFromGrpc(locations));
+  if (result.error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: result.error
+    };
+  }
+  return result.locations;
+};
+
+// Map a scheduling link row to the gRPC message
+const formatLink = (link) => ({
+  id: link.id,
+  event_id: link.eventId,
+  user_id: link.userId,
+  max_uses: link.maxUses,
+  use_count: link.useCount,
+  invitee_email: link.inviteeEmail || '',
+  expires_at: link.expiresAt,
+  revoked_at: link.revokedAt || '',
+  created_at: link.createdAt,
+  status: linkStatusToGrpc(linkStatus(link))
+});
+
+// Load an event the user can manage, throwing NOT_FOUND or PERMISSION_DENIED with `forbiddenMessage`
+const getManagedEvent = async (eventId, user, forbiddenMessage) => {
+  const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+  if (!event) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Event not found'
+    };
+  }
+  if (!await canManageEvent(event, user.id)) {
+    throw {
+      code: grpc.status.PERMISSION_DENIED,
+      message: forbiddenMessage
+    };
+  }
+  return event;
+};
+
+// Check that the user may put an event type in `teamId` with these hosts
+const validateEventTeam = async (teamId, userId, hostIds) => {
+  const forbidden = await teamEventError(teamId, userId);
+  if (forbidden) {
+    throw {
+      code: grpc.status.PERMISSION_DENIED,
+      message: forbidden
+    };
+  }
+  const error = await teamHostsError(teamId, hostIds, userId);
+  if (error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: error
+    };
+  }
+};
+
 const eventService = {
   // Create a new event
   CreateEvent: async (call, callback) => {
@@ -10,7 +184,8 @@ const eventService = {
       // Authenticate the user
       const user = await authenticate(call);
       
-      const { name, duration, description, color } = call.request;
+      const { name, duration, description, color, schedule_id } = call.request;
+      const capacity = validateCapacity(call.request.capacity);
       
       // Validate required fields
       if (!name || !duration) {
@@ -28,24 +203,74 @@ const eventService = {
         });
       }
       
+      // Validate booking rules and capacity if provided
+      const { rules, error } = validateBookingRules(rulesFromGrpc(call.request));
+      if (error || capacity.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error || capacity.error
+        });
+      }
+      const storedRules = eventRules(rules);
+      
+      // New event types are active and listed publicly unless asked otherwise
+      const { visibility } = validateVisibility(visibilityFromGrpc(call.request));
+      const flags = storeVisibility({ active: true, secret: false, linkOnly: false, ...visibility });
+      
+      // Validate the schedule if one is picked
+      await validateEventSchedule(schedule_id, user.id);
+      const scheduleId = schedule_id || null;
+      
+      // Round-robin event types assign each booking to one of their hosts; collective ones need all of them
+      const hosts = await validateEventHosts(call.request, user.id);
+      const { assignmentStrategy = 'least_recent', hostIds = [] } = hosts;
+      
+      // Team event types are created by team admins and hosted by team members
+      const teamId = call.request.team_id || null;
+      await validateEventTeam(teamId, user.id, hostIds);
+      
+      // Event types pick their slug or get one made from their name
+      const slug = await validateEventSlug(call.request.slug, user.id) || await generateEventSlug(user.id, name);
+      
+      // Invitees answer the questions on every booking
+      const questions = validateEventQuestions(call.request.questions) || [];
+      const locations = validateEventLocations(call.request.locations) || [];
+      
       // Generate simple ID
       const id = Date.now().toString();
       
       // Insert event into database
+      const seats = capacity.capacity || 1;
       await dbAsync.run(
-        'INSERT INTO events (id, name, duration, description, color, userId) VALUES (?, ?, ?, ?, ?, ?)',
-        [id, name, duration, description || null, color || null, user.id]
+        `INSERT INTO events (id, name, duration, description, color, userId, scheduleId, capacity, hostMode, assignmentStrategy,
+           teamId, slug, questions, locations, active, secret, linkOnly, ${RULE_FIELDS.join(', ')})
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${', ?'.repeat(RULE_FIELDS.length)})`,
+        [id, name, duration, description || null, color || null, user.id, scheduleId, seats, hosts.hostMode,
+          assignmentStrategy, teamId, slug, storeList(questions), storeLocations(locations), flags.active, flags.secret,
+          flags.linkOnly, ...RULE_FIELDS.map(field => storedRules[field])]
       );
+      if (hostIds.length > 0) {
+        await setEventHosts(id, hostIds);
+      }
       
-      callback(null, {
+      callback(null, formatEvent({
         id,
         name,
         duration,
-        description: description || '',
-        color: color || '',
-        user_id: user.id,
-        is_owner: true
-      });
+        description,
+        color,
+        userId: user.id,
+        scheduleId,
+        capacity: seats,
+        hostMode: hosts.hostMode,
+        assignmentStrategy,
+        teamId,
+        slug,
+        questions: storeList(questions),
+        locations: storeLocations(locations),
+        ...flags,
+        ...storedRules
+      }, true, hostIds));
     } catch (err) {
       if (err.code) {
         return callback(err);
@@ -80,15 +305,7 @@ const eventService = {
       // Check if user is the owner of the event
       const isOwner = event.userId === user.id;
       
-      callback(null, {
-        id: event.id,
-        name: event.name,
-        duration: event.duration,
-        description: event.description || '',
-        color: event.color || '',
-        user_id: event.userId,
-        is_owner: isOwner
-      });
+      callback(null, formatEvent(event, isOwner, await poolHostIds(event)));
     } catch (err) {
       if (err.code) {
         return callback(err);
@@ -112,15 +329,7 @@ const eventService = {
       const events = await dbAsync.all('SELECT * FROM events WHERE userId = ?', [user.id]);
       
       // Format events for response
-      const formattedEvents = events.map(event => ({
-        id: event.id,
-        name: event.name,
-        duration: event.duration,
-        description: event.description || '',
-        color: event.color || '',
-        user_id: event.userId,
-        is_owner: true
-      }));
+      const formattedEvents = await Promise.all(events.map(async event => formatEvent(event, true, await poolHostIds(event))));
       
       callback(null, { events: formattedEvents });
     } catch (err) {
@@ -142,16 +351,32 @@ const eventService = {
       // Authenticate the user
       const user = await authenticate(call);
       
-      const { event_id, name, duration, description, color } = call.request;
+      const { event_id, name, duration, description, color, schedule_id } = call.request;
+      const { rules, error } = validateBookingRules(rulesFromGrpc(call.request));
+      const capacity = validateCapacity(call.request.capacity);
+      const hostInput = hostSettingsFromGrpc(call.request);
       
       // Validate at least one field is provided
-      if (!name && duration === null && !description && !color) {
+      if (!name && duration === undefined && !description && !color && Object.keys(rules).length === 0 &&
+          schedule_id === undefined && call.request.capacity === undefined &&
+          Object.values(hostInput).every(value => value === undefined) && call.request.slug === undefined &&
+          call.request.questions.length === 0 && !call.request.clear_questions &&
+          call.request.locations.length === 0 && !call.request.clear_locations &&
+          call.request.active === undefined && call.request.secret === undefined && call.request.link_only === undefined) {
         return callback({
           code: grpc.status.INVALID_ARGUMENT,
           message: 'At least one field is required'
         });
       }
       
+      // Validate booking rules and capacity if provided
+      if (error || capacity.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error || capacity.error
+        });
+      }
+      
       // Validate color format if provided
       if (color && !isValidHexColor(color)) {
         return callback({
@@ -160,7 +385,7 @@ const eventService = {
         });
       }
       
-      // Check if event exists and user is owner
+      // Check if event exists and user is owner or an admin of its team
       const existingEvent = await dbAsync.get('SELECT * FROM events WHERE id = ?', [event_id]);
       
       if (!existingEvent) {
@@ -170,13 +395,28 @@ const eventService = {
         });
       }
       
-      if (existingEvent.userId !== user.id) {
+      if (!await canManageEvent(existingEvent, user.id)) {
         return callback({
           code: grpc.status.PERMISSION_DENIED,
           message: 'Forbidden: You can only modify your own events'
         });
       }
       
+      // Validate the schedule if one is picked; schedules and hosts stay the owner's
+      await validateEventSchedule(schedule_id, existingEvent.userId);
+      const hosts = await validateEventHosts(call.request, existingEvent.userId, existingEvent);
+      const hostsError = await teamHostsError(existingEvent.teamId, hosts.hostIds, existingEvent.userId);
+      if (hostsError) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: hostsError
+        });
+      }
+      const slug = await validateEventSlug(call.request.slug, existingEvent.userId, event_id);
+      const questions = call.request.clear_questions ? [] : validateEventQuestions(call.request.questions);
+      const locations = call.request.clear_locations ? [] : validateEventLocations(call.request.locations);
+      const { visibility } = validateVisibility(visibilityFromGrpc(call.request));
+      
       // Build update query
       const fields = [];
       const values = [];
@@ -185,7 +425,7 @@ const eventService = {
         fields.push('name = ?');
         values.push(name);
       }
-      if (duration !== null) {
+      if (duration !== undefined) {
         fields.push('duration = ?');
         values.push(duration);
       }
@@ -197,6 +437,45 @@ const eventService = {
         fields.push('color = ?');
         values.push(color);
       }
+      Object.keys(rules).forEach(field => {
+        fields.push(`${field} = ?`);
+        values.push(rules[field]);
+      });
+      // 0 goes back to the owner's default schedule
+      if (schedule_id !== undefined) {
+        fields.push('scheduleId = ?');
+        values.push(schedule_id || null);
+      }
+      if (capacity.capacity) {
+        fields.push('capacity = ?');
+        values.push(capacity.capacity);
+      }
+      fields.push('hostMode = ?');
+      values.push(hosts.hostMode);
+      if (hosts.assignmentStrategy) {
+        fields.push('assignmentStrategy = ?');
+        values.push(hosts.assignmentStrategy);
+      }
+      if (slug) {
+        fields.push('slug = ?');
+        values.push(slug);
+      }
+      // Clearing removes the questions; answers already given stay on their appointments
+      if (questions) {
+        fields.push('questions = ?');
+        values.push(storeList(questions));
+      }
+      // Clearing removes the locations; booked appointments keep theirs
+      if (locations) {
+        fields.push('locations = ?');
+        values.push(storeLocations(locations));
+      }
+      // Deactivating keeps the event type's appointments; it just takes no new bookings
+      const storedVisibility = storeVisibility(visibility);
+      Object.keys(storedVisibility).forEach(field => {
+        fields.push(`${field} = ?`);
+        values.push(storedVisibility[field]);
+      });
       
       values.push(event_id);
       
@@ -212,18 +491,19 @@ const eventService = {
         });
       }
       
+      // Hosts are only replaced when given; going back to a single host drops them
+      if (hosts.hostIds) {
+        await setEventHosts(event_id, hosts.hostIds);
+      }
+      // The old slug keeps redirecting to the event type
+      if (slug) {
+        await recordSlugChange(eventScope(existingEvent.userId), event_id, existingEvent.slug, slug);
+      }
+      
       // Get updated event
       const updatedEvent = await dbAsync.get('SELECT * FROM events WHERE id = ?', [event_id]);
       
-      callback(null, {
-        id: updatedEvent.id,
-        name: updatedEvent.name,
-        duration: updatedEvent.duration,
-        description: updatedEvent.description || '',
-        color: updatedEvent.color || '',
-        user_id: updatedEvent.userId,
-        is_owner: true
-      });
+      callback(null, formatEvent(updatedEvent, updatedEvent.userId === user.id, await poolHostIds(updatedEvent)));
     } catch (err) {
       if (err.code) {
         return callback(err);
@@ -237,6 +517,123 @@ const eventService = {
     }
   },
   
+  // Copy an event type with its settings; the request's fields override the original's
+  DuplicateEvent: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { event_id, name, duration, description, color, schedule_id } = call.request;
+      const { rules, error } = validateBookingRules(rulesFromGrpc(call.request));
+      const capacity = validateCapacity(call.request.capacity);
+      
+      // Validate overrides if provided
+      if (name !== undefined && !name.trim()) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Name cannot be empty'
+        });
+      }
+      if (duration !== undefined && duration <= 0) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Duration must be a positive number of minutes'
+        });
+      }
+      if (color && !isValidHexColor(color)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Color must be a valid hex color (e.g., #FF0000)'
+        });
+      }
+      if (error || capacity.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error || capacity.error
+        });
+      }
+      
+      // Check if event exists and user is owner or an admin of its team
+      const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [event_id]);
+      
+      if (!event) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Event not found'
+        });
+      }
+      
+      if (!await canManageEvent(event, user.id)) {
+        return callback({
+          code: grpc.status.PERMISSION_DENIED,
+          message: 'Forbidden: You can only duplicate your own events'
+        });
+      }
+      
+      // The copy stays the owner's, in the same team and with the same hosts
+      await validateEventSchedule(schedule_id, event.userId);
+      const hosts = await validateHostSettings({ capacity: capacity.capacity, ownerId: event.userId }, event);
+      if (hosts.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: hosts.error
+        });
+      }
+      const slug = await validateEventSlug(call.request.slug, event.userId);
+      const questions = call.request.clear_questions ? [] : validateEventQuestions(call.request.questions);
+      const locations = call.request.clear_locations ? [] : validateEventLocations(call.request.locations);
+      const { visibility } = validateVisibility(visibilityFromGrpc(call.request));
+      
+      // Collect the overridden columns
+      const columns = { ...rules, ...storeVisibility(visibility) };
+      if (name !== undefined) {
+        columns.name = name.trim();
+      }
+      if (duration !== undefined) {
+        columns.duration = duration;
+      }
+      if (description !== undefined) {
+        columns.description = description || null;
+      }
+      if (color !== undefined) {
+        columns.color = color || null;
+      }
+      // 0 goes back to the owner's default schedule
+      if (schedule_id !== undefined) {
+        columns.scheduleId = schedule_id || null;
+      }
+      if (capacity.capacity) {
+        columns.capacity = capacity.capacity;
+      }
+      if (slug) {
+        columns.slug = slug;
+      }
+      if (questions) {
+        columns.questions = storeList(questions);
+      }
+      if (locations) {
+        columns.locations = storeLocations(locations);
+      }
+      
+      // Generate simple ID
+      const id = Date.now().toString();
+      
+      const copy = await duplicateEvent(event, id, columns);
+      
+      callback(null, formatEvent(copy, copy.userId === user.id, await poolHostIds(copy)));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error duplicating event:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
   // Delete an event
   DeleteEvent: async (call, callback) => {
     try {
@@ -246,7 +643,7 @@ const eventService = {
       const { event_id } = call.request;
       
       // Check if event exists and user is owner
-      const existingEvent = await dbAsync.get('SELECT userId FROM events WHERE id = ?', [event_id]);
+      const existingEvent = await dbAsync.get('SELECT userId, teamId FROM events WHERE id = ?', [event_id]);
       
       if (!existingEvent) {
         return callback({
@@ -255,7 +652,7 @@ const eventService = {
         });
       }
       
-      if (existingEvent.userId !== user.id) {
+      if (!await canManageEvent(existingEvent, user.id)) {
         return callback({
           code: grpc.status.PERMISSION_DENIED,
           message: 'Forbidden: You can only delete your own events'
@@ -271,6 +668,8 @@ const eventService = {
           message: 'Event not found'
         });
       }
+      await dbAsync.run('DELETE FROM event_hosts WHERE eventId = ?', [event_id]);
+      await deleteSlugRedirects(eventScope(existingEvent.userId), event_id);
       
       callback(null, {});
     } catch (err) {
@@ -284,6 +683,294 @@ const eventService = {
         message: 'Database error'
       });
     }
+  },
+  
+  // List the invitees holding a seat in one slot of the user's event
+  ListAttendees: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { event_id, start_time } = call.request;
+      
+      const start = parseDateTime(start_time);
+      if (isNaN(start)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Start time must be an ISO 8601 date-time with a UTC offset'
+        });
+      }
+      
+      // Check if event exists and user is owner
+      const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [event_id]);
+      
+      if (!event) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Event not found'
+        });
+      }
+      
+      if (!await canManageEvent(event, user.id)) {
+        return callback({
+          code: grpc.status.PERMISSION_DENIED,
+          message: 'Forbidden: You can only view attendees of your own events'
+        });
+      }
+      
+      // Seats are the event's active appointments covering exactly this slot
+      const startTime = new Date(start).toISOString();
+      const endTime = new Date(start + event.duration * 60 * 1000).toISOString();
+      const attendees = await dbAsync.all(
+        `SELECT id, inviteeName, inviteeEmail, status FROM appointments
+         WHERE eventId = ? AND startTime = ? AND endTime = ? AND status != 'canceled'
+         ORDER BY rowid`,
+        [event_id, startTime, endTime]
+      );
+      const capacity = eventCapacity(event);
+      
+      callback(null, {
+        event_id,
+        start_time: startTime,
+        end_time: endTime,
+        capacity,
+        remaining_seats: Math.max(capacity - attendees.length, 0),
+        attendees: attendees.map(attendee => ({
+          appointment_id: attendee.id,
+          invitee_name: attendee.inviteeName || '',
+          invitee_email: attendee.inviteeEmail,
+          status: statusToGrpc(attendee.status)
+        }))
+      });
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error listing attendees:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // List the event types owned by one of the user's teams
+  ListTeamEvents: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { team_id } = call.request;
+      
+      // Teams are private, so non-members can't tell them apart from missing ones
+      if (!await getMembership(team_id, user.id)) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Team not found'
+        });
+      }
+      
+      const events = await dbAsync.all('SELECT * FROM events WHERE teamId = ? ORDER BY id', [team_id]);
+      
+      const formattedEvents = await Promise.all(
+        events.map(async event => formatEvent(event, event.userId === user.id, await poolHostIds(event)))
+      );
+      
+      callback(null, { events: formattedEvents });
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error listing team events:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Resolve a public link to the event type and host profile a booking page needs (no auth needed)
+  GetEventBySlug: async (call, callback) => {
+    try {
+      const { user_slug, event_slug } = call.request;
+      
+      // Inactive event types take no bookings, so their pages are gone too
+      const link = await resolveEventLink(user_slug, event_slug);
+      
+      if (!link || !isEventActive(link.event)) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Event not found'
+        });
+      }
+      
+      // Old slugs still resolve; redirected tells clients to switch to the current ones
+      callback(null, {
+        host: hostProfile(link.user),
+        event: formatEvent(link.event, false, await poolHostIds(link.event)),
+        redirected: link.redirected
+      });
+    } catch (err) {
+      console.error('Error getting event by slug:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // List a host's public event types by their slug (no auth needed); secret ones are only
+  // reachable by their own link
+  GetUserPage: async (call, callback) => {
+    try {
+      const link = await resolveUserLink(call.request.user_slug);
+      
+      if (!link) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'User not found'
+        });
+      }
+      
+      const events = await listPublicEvents(link.user.id);
+      
+      callback(null, {
+        host: hostProfile(link.user),
+        events: await Promise.all(events.map(async event => formatEvent(event, false, await poolHostIds(event)))),
+        redirected: link.redirected
+      });
+    } catch (err) {
+      console.error('Error getting user page:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Generate a scheduling link to one of the user's event types
+  CreateSchedulingLink: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { event_id, max_uses, expires_in_days, invitee_email } = call.request;
+      
+      const { settings, error } = validateLinkSettings({
+        maxUses: max_uses, expiresInDays: expires_in_days, inviteeEmail: invitee_email
+      });
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error
+        });
+      }
+      
+      await getManagedEvent(event_id, user, 'Forbidden: You can only create links to your own events');
+      
+      const link = await createLink({ eventId: event_id, userId: user.id, settings });
+      
+      callback(null, formatLink(link));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error creating scheduling link:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // List the scheduling links of one of the user's event types
+  ListSchedulingLinks: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { event_id } = call.request;
+      
+      await getManagedEvent(event_id, user, 'Forbidden: You can only view links to your own events');
+      
+      const links = await listLinks(event_id);
+      
+      callback(null, { links: links.map(formatLink) });
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error listing scheduling links:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Revoke a scheduling link of one of the user's event types
+  RevokeSchedulingLink: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { event_id, link_id } = call.request;
+      
+      await getManagedEvent(event_id, user, 'Forbidden: You can only revoke links to your own events');
+      
+      const link = await getLink(link_id);
+      if (!link || link.eventId !== event_id) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Scheduling link not found'
+        });
+      }
+      
+      callback(null, formatLink(await revokeLink(link)));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
+      
+      console.error('Error revoking scheduling link:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Resolve a scheduling link to the event type, host and link state a booking page needs (no auth needed)
+  GetSchedulingLinkPage: async (call, callback) => {
+    try {
+      const link = await getLink(call.request.link_id);
+      const event = link && await dbAsync.get('SELECT * FROM events WHERE id = ?', [link.eventId]);
+      const host = event && await dbAsync.get('SELECT * FROM users WHERE id = ?', [event.userId]);
+      
+      // Inactive event types take no bookings, so their links are gone too
+      if (!host || !isEventActive(event)) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Scheduling link not found'
+        });
+      }
+      
+      callback(null, {
+        host: hostProfile(host),
+        event: formatEvent(event, false, await poolHostIds(event)),
+        link: formatLink(link)
+      });
+    } catch (err) {
+      console.error('Error getting scheduling link page:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
   }
 };
 
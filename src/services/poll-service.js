@@ -0,0 +1,296 @@
+const { authenticate } = require('../middleware/auth');
+const { isValidEmail } = require('../utils/validators');
+const { parseInviteeName, throttleClient } = require('../utils/publicBooking');
+const { canManageEvent } = require('../utils/teams');
+const {
+  parsePollTitle,
+  validatePollOptions,
+  getPoll,
+  listPolls,
+  createPoll,
+  validateVotes,
+  addParticipant,
+  changeVotes,
+  voteToken,
+  findByVoteToken,
+  schedulePoll,
+  pollStatusToGrpc,
+  voteAnswerToGrpc,
+  votesFromGrpc
+} = require('../utils/polls');
+const { rejectionError, clientKey } = require('../utils/rejections');
+const { dbAsync } = require('../db');
+const grpc = require('@grpc/grpc-js');
+
+// Map a participant row with its votes to the gRPC message. Emails are for the host and the
+// participant; only the participant gets the vote token
+const formatParticipant = (participant, { withEmail = true, withToken = false } = {}) => ({
+  id: participant.id,
+  invitee_name: participant.inviteeName || '',
+  invitee_email: withEmail ? participant.inviteeEmail : '',
+  votes: participant.votes.map(vote => ({ option_id: vote.optionId, answer: voteAnswerToGrpc(vote.answer) })),
+  appointment_id: participant.appointmentId || '',
+  created_at: participant.createdAt,
+  vote_token: withToken ? voteToken(participant) : ''
+});
+
+// Map a poll from getPoll to the gRPC message; the public view leaves out participant emails
+const formatPoll = (poll, withEmails = true) => ({
+  id: poll.id,
+  event_id: poll.eventId,
+  user_id: poll.userId,
+  title: poll.title || '',
+  status: pollStatusToGrpc(poll.status),
+  options: poll.options.map(option => ({
+    id: option.id,
+    start_time: option.startTime,
+    end_time: option.endTime,
+    yes_count: option.yesCount,
+    maybe_count: option.maybeCount,
+    no_count: option.noCount
+  })),
+  participants: poll.participants.map(participant => formatParticipant(participant, { withEmail: withEmails })),
+  chosen_option_id: poll.chosenOptionId || '',
+  created_at: poll.createdAt
+});
+
+// Load a poll, throwing NOT_FOUND when it does not exist
+const getExistingPoll = async (pollId) => {
+  const poll = await getPoll(pollId);
+
+  if (!poll) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Poll not found'
+    };
+  }
+
+  return poll;
+};
+
+// Log unexpected errors and answer with INTERNAL; errors carrying a code pass through
+const handleError = (action, callback) => (err) => {
+  if (err.code) {
+    return callback(err);
+  }
+
+  console.error(`Error ${action}:`, err);
+  callback({
+    code: grpc.status.INTERNAL,
+    message: 'Database error'
+  });
+};
+
+const pollService = {
+  // Propose candidate times of one of the user's event types
+  CreatePoll: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { event_id, options } = call.request;
+
+      const { title, error } = parsePollTitle(call.request.title);
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error
+        });
+      }
+
+      const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [event_id]);
+      if (!event) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Event not found'
+        });
+      }
+
+      if (!await canManageEvent(event, user.id)) {
+        return callback({
+          code: grpc.status.PERMISSION_DENIED,
+          message: 'Forbidden: You can only create polls for your own events'
+        });
+      }
+
+      const checked = await validatePollOptions(
+        event,
+        options.map(option => ({ startTime: option.start_time, endTime: option.end_time }))
+      );
+      if (checked.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: checked.error
+        });
+      }
+      if (checked.rejection) {
+        return callback(rejectionError(checked.rejection));
+      }
+
+      const poll = await createPoll({ event, userId: user.id, title, options: checked.options });
+
+      callback(null, formatPoll(poll));
+    } catch (err) {
+      handleError('creating poll', callback)(err);
+    }
+  },
+
+  // Fetch a poll by its link; no authorization metadata needed
+  GetPoll: async (call, callback) => {
+    try {
+      const poll = await getExistingPoll(call.request.poll_id);
+
+      callback(null, formatPoll(poll, false));
+    } catch (err) {
+      handleError('fetching poll', callback)(err);
+    }
+  },
+
+  // List the polls the authenticated user created
+  ListPolls: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const polls = await listPolls(user.id);
+
+      callback(null, { polls: polls.map(poll => formatPoll(poll)) });
+    } catch (err) {
+      handleError('listing polls', callback)(err);
+    }
+  },
+
+  // Answer every option of an open poll without an account
+  Vote: async (call, callback) => {
+    try {
+      const throttled = throttleClient(clientKey(call));
+      if (throttled) {
+        return callback(rejectionError(throttled));
+      }
+
+      const { poll_id, invitee_name, invitee_email } = call.request;
+
+      const inviteeName = parseInviteeName(invitee_name);
+      if (inviteeName.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: inviteeName.error
+        });
+      }
+
+      if (!invitee_email || !isValidEmail(invitee_email)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Invalid invitee email format'
+        });
+      }
+
+      const poll = await getExistingPoll(poll_id);
+
+      const { votes, error } = validateVotes(poll, votesFromGrpc(call.request.votes));
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error
+        });
+      }
+
+      const result = await addParticipant({
+        pollId: poll.id, inviteeName: inviteeName.name, inviteeEmail: invitee_email, votes
+      });
+      if (result.error) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: result.error
+        });
+      }
+      if (result.conflict) {
+        return callback({
+          code: grpc.status.ALREADY_EXISTS,
+          message: result.conflict
+        });
+      }
+
+      callback(null, formatParticipant(result.participant, { withToken: true }));
+    } catch (err) {
+      handleError('voting', callback)(err);
+    }
+  },
+
+  // Replace a participant's answers by their vote token
+  ChangeVote: async (call, callback) => {
+    try {
+      const participant = await findByVoteToken(call.request.vote_token);
+      if (!participant) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Vote not found'
+        });
+      }
+
+      const poll = await getExistingPoll(participant.pollId);
+
+      const { votes, error } = validateVotes(poll, votesFromGrpc(call.request.votes));
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error
+        });
+      }
+
+      const result = await changeVotes(participant, votes);
+      if (result.error) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: result.error
+        });
+      }
+
+      callback(null, formatParticipant(result.participant, { withToken: true }));
+    } catch (err) {
+      handleError('changing vote', callback)(err);
+    }
+  },
+
+  // Pick the winning option of one of the user's polls
+  SchedulePoll: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { poll_id, option_id } = call.request;
+
+      const poll = await getExistingPoll(poll_id);
+      if (poll.userId !== user.id) {
+        return callback({
+          code: grpc.status.PERMISSION_DENIED,
+          message: 'Forbidden: You can only schedule your own polls'
+        });
+      }
+
+      if (!poll.options.some(option => option.id === option_id)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Option is not part of the poll'
+        });
+      }
+
+      const result = await schedulePoll({ pollId: poll.id, optionId: option_id });
+      if (result.error) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: result.error
+        });
+      }
+      if (result.rejection) {
+        return callback(rejectionError(result.rejection));
+      }
+
+      callback(null, formatPoll(result.poll));
+    } catch (err) {
+      handleError('scheduling poll', callback)(err);
+    }
+  }
+};
+
+module.exports = pollService;
@@ -1,7 +1,143 @@
 const { dbAsync } = require('../db');
 const { authenticate, checkOwnership } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/validators');
+const {
+  parseDate,
+  parseDateRange,
+  validateDateOverrides,
+  mergeDateOverrides,
+  parseDateOverrides
+} = require('../utils/availability');
+const { renderTime } = require('../utils/timezone');
+const {
+  DEFAULT_SCHEDULE_NAME,
+  parseScheduleName,
+  getSchedule,
+  getDefaultSchedule,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+} = require('../utils/schedules');
+const { eventSlots } = require('../utils/slots');
+const { passOnClaims } = require('../utils/waitlist');
 const grpc = require('@grpc/grpc-js');
 
+// Map a schedule row to the gRPC message; date overrides live in their own column
+const formatSchedule = (schedule) => {
+  const availability = JSON.parse(schedule.availability);
+  
+  return {
+    id: schedule.id,
+    user_id: schedule.userId,
+    availability: {
+      ...(Array.isArray(availability) ? { days: availability } : availability),
+      date_overrides: parseDateOverrides(schedule.dateOverrides)
+    },
+    name: schedule.name,
+    is_default: Boolean(schedule.isDefault)
+  };
+};
+
+// Load a schedule by ID, throwing NOT_FOUND when it doesn't exist
+const findSchedule = async (scheduleId) => {
+  const schedule = await getSchedule(scheduleId);
+  
+  if (!schedule) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Schedule not found'
+    };
+  }
+  
+  return schedule;
+};
+
+// Load a schedule owned by `userId`, throwing NOT_FOUND or PERMISSION_DENIED otherwise
+const getOwnedSchedule = async (scheduleId, userId) => {
+  const schedule = await findSchedule(scheduleId);
+  
+  if (schedule.userId !== userId) {
+    throw {
+      code: grpc.status.PERMISSION_DENIED,
+      message: 'Forbidden: You can only modify your own schedules'
+    };
+  }
+  
+  return schedule;
+};
+
+// Load the user's default schedule, throwing NOT_FOUND when they have none
+const findDefaultSchedule = async (userId) => {
+  const schedule = await getDefaultSchedule(userId);
+  
+  if (!schedule) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Schedule not found'
+    };
+  }
+  
+  return schedule;
+};
+
+// Apply an UpdateSchedule/UpdateScheduleById request to `existingSchedule`, throwing
+// INVALID_ARGUMENT for invalid changes; returns the updated row
+const applyScheduleUpdate = async (existingSchedule, request) => {
+  const { availability, upsert_date_overrides, remove_override_dates, name, is_default } = request;
+  
+  // Validate that there is something to update
+  if (!availability && upsert_date_overrides.length === 0 && remove_override_dates.length === 0 &&
+      name === undefined && is_default === undefined) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: 'Availability, date override, name or default changes are required'
+    };
+  }
+  
+  const scheduleName = name === undefined ? {} : parseScheduleName(name);
+  
+  // Validate replacement and upserted overrides
+  const replacement = validateDateOverrides((availability && availability.date_overrides) || []);
+  const upserts = validateDateOverrides(upsert_date_overrides);
+  const error = scheduleName.error || replacement.error || upserts.error;
+  if (error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: error
+    };
+  }
+  
+  if (remove_override_dates.some(date => !parseDate(date))) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: 'Override dates must be in YYYY-MM-DD format'
+    };
+  }
+  
+  // Overrides listed in the availability replace the stored ones; upserts and removals patch them by date
+  const baseOverrides = replacement.overrides.length > 0
+    ? replacement.overrides
+    : parseDateOverrides(existingSchedule.dateOverrides);
+  const dateOverrides = mergeDateOverrides(baseOverrides, upserts.overrides, remove_override_dates);
+  
+  const result = await updateSchedule(existingSchedule, {
+    name: scheduleName.name,
+    // Keep the weekly days when none are sent
+    availabilityJson: availability ? JSON.stringify({ days: availability.days }) : null,
+    dateOverridesJson: JSON.stringify(dateOverrides),
+    isDefault: is_default
+  });
+  if (result.error) {
+    throw {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: result.error
+    };
+  }
+  
+  return result.schedule;
+};
+
 const scheduleService = {
   // Create a new schedule
   CreateSchedule: async (call, callback) => {
@@ -9,7 +145,7 @@ const scheduleService = {
       // Authenticate the user
       const user = await authenticate(call);
       
-      const { user_id, availability } = call.request;
+      const { user_id, availability, name, is_default } = call.request;
       
       // Validate required fields
       if (!user_id || !availability) {
@@ -27,26 +163,31 @@ const scheduleService = {
         });
       }
       
-      // Convert availability to JSON string
-      const availabilityJson = JSON.stringify(availability);
-      
-      // Insert schedule into database
-      await dbAsync.run(
-        'INSERT INTO schedules (userId, availability) VALUES (?, ?)',
-        [user_id, availabilityJson]
-      );
+      // Validate the name and date overrides; the name defaults for backward compatibility
+      const scheduleName = name ? parseScheduleName(name) : { name: DEFAULT_SCHEDULE_NAME };
+      const { overrides, error: overridesError } = validateDateOverrides(availability.date_overrides || []);
+      const error = scheduleName.error || overridesError;
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error
+        });
+      }
       
-      // Get the newly created schedule
-      const newSchedule = await dbAsync.get(
-        'SELECT * FROM schedules WHERE userId = ?',
-        [user_id]
-      );
+      // Convert weekly availability and overrides to JSON strings
+      const availabilityJson = JSON.stringify({ days: availability.days });
+      const dateOverridesJson = JSON.stringify(overrides);
       
-      callback(null, {
-        id: newSchedule.id,
-        user_id: newSchedule.userId,
-        availability: availability
+      // Insert schedule into database; the user's first schedule becomes the default
+      const newSchedule = await createSchedule({
+        userId: user_id,
+        name: scheduleName.name,
+        availabilityJson,
+        dateOverridesJson,
+        isDefault: is_default
       });
+      
+      callback(null, formatSchedule(newSchedule));
     } catch (err) {
       if (err.code) {
         return callback(err);
@@ -60,30 +201,16 @@ const scheduleService = {
     }
   },
   
-  // Get schedule by user ID
+  // Get a user's default schedule by user ID
   GetSchedule: async (call, callback) => {
     try {
       const { user_id } = call.request;
       
-      // Get schedule from database
-      const schedule = await dbAsync.get('SELECT * FROM schedules WHERE userId = ?', [user_id]);
-      
-      if (!schedule) {
-        return callback({
-          code: grpc.status.NOT_FOUND,
-          message: 'Schedule not found'
-        });
-      }
+      const schedule = await findDefaultSchedule(user_id);
       
       try {
-        // Parse availability from JSON string
-        const availability = JSON.parse(schedule.availability);
-        
-        callback(null, {
-          id: schedule.id,
-          user_id: schedule.userId,
-          availability: availability
-        });
+        // Parse availability and overrides from JSON strings
+        callback(null, formatSchedule(schedule));
       } catch (parseError) {
         console.error('JSON parse error:', parseError);
         return callback({
@@ -110,18 +237,13 @@ const scheduleService = {
       // Authenticate the user
       const user = await authenticate(call);
       
-      // Get schedules from database
-      const schedules = await dbAsync.all('SELECT * FROM schedules WHERE userId = ?', [user.id]);
+      // Get schedules from database, default first
+      const schedules = await listSchedules(user.id);
       
       // Format schedules for response
       const formattedSchedules = schedules.map(schedule => {
         try {
-          const availability = JSON.parse(schedule.availability);
-          return {
-            id: schedule.id,
-            user_id: schedule.userId,
-            availability: availability
-          };
+          return formatSchedule(schedule);
         } catch (parseError) {
           console.error('JSON parse error:', parseError);
           // Skip invalid entries
@@ -143,46 +265,89 @@ const scheduleService = {
     }
   },
   
-  // Update a schedule
+  // Update a user's default schedule
   UpdateSchedule: async (call, callback) => {
     try {
       // Authenticate the user
       const user = await authenticate(call);
       
-      const { user_id, availability } = call.request;
+      // Check ownership
+      checkOwnership(user.id, call.request.user_id);
       
-      // Validate required fields
-      if (!availability) {
-        return callback({
-          code: grpc.status.INVALID_ARGUMENT,
-          message: 'Availability is required'
-        });
+      const existingSchedule = await findDefaultSchedule(call.request.user_id);
+      const updatedSchedule = await applyScheduleUpdate(existingSchedule, call.request);
+      
+      callback(null, formatSchedule(updatedSchedule));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
       }
       
+      console.error('Error updating schedule:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Delete a user's default schedule; their oldest other schedule becomes the default
+  DeleteSchedule: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const { user_id } = call.request;
+      
       // Check ownership
       checkOwnership(user.id, user_id);
       
-      // Convert availability to JSON string
-      const availabilityJson = JSON.stringify(availability);
+      const schedule = await findDefaultSchedule(user_id);
+      await deleteSchedule(schedule);
       
-      // Update schedule in database
-      const result = await dbAsync.run(
-        'UPDATE schedules SET availability = ? WHERE userId = ?',
-        [availabilityJson, user_id]
-      );
+      callback(null, {});
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
       
-      if (result.changes === 0) {
-        return callback({
-          code: grpc.status.NOT_FOUND,
-          message: 'Schedule not found'
-        });
+      console.error('Error deleting schedule:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Get a schedule by ID
+  GetScheduleById: async (call, callback) => {
+    try {
+      const schedule = await findSchedule(call.request.schedule_id);
+      
+      callback(null, formatSchedule(schedule));
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
       }
       
-      callback(null, {
-        id: 0, // We don't know the ID here, but it's not important for the response
-        user_id: user_id,
-        availability: availability
+      console.error('Error getting schedule:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
       });
+    }
+  },
+  
+  // Update a schedule by ID
+  UpdateScheduleById: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+      
+      const existingSchedule = await getOwnedSchedule(call.request.schedule_id, user.id);
+      const updatedSchedule = await applyScheduleUpdate(existingSchedule, call.request);
+      
+      callback(null, formatSchedule(updatedSchedule));
     } catch (err) {
       if (err.code) {
         return callback(err);
@@ -196,34 +361,93 @@ const scheduleService = {
     }
   },
   
-  // Delete a schedule
-  DeleteSchedule: async (call, callback) => {
+  // Delete a schedule by ID; event types using it fall back to the default schedule
+  DeleteScheduleById: async (call, callback) => {
     try {
       // Authenticate the user
       const user = await authenticate(call);
       
-      const { user_id } = call.request;
+      const schedule = await getOwnedSchedule(call.request.schedule_id, user.id);
+      await deleteSchedule(schedule);
       
-      // Check ownership
-      checkOwnership(user.id, user_id);
+      callback(null, {});
+    } catch (err) {
+      if (err.code) {
+        return callback(err);
+      }
       
-      // Delete schedule from database
-      const result = await dbAsync.run('DELETE FROM schedules WHERE userId = ?', [user_id]);
+      console.error('Error deleting schedule:', err);
+      callback({
+        code: grpc.status.INTERNAL,
+        message: 'Database error'
+      });
+    }
+  },
+  
+  // Get bookable slots for a user's event over a date range
+  GetAvailableSlots: async (call, callback) => {
+    try {
+      const { user_id, event_id, from, to, time_zone } = call.request;
       
-      if (result.changes === 0) {
+      // Validate required fields
+      if (!user_id || !event_id || !from || !to) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'userId, eventId, from and to are required'
+        });
+      }
+      
+      // Validate requested display time zone if provided
+      if (time_zone && !isValidTimezone(time_zone)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Time zone must be a valid IANA time zone (e.g., Europe/Tallinn)'
+        });
+      }
+      
+      const range = parseDateRange(from, to);
+      if (range.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: range.error
+        });
+      }
+      
+      // The event defines the slot length and must belong to the user
+      const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [event_id]);
+      
+      if (!event || event.userId !== user_id) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Event not found'
+        });
+      }
+      
+      // Slots from the event's own schedule or the hosts' default ones, once lapsed waitlist
+      // claims have passed on
+      await passOnClaims();
+      const slots = await eventSlots(event, { from: range.from, to: range.to });
+      
+      if (!slots) {
         return callback({
           code: grpc.status.NOT_FOUND,
           message: 'Schedule not found'
         });
       }
       
-      callback(null, {});
+      callback(null, {
+        slots: slots.map(slot => ({
+          start_time: renderTime(slot.startTime, time_zone),
+          end_time: renderTime(slot.endTime, time_zone),
+          remaining_seats: slot.remainingSeats
+        }))
+      });
     } catch (err) {
       if (err.code) {
         return callback(err);
       }
       
-      console.error('Error deleting schedule:', err);
+      console.error('Error getting available slots:', err);
       callback({
         code: grpc.status.INTERNAL,
         message: 'Database error'
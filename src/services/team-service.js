@@ -0,0 +1,470 @@
+const { authenticate } = require('../middleware/auth');
+const { isValidEmail } = require('../utils/validators');
+const {
+  isValidRole,
+  hasRole,
+  parseTeamName,
+  getTeam,
+  getMembership,
+  listTeams,
+  createTeam,
+  deleteTeam,
+  listMembers,
+  getMember,
+  isLastOwner,
+  roleChangeError,
+  removalError,
+  updateRole,
+  removeMember,
+  inviteMember,
+  getInvitation,
+  listInvitations,
+  listInvitationsFor,
+  isInvitee,
+  isExpired,
+  acceptInvitation,
+  deleteInvitation,
+  roleToGrpc,
+  roleFromGrpc
+} = require('../utils/teams');
+const { dbAsync } = require('../db');
+const grpc = require('@grpc/grpc-js');
+
+// Map a team row and the user's role in it to the gRPC message
+const formatTeam = (team, role) => ({
+  id: team.id,
+  name: team.name,
+  role: roleToGrpc(role),
+  created_at: team.createdAt
+});
+
+// Map a member row (user details with role) to the gRPC message
+const formatMember = (member) => ({
+  user: {
+    id: member.id,
+    name: member.name,
+    email: member.email,
+    timezone: member.timezone || ''
+  },
+  role: roleToGrpc(member.role),
+  joined_at: member.joinedAt
+});
+
+const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  team_id: invitation.teamId,
+  team_name: invitation.teamName || '',
+  email: invitation.email,
+  role: roleToGrpc(invitation.role),
+  invited_by: invitation.invitedBy,
+  created_at: invitation.createdAt,
+  expires_at: invitation.expiresAt
+});
+
+// Load a team and the user's membership, requiring `role` or a higher one. Teams are
+// private, so non-members get NOT_FOUND
+const getTeamAccess = async (teamId, userId, role = 'member', forbiddenMessage = null) => {
+  const team = await getTeam(teamId);
+  const membership = team ? await getMembership(teamId, userId) : null;
+
+  if (!membership) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Team not found'
+    };
+  }
+
+  if (!hasRole(membership, role)) {
+    throw {
+      code: grpc.status.PERMISSION_DENIED,
+      message: forbiddenMessage
+    };
+  }
+
+  return { team, membership };
+};
+
+// Load an invitation addressed to the user, throwing NOT_FOUND otherwise
+const getOwnInvitation = async (invitationId, user) => {
+  const invitation = await getInvitation(invitationId);
+
+  if (!invitation || !isInvitee(invitation, user)) {
+    throw {
+      code: grpc.status.NOT_FOUND,
+      message: 'Invitation not found'
+    };
+  }
+
+  return invitation;
+};
+
+// Log unexpected errors and answer with INTERNAL; errors carrying a code pass through
+const handleError = (action, callback) => (err) => {
+  if (err.code) {
+    return callback(err);
+  }
+
+  console.error(`Error ${action}:`, err);
+  callback({
+    code: grpc.status.INTERNAL,
+    message: 'Database error'
+  });
+};
+
+const teamService = {
+  // Create a team owned by the authenticated user
+  CreateTeam: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { name, error } = parseTeamName(call.request.name);
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error
+        });
+      }
+
+      const team = await createTeam({ name, userId: user.id });
+
+      callback(null, formatTeam(team, team.role));
+    } catch (err) {
+      handleError('creating team', callback)(err);
+    }
+  },
+
+  // Get one of the user's teams
+  GetTeam: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { team, membership } = await getTeamAccess(call.request.team_id, user.id);
+
+      callback(null, formatTeam(team, membership.role));
+    } catch (err) {
+      handleError('getting team', callback)(err);
+    }
+  },
+
+  // List the teams the authenticated user belongs to
+  ListTeams: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const teams = await listTeams(user.id);
+
+      callback(null, { teams: teams.map(team => formatTeam(team, team.role)) });
+    } catch (err) {
+      handleError('listing teams', callback)(err);
+    }
+  },
+
+  // Rename a team (admins)
+  UpdateTeam: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { team_id } = call.request;
+      const { team, membership } = await getTeamAccess(
+        team_id, user.id, 'admin', 'Forbidden: Only team admins can update the team'
+      );
+
+      if (call.request.name === undefined) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'At least one field is required'
+        });
+      }
+
+      const { name, error } = parseTeamName(call.request.name);
+      if (error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error
+        });
+      }
+
+      await dbAsync.run('UPDATE teams SET name = ? WHERE id = ?', [name, team_id]);
+
+      callback(null, formatTeam({ ...team, name }, membership.role));
+    } catch (err) {
+      handleError('updating team', callback)(err);
+    }
+  },
+
+  // Delete a team (owners)
+  DeleteTeam: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { team_id } = call.request;
+      await getTeamAccess(team_id, user.id, 'owner', 'Forbidden: Only team owners can delete the team');
+
+      await deleteTeam(team_id);
+
+      callback(null, {});
+    } catch (err) {
+      handleError('deleting team', callback)(err);
+    }
+  },
+
+  // Page through a team's members, owners first
+  ListTeamMembers: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { team_id } = call.request;
+      const page = call.request.page || 1;
+      const pageSize = call.request.page_size || 20;
+
+      if (page < 1 || pageSize < 1 || pageSize > 100) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Page must be at least 1 and page size from 1 to 100'
+        });
+      }
+
+      await getTeamAccess(team_id, user.id);
+
+      const { members, total } = await listMembers(team_id, { page, pageSize });
+
+      callback(null, {
+        members: members.map(formatMember),
+        pagination: {
+          page,
+          page_size: pageSize,
+          total
+        }
+      });
+    } catch (err) {
+      handleError('listing team members', callback)(err);
+    }
+  },
+
+  // Change a member's role (admins; only owners grant or change the owner role)
+  UpdateTeamMember: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { team_id, user_id } = call.request;
+      const role = roleFromGrpc(call.request.role);
+
+      if (!isValidRole(role)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Role must be one of OWNER, ADMIN, MEMBER'
+        });
+      }
+
+      const { membership } = await getTeamAccess(
+        team_id, user.id, 'admin', 'Forbidden: Only team admins can change roles'
+      );
+
+      const target = await getMembership(team_id, user_id);
+      if (!target) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Member not found'
+        });
+      }
+
+      const forbidden = roleChangeError(membership, target, role);
+      if (forbidden) {
+        return callback({
+          code: grpc.status.PERMISSION_DENIED,
+          message: forbidden
+        });
+      }
+
+      if (role !== 'owner' && await isLastOwner(target)) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: 'A team needs at least one owner'
+        });
+      }
+
+      await updateRole(target, role);
+
+      callback(null, formatMember(await getMember(team_id, user_id)));
+    } catch (err) {
+      handleError('updating team member', callback)(err);
+    }
+  },
+
+  // Remove a member, or leave the team when the user removes themselves
+  RemoveTeamMember: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { team_id, user_id } = call.request;
+      const { membership } = await getTeamAccess(team_id, user.id);
+
+      const target = await getMembership(team_id, user_id);
+      if (!target) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Member not found'
+        });
+      }
+
+      const forbidden = removalError(membership, target);
+      if (forbidden) {
+        return callback({
+          code: grpc.status.PERMISSION_DENIED,
+          message: forbidden
+        });
+      }
+
+      if (await isLastOwner(target)) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: 'A team needs at least one owner'
+        });
+      }
+
+      await removeMember(target);
+
+      callback(null, {});
+    } catch (err) {
+      handleError('removing team member', callback)(err);
+    }
+  },
+
+  // Invite someone to the team by email (admins)
+  InviteTeamMember: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { team_id, email } = call.request;
+      const role = roleFromGrpc(call.request.role) || 'member';
+
+      if (!email || !isValidEmail(email)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Invalid email format'
+        });
+      }
+
+      const { team, membership } = await getTeamAccess(
+        team_id, user.id, 'admin', 'Forbidden: Only team admins can invite members'
+      );
+
+      const forbidden = roleChangeError(membership, { role: 'member' }, role);
+      if (forbidden) {
+        return callback({
+          code: grpc.status.PERMISSION_DENIED,
+          message: forbidden
+        });
+      }
+
+      const { invitation, conflict } = await inviteMember({ teamId: team_id, email, role, invitedBy: user.id });
+      if (conflict) {
+        return callback({
+          code: grpc.status.ALREADY_EXISTS,
+          message: conflict
+        });
+      }
+
+      callback(null, formatInvitation({ ...invitation, teamName: team.name }));
+    } catch (err) {
+      handleError('inviting team member', callback)(err);
+    }
+  },
+
+  // List a team's pending invitations (admins)
+  ListTeamInvitations: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const { team_id } = call.request;
+      await getTeamAccess(team_id, user.id, 'admin', 'Forbidden: Only team admins can view invitations');
+
+      const invitations = await listInvitations(team_id);
+
+      callback(null, { invitations: invitations.map(formatInvitation) });
+    } catch (err) {
+      handleError('listing team invitations', callback)(err);
+    }
+  },
+
+  // List the pending invitations addressed to the authenticated user's email
+  ListMyInvitations: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const invitations = await listInvitationsFor(user.email);
+
+      callback(null, { invitations: invitations.map(formatInvitation) });
+    } catch (err) {
+      handleError('listing invitations', callback)(err);
+    }
+  },
+
+  // Join a team by accepting an invitation addressed to the user
+  AcceptTeamInvitation: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const invitation = await getOwnInvitation(call.request.invitation_id, user);
+
+      if (isExpired(invitation)) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: 'Invitation has expired'
+        });
+      }
+
+      const member = await acceptInvitation(invitation, user);
+
+      callback(null, formatMember(member));
+    } catch (err) {
+      handleError('accepting invitation', callback)(err);
+    }
+  },
+
+  // Decline an invitation addressed to the user, or revoke one of the team's (admins)
+  DeleteTeamInvitation: async (call, callback) => {
+    try {
+      // Authenticate the user
+      const user = await authenticate(call);
+
+      const invitation = await getInvitation(call.request.invitation_id);
+
+      if (!invitation) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (!isInvitee(invitation, user)) {
+        await getTeamAccess(
+          invitation.teamId, user.id, 'admin', 'Forbidden: Only team admins can revoke invitations'
+        ).catch(err => {
+          // Outsiders can't tell other people's invitations exist
+          throw err.code === grpc.status.NOT_FOUND ? { ...err, message: 'Invitation not found' } : err;
+        });
+      }
+
+      await deleteInvitation(invitation.id);
+
+      callback(null, {});
+    } catch (err) {
+      handleError('deleting invitation', callback)(err);
+    }
+  }
+};
+
+module.exports = teamService;
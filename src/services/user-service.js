@@ -1,8 +1,15 @@
 const { dbAsync } = require('../db');
-const { isValidEmail } = require('../utils/validators');
+const { isValidEmail, isValidTimezone } = require('../utils/validators');
+const { validateLimits, rulesFromGrpc, LIMIT_FIELDS } = require('../utils/rules');
 const { authenticate, checkOwnership } = require('../middleware/auth');
+const {
+  USER_SCOPE, parseSlug, generateUserSlug, userSlugTaken, recordSlugChange, deleteSlugRedirects
+} = require('../utils/slugs');
 const grpc = require('@grpc/grpc-js');
 
+// Columns returned for a user, named after the gRPC fields
+const USER_COLUMNS = 'id, name, email, timezone, dailyLimit AS daily_limit, weeklyLimit AS weekly_limit, slug';
+
 const userService = {
   // Create a new user
   CreateUser: async (call, callback) => {
@@ -25,18 +32,42 @@ const userService = {
         });
       }
 
+      // Validate timezone if provided
+      if (timezone && !isValidTimezone(timezone)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Timezone must be a valid IANA time zone (e.g., Europe/Tallinn)'
+        });
+      }
+
+      // Users pick their slug or get one made from their name
+      const chosen = call.request.slug === undefined ? {} : parseSlug(call.request.slug);
+      if (chosen.error) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: chosen.error
+        });
+      }
+      if (chosen.slug && await userSlugTaken(chosen.slug)) {
+        return callback({
+          code: grpc.status.ALREADY_EXISTS,
+          message: 'Slug is already taken'
+        });
+      }
+      const slug = chosen.slug || await generateUserSlug(name);
+      
       // Generate simple ID
       const id = Date.now().toString();
       
       try {
         // Insert user into database
         await dbAsync.run(
-          'INSERT INTO users (id, name, email, password, timezone) VALUES (?, ?, ?, ?, ?)',
-          [id, name, email, password, timezone || null]
+          'INSERT INTO users (id, name, email, password, timezone, slug) VALUES (?, ?, ?, ?, ?, ?)',
+          [id, name, email, password, timezone || null, slug]
         );
         
         // Return created user (without password)
-        callback(null, { id, name, email, timezone: timezone || '' });
+        callback(null, { id, name, email, timezone: timezone || '', slug });
       } catch (err) {
         // Check for unique constraint violation on email
         if (err.message && err.message.includes('UNIQUE constraint failed: users.email')) {
@@ -63,7 +94,7 @@ const userService = {
       const authenticatedUser = await authenticate(call);
       
       const { user_id } = call.request;
-      const user = await dbAsync.get('SELECT id, name, email, timezone FROM users WHERE id = ?', [user_id]);
+      const user = await dbAsync.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [user_id]);
       
       if (!user) {
         return callback({
@@ -96,7 +127,7 @@ const userService = {
       const offset = (page - 1) * page_size;
       
       const users = await dbAsync.all(
-        'SELECT id, name, email, timezone FROM users LIMIT ? OFFSET ?',
+        `SELECT ${USER_COLUMNS} FROM users LIMIT ? OFFSET ?`,
         [page_size, offset]
       );
       
@@ -128,12 +159,14 @@ const userService = {
       const authenticatedUser = await authenticate(call);
       
       const { user_id, name, email, password, timezone } = call.request;
+      const { rules: limits, error } = validateLimits(rulesFromGrpc(call.request, LIMIT_FIELDS));
+      const { slug, error: slugError } = call.request.slug === undefined ? {} : parseSlug(call.request.slug);
       
       // Check ownership
       checkOwnership(authenticatedUser.id, user_id);
       
       // Validate that at least one field is provided
-      if (!name && !email && !password && !timezone) {
+      if (!name && !email && !password && !timezone && Object.keys(limits).length === 0 && call.request.slug === undefined) {
         return callback({
           code: grpc.status.INVALID_ARGUMENT,
           message: 'At least one field is required'
@@ -148,6 +181,31 @@ const userService = {
         });
       }
       
+      // Validate timezone if provided
+      if (timezone && !isValidTimezone(timezone)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'Timezone must be a valid IANA time zone (e.g., Europe/Tallinn)'
+        });
+      }
+      
+      // Validate booking limits and slug if provided
+      if (error || slugError) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error || slugError
+        });
+      }
+      
+      // The old slug keeps redirecting to the user
+      if (slug && await userSlugTaken(slug, user_id)) {
+        return callback({
+          code: grpc.status.ALREADY_EXISTS,
+          message: 'Slug is already taken'
+        });
+      }
+      const existing = await dbAsync.get('SELECT slug FROM users WHERE id = ?', [user_id]);
+      
       // Build update query
       const fields = [];
       const values = [];
@@ -168,6 +226,14 @@ const userService = {
         fields.push('timezone = ?');
         values.push(timezone);
       }
+      Object.keys(limits).forEach(field => {
+        fields.push(`${field} = ?`);
+        values.push(limits[field]);
+      });
+      if (slug) {
+        fields.push('slug = ?');
+        values.push(slug);
+      }
       
       values.push(user_id);
       
@@ -181,9 +247,12 @@ const userService = {
           message: 'User not found'
         });
       }
+      if (slug) {
+        await recordSlugChange(USER_SCOPE, user_id, existing.slug, slug);
+      }
       
       // Fetch updated user data for response
-      const updatedUser = await dbAsync.get('SELECT id, name, email, timezone FROM users WHERE id = ?', [user_id]);
+      const updatedUser = await dbAsync.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [user_id]);
       
       callback(null, updatedUser);
     } catch (err) {
@@ -218,6 +287,7 @@ const userService = {
           message: 'User not found'
         });
       }
+      await deleteSlugRedirects(USER_SCOPE, user_id);
       
       callback(null, {});
     } catch (err) {
@@ -243,7 +313,10 @@ const userService = {
         id: authenticatedUser.id,
         name: authenticatedUser.name,
         email: authenticatedUser.email,
-        timezone: authenticatedUser.timezone || ''
+        timezone: authenticatedUser.timezone || '',
+        daily_limit: authenticatedUser.dailyLimit || 0,
+        weekly_limit: authenticatedUser.weeklyLimit || 0,
+        slug: authenticatedUser.slug || ''
       });
     } catch (err) {
       if (err.code) {
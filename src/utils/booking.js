@@ -0,0 +1,285 @@
+// Booking checks shared by the appointment flows
+const { dbAsync } = require('../db');
+const { overlaps, findAvailabilityInterval, parseDateOverrides, localDate, limitReached } = require('./availability');
+const { resolveTimeZone } = require('./timezone');
+const { eventRules, bookingLimits } = require('./rules');
+const { getHostSchedule } = require('./schedules');
+const { eventCapacity, seatHolders } = require('./seats');
+const {
+  HOST_BOOKED_TIME, bookedTimeParams, isCollective, getEventHostIds, assignmentOrder, markAssigned
+} = require('./hosts');
+const { inactiveRejection } = require('./visibility');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// ISO 8601 date-time with an explicit UTC offset, e.g. 2024-01-15T10:00:00Z or 2024-01-15T12:00:00+02:00
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Parse an ISO 8601 date-time with a UTC offset into milliseconds, or NaN
+const parseDateTime = (value) => (ISO_DATE_TIME.test(value) ? Date.parse(value) : NaN);
+
+// Parse an ISO 8601 start/end pair into { start, end } in milliseconds plus the
+// normalized UTC strings { startTime, endTime } to store, or { error }
+const parseAppointmentWindow = (startTime, endTime) => {
+  const start = parseDateTime(startTime);
+  const end = parseDateTime(endTime);
+
+  if (isNaN(start) || isNaN(end)) {
+    return { error: 'Start and end time must be ISO 8601 date-times with a UTC offset' };
+  }
+  if (end <= start) {
+    return { error: 'End time must be after start time' };
+  }
+  return {
+    start,
+    end,
+    startTime: new Date(start).toISOString(),
+    endTime: new Date(end).toISOString()
+  };
+};
+
+// Load the host's non-canceled appointments and the waitlist claims and live slot holds on
+// their time with their event buffers, ignoring `excludeId`
+const loadHostAppointments = (userId, excludeId = null, now = Date.now()) => dbAsync.all(
+  `SELECT b.id, b.eventId, b.inviteeEmail, b.startTime, b.endTime, e.bufferBefore, e.bufferAfter
+   FROM (${HOST_BOOKED_TIME}) b LEFT JOIN events e ON e.id = b.eventId
+   WHERE b.id != ?`,
+  [...bookedTimeParams(userId, now), excludeId || '']
+);
+
+// Find an appointment overlapping the window; both sides are widened by the buffers of their event
+const findConflictingAppointment = (appointments, window, rules) => {
+  return appointments.find(appointment => overlaps(
+    window.start - rules.bufferBefore * MINUTE_MS,
+    window.end + rules.bufferAfter * MINUTE_MS,
+    Date.parse(appointment.startTime) - (appointment.bufferBefore || 0) * MINUTE_MS,
+    Date.parse(appointment.endTime) + (appointment.bufferAfter || 0) * MINUTE_MS
+  )) || null;
+};
+
+// SLOT_CONFLICT naming the appointment in the way, for bookings made by the host
+const slotConflict = (message, appointmentId) => ({
+  reason: 'SLOT_CONFLICT',
+  message,
+  conflictingAppointmentId: appointmentId
+});
+
+// Check that a booking of `eventId` with host `userId` over `window` is allowed; the host
+// is the owner of a single-host event or one of the hosts of a pooled event.
+// Returns null when it is, otherwise a rejection { reason, message } where reason is one of
+// EVENT_NOT_FOUND, EVENT_NOT_OWNED, EVENT_INACTIVE, DURATION_MISMATCH, INSUFFICIENT_NOTICE, BEYOND_HORIZON,
+// NO_SCHEDULE, OUTSIDE_AVAILABILITY, MISALIGNED_START, SLOT_CONFLICT (which also carries
+// conflictingAppointmentId), SLOT_FULL, DAILY_LIMIT_REACHED or WEEKLY_LIMIT_REACHED.
+// Invitee bookings (`asInvitee`) must take one of the offered slots, so they are also
+// rejected in the past and off the slot grid even when the event sets no notice or increment,
+// and their conflicts don't name the other appointment, which belongs to somebody else.
+// Group events seat invitees in the same slot until it is full; `inviteeEmail` can only
+// hold one seat per slot. Taking a seat in a slot that already has invitees doesn't count
+// towards the booking limits.
+// Call inside dbAsync.transaction() together with the write it guards.
+const checkBooking = async ({ userId, eventId, window, inviteeEmail = null, excludeId = null, now = Date.now(), asInvitee = false }) => {
+  const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+  if (!event) {
+    return { reason: 'EVENT_NOT_FOUND', message: 'Event not found' };
+  }
+  if (!(await getEventHostIds(event)).includes(userId)) {
+    return { reason: 'EVENT_NOT_OWNED', message: 'Event does not belong to the host' };
+  }
+  const inactive = inactiveRejection(event);
+  if (inactive) {
+    return inactive;
+  }
+
+  if (window.end - window.start !== event.duration * MINUTE_MS) {
+    return {
+      reason: 'DURATION_MISMATCH',
+      message: `Appointment must last exactly ${event.duration} minutes`
+    };
+  }
+
+  const rules = eventRules(event);
+  if ((rules.minimumNotice || asInvitee) && window.start < now + rules.minimumNotice * MINUTE_MS) {
+    return {
+      reason: 'INSUFFICIENT_NOTICE',
+      message: rules.minimumNotice
+        ? `Appointments must be booked at least ${rules.minimumNotice} minutes in advance`
+        : 'Appointments must be booked in advance'
+    };
+  }
+  if (rules.bookingHorizon && window.start > now + rules.bookingHorizon * DAY_MS) {
+    return {
+      reason: 'BEYOND_HORIZON',
+      message: `Appointments can be booked at most ${rules.bookingHorizon} days in advance`
+    };
+  }
+
+  const schedule = await getHostSchedule(event, userId);
+  if (!schedule) {
+    return { reason: 'NO_SCHEDULE', message: 'Host has no schedule' };
+  }
+
+  // The weekly schedule is read in the host's own time zone
+  const host = await dbAsync.get('SELECT timezone, dailyLimit, weeklyLimit FROM users WHERE id = ?', [userId]);
+  const timeZone = resolveTimeZone(host && host.timezone);
+  const interval = findAvailabilityInterval({
+    availability: JSON.parse(schedule.availability),
+    dateOverrides: parseDateOverrides(schedule.dateOverrides),
+    start: window.start,
+    end: window.end,
+    timeZone
+  });
+  if (!interval) {
+    return { reason: 'OUTSIDE_AVAILABILITY', message: "Requested time is outside the host's availability" };
+  }
+
+  // Starts step from the beginning of the availability range
+  const increment = rules.slotIncrement || (asInvitee ? event.duration : 0);
+  if (increment && (window.start - interval.start) % (increment * MINUTE_MS) !== 0) {
+    return {
+      reason: 'MISALIGNED_START',
+      message: `Appointments must start on a ${increment}-minute increment of the availability`
+    };
+  }
+
+  const appointments = await loadHostAppointments(userId, excludeId, now);
+  const seats = seatHolders(event, appointments, window.start, window.end);
+  const conflict = findConflictingAppointment(appointments.filter(appointment => !seats.includes(appointment)), window, rules);
+  if (conflict) {
+    return asInvitee
+      ? { reason: 'SLOT_CONFLICT', message: 'Time slot is no longer available' }
+      : slotConflict(`Time slot conflicts with appointment ${conflict.id}`, conflict.id);
+  }
+
+  const capacity = eventCapacity(event);
+  const ownSeat = inviteeEmail &&
+    seats.find(appointment => (appointment.inviteeEmail || '').toLowerCase() === inviteeEmail.toLowerCase());
+  if (ownSeat) {
+    return asInvitee
+      ? { reason: 'SLOT_CONFLICT', message: 'Invitee already holds a seat in this slot' }
+      : slotConflict(`Invitee already holds a seat in this slot with appointment ${ownSeat.id}`, ownSeat.id);
+  }
+  if (seats.length >= capacity) {
+    return { reason: 'SLOT_FULL', message: `All ${capacity} seats in this slot are taken` };
+  }
+  if (seats.length > 0) {
+    return null;
+  }
+
+  // Daily and weekly caps of the event and of the host, counted in the host's time zone
+  const limit = limitReached({
+    limits: bookingLimits(event, host, appointments),
+    date: new Date(localDate(window.start, timeZone)),
+    timeZone
+  });
+  if (limit === 'DAILY') {
+    return { reason: 'DAILY_LIMIT_REACHED', message: 'No more bookings are available on this day' };
+  }
+  if (limit === 'WEEKLY') {
+    return { reason: 'WEEKLY_LIMIT_REACHED', message: 'No more bookings are available in this week' };
+  }
+
+  return null;
+};
+
+// Check a booking with host `userId` like checkBooking. A collective event is booked with its
+// owner and checked with each of its hosts; another host's conflicting appointment is not
+// passed on, so it becomes NO_HOST_AVAILABLE.
+// Call inside dbAsync.transaction() together with the write it guards.
+const checkHosts = async (booking) => {
+  const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [booking.eventId]);
+  if (!isCollective(event)) {
+    return checkBooking(booking);
+  }
+  if (event.userId !== booking.userId) {
+    return { reason: 'EVENT_NOT_OWNED', message: 'Event does not belong to the host' };
+  }
+
+  for (const hostId of await getEventHostIds(event)) {
+    const rejection = await checkBooking({ ...booking, userId: hostId });
+    if (rejection && rejection.reason === 'SLOT_CONFLICT' && hostId !== booking.userId) {
+      return { reason: 'NO_HOST_AVAILABLE', message: 'Not every host is available at this time' };
+    }
+    if (rejection) {
+      return rejection;
+    }
+  }
+  return null;
+};
+
+// Pick the host for a booking of `eventId` requested through its owner `userId`. Single-host
+// and collective events are booked with the owner, the latter once checkHosts passes for
+// all hosts; round-robin events go to the first host in assignment order that passes
+// checkBooking and the caller's optional `checkHost(hostId)`, who is then marked as
+// assigned unless `markAssignment` is false, as for a slot hold; a booking of time held with
+// `hostId` only tries that host. Returns
+// { hostId, hostIds } with every host attending, or { rejection }: for round-robin events,
+// when every host is rejected for the same reason that rejection, otherwise NO_HOST_AVAILABLE.
+// Call inside dbAsync.transaction() together with the write it guards.
+const assignHost = async ({
+  userId, eventId, window, inviteeEmail = null, excludeId = null, now = Date.now(), asInvitee = false,
+  checkHost = async () => null, hostId: heldHostId = null, markAssignment = true
+}) => {
+  const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [eventId]);
+  if (!event || event.hostMode !== 'round_robin') {
+    const rejection = await checkHosts({ userId, eventId, window, inviteeEmail, excludeId, now, asInvitee })
+      || await checkHost(userId);
+    if (rejection) {
+      return { rejection };
+    }
+    return { hostId: userId, hostIds: isCollective(event) ? await getEventHostIds(event) : [userId] };
+  }
+  if (event.userId !== userId) {
+    return { rejection: { reason: 'EVENT_NOT_OWNED', message: 'Event does not belong to the host' } };
+  }
+
+  const rejections = [];
+  for (const hostId of heldHostId ? [heldHostId] : await assignmentOrder(event)) {
+    const rejection = await checkBooking({ userId: hostId, eventId, window, inviteeEmail, excludeId, now, asInvitee })
+      || await checkHost(hostId);
+    if (!rejection) {
+      if (markAssignment) {
+        await markAssigned(eventId, hostId, now);
+      }
+      return { hostId, hostIds: [hostId] };
+    }
+    rejections.push(rejection);
+  }
+
+  // Other hosts' appointments are not the invitee's business, so conflicts aren't passed on
+  const [first] = rejections;
+  if (first && first.reason !== 'SLOT_CONFLICT' && rejections.every(rejection => rejection.reason === first.reason)) {
+    return { rejection: first };
+  }
+  return { rejection: { reason: 'NO_HOST_AVAILABLE', message: 'No host is available at this time' } };
+};
+
+// Run `work` in a transaction; a returned { rejection } rolls back everything it wrote, so
+// bookings of several appointments are made together or not at all
+const allOrNothing = async (work) => {
+  try {
+    return await dbAsync.transaction(async () => {
+      const result = await work();
+      if (result.rejection) {
+        const abort = new Error('Booking rejected');
+        abort.bookingResult = result;
+        throw abort;
+      }
+      return result;
+    });
+  } catch (err) {
+    if (err.bookingResult) {
+      return err.bookingResult;
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  parseDateTime,
+  parseAppointmentWindow,
+  checkBooking,
+  checkHosts,
+  assignHost,
+  allOrNothing
+};
@@ -0,0 +1,30 @@
+// Duplicating event types. A copy takes every column of the original, its pool hosts
+// included, under a new ID and slug; appointments, round-robin history and slug redirects
+// stay with the original.
+const { dbAsync } = require('../db');
+const { generateEventSlug } = require('./slugs');
+
+// Insert a copy of event row `event` under `id`, with `columns` holding the stored values
+// to override. Without a slug in `columns` the copy gets one made from its name. Returns
+// the new row
+const duplicateEvent = (event, id, columns = {}) => dbAsync.transaction(async () => {
+  const row = { ...event, ...columns, id };
+  if (!columns.slug) {
+    row.slug = await generateEventSlug(event.userId, row.name);
+  }
+
+  const names = Object.keys(row);
+  await dbAsync.run(
+    `INSERT INTO events (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    names.map(name => row[name])
+  );
+  await dbAsync.run(
+    'INSERT INTO event_hosts (eventId, userId) SELECT ?, userId FROM event_hosts WHERE eventId = ? ORDER BY rowid',
+    [id, event.id]
+  );
+  return row;
+});
+
+module.exports = {
+  duplicateEvent
+};
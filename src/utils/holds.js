@@ -0,0 +1,143 @@
+// Temporary slot holds. While an invitee fills in the booking form, a hold keeps the slot they
+// picked from everybody else for HOLD_MINUTES: the held time blocks the host like an
+// appointment, and booking with the hold token turns the hold into the appointment. A hold of
+// a collective event blocks every host, recorded in slot_hold_hosts like appointment_hosts;
+// a round-robin hold picks its host but only the booking counts as an assignment. Lapsed
+// holds stop blocking at once and are deleted whenever a slot is reserved or booked.
+const crypto = require('crypto');
+const { dbAsync } = require('../db');
+const { assignHost } = require('./booking');
+const { linkRequiredRejection } = require('./visibility');
+const { createRateLimiter } = require('./rateLimit');
+const { newManageNonce, createManageToken, verifyManageToken } = require('./manageToken');
+
+// How long a hold lasts
+const HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES) || 5;
+const MINUTE_MS = 60 * 1000;
+// Holds block the host's time for everybody, so each client (IP address) gets its own
+// allowance of them in 15 minutes
+const holdLimiter = createRateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+
+const holdNotFound = (message = 'Slot hold not found') => ({ reason: 'HOLD_NOT_FOUND', message });
+const holdExpired = () => ({ reason: 'HOLD_EXPIRED', message: 'Slot hold has expired or was already booked' });
+
+// Count a hold from `clientKey`. Returns null when it is allowed, otherwise a
+// TOO_MANY_REQUESTS rejection carrying retryAfter in seconds
+const throttleHolds = (clientKey, now = Date.now()) => {
+  const waitMs = holdLimiter.hit(clientKey, now);
+  if (!waitMs) {
+    return null;
+  }
+  return {
+    reason: 'TOO_MANY_REQUESTS',
+    message: 'Too many slot holds, please try again later',
+    retryAfter: Math.ceil(waitMs / 1000)
+  };
+};
+
+// Drop the holds that lapsed by `now` with their hosts. Call inside dbAsync.transaction()
+const deleteLapsedHolds = async (now) => {
+  const at = new Date(now).toISOString();
+  await dbAsync.run('DELETE FROM slot_hold_hosts WHERE holdId IN (SELECT id FROM slot_holds WHERE expiresAt <= ?)', [at]);
+  await dbAsync.run('DELETE FROM slot_holds WHERE expiresAt <= ?', [at]);
+};
+
+// Hold `window` of host `userId`'s event, which must be one of the offered slots. Round-robin
+// events hold the time of the host the booking would be assigned to, collective events that
+// of every host. Link-only events can't be held, as their bookings need a scheduling link.
+// Returns { hold } (the stored row) or { rejection }
+const reserveSlot = ({ userId, eventId, window, now = Date.now() }) => dbAsync.transaction(async () => {
+  await deleteLapsedHolds(now);
+
+  const linkRequired = linkRequiredRejection(await dbAsync.get('SELECT linkOnly FROM events WHERE id = ?', [eventId]));
+  if (linkRequired) {
+    return { rejection: linkRequired };
+  }
+
+  const assignment = await assignHost({ userId, eventId, window, now, asInvitee: true, markAssignment: false });
+  if (assignment.rejection) {
+    return { rejection: assignment.rejection };
+  }
+
+  const hold = {
+    id: crypto.randomUUID(),
+    eventId,
+    hostId: assignment.hostId,
+    startTime: window.startTime,
+    endTime: window.endTime,
+    expiresAt: new Date(now + HOLD_MINUTES * MINUTE_MS).toISOString(),
+    nonce: newManageNonce(),
+    createdAt: new Date(now).toISOString()
+  };
+  const columns = Object.keys(hold);
+  await dbAsync.run(
+    `INSERT INTO slot_holds (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => hold[column])
+  );
+  if (assignment.hostIds.length > 1) {
+    for (const hostId of assignment.hostIds) {
+      await dbAsync.run('INSERT INTO slot_hold_hosts (holdId, userId) VALUES (?, ?)', [hold.id, hostId]);
+    }
+  }
+  return { hold };
+});
+
+// Hold tokens are signed like manage tokens, over the hold's ID and nonce
+const holdToken = (hold) => createManageToken(hold.id, hold.nonce);
+
+// Resolve a hold token to { hold } while the hold is live, otherwise { rejection }: a token
+// that was never issued is HOLD_NOT_FOUND, and one whose hold lapsed or was booked HOLD_EXPIRED
+const findByHoldToken = async (token, now = Date.now()) => {
+  const claims = verifyManageToken(token);
+  if (!claims) {
+    return { rejection: holdNotFound() };
+  }
+
+  const hold = await dbAsync.get('SELECT * FROM slot_holds WHERE id = ?', [claims.appointmentId]);
+  if (hold && hold.nonce !== claims.nonce) {
+    return { rejection: holdNotFound() };
+  }
+  if (!hold || Date.parse(hold.expiresAt) <= now) {
+    return { rejection: holdExpired() };
+  }
+  return { hold };
+};
+
+// Fill in a booking of held slot `hold`: the event, its host and the time come from the hold.
+// A given user, event or time must match the hold's. Returns the booking or { rejection }
+const holdBooking = async (hold, requested) => {
+  const event = await dbAsync.get('SELECT id, userId FROM events WHERE id = ?', [hold.eventId]);
+  const matches = (value, held) => !value || value === held;
+  const sameTime = (value, held) => !value || Date.parse(value) === Date.parse(held);
+  if (!event || !matches(requested.eventId, event.id) || !matches(requested.userId, event.userId) ||
+      !sameTime(requested.startTime, hold.startTime) || !sameTime(requested.endTime, hold.endTime)) {
+    return { rejection: holdNotFound('Slot hold does not match the booking') };
+  }
+  return { ...requested, userId: event.userId, eventId: event.id, startTime: hold.startTime, endTime: hold.endTime };
+};
+
+// Hold `holdId` while it is live, as { hold }, otherwise { rejection }.
+// Call inside dbAsync.transaction() together with releaseHold
+const liveHold = async (holdId, now = Date.now()) => {
+  const hold = await dbAsync.get('SELECT * FROM slot_holds WHERE id = ? AND expiresAt > ?', [
+    holdId, new Date(now).toISOString()
+  ]);
+  return hold ? { hold } : { rejection: holdExpired() };
+};
+
+// Drop a hold with its hosts once its time is booked
+const releaseHold = async (holdId) => {
+  await dbAsync.run('DELETE FROM slot_hold_hosts WHERE holdId = ?', [holdId]);
+  await dbAsync.run('DELETE FROM slot_holds WHERE id = ?', [holdId]);
+};
+
+module.exports = {
+  throttleHolds,
+  reserveSlot,
+  holdToken,
+  findByHoldToken,
+  holdBooking,
+  liveHold,
+  releaseHold,
+  deleteLapsedHolds
+};
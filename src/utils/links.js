@@ -0,0 +1,135 @@
+// Scheduling links. A host generates a private link to one of their event types that takes a
+// limited number of bookings before an expiry, e.g. a single-use link for one candidate. A link
+// can pre-fill the invitee's email, and hosts can revoke it early. Bookings through a link
+// count against it in the same transaction that stores the appointment.
+// A link is active until it is revoked, used up or expired.
+const crypto = require('crypto');
+const { dbAsync } = require('../db');
+const { isValidEmail } = require('./validators');
+
+const LINK_STATUSES = ['active', 'used', 'expired', 'revoked'];
+const MAX_LINK_USES = 1000;
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isWholeNumberIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Validate the settings of a new link; missing ones take their defaults (one use, 7 days).
+// Returns { settings } or { error }
+const validateLinkSettings = ({ maxUses, expiresInDays, inviteeEmail }) => {
+  const settings = {
+    maxUses: maxUses === undefined || maxUses === null ? 1 : maxUses,
+    expiresInDays: expiresInDays === undefined || expiresInDays === null ? DEFAULT_EXPIRY_DAYS : expiresInDays,
+    inviteeEmail: inviteeEmail || null
+  };
+  if (!isWholeNumberIn(settings.maxUses, 1, MAX_LINK_USES)) {
+    return { error: `maxUses must be a whole number from 1 to ${MAX_LINK_USES}` };
+  }
+  if (!isWholeNumberIn(settings.expiresInDays, 1, MAX_EXPIRY_DAYS)) {
+    return { error: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}` };
+  }
+  if (settings.inviteeEmail && !isValidEmail(settings.inviteeEmail)) {
+    return { error: 'Invalid invitee email format' };
+  }
+  return { settings };
+};
+
+const getLink = (linkId) => dbAsync.get('SELECT * FROM scheduling_links WHERE id = ?', [linkId]);
+
+// The links of event `eventId`, newest first
+const listLinks = (eventId) => dbAsync.all(
+  'SELECT * FROM scheduling_links WHERE eventId = ? ORDER BY createdAt DESC, rowid DESC',
+  [eventId]
+);
+
+// Create a link to event `eventId` by `userId` with checked `settings`. Returns the stored row
+const createLink = async ({ eventId, userId, settings, now = Date.now() }) => {
+  const link = {
+    id: crypto.randomUUID(),
+    eventId,
+    userId,
+    maxUses: settings.maxUses,
+    useCount: 0,
+    inviteeEmail: settings.inviteeEmail,
+    expiresAt: new Date(now + settings.expiresInDays * DAY_MS).toISOString(),
+    revokedAt: null,
+    createdAt: new Date(now).toISOString()
+  };
+  const columns = Object.keys(link);
+  await dbAsync.run(
+    `INSERT INTO scheduling_links (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => link[column])
+  );
+  return link;
+};
+
+// Revoke a link; revoking it again keeps the first revocation time. Returns the stored row
+const revokeLink = async (link, now = Date.now()) => {
+  await dbAsync.run(
+    'UPDATE scheduling_links SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL',
+    [new Date(now).toISOString(), link.id]
+  );
+  return getLink(link.id);
+};
+
+const linkStatus = (link, now = Date.now()) => {
+  if (link.revokedAt) {
+    return 'revoked';
+  }
+  if (link.useCount >= link.maxUses) {
+    return 'used';
+  }
+  return Date.parse(link.expiresAt) <= now ? 'expired' : 'active';
+};
+
+const UNAVAILABLE_MESSAGES = {
+  revoked: 'Scheduling link has been revoked',
+  used: 'Scheduling link has already been used',
+  expired: 'Scheduling link has expired'
+};
+
+const linkNotFound = () => ({ reason: 'LINK_NOT_FOUND', message: 'Scheduling link not found' });
+
+// Fill in a booking through link `linkId`: the event and its host come from the link, and the
+// invitee's email defaults to the pre-filled one. A given user or event must match the link's.
+// Returns the booking or { rejection }
+const linkBooking = async (linkId, requested) => {
+  const { userId, eventId, inviteeEmail } = requested;
+  const link = await getLink(linkId);
+  const event = link && await dbAsync.get('SELECT id, userId FROM events WHERE id = ?', [link.eventId]);
+  if (!event || (eventId && eventId !== event.id) || (userId && userId !== event.userId)) {
+    return { rejection: linkNotFound() };
+  }
+  return { ...requested, userId: event.userId, eventId: event.id, inviteeEmail: inviteeEmail || link.inviteeEmail };
+};
+
+// Rejection for booking through link `linkId` now, or null while it is active.
+// Call inside dbAsync.transaction() together with consumeLink
+const linkUseRejection = async (linkId, now = Date.now()) => {
+  const link = await getLink(linkId);
+  if (!link) {
+    return linkNotFound();
+  }
+  const status = linkStatus(link, now);
+  return status === 'active' ? null : { reason: 'LINK_UNAVAILABLE', message: UNAVAILABLE_MESSAGES[status] };
+};
+
+// Count a booking against link `linkId`
+const consumeLink = (linkId) => dbAsync.run('UPDATE scheduling_links SET useCount = useCount + 1 WHERE id = ?', [linkId]);
+
+// The gRPC SchedulingLinkStatus enum prefixes the upper-case names with LINK_
+const linkStatusToGrpc = (status) => (LINK_STATUSES.includes(status) ? `LINK_${status.toUpperCase()}` : 'LINK_STATUS_UNSPECIFIED');
+
+module.exports = {
+  validateLinkSettings,
+  getLink,
+  listLinks,
+  createLink,
+  revokeLink,
+  linkStatus,
+  linkBooking,
+  linkUseRejection,
+  consumeLink,
+  linkStatusToGrpc
+};
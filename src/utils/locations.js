@@ -0,0 +1,155 @@
+// Meeting locations. An event type offers one or more ways to meet, at most one of each type,
+// and every booking settles on one of them, which the appointment keeps as { type, value }:
+// - in_person: value is the event type's address
+// - host_calls: the host calls the phone number the invitee gives when booking
+// - invitee_calls: the invitee calls the event type's phone number
+// - custom_link: value is the event type's meeting URL
+// - conference: a link generated for each appointment
+const { dbAsync } = require('../db');
+const { isValidPhoneNumber, isValidUrl } = require('./validators');
+const { generateConferenceLink } = require('./conferencing');
+
+const LOCATION_TYPES = ['in_person', 'host_calls', 'invitee_calls', 'custom_link', 'conference'];
+const MAX_ADDRESS_LENGTH = 500;
+const MAX_URL_LENGTH = 2000;
+
+// The value each type of event type location needs; the other types take none
+const VALUE_RULES = {
+  in_person: {
+    isValid: (value) => value.length <= MAX_ADDRESS_LENGTH,
+    description: `an address of at most ${MAX_ADDRESS_LENGTH} characters`
+  },
+  invitee_calls: { isValid: isValidPhoneNumber, description: 'a phone number' },
+  custom_link: {
+    isValid: (value) => value.length <= MAX_URL_LENGTH && isValidUrl(value),
+    description: 'an http(s) URL'
+  }
+};
+
+const eventLocations = (event) => (event && event.locations ? JSON.parse(event.locations) : []);
+
+const appointmentLocation = (appointment) => {
+  const location = appointment && appointment.location;
+  return typeof location === 'string' ? JSON.parse(location) : location || null;
+};
+
+// JSON for the events.locations and appointments.location columns
+const storeLocations = (locations) => (locations && locations.length > 0 ? JSON.stringify(locations) : null);
+
+const storeLocation = (location) => (location ? JSON.stringify(location) : null);
+
+// Check one location of an event type; returns { location } or { error }
+const validateLocation = (input, index) => {
+  const position = `Location ${index + 1}`;
+  if (!input || typeof input !== 'object') {
+    return { error: `${position} must be an object` };
+  }
+  if (!LOCATION_TYPES.includes(input.type)) {
+    return { error: `${position} type must be one of: ${LOCATION_TYPES.join(', ')}` };
+  }
+
+  const rule = VALUE_RULES[input.type];
+  const value = typeof input.value === 'string' ? input.value.trim() : input.value;
+  if (!rule) {
+    if (value !== undefined && value !== null && value !== '') {
+      return { error: `${position} of type ${input.type} takes no value` };
+    }
+    return { location: { type: input.type, value: '' } };
+  }
+  if (typeof value !== 'string' || !value || !rule.isValid(value)) {
+    return { error: `${position} value must be ${rule.description}` };
+  }
+  return { location: { type: input.type, value } };
+};
+
+// Validate an event type's locations; returns { locations } (undefined when not given) or { error }
+const validateLocations = (input) => {
+  if (input === undefined) {
+    return {};
+  }
+  if (!Array.isArray(input)) {
+    return { error: 'Locations must be a list of { type, value }' };
+  }
+
+  const locations = [];
+  for (let i = 0; i < input.length; i++) {
+    const { location, error } = validateLocation(input[i], i);
+    if (error) {
+      return { error };
+    }
+    if (locations.some(other => other.type === location.type)) {
+      return { error: `Location ${i + 1} type is already offered by another location` };
+    }
+    locations.push(location);
+  }
+  return { locations };
+};
+
+// Pick the location of a booking from the event's `locations`. The type can be left out when
+// the event offers just one; host_calls needs the invitee's phone number. Returns { choice }
+// (null when the event offers no locations) or { error }
+const chooseLocation = (locations, { locationType, inviteePhone } = {}) => {
+  if (locations.length === 0) {
+    return locationType ? { error: 'Event type has no location options' } : { choice: null };
+  }
+
+  const offered = locations.map(location => location.type).join(', ');
+  const type = locationType || (locations.length === 1 ? locations[0].type : null);
+  if (!type) {
+    return { error: `Location type is required; choose one of: ${offered}` };
+  }
+  const option = locations.find(location => location.type === type);
+  if (!option) {
+    return { error: `Location type must be one of: ${offered}` };
+  }
+
+  if (type === 'host_calls') {
+    const phone = typeof inviteePhone === 'string' ? inviteePhone.trim() : '';
+    if (!isValidPhoneNumber(phone)) {
+      return { error: 'Invitee phone number is required for the host to call' };
+    }
+    return { choice: { type, value: phone } };
+  }
+  return { choice: option };
+};
+
+// Choose the location of a booking of event `eventId`. A missing event has no locations to
+// choose from; booking it is rejected later
+const checkLocation = async (eventId, input) => {
+  const event = await dbAsync.get('SELECT locations FROM events WHERE id = ?', [eventId]);
+  return chooseLocation(eventLocations(event), input);
+};
+
+// The location stored on a new appointment; conference links are generated here from
+// { appointmentId, eventId, hostId, startTime, endTime }
+const meetingLocation = async (choice, appointment) => {
+  if (!choice || choice.type !== 'conference') {
+    return choice;
+  }
+  return { type: choice.type, value: await generateConferenceLink(appointment) };
+};
+
+// The gRPC LocationType enum uses the upper-case names
+const locationTypeFromGrpc = (value) => (value && !value.endsWith('_UNSPECIFIED') ? value.toLowerCase() : undefined);
+
+const locationsFromGrpc = (locations) => locations.map(location => ({
+  type: locationTypeFromGrpc(location.type),
+  value: location.value
+}));
+
+const locationToGrpc = (location) => (location ? { type: location.type.toUpperCase(), value: location.value } : null);
+
+module.exports = {
+  LOCATION_TYPES,
+  eventLocations,
+  appointmentLocation,
+  storeLocations,
+  storeLocation,
+  validateLocations,
+  chooseLocation,
+  checkLocation,
+  meetingLocation,
+  locationTypeFromGrpc,
+  locationsFromGrpc,
+  locationToGrpc
+};
@@ -0,0 +1,344 @@
+// Meeting polls. A host proposes a few candidate times for one of their event types, each an
+// open slot of the event, and shares the poll's link. Participants answer every option yes,
+// maybe or no without an account and get a vote token to change their answers. When the host
+// picks the winning option the poll closes and every participant gets an appointment at that
+// time, like one booked by the host.
+const crypto = require('crypto');
+const { dbAsync } = require('../db');
+const { localDate } = require('./availability');
+const { resolveTimeZone } = require('./timezone');
+const { eventSlots } = require('./slots');
+const { inactiveRejection } = require('./visibility');
+const { parseAppointmentWindow, assignHost, allOrNothing } = require('./booking');
+const { eventCapacity } = require('./seats');
+const { setAppointmentHosts } = require('./hosts');
+const { newManageNonce, createManageToken, verifyManageToken } = require('./manageToken');
+const { eventLocations, chooseLocation, meetingLocation, storeLocation } = require('./locations');
+
+const POLL_STATUSES = ['open', 'closed'];
+const VOTE_ANSWERS = ['yes', 'maybe', 'no'];
+const MAX_POLL_OPTIONS = 10;
+const MAX_TITLE_LENGTH = 100;
+const MINUTE_MS = 60 * 1000;
+
+// Validate an optional poll title; returns { title } trimmed (null when not given), or { error }
+const parsePollTitle = (value) => {
+  if (value === undefined || value === null) {
+    return { title: null };
+  }
+  const title = typeof value === 'string' ? value.trim() : null;
+  if (title === null || title.length > MAX_TITLE_LENGTH) {
+    return { error: `Title must be a string of at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  return { title: title || null };
+};
+
+// Check the candidate times { startTime, endTime } proposed for event row `event`: each must
+// be one of the event's open slots. Returns { options } (parsed windows in start order),
+// { rejection } or { error }
+const validatePollOptions = async (event, input, now = Date.now()) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'At least one option is required' };
+  }
+  if (input.length > MAX_POLL_OPTIONS) {
+    return { error: `A poll can have at most ${MAX_POLL_OPTIONS} options` };
+  }
+  const inactive = inactiveRejection(event);
+  if (inactive) {
+    return { rejection: inactive };
+  }
+
+  const options = [];
+  for (let i = 0; i < input.length; i++) {
+    const position = `Option ${i + 1}`;
+    const { startTime, endTime } = input[i] || {};
+    const window = parseAppointmentWindow(startTime, endTime);
+    if (window.error) {
+      return { error: `${position}: ${window.error}` };
+    }
+    if (window.end - window.start !== event.duration * MINUTE_MS) {
+      return { error: `${position} must last exactly ${event.duration} minutes` };
+    }
+    if (options.some(option => option.start === window.start)) {
+      return { error: `${position} is already proposed` };
+    }
+    options.push(window);
+  }
+  options.sort((a, b) => a.start - b.start);
+
+  // Every option must be an open slot on its day in the host's time zone
+  const host = await dbAsync.get('SELECT timezone FROM users WHERE id = ?', [event.userId]);
+  const timeZone = resolveTimeZone(host && host.timezone);
+  const slots = await eventSlots(event, {
+    from: new Date(localDate(options[0].start, timeZone)),
+    to: new Date(localDate(options[options.length - 1].start, timeZone)),
+    now
+  });
+  if (!slots) {
+    return { rejection: { reason: 'NO_SCHEDULE', message: 'Host has no schedule' } };
+  }
+  const offered = new Set(slots.map(slot => Date.parse(slot.startTime)));
+  const unavailable = input.findIndex(option => !offered.has(Date.parse(option.startTime)));
+  if (unavailable !== -1) {
+    return { error: `Option ${unavailable + 1} is not an available slot of the event` };
+  }
+  return { options };
+};
+
+// A poll row with its options, each with its answer counts, and its participants, each with
+// their answers; null when the poll does not exist
+const getPoll = async (pollId) => {
+  const poll = await dbAsync.get('SELECT * FROM polls WHERE id = ?', [pollId]);
+  if (!poll) {
+    return null;
+  }
+
+  const options = await dbAsync.all(
+    'SELECT id, startTime, endTime FROM poll_options WHERE pollId = ? ORDER BY startTime, id',
+    [pollId]
+  );
+  const participants = await dbAsync.all(
+    'SELECT * FROM poll_participants WHERE pollId = ? ORDER BY createdAt, rowid',
+    [pollId]
+  );
+  const votes = await dbAsync.all(
+    `SELECT v.participantId, v.optionId, v.answer FROM poll_votes v
+     JOIN poll_options o ON o.id = v.optionId WHERE o.pollId = ? ORDER BY o.startTime, o.id`,
+    [pollId]
+  );
+
+  return {
+    ...poll,
+    options: options.map(option => {
+      const answers = votes.filter(vote => vote.optionId === option.id).map(vote => vote.answer);
+      return {
+        ...option,
+        yesCount: answers.filter(answer => answer === 'yes').length,
+        maybeCount: answers.filter(answer => answer === 'maybe').length,
+        noCount: answers.filter(answer => answer === 'no').length
+      };
+    }),
+    participants: participants.map(participant => ({
+      ...participant,
+      votes: votes
+        .filter(vote => vote.participantId === participant.id)
+        .map(vote => ({ optionId: vote.optionId, answer: vote.answer }))
+    }))
+  };
+};
+
+// The polls created by `userId`, newest first
+const listPolls = async (userId) => {
+  const rows = await dbAsync.all('SELECT id FROM polls WHERE userId = ? ORDER BY createdAt DESC, rowid DESC', [userId]);
+  return Promise.all(rows.map(row => getPoll(row.id)));
+};
+
+// Create a poll on event row `event` by `userId` with the checked `options`. Returns the poll
+const createPoll = async ({ event, userId, title, options, now = Date.now() }) => {
+  const id = crypto.randomUUID();
+  await dbAsync.transaction(async () => {
+    await dbAsync.run(
+      "INSERT INTO polls (id, eventId, userId, title, status, createdAt) VALUES (?, ?, ?, ?, 'open', ?)",
+      [id, event.id, userId, title, new Date(now).toISOString()]
+    );
+    for (const option of options) {
+      await dbAsync.run(
+        'INSERT INTO poll_options (id, pollId, startTime, endTime) VALUES (?, ?, ?, ?)',
+        [crypto.randomUUID(), id, option.startTime, option.endTime]
+      );
+    }
+  });
+  return getPoll(id);
+};
+
+// Check a participant's answers { optionId, answer } to poll `poll`: one for every option.
+// Returns { votes } or { error }
+const validateVotes = (poll, input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Votes must be a list of { optionId, answer }' };
+  }
+
+  const votes = [];
+  for (const vote of input) {
+    const { optionId, answer } = vote || {};
+    if (!poll.options.some(option => option.id === optionId)) {
+      return { error: `Option ${optionId} is not part of the poll` };
+    }
+    if (!VOTE_ANSWERS.includes(answer)) {
+      return { error: `Answer must be one of: ${VOTE_ANSWERS.join(', ')}` };
+    }
+    if (votes.some(other => other.optionId === optionId)) {
+      return { error: `Option ${optionId} is answered more than once` };
+    }
+    votes.push({ optionId, answer });
+  }
+  if (votes.length !== poll.options.length) {
+    return { error: 'Every option of the poll needs an answer' };
+  }
+  return { votes };
+};
+
+const closedError = (poll) => (poll && poll.status !== 'open' ? 'Poll is closed' : null);
+
+const storeVotes = async (participantId, votes) => {
+  await dbAsync.run('DELETE FROM poll_votes WHERE participantId = ?', [participantId]);
+  for (const vote of votes) {
+    await dbAsync.run(
+      'INSERT INTO poll_votes (participantId, optionId, answer) VALUES (?, ?, ?)',
+      [participantId, vote.optionId, vote.answer]
+    );
+  }
+};
+
+// Add a participant with their checked `votes` to poll `pollId`; each email votes once.
+// Returns { participant } (the stored row), { conflict } or { error } when the poll is closed
+const addParticipant = ({ pollId, inviteeName, inviteeEmail, votes, now = Date.now() }) => dbAsync.transaction(async () => {
+  const error = closedError(await dbAsync.get('SELECT status FROM polls WHERE id = ?', [pollId]));
+  if (error) {
+    return { error };
+  }
+  const voted = await dbAsync.get(
+    'SELECT 1 FROM poll_participants WHERE pollId = ? AND LOWER(inviteeEmail) = LOWER(?)',
+    [pollId, inviteeEmail]
+  );
+  if (voted) {
+    return { conflict: 'This email has already voted; use its vote token to change the answers' };
+  }
+
+  const participant = {
+    id: crypto.randomUUID(),
+    pollId,
+    inviteeName,
+    inviteeEmail,
+    nonce: newManageNonce(),
+    appointmentId: null,
+    createdAt: new Date(now).toISOString()
+  };
+  await dbAsync.run(
+    `INSERT INTO poll_participants (id, pollId, inviteeName, inviteeEmail, nonce, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [participant.id, pollId, inviteeName, inviteeEmail, participant.nonce, participant.createdAt]
+  );
+  await storeVotes(participant.id, votes);
+  return { participant: { ...participant, votes } };
+});
+
+// Replace a participant's answers with the checked `votes`. Returns { participant } or
+// { error } when the poll is closed
+const changeVotes = (participant, votes) => dbAsync.transaction(async () => {
+  const error = closedError(await dbAsync.get('SELECT status FROM polls WHERE id = ?', [participant.pollId]));
+  if (error) {
+    return { error };
+  }
+  await storeVotes(participant.id, votes);
+  return { participant: { ...participant, votes } };
+});
+
+// Vote tokens are signed like manage tokens, over the participant's ID and nonce
+const voteToken = (participant) => createManageToken(participant.id, participant.nonce);
+
+// Load the participant a vote token was issued for, or null when the token is invalid
+const findByVoteToken = async (token) => {
+  const claims = verifyManageToken(token);
+  if (!claims) {
+    return null;
+  }
+
+  const participant = await dbAsync.get('SELECT * FROM poll_participants WHERE id = ?', [claims.appointmentId]);
+  return participant && participant.nonce === claims.nonce ? participant : null;
+};
+
+// Close poll `pollId` on option `optionId` and book an appointment at its time for every
+// participant. Each participant is checked like an invitee the host books and takes a seat
+// of the time, so the event must seat them all; the appointments go to the same host. They
+// meet at the event's location when it offers just one. Returns { poll }, { rejection } or { error }
+const schedulePoll = ({ pollId, optionId, now = Date.now() }) => allOrNothing(async () => {
+  const current = await getPoll(pollId);
+  const error = closedError(current);
+  if (error) {
+    return { error };
+  }
+  const option = current.options.find(candidate => candidate.id === optionId);
+  if (!option) {
+    return { error: 'Option is not part of the poll' };
+  }
+  if (Date.parse(option.startTime) <= now) {
+    return { error: 'Option has already started' };
+  }
+  if (current.participants.length === 0) {
+    return { error: 'Poll has no participants yet' };
+  }
+
+  const event = await dbAsync.get('SELECT * FROM events WHERE id = ?', [current.eventId]);
+  if (!event) {
+    return { rejection: { reason: 'EVENT_NOT_FOUND', message: 'Event not found' } };
+  }
+  const capacity = eventCapacity(event);
+  if (current.participants.length > capacity) {
+    return {
+      rejection: {
+        reason: 'SLOT_FULL',
+        message: `The event's ${capacity} seats per slot can't hold all ${current.participants.length} participants`
+      }
+    };
+  }
+
+  // Each participant takes a seat of the chosen time with the same host, checked like any
+  // other booking; when one doesn't fit, nobody is booked
+  const window = parseAppointmentWindow(option.startTime, option.endTime);
+  const { choice } = chooseLocation(eventLocations(event), {});
+  let hostId = null;
+  for (const participant of current.participants) {
+    const assignment = await assignHost({
+      userId: event.userId, eventId: event.id, window, inviteeEmail: participant.inviteeEmail, now, hostId
+    });
+    if (assignment.rejection) {
+      return { rejection: assignment.rejection };
+    }
+    hostId = assignment.hostId;
+
+    const id = crypto.randomUUID();
+    const location = await meetingLocation(choice || null, {
+      appointmentId: id, eventId: event.id, hostId, startTime: option.startTime, endTime: option.endTime
+    });
+    await dbAsync.run(
+      `INSERT INTO appointments (id, eventId, userId, inviteeName, inviteeEmail, startTime, endTime, status, manageNonce,
+         location)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'scheduled', ?, ?)`,
+      [
+        id, event.id, hostId, participant.inviteeName, participant.inviteeEmail, option.startTime,
+        option.endTime, newManageNonce(), storeLocation(location)
+      ]
+    );
+    await setAppointmentHosts(id, assignment.hostIds);
+    await dbAsync.run('UPDATE poll_participants SET appointmentId = ? WHERE id = ?', [id, participant.id]);
+  }
+  await dbAsync.run("UPDATE polls SET status = 'closed', chosenOptionId = ? WHERE id = ?", [optionId, pollId]);
+  return { poll: await getPoll(pollId) };
+});
+
+// The gRPC PollStatus and VoteAnswer enums use the upper-case names
+const pollStatusToGrpc = (status) => (POLL_STATUSES.includes(status) ? status.toUpperCase() : 'POLL_STATUS_UNSPECIFIED');
+const voteAnswerToGrpc = (answer) => (VOTE_ANSWERS.includes(answer) ? answer.toUpperCase() : 'VOTE_ANSWER_UNSPECIFIED');
+
+const votesFromGrpc = (votes) => votes.map(vote => ({
+  optionId: vote.option_id,
+  answer: vote.answer && !vote.answer.endsWith('_UNSPECIFIED') ? vote.answer.toLowerCase() : undefined
+}));
+
+module.exports = {
+  parsePollTitle,
+  validatePollOptions,
+  getPoll,
+  listPolls,
+  createPoll,
+  validateVotes,
+  addParticipant,
+  changeVotes,
+  voteToken,
+  findByVoteToken,
+  schedulePoll,
+  pollStatusToGrpc,
+  voteAnswerToGrpc,
+  votesFromGrpc
+};
@@ -0,0 +1,282 @@
+// Public booking for invitees, who have no session token of their own. Invitees can only
+// take the slots the host offers, and are throttled per client and per invitee email. Each
+// appointment carries a manage token the invitee uses to cancel or reschedule it.
+const crypto = require('crypto');
+const { dbAsync } = require('../db');
+const { parseAppointmentWindow, checkHosts, assignHost } = require('./booking');
+const { bookingHostIds, setAppointmentHosts, withHostIds } = require('./hosts');
+const { createRateLimiter } = require('./rateLimit');
+const { newManageNonce, verifyManageToken } = require('./manageToken');
+const { isActive, transitionFields } = require('./status');
+const { storeList } = require('./questions');
+const { meetingLocation, storeLocation } = require('./locations');
+const { linkUseRejection, consumeLink } = require('./links');
+const { liveHold, releaseHold, deleteLapsedHolds } = require('./holds');
+const { linkRequiredRejection } = require('./visibility');
+const { passOnLapsedClaims, claimError, storedClaimError, markClaimBooked } = require('./waitlist');
+
+const MAX_INVITEE_NAME_LENGTH = 100;
+const MAX_CANCELLATION_REASON_LENGTH = 500;
+// Upcoming bookings one invitee email can hold with the same host
+const MAX_UPCOMING_PER_INVITEE = 3;
+// Booking attempts per client (IP address) in 15 minutes
+const clientLimiter = createRateLimiter({ limit: 20, windowMs: 15 * 60 * 1000 });
+
+// Validate the invitee's display name; returns { name } trimmed, or { error }
+const parseInviteeName = (value) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    return { error: 'Invitee name is required' };
+  }
+  if (name.length > MAX_INVITEE_NAME_LENGTH) {
+    return { error: `Invitee name must be at most ${MAX_INVITEE_NAME_LENGTH} characters` };
+  }
+  return { name };
+};
+
+// Validate an optional cancellation reason; returns { reason } trimmed (null when empty), or { error }
+const parseCancellationReason = (value) => {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    return { error: 'Cancellation reason must be a string' };
+  }
+
+  const reason = (value || '').trim();
+  if (reason.length > MAX_CANCELLATION_REASON_LENGTH) {
+    return { error: `Cancellation reason must be at most ${MAX_CANCELLATION_REASON_LENGTH} characters` };
+  }
+  return { reason: reason || null };
+};
+
+// Count a booking attempt from `clientKey`. Returns null when it is allowed, otherwise a
+// TOO_MANY_REQUESTS rejection carrying retryAfter in seconds
+const throttleClient = (clientKey, now = Date.now()) => {
+  const waitMs = clientLimiter.hit(clientKey, now);
+  if (!waitMs) {
+    return null;
+  }
+  return {
+    reason: 'TOO_MANY_REQUESTS',
+    message: 'Too many booking attempts, please try again later',
+    retryAfter: Math.ceil(waitMs / 1000)
+  };
+};
+
+// Reject an invitee who already holds too many upcoming bookings with the host
+const checkInviteeLimit = async ({ userId, inviteeEmail, now }) => {
+  const { count } = await dbAsync.get(
+    `SELECT COUNT(*) AS count FROM appointments
+     WHERE userId = ? AND LOWER(inviteeEmail) = LOWER(?) AND status != 'canceled' AND startTime >= ?`,
+    [userId, inviteeEmail, new Date(now).toISOString()]
+  );
+  if (count >= MAX_UPCOMING_PER_INVITEE) {
+    return {
+      reason: 'INVITEE_LIMIT_REACHED',
+      message: `An invitee can hold at most ${MAX_UPCOMING_PER_INVITEE} upcoming bookings with this host`
+    };
+  }
+  return null;
+};
+
+// Book `window` of host `userId`'s event for an invitee. The appointment belongs to the host,
+// or for round-robin events to the host it is assigned to; collective events book all hosts.
+// `answers` are the invitee's checked answers to the event's questions and `location` the
+// chosen location, if the event offers any. `claimId` is the waitlist entry whose claim on the
+// time is being booked, `holdId` the slot hold it turns into the appointment, and `linkId`
+// the scheduling link booked through, which the booking uses up one use of and which link-only
+// event types require. Lapsed waitlist claims are passed on first, so the booking can't take
+// time owed to the next invitee in line, and lapsed slot holds are deleted.
+// Returns { appointment } (the stored row), { rejection }, or { error } for a claim that lapsed
+const bookAsInvitee = ({
+  userId, eventId, inviteeName, inviteeEmail, window, answers = [], location = null, claimId = null, holdId = null,
+  linkId = null, now = Date.now()
+}) => {
+  // Check the booking and insert atomically so concurrent bookings can't both succeed
+  return dbAsync.transaction(async () => {
+    const claimed = claimId ? await storedClaimError(claimId, now) : null;
+    if (claimed) {
+      return { error: claimed };
+    }
+    await passOnLapsedClaims(now);
+    await deleteLapsedHolds(now);
+
+    const held = holdId ? await liveHold(holdId, now) : { hold: null };
+    if (held.rejection) {
+      return { rejection: held.rejection };
+    }
+
+    const linkRejection = linkId
+      ? await linkUseRejection(linkId, now)
+      : linkRequiredRejection(await dbAsync.get('SELECT linkOnly FROM events WHERE id = ?', [eventId]));
+    if (linkRejection) {
+      return { rejection: linkRejection };
+    }
+
+    const assignment = await assignHost({
+      userId, eventId, window, inviteeEmail, excludeId: claimId || holdId, now, asInvitee: true,
+      checkHost: (hostId) => checkInviteeLimit({ userId: hostId, inviteeEmail, now }),
+      hostId: held.hold && held.hold.hostId
+    });
+    if (assignment.rejection) {
+      return { rejection: assignment.rejection };
+    }
+
+    const id = crypto.randomUUID();
+    const appointment = {
+      id,
+      eventId,
+      userId: assignment.hostId,
+      hostIds: assignment.hostIds,
+      inviteeName,
+      inviteeEmail,
+      startTime: window.startTime,
+      endTime: window.endTime,
+      status: 'scheduled',
+      seriesId: null,
+      manageNonce: newManageNonce(),
+      answers,
+      location: await meetingLocation(location, {
+        appointmentId: id, eventId, hostId: assignment.hostId, startTime: window.startTime, endTime: window.endTime
+      })
+    };
+    await dbAsync.run(
+      `INSERT INTO appointments (id, eventId, userId, inviteeName, inviteeEmail, startTime, endTime, status, manageNonce,
+         answers, location)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        appointment.id, eventId, appointment.userId, inviteeName, inviteeEmail, window.startTime, window.endTime,
+        appointment.status, appointment.manageNonce, storeList(answers), storeLocation(appointment.location)
+      ]
+    );
+    await setAppointmentHosts(appointment.id, appointment.hostIds);
+    if (linkId) {
+      await consumeLink(linkId);
+    }
+    if (holdId) {
+      await releaseHold(holdId);
+    }
+    if (claimId) {
+      await markClaimBooked(claimId, id);
+    }
+    return { appointment };
+  });
+};
+
+// Book the time waitlist entry `entry` holds a claim on for its invitee, with their checked
+// `answers` and chosen `location`. Returns { appointment } (the stored row), { rejection } or { error }
+const claimOffer = async ({ entry, answers = [], location = null, now = Date.now() }) => {
+  const error = claimError(entry, now);
+  if (error) {
+    return { error };
+  }
+
+  const event = await dbAsync.get('SELECT userId FROM events WHERE id = ?', [entry.eventId]);
+  if (!event) {
+    return { rejection: { reason: 'EVENT_NOT_FOUND', message: 'Event not found' } };
+  }
+  return bookAsInvitee({
+    userId: event.userId,
+    eventId: entry.eventId,
+    inviteeName: entry.inviteeName,
+    inviteeEmail: entry.inviteeEmail,
+    window: parseAppointmentWindow(entry.offerStartTime, entry.offerEndTime),
+    answers,
+    location,
+    claimId: entry.id,
+    now
+  });
+};
+
+// Load the appointment a manage token was issued for, or null when the token is invalid or revoked
+const findByManageToken = async (token) => {
+  const claims = verifyManageToken(token);
+  if (!claims) {
+    return null;
+  }
+
+  const appointment = await dbAsync.get('SELECT * FROM appointments WHERE id = ?', [claims.appointmentId]);
+  if (!appointment || appointment.manageNonce !== claims.nonce) {
+    return null;
+  }
+  const [withHosts] = await withHostIds([appointment]);
+  return withHosts;
+};
+
+// Invitees can only change appointments that are upcoming and still active
+const manageError = (appointment, now) => {
+  if (!isActive(appointment.status)) {
+    return `Appointment is already ${appointment.status.replace('_', '-')}`;
+  }
+  if (Date.parse(appointment.startTime) <= now) {
+    return 'Appointment has already started';
+  }
+  return null;
+};
+
+// Re-read `appointment` and check that its invitee may still change it, so a change the host
+// made since it was loaded isn't overwritten. Returns { current } (the stored row) or { error }.
+// Call inside dbAsync.transaction() together with the change
+const currentManaged = async (appointment, now) => {
+  const current = await dbAsync.get('SELECT * FROM appointments WHERE id = ?', [appointment.id]);
+  if (!current) {
+    return { error: 'Appointment no longer exists' };
+  }
+  const error = manageError(current, now);
+  return error ? { error } : { current };
+};
+
+// Cancel an appointment for its invitee. Returns { appointment } (the updated row) or { error }
+const cancelAsInvitee = ({ appointment, reason, now = Date.now() }) => dbAsync.transaction(async () => {
+  const { current, error } = await currentManaged(appointment, now);
+  if (error) {
+    return { error };
+  }
+
+  const fields = transitionFields({ status: 'canceled', now, canceledBy: 'invitee', cancellationReason: reason });
+  const columns = Object.keys(fields);
+  await dbAsync.run(
+    `UPDATE appointments SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => fields[column]), appointment.id]
+  );
+  return { appointment: { ...appointment, ...current, ...fields } };
+});
+
+// Move an appointment into another offered slot for its invitee.
+// Returns { appointment } (the updated row), { rejection } or { error }
+const rescheduleAsInvitee = ({ appointment, window, now = Date.now() }) => dbAsync.transaction(async () => {
+  const { current, error } = await currentManaged(appointment, now);
+  if (error) {
+    return { error };
+  }
+
+  const rejection = await checkHosts({
+    userId: appointment.userId,
+    eventId: appointment.eventId,
+    window,
+    inviteeEmail: appointment.inviteeEmail,
+    excludeId: appointment.id,
+    now,
+    asInvitee: true
+  });
+  if (rejection) {
+    return { rejection };
+  }
+
+  await dbAsync.run(
+    'UPDATE appointments SET startTime = ?, endTime = ? WHERE id = ?',
+    [window.startTime, window.endTime, appointment.id]
+  );
+  const hostIds = await bookingHostIds(appointment.eventId, appointment.userId);
+  await setAppointmentHosts(appointment.id, hostIds);
+  return { appointment: { ...appointment, ...current, hostIds, startTime: window.startTime, endTime: window.endTime } };
+});
+
+module.exports = {
+  parseInviteeName,
+  parseCancellationReason,
+  throttleClient,
+  bookAsInvitee,
+  claimOffer,
+  findByManageToken,
+  cancelAsInvitee,
+  rescheduleAsInvitee
+};
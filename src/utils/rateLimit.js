@@ -0,0 +1,40 @@
+// In-memory sliding-window rate limiting. Counts live in the process, so each server
+// (and each restart) keeps its own.
+const MAX_TRACKED_KEYS = 1000;
+
+// Allow at most `limit` hits per key within `windowMs`
+const createRateLimiter = ({ limit, windowMs }) => {
+  const hits = new Map(); // key -> times of recent hits, oldest first
+
+  // Forget keys whose hits have all expired
+  const prune = (now) => {
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= now - windowMs) {
+        hits.delete(key);
+      }
+    }
+  };
+
+  return {
+    // Record a hit for `key`. Returns 0 when it is allowed, otherwise the milliseconds until
+    // the key may try again (rejected hits are not recorded)
+    hit(key, now = Date.now()) {
+      const recent = (hits.get(key) || []).filter(time => time > now - windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return recent[0] + windowMs - now;
+      }
+
+      recent.push(now);
+      hits.set(key, recent);
+      if (hits.size > MAX_TRACKED_KEYS) {
+        prune(now);
+      }
+      return 0;
+    }
+  };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,56 @@
+// Booking rejections over gRPC. Rejected bookings answer with the status code of their reason
+// and carry the reason, and its details, in the call's metadata.
+const grpc = require('@grpc/grpc-js');
+
+// gRPC status codes for each booking rejection reason
+const REJECTION_CODES = {
+  EVENT_NOT_FOUND: grpc.status.NOT_FOUND,
+  EVENT_NOT_OWNED: grpc.status.PERMISSION_DENIED,
+  EVENT_INACTIVE: grpc.status.FAILED_PRECONDITION,
+  DURATION_MISMATCH: grpc.status.INVALID_ARGUMENT,
+  INSUFFICIENT_NOTICE: grpc.status.FAILED_PRECONDITION,
+  BEYOND_HORIZON: grpc.status.FAILED_PRECONDITION,
+  NO_SCHEDULE: grpc.status.FAILED_PRECONDITION,
+  OUTSIDE_AVAILABILITY: grpc.status.FAILED_PRECONDITION,
+  MISALIGNED_START: grpc.status.FAILED_PRECONDITION,
+  DAILY_LIMIT_REACHED: grpc.status.FAILED_PRECONDITION,
+  WEEKLY_LIMIT_REACHED: grpc.status.FAILED_PRECONDITION,
+  SLOT_CONFLICT: grpc.status.ALREADY_EXISTS,
+  SLOT_FULL: grpc.status.ALREADY_EXISTS,
+  NO_HOST_AVAILABLE: grpc.status.FAILED_PRECONDITION,
+  INVITEE_LIMIT_REACHED: grpc.status.RESOURCE_EXHAUSTED,
+  TOO_MANY_REQUESTS: grpc.status.RESOURCE_EXHAUSTED,
+  SLOT_AVAILABLE: grpc.status.FAILED_PRECONDITION,
+  ALREADY_WAITLISTED: grpc.status.ALREADY_EXISTS,
+  LINK_NOT_FOUND: grpc.status.NOT_FOUND,
+  LINK_UNAVAILABLE: grpc.status.FAILED_PRECONDITION,
+  LINK_REQUIRED: grpc.status.PERMISSION_DENIED,
+  HOLD_NOT_FOUND: grpc.status.NOT_FOUND,
+  HOLD_EXPIRED: grpc.status.FAILED_PRECONDITION
+};
+
+// Build the error returned when a booking is rejected; the reason travels in metadata
+const rejectionError = (rejection) => {
+  const metadata = new grpc.Metadata();
+  metadata.set('booking-reason', rejection.reason);
+  if (rejection.conflictingAppointmentId) {
+    metadata.set('conflicting-appointment-id', rejection.conflictingAppointmentId);
+  }
+  if (rejection.retryAfter) {
+    metadata.set('retry-after', String(rejection.retryAfter));
+  }
+  
+  return {
+    code: REJECTION_CODES[rejection.reason],
+    message: rejection.message,
+    metadata
+  };
+};
+
+// Key public requests by the caller's address without its port (e.g. ipv4:127.0.0.1)
+const clientKey = (call) => call.getPeer().replace(/:\d+$/, '');
+
+module.exports = {
+  rejectionError,
+  clientKey
+};
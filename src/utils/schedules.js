@@ -0,0 +1,127 @@
+// Named schedules. A user can keep several schedules, exactly one of which is the default;
+// an event type uses the schedule it picked or, without one, its owner's default.
+const { dbAsync } = require('../db');
+
+const DEFAULT_SCHEDULE_NAME = 'Working hours';
+const MAX_SCHEDULE_NAME_LENGTH = 100;
+
+// Validate a schedule name; returns { name } trimmed, or { error }
+const parseScheduleName = (value) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    return { error: 'Schedule name is required' };
+  }
+  if (name.length > MAX_SCHEDULE_NAME_LENGTH) {
+    return { error: `Schedule name must be at most ${MAX_SCHEDULE_NAME_LENGTH} characters` };
+  }
+  return { name };
+};
+
+const getSchedule = (scheduleId) => dbAsync.get('SELECT * FROM schedules WHERE id = ?', [scheduleId]);
+
+// The user's default schedule, falling back to their oldest one
+const getDefaultSchedule = (userId) => dbAsync.get(
+  'SELECT * FROM schedules WHERE userId = ? ORDER BY isDefault DESC, id LIMIT 1',
+  [userId]
+);
+
+// Default first, then in creation order
+const listSchedules = (userId) => dbAsync.all(
+  'SELECT * FROM schedules WHERE userId = ? ORDER BY isDefault DESC, id',
+  [userId]
+);
+
+// The schedule governing one host's availability for an event row: the schedule the event
+// picked when it belongs to that host, otherwise the host's default
+const getHostSchedule = async (event, hostId) => {
+  if (event.scheduleId) {
+    const schedule = await getSchedule(event.scheduleId);
+    if (schedule && schedule.userId === hostId) {
+      return schedule;
+    }
+  }
+  return getDefaultSchedule(hostId);
+};
+
+// The schedule governing an event row's availability for its owner
+const getEventSchedule = (event) => getHostSchedule(event, event.userId);
+
+// Check that `scheduleId` is one of the user's schedules; returns an error message or null
+const scheduleOwnershipError = async (scheduleId, userId) => {
+  const schedule = await getSchedule(scheduleId);
+  return schedule && schedule.userId === userId ? null : 'Schedule must be one of your schedules';
+};
+
+// Mark `scheduleId` as the user's only default; call inside a transaction
+const makeDefault = (userId, scheduleId) => dbAsync.run(
+  'UPDATE schedules SET isDefault = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE userId = ?',
+  [scheduleId, userId]
+);
+
+// Create a schedule; a user's first schedule always becomes the default. Returns the new row
+const createSchedule = async ({ userId, name, availabilityJson, dateOverridesJson, isDefault = false }) => {
+  const id = await dbAsync.transaction(async () => {
+    const existing = await dbAsync.get('SELECT COUNT(*) AS count FROM schedules WHERE userId = ?', [userId]);
+    const { lastID } = await dbAsync.run(
+      'INSERT INTO schedules (userId, name, availability, dateOverrides) VALUES (?, ?, ?, ?)',
+      [userId, name, availabilityJson, dateOverridesJson]
+    );
+    if (isDefault || existing.count === 0) {
+      await makeDefault(userId, lastID);
+    }
+    return lastID;
+  });
+
+  return getSchedule(id);
+};
+
+// Update the given fields of a schedule. Returns { schedule } (the updated row) or { error }
+const updateSchedule = async (schedule, { name, availabilityJson, dateOverridesJson, isDefault }) => {
+  if (isDefault === false && schedule.isDefault) {
+    return { error: 'Make another schedule the default instead' };
+  }
+
+  await dbAsync.transaction(async () => {
+    await dbAsync.run(
+      'UPDATE schedules SET name = ?, availability = ?, dateOverrides = ? WHERE id = ?',
+      [
+        name || schedule.name,
+        availabilityJson || schedule.availability,
+        dateOverridesJson || schedule.dateOverrides,
+        schedule.id
+      ]
+    );
+    if (isDefault) {
+      await makeDefault(schedule.userId, schedule.id);
+    }
+  });
+
+  return { schedule: await getSchedule(schedule.id) };
+};
+
+// Delete a schedule. Event types that used it fall back to the default, and the oldest
+// remaining schedule takes over as default when the default is deleted
+const deleteSchedule = (schedule) => dbAsync.transaction(async () => {
+  await dbAsync.run('DELETE FROM schedules WHERE id = ?', [schedule.id]);
+  await dbAsync.run('UPDATE events SET scheduleId = NULL WHERE scheduleId = ?', [schedule.id]);
+  if (schedule.isDefault) {
+    const next = await dbAsync.get('SELECT id FROM schedules WHERE userId = ? ORDER BY id LIMIT 1', [schedule.userId]);
+    if (next) {
+      await makeDefault(schedule.userId, next.id);
+    }
+  }
+});
+
+module.exports = {
+  DEFAULT_SCHEDULE_NAME,
+  parseScheduleName,
+  getSchedule,
+  getDefaultSchedule,
+  listSchedules,
+  getHostSchedule,
+  getEventSchedule,
+  scheduleOwnershipError,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+};
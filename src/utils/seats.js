@@ -0,0 +1,53 @@
+// Group event types. An event's capacity is the number of invitees each of its slots holds;
+// the default of 1 keeps it one-on-one. Appointments of a group event at exactly the same
+// time share the slot until it is full, while overlapping slots still conflict.
+const MAX_CAPACITY = 1000;
+
+// Validate an optional capacity; returns { capacity } (undefined when not given) or { error }
+const validateCapacity = (value) => {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (!Number.isInteger(value) || value < 1 || value > MAX_CAPACITY) {
+    return { error: `Capacity must be a whole number from 1 to ${MAX_CAPACITY}` };
+  }
+  return { capacity: value };
+};
+
+const eventCapacity = (event) => Math.max(Number(event && event.capacity) || 1, 1);
+
+// Appointment rows of `event` holding a seat in the slot [start, end), in milliseconds.
+// One-on-one events share no slots, so their appointments conflict instead
+const seatHolders = (event, appointments, start, end) => {
+  if (eventCapacity(event) === 1) {
+    return [];
+  }
+  return appointments.filter(appointment => appointment.eventId === event.id &&
+    Date.parse(appointment.startTime) === start && Date.parse(appointment.endTime) === end);
+};
+
+// Split the host's appointments for computing `event`'s slots: `taken` counts the seats held
+// in each of the event's slots by start time in milliseconds, `others` are the rest, which
+// block the slots they overlap
+const splitSeats = (event, appointments) => {
+  const taken = {};
+  const others = [];
+
+  appointments.forEach(appointment => {
+    const start = Date.parse(appointment.startTime);
+    if (seatHolders(event, [appointment], start, start + event.duration * 60 * 1000).length > 0) {
+      taken[start] = (taken[start] || 0) + 1;
+    } else {
+      others.push(appointment);
+    }
+  });
+
+  return { taken, others };
+};
+
+module.exports = {
+  validateCapacity,
+  eventCapacity,
+  seatHolders,
+  splitSeats
+};
@@ -0,0 +1,206 @@
+// Recurring appointment series shared by the appointment flows. A series row keeps the
+// RRULE and its first occurrence; each occurrence is a regular appointment with a seriesId.
+const crypto = require('crypto');
+const { dbAsync } = require('../db');
+const { parseAppointmentWindow, checkHosts, allOrNothing } = require('./booking');
+const { bookingHostIds, setAppointmentHosts, withHostIds } = require('./hosts');
+const { parseRRule, expandRRule, truncateRRule } = require('./rrule');
+const { resolveTimeZone } = require('./timezone');
+const { newManageNonce } = require('./manageToken');
+const { isActive, transitionFields } = require('./status');
+const { offerFreedSlot } = require('./waitlist');
+
+// Expand `rrule` from the first occurrence `window`, in the host's time zone, into
+// appointment windows; returns { windows } or { error }
+const expandSeries = async ({ userId, rrule, window }) => {
+  const { rule, error } = parseRRule(rrule);
+  if (error) {
+    return { error };
+  }
+
+  const host = await dbAsync.get('SELECT timezone FROM users WHERE id = ?', [userId]);
+  const expanded = expandRRule({
+    rule,
+    start: window.start,
+    end: window.end,
+    timeZone: resolveTimeZone(host && host.timezone)
+  });
+  if (expanded.error) {
+    return { error: expanded.error };
+  }
+
+  return {
+    windows: expanded.occurrences.map(occurrence => parseAppointmentWindow(
+      new Date(occurrence.start).toISOString(),
+      new Date(occurrence.end).toISOString()
+    ))
+  };
+};
+
+// Check and insert occurrences in order, so each check sees the ones before it
+const bookOccurrences = async (series, windows) => {
+  const hostIds = await bookingHostIds(series.eventId, series.userId);
+  for (const window of windows) {
+    const rejection = await checkHosts({
+      userId: series.userId,
+      eventId: series.eventId,
+      window,
+      inviteeEmail: series.inviteeEmail
+    });
+    if (rejection) {
+      return { rejection: { ...rejection, message: `Occurrence at ${window.startTime}: ${rejection.message}` } };
+    }
+
+    const id = crypto.randomUUID();
+    await dbAsync.run(
+      `INSERT INTO appointments (id, eventId, userId, inviteeEmail, startTime, endTime, status, seriesId, manageNonce)
+       VALUES (?, ?, ?, ?, ?, ?, 'scheduled', ?, ?)`,
+      [
+        id, series.eventId, series.userId, series.inviteeEmail,
+        window.startTime, window.endTime, series.id, newManageNonce()
+      ]
+    );
+    await setAppointmentHosts(id, hostIds);
+  }
+  return {};
+};
+
+const getSeries = (seriesId) => dbAsync.get('SELECT * FROM appointment_series WHERE id = ?', [seriesId]);
+
+const listOccurrences = async (seriesId) => withHostIds(await dbAsync.all(
+  'SELECT * FROM appointments WHERE seriesId = ? ORDER BY startTime',
+  [seriesId]
+));
+
+// Create a series with all of its occurrences, or nothing if any occurrence is rejected.
+// Returns { series, occurrences }, { rejection } or { error }
+const createSeries = async ({ userId, eventId, inviteeEmail, window, rrule }) => {
+  const expanded = await expandSeries({ userId, rrule, window });
+  if (expanded.error) {
+    return { error: expanded.error };
+  }
+
+  const series = {
+    id: crypto.randomUUID(),
+    eventId,
+    userId,
+    inviteeEmail,
+    rrule: rrule.trim(),
+    startTime: window.startTime,
+    endTime: window.endTime
+  };
+
+  const result = await allOrNothing(async () => {
+    await dbAsync.run(
+      'INSERT INTO appointment_series (id, eventId, userId, inviteeEmail, rrule, startTime, endTime) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [series.id, eventId, userId, inviteeEmail, series.rrule, series.startTime, series.endTime]
+    );
+    return bookOccurrences(series, expanded.windows);
+  });
+  if (result.rejection) {
+    return result;
+  }
+
+  return { series, occurrences: await listOccurrences(series.id) };
+};
+
+// Cancel one occurrence, or it and every later active one; the latter also ends the series'
+// rule before it. The host is recorded as canceling, and each freed time goes to the first
+// invitee on the event's waitlist. Returns the canceled occurrences
+const cancelOccurrences = async ({ series, occurrence, andFollowing = false, now = Date.now() }) => {
+  const from = Date.parse(occurrence.startTime);
+  const canceled = andFollowing
+    ? (await listOccurrences(series.id))
+      .filter(appointment => Date.parse(appointment.startTime) >= from && isActive(appointment.status))
+    : [occurrence];
+  const fields = transitionFields({ status: 'canceled', now, canceledBy: 'host' });
+  const columns = Object.keys(fields);
+
+  await dbAsync.transaction(async () => {
+    for (const appointment of canceled) {
+      await dbAsync.run(
+        `UPDATE appointments SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => fields[column]), appointment.id]
+      );
+    }
+    if (andFollowing) {
+      await dbAsync.run(
+        'UPDATE appointment_series SET rrule = ? WHERE id = ?',
+        [truncateRRule(series.rrule, from), series.id]
+      );
+    }
+  });
+
+  for (const appointment of canceled) {
+    await offerFreedSlot(appointment, now);
+  }
+  return canceled.map(appointment => ({ ...appointment, ...fields }));
+};
+
+// Edit the whole series. A new invitee applies to every occurrence. A new first occurrence
+// `window` or `rrule` regenerates the upcoming active occurrences (past ones are kept as they
+// happened), re-checking each one; upcoming occurrences that were canceled stay canceled, and
+// their times are not booked again. Returns { series, occurrences }, { rejection } or { error }
+const updateSeries = async ({ series, inviteeEmail, window, rrule, now = Date.now() }) => {
+  const updated = {
+    ...series,
+    inviteeEmail: inviteeEmail || series.inviteeEmail,
+    rrule: rrule ? rrule.trim() : series.rrule,
+    startTime: window ? window.startTime : series.startTime,
+    endTime: window ? window.endTime : series.endTime
+  };
+
+  let windows = null;
+  if (window || rrule) {
+    const expanded = await expandSeries({
+      userId: series.userId,
+      rrule: updated.rrule,
+      window: window || parseAppointmentWindow(series.startTime, series.endTime)
+    });
+    if (expanded.error) {
+      return { error: expanded.error };
+    }
+
+    windows = expanded.windows.filter(occurrence => occurrence.start >= now);
+    if (windows.length === 0) {
+      return { error: 'The updated series has no upcoming occurrences' };
+    }
+  }
+
+  const result = await allOrNothing(async () => {
+    await dbAsync.run(
+      'UPDATE appointment_series SET inviteeEmail = ?, rrule = ?, startTime = ?, endTime = ? WHERE id = ?',
+      [updated.inviteeEmail, updated.rrule, updated.startTime, updated.endTime, series.id]
+    );
+    if (inviteeEmail) {
+      await dbAsync.run('UPDATE appointments SET inviteeEmail = ? WHERE seriesId = ?', [inviteeEmail, series.id]);
+    }
+    if (!windows) {
+      return {};
+    }
+
+    const upcoming = (await listOccurrences(series.id))
+      .filter(appointment => Date.parse(appointment.startTime) >= now);
+    for (const appointment of upcoming.filter(occurrence => isActive(occurrence.status))) {
+      await dbAsync.run('DELETE FROM appointments WHERE id = ?', [appointment.id]);
+      await setAppointmentHosts(appointment.id, []);
+    }
+    const kept = new Set(upcoming
+      .filter(occurrence => !isActive(occurrence.status))
+      .map(occurrence => Date.parse(occurrence.startTime)));
+    return bookOccurrences(updated, windows.filter(occurrence => !kept.has(occurrence.start)));
+  });
+  if (result.rejection) {
+    return result;
+  }
+
+  return { series: updated, occurrences: await listOccurrences(series.id) };
+};
+
+module.exports = {
+  getSeries,
+  listOccurrences,
+  createSeries,
+  cancelOccurrences,
+  updateSeries
+};
@@ -0,0 +1,86 @@
+// Bookable slots of an event type, shared by the slot endpoints of both APIs
+const { dbAsync } = require('../db');
+const { parseDateOverrides, toBusyIntervals, computeSlots } = require('./availability');
+const { resolveTimeZone } = require('./timezone');
+const { eventRules, bookingLimits } = require('./rules');
+const { eventCapacity, splitSeats } = require('./seats');
+const { getHostSchedule } = require('./schedules');
+const { HOST_BOOKED_TIME, bookedTimeParams, isCollective, getEventHostIds } = require('./hosts');
+const { isEventActive } = require('./visibility');
+
+// Slots `hostId` can take for the event row over the local dates [from, to], or null when
+// the host has no schedule
+const hostSlots = async (event, hostId, { from, to, now }) => {
+  const schedule = await getHostSchedule(event, hostId);
+  if (!schedule) {
+    return null;
+  }
+
+  // Existing appointments, waitlist claims, slot holds and their buffers block the slots they
+  // overlap and count towards the booking limits; a group event's own slots stay open until
+  // they are full
+  const appointments = await dbAsync.all(
+    `SELECT b.eventId, b.startTime, b.endTime, e.bufferBefore, e.bufferAfter
+     FROM (${HOST_BOOKED_TIME}) b LEFT JOIN events e ON e.id = b.eventId`,
+    bookedTimeParams(hostId, now)
+  );
+
+  // The weekly schedule and the date range are read in the host's own time zone
+  const host = await dbAsync.get('SELECT timezone, dailyLimit, weeklyLimit FROM users WHERE id = ?', [hostId]);
+  const { taken, others } = splitSeats(event, appointments);
+
+  return computeSlots({
+    availability: JSON.parse(schedule.availability),
+    dateOverrides: parseDateOverrides(schedule.dateOverrides),
+    duration: event.duration,
+    rules: eventRules(event),
+    limits: bookingLimits(event, host, appointments),
+    seats: { capacity: eventCapacity(event), taken },
+    from,
+    to,
+    busy: toBusyIntervals(others),
+    now,
+    timeZone: resolveTimeZone(host && host.timezone)
+  });
+};
+
+// Slots of the event row over the local dates [from, to]. Round-robin events offer every
+// slot at least one of their hosts can take, collective events only the slots all of their
+// hosts can take; inactive events offer none. Returns null when no host has a schedule
+const eventSlots = async (event, { from, to, now = Date.now() }) => {
+  if (!isEventActive(event)) {
+    return [];
+  }
+
+  const perHost = [];
+  let scheduled = false;
+  for (const hostId of await getEventHostIds(event)) {
+    const slots = await hostSlots(event, hostId, { from, to, now });
+    scheduled = scheduled || Boolean(slots);
+    // A host without a schedule is never free
+    perHost.push(slots || []);
+  }
+
+  if (!scheduled) {
+    return null;
+  }
+  if (perHost.length === 1) {
+    return perHost[0];
+  }
+  if (isCollective(event)) {
+    const [first, ...others] = perHost;
+    return first.filter(slot => others.every(slots => slots.some(other => other.startTime === slot.startTime)));
+  }
+
+  const byStart = new Map();
+  perHost.flat().forEach(slot => {
+    if (!byStart.has(slot.startTime)) {
+      byStart.set(slot.startTime, slot);
+    }
+  });
+  return [...byStart.values()].sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+};
+
+module.exports = {
+  eventSlots
+};
@@ -9,7 +9,38 @@ const isValidHexColor = (color) => {
   return hexColorRegex.test(color);
 };
 
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return typeof timezone === 'string' && timezone.length > 0;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Phone numbers: an optional leading +, then digits with common separators; 7 to 15 digits in all (E.164)
+const isValidPhoneNumber = (phone) => {
+  const phoneRegex = /^\+?[0-9 ().-]+$/;
+  if (typeof phone !== 'string' || !phoneRegex.test(phone)) {
+    return false;
+  }
+  const digits = phone.replace(/[^0-9]/g, '').length;
+  return digits >= 7 && digits <= 15;
+};
+
+// Absolute http(s) URLs
+const isValidUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
 module.exports = {
   isValidEmail,
   isValidHexColor,
+  isValidTimezone,
+  isValidPhoneNumber,
+  isValidUrl,
 };
@@ -0,0 +1,79 @@
+// Visibility of event types. An inactive event type keeps its appointments but takes no new
+// bookings and offers no slots; a secret one is left out of its host's public listing but
+// stays bookable through its direct link; a link-only one takes invitee bookings only through
+// its scheduling links. The flags are stored as 1 or 0.
+const VISIBILITY_FIELDS = ['active', 'secret', 'linkOnly'];
+
+// Validate the flags present in `input`; returns { visibility } holding only the given
+// flags as booleans, or { error }
+const validateVisibility = (input) => {
+  const visibility = {};
+  for (const field of VISIBILITY_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'boolean') {
+      return { error: `${field} must be a boolean` };
+    }
+    visibility[field] = value;
+  }
+  return { visibility };
+};
+
+// Rows from before the flags existed are active and public
+const isEventActive = (event) => Boolean(event) && (event.active === undefined || event.active === null || Boolean(event.active));
+
+const isEventSecret = (event) => Boolean(event && event.secret);
+
+const isEventLinkOnly = (event) => Boolean(event && event.linkOnly);
+
+// Whether the event type appears on its host's public page
+const isEventListed = (event) => isEventActive(event) && !isEventSecret(event) && !isEventLinkOnly(event);
+
+// The flags of an event row as booleans
+const eventVisibility = (event) => ({
+  active: isEventActive(event),
+  secret: isEventSecret(event),
+  linkOnly: isEventLinkOnly(event)
+});
+
+// Values for the events.active, events.secret and events.linkOnly columns
+const storeVisibility = (visibility) => {
+  const columns = {};
+  Object.keys(visibility).forEach(field => { columns[field] = visibility[field] ? 1 : 0; });
+  return columns;
+};
+
+// Rejection for booking an inactive event type, or null when it takes bookings
+const inactiveRejection = (event) => (isEventActive(event)
+  ? null
+  : { reason: 'EVENT_INACTIVE', message: 'Event is not accepting bookings' });
+
+// Rejection for booking a link-only event type without one of its scheduling links, or null
+const linkRequiredRejection = (event) => (isEventLinkOnly(event)
+  ? { reason: 'LINK_REQUIRED', message: 'Event only takes bookings through its scheduling links' }
+  : null);
+
+// The gRPC messages name linkOnly link_only; unset optional flags stay undefined
+const visibilityFromGrpc = (request) => ({ active: request.active, secret: request.secret, linkOnly: request.link_only });
+
+const visibilityToGrpc = (event) => {
+  const { linkOnly, ...flags } = eventVisibility(event);
+  return { ...flags, link_only: linkOnly };
+};
+
+module.exports = {
+  VISIBILITY_FIELDS,
+  validateVisibility,
+  isEventActive,
+  isEventSecret,
+  isEventLinkOnly,
+  isEventListed,
+  eventVisibility,
+  storeVisibility,
+  inactiveRejection,
+  linkRequiredRejection,
+  visibilityFromGrpc,
+  visibilityToGrpc
+};
@@ -0,0 +1,287 @@
+// Waitlists for fully booked event types. Invitees wait in line for one slot, or for any slot
+// of the event type on a day in its host's time zone. When an appointment of the event is
+// canceled or deleted, the first invitee waiting for its time gets a claim on it that lasts
+// CLAIM_MINUTES; the claimed time stays blocked for everybody else until the invitee books it
+// with their waitlist token. A lapsed claim keeps blocking the time until it passes to the
+// next invitee in line, which happens whenever slots are listed or booked or the event's
+// waitlist is read or changed.
+// Entries move from waiting to offered (holding a claim) to booked; entries whose claim
+// lapsed or whose slot or day has passed are expired.
+const crypto = require('crypto');
+const { dbAsync } = require('../db');
+const { parseDate, localDate } = require('./availability');
+const { resolveTimeZone } = require('./timezone');
+const { eventSlots } = require('./slots');
+const { inactiveRejection, linkRequiredRejection } = require('./visibility');
+const { isActive } = require('./status');
+const { newManageNonce, createManageToken, verifyManageToken } = require('./manageToken');
+const { parseAppointmentWindow, checkHosts } = require('./booking');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'expired'];
+// How long a claim on freed time lasts
+const CLAIM_MINUTES = Number(process.env.WAITLIST_CLAIM_MINUTES) || 15;
+const MINUTE_MS = 60 * 1000;
+
+// The host-local date of an instant as YYYY-MM-DD
+const dateIn = (ms, timeZone) => new Date(localDate(ms, timeZone)).toISOString().slice(0, 10);
+
+// Time zone of the owner of event `eventId`
+const hostTimeZone = async (eventId) => {
+  const host = await dbAsync.get(
+    'SELECT u.timezone FROM events e LEFT JOIN users u ON u.id = e.userId WHERE e.id = ?',
+    [eventId]
+  );
+  return resolveTimeZone(host && host.timezone);
+};
+
+// Give the freed time { eventId, hostId, startTime, endTime } to the first invitee waiting for
+// it; returns the offered entry's ID, or null when nobody is waiting or the time can't be
+// booked any more, because it has passed or was taken in the meantime
+const offerNext = async (slot, now) => {
+  if (Date.parse(slot.startTime) <= now) {
+    return null;
+  }
+  const rejection = await checkHosts({
+    userId: slot.hostId, eventId: slot.eventId, window: parseAppointmentWindow(slot.startTime, slot.endTime), now,
+    asInvitee: true
+  });
+  if (rejection) {
+    return null;
+  }
+
+  const date = dateIn(Date.parse(slot.startTime), await hostTimeZone(slot.eventId));
+  const next = await dbAsync.get(
+    `SELECT id FROM waitlist_entries
+     WHERE eventId = ? AND status = 'waiting' AND (startTime = ? OR (startTime IS NULL AND date = ?))
+     ORDER BY createdAt, rowid LIMIT 1`,
+    [slot.eventId, slot.startTime, date]
+  );
+  if (!next) {
+    return null;
+  }
+
+  await dbAsync.run(
+    `UPDATE waitlist_entries SET status = 'offered', hostId = ?, offerStartTime = ?, offerEndTime = ?, offerExpiresAt = ?
+     WHERE id = ?`,
+    [slot.hostId, slot.startTime, slot.endTime, new Date(now + CLAIM_MINUTES * MINUTE_MS).toISOString(), next.id]
+  );
+  return next.id;
+};
+
+// Expire the lapsed claims of every event, passing each on to the next invitee in line.
+// Call inside dbAsync.transaction()
+const passOnLapsedClaims = async (now) => {
+  const lapsed = await dbAsync.all(
+    `SELECT * FROM waitlist_entries WHERE status = 'offered' AND offerExpiresAt <= ?
+     ORDER BY offerExpiresAt, rowid`,
+    [new Date(now).toISOString()]
+  );
+  for (const entry of lapsed) {
+    await dbAsync.run("UPDATE waitlist_entries SET status = 'expired' WHERE id = ?", [entry.id]);
+    await offerNext({
+      eventId: entry.eventId, hostId: entry.hostId, startTime: entry.offerStartTime, endTime: entry.offerEndTime
+    }, now);
+  }
+};
+
+// Pass the lapsed claims on before reading the hosts' free time. Slot listings are public, so
+// the write transaction is only opened when there is a lapsed claim to pass on
+const passOnClaims = async (now = Date.now()) => {
+  const lapsed = await dbAsync.get(
+    "SELECT 1 FROM waitlist_entries WHERE status = 'offered' AND offerExpiresAt <= ? LIMIT 1",
+    [new Date(now).toISOString()]
+  );
+  if (lapsed) {
+    await dbAsync.transaction(() => passOnLapsedClaims(now));
+  }
+};
+
+// Expire the lapsed claims and the entries of event `eventId` whose slot or day has passed
+const expireEntries = async (eventId, now) => {
+  const at = new Date(now).toISOString();
+  await passOnLapsedClaims(now);
+
+  await dbAsync.run(
+    `UPDATE waitlist_entries SET status = 'expired'
+     WHERE eventId = ? AND status = 'waiting' AND (startTime <= ? OR (startTime IS NULL AND date < ?))`,
+    [eventId, at, dateIn(now, await hostTimeZone(eventId))]
+  );
+};
+
+// Bring the waitlist of event `eventId` up to date
+const advanceWaitlist = (eventId, now = Date.now()) => dbAsync.transaction(() => expireEntries(eventId, now));
+
+// Offer the time of an appointment that was just canceled or deleted to its event's waitlist;
+// `appointment` is the row as it was before. Appointments that were no longer active free
+// nothing. Returns the offered entry's ID or null
+const offerFreedSlot = (appointment, now = Date.now()) => dbAsync.transaction(async () => {
+  if (!isActive(appointment.status)) {
+    return null;
+  }
+  await expireEntries(appointment.eventId, now);
+  return offerNext({
+    eventId: appointment.eventId,
+    hostId: appointment.userId,
+    startTime: appointment.startTime,
+    endTime: appointment.endTime
+  }, now);
+});
+
+// Put an invitee in line for `window` (a parsed slot) or `date` (YYYY-MM-DD in the host's time
+// zone) of event row `event`; exactly one of them is given. Only fully booked slots and days
+// have a waitlist, and link-only event types have none. Returns { entry } (the stored row),
+// { rejection } or { error }
+const joinWaitlist = ({ event, inviteeName, inviteeEmail, window = null, date = null, now = Date.now() }) => {
+  const closed = inactiveRejection(event) || linkRequiredRejection(event);
+  if (closed) {
+    return Promise.resolve({ rejection: closed });
+  }
+  if (window && window.end - window.start !== event.duration * MINUTE_MS) {
+    return Promise.resolve({
+      rejection: { reason: 'DURATION_MISMATCH', message: `Appointment must last exactly ${event.duration} minutes` }
+    });
+  }
+
+  return dbAsync.transaction(async () => {
+    await expireEntries(event.id, now);
+
+    const timeZone = await hostTimeZone(event.id);
+    const day = window ? dateIn(window.start, timeZone) : date;
+    if (window ? window.start <= now : day < dateIn(now, timeZone)) {
+      return { error: window ? 'Slot has already started' : 'Date has already passed' };
+    }
+
+    // Only fully booked slots and days have a waitlist
+    const localDay = parseDate(day);
+    const slots = await eventSlots(event, { from: localDay, to: localDay, now });
+    if (!slots) {
+      return { rejection: { reason: 'NO_SCHEDULE', message: 'Host has no schedule' } };
+    }
+    const open = window ? slots.some(slot => Date.parse(slot.startTime) === window.start) : slots.length > 0;
+    if (open) {
+      return {
+        rejection: {
+          reason: 'SLOT_AVAILABLE',
+          message: window ? 'Slot is still available to book' : 'Day still has slots available to book'
+        }
+      };
+    }
+
+    const startTime = window ? window.startTime : null;
+    const queued = await dbAsync.get(
+      `SELECT id FROM waitlist_entries
+       WHERE eventId = ? AND LOWER(inviteeEmail) = LOWER(?) AND status IN ('waiting', 'offered') AND date = ?
+         AND startTime IS ?`,
+      [event.id, inviteeEmail, day, startTime]
+    );
+    if (queued) {
+      return {
+        rejection: { reason: 'ALREADY_WAITLISTED', message: 'Invitee is already on this waitlist' }
+      };
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      eventId: event.id,
+      hostId: null,
+      inviteeName,
+      inviteeEmail,
+      date: day,
+      startTime,
+      endTime: window ? window.endTime : null,
+      status: 'waiting',
+      offerStartTime: null,
+      offerEndTime: null,
+      offerExpiresAt: null,
+      appointmentId: null,
+      nonce: newManageNonce(),
+      createdAt: new Date(now).toISOString()
+    };
+    const columns = Object.keys(entry);
+    await dbAsync.run(
+      `INSERT INTO waitlist_entries (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => entry[column])
+    );
+    return { entry };
+  });
+};
+
+// Waitlist tokens are signed like manage tokens, over the entry's ID and nonce
+const waitlistToken = (entry) => createManageToken(entry.id, entry.nonce);
+
+// Load the entry a waitlist token was issued for, with its waitlist brought up to date, or
+// null when the token is invalid or the invitee left
+const findByWaitlistToken = async (token, now = Date.now()) => {
+  const claims = verifyManageToken(token);
+  if (!claims) {
+    return null;
+  }
+
+  const entry = await dbAsync.get('SELECT eventId, nonce FROM waitlist_entries WHERE id = ?', [claims.appointmentId]);
+  if (!entry || entry.nonce !== claims.nonce) {
+    return null;
+  }
+  await advanceWaitlist(entry.eventId, now);
+  return dbAsync.get('SELECT * FROM waitlist_entries WHERE id = ?', [claims.appointmentId]);
+};
+
+// Entries of event `eventId` in line order, brought up to date
+const listWaitlist = async (eventId, now = Date.now()) => {
+  await advanceWaitlist(eventId, now);
+  return dbAsync.all('SELECT * FROM waitlist_entries WHERE eventId = ? ORDER BY createdAt, rowid', [eventId]);
+};
+
+// Take an invitee off the waitlist; a claim they hold passes to the next invitee in line
+const leaveWaitlist = (entry, now = Date.now()) => dbAsync.transaction(async () => {
+  await dbAsync.run('DELETE FROM waitlist_entries WHERE id = ?', [entry.id]);
+  if (entry.status === 'offered' && Date.parse(entry.offerExpiresAt) > now) {
+    await offerNext({
+      eventId: entry.eventId, hostId: entry.hostId, startTime: entry.offerStartTime, endTime: entry.offerEndTime
+    }, now);
+  }
+});
+
+// Only a live claim can be booked; returns an error message or null
+const claimError = (entry, now = Date.now()) => {
+  if (entry.status === 'booked') {
+    return 'Waitlist claim has already been booked';
+  }
+  if (entry.status !== 'offered') {
+    return entry.status === 'expired' ? 'Waitlist entry has expired' : 'No time has been offered yet';
+  }
+  if (Date.parse(entry.offerExpiresAt) <= now) {
+    return 'Waitlist claim has expired';
+  }
+  return null;
+};
+
+// Error message for booking entry `entryId` as it is stored now, or null while its claim is
+// live. Call inside dbAsync.transaction() together with markClaimBooked
+const storedClaimError = async (entryId, now = Date.now()) => {
+  const entry = await dbAsync.get('SELECT * FROM waitlist_entries WHERE id = ?', [entryId]);
+  return entry ? claimError(entry, now) : 'Waitlist entry not found';
+};
+
+// Record that the claim of entry `entryId` was booked as appointment `appointmentId`
+const markClaimBooked = (entryId, appointmentId) => dbAsync.run(
+  "UPDATE waitlist_entries SET status = 'booked', appointmentId = ? WHERE id = ?",
+  [appointmentId, entryId]
+);
+
+// The gRPC WaitlistStatus enum uses the upper-case status names
+const waitlistStatusToGrpc = (status) => (WAITLIST_STATUSES.includes(status) ? status.toUpperCase() : 'WAITLIST_STATUS_UNSPECIFIED');
+
+module.exports = {
+  passOnLapsedClaims,
+  passOnClaims,
+  offerFreedSlot,
+  joinWaitlist,
+  waitlistToken,
+  findByWaitlistToken,
+  listWaitlist,
+  leaveWaitlist,
+  claimError,
+  storedClaimError,
+  markClaimBooked,
+  waitlistStatusToGrpc
+};
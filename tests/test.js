@@ -3,6 +3,7 @@ const grpc = require('@grpc/grpc-js');
 const path = require('path');
 const protoLoader = require('@grpc/proto-loader');
 const assert = require('assert');
+const sqlite3 = require('sqlite3');
 
 // Load gRPC client
 const PROTO_PATH = path.resolve(__dirname, '../proto/calendly.proto');
@@ -20,6 +21,8 @@ const calendlyProto = protoDescriptor.calendlygrpc;
 // Configuration
 const REST_API_BASE_URL = 'http://localhost:3000';
 const GRPC_SERVER_ADDRESS = 'localhost:50051';
+// Both servers share this database
+const DATABASE_PATH = path.resolve(__dirname, '../calendly-clone-api/database.db');
 
 // Test data
 const TEST_USER = {
@@ -29,6 +32,16 @@ const TEST_USER = {
   timezone: 'Europe/Tallinn'
 };
 
+// Helper: Get the date (YYYY-MM-DD) of the next given weekday (0 = Sunday), at least a day ahead
+const nextWeekday = (dayIndex) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  while (date.getUTCDay() !== dayIndex) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
 // Test class to run all tests
 class CalendlyAPITest {
   constructor() {
@@ -66,6 +79,16 @@ class CalendlyAPITest {
       grpc.credentials.createInsecure()
     );
     
+    this.teamClient = new calendlyProto.TeamService(
+      GRPC_SERVER_ADDRESS,
+      grpc.credentials.createInsecure()
+    );
+    
+    this.pollClient = new calendlyProto.PollService(
+      GRPC_SERVER_ADDRESS,
+      grpc.credentials.createInsecure()
+    );
+    
     // Storage for test data between tests
     this.testData = {
       restUser: null,
@@ -78,6 +101,9 @@ class CalendlyAPITest {
       grpcAppointment: null
     };
     
+    // Emails and session tokens of the hosts made by createHost, by user ID
+    this.hostLogins = {};
+    
     // Count for tracking tests
     this.totalTests = 0;
     this.passedTests = 0;
@@ -110,6 +136,52 @@ class CalendlyAPITest {
     });
   }
   
+  // Helper: Create a user whose default schedule has one time range on `day`, returning their ID
+  async createHost(label, startTime, endTime, day = 'Friday') {
+    const host = (await this.restClient.post('/users', {
+      ...TEST_USER,
+      email: `${label}_${Date.now()}@example.com`
+    })).data;
+    const { token } = (await axios.post(`${REST_API_BASE_URL}/sessions`, {
+      email: host.email,
+      password: TEST_USER.password
+    })).data;
+    await axios.post(`${REST_API_BASE_URL}/schedules`, {
+      userId: host.id,
+      availability: [{ day, time_ranges: [{ start_time: startTime, end_time: endTime }] }]
+    }, { headers: { Authorization: `Bearer ${token}` } });
+    this.hostLogins[host.id] = { email: host.email, token };
+    return host.id;
+  }
+  
+  // Helper: Let the waitlist claim of entry `entryId` lapse, as if its time had run out
+  lapseClaim(entryId) {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(DATABASE_PATH);
+      db.configure('busyTimeout', 5000);
+      db.run(
+        'UPDATE waitlist_entries SET offerExpiresAt = ? WHERE id = ?',
+        [new Date(Date.now() - 1000).toISOString(), entryId],
+        (err) => db.close(() => (err ? reject(err) : resolve()))
+      );
+    });
+  }
+  
+  // Helper: Create a team owned by the user signed in with `ownerToken` and have hosts made by
+  // createHost join it by accepting their invitations, returning the team's ID
+  async createHostTeam(name, hostIds, ownerToken) {
+    const signedIn = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+    const team = (await axios.post(`${REST_API_BASE_URL}/teams`, { name }, signedIn(ownerToken))).data;
+    for (const hostId of hostIds) {
+      const { email, token } = this.hostLogins[hostId];
+      const invitation = (await axios.post(
+        `${REST_API_BASE_URL}/teams/${team.id}/invitations`, { email }, signedIn(ownerToken)
+      )).data;
+      await axios.post(`${REST_API_BASE_URL}/teams/invitations/${invitation.id}/accept`, {}, signedIn(token));
+    }
+    return team.id;
+  }
+  
   // Test: Create user
   async testCreateUser() {
     this.totalTests++;
@@ -135,167 +207,2349 @@ class CalendlyAPITest {
       console.log('✓ Create user: PASSED');
       this.passedTests++;
     } catch (err) {
-      console.error('✗ Create user: FAILED', err.message);
+      console.error('✗ Create user: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Login
+  async testLogin() {
+    this.totalTests++;
+    try {
+      // REST API call
+      const restResponse = await this.restClient.post('/sessions', {
+        email: TEST_USER.email,
+        password: TEST_USER.password
+      });
+      this.testData.restToken = restResponse.data.token;
+      
+      // gRPC call
+      const grpcResponse = await this.makeGrpcRequest(this.sessionClient, 'login', {
+        email: this.testData.grpcUser.email,
+        password: TEST_USER.password
+      });
+      this.testData.grpcToken = grpcResponse.token;
+      
+      // Update REST client with token
+      this.restClient.defaults.headers.common['Authorization'] = `Bearer ${this.testData.restToken}`;
+      
+      // Verify both APIs return token
+      assert(this.testData.restToken, 'REST API should return token');
+      assert(this.testData.grpcToken, 'gRPC API should return token');
+      
+      console.log('✓ Login: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Login: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Create event
+  async testCreateEvent() {
+    this.totalTests++;
+    try {
+      const eventData = {
+        name: 'Test Meeting',
+        duration: 30,
+        description: 'Test description',
+        color: '#FF5733'
+      };
+      
+      // REST API call
+      const restResponse = await this.restClient.post('/events', eventData);
+      this.testData.restEvent = restResponse.data;
+      
+      // gRPC call
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        eventData,
+        this.testData.grpcToken
+      );
+      this.testData.grpcEvent = grpcEvent;
+      
+      // Verify both APIs return similar structure
+      assert(restResponse.data.id && grpcEvent.id, 'Both APIs should return event ID');
+      assert(restResponse.data.name === eventData.name && grpcEvent.name === eventData.name, 'Both APIs should return correct event name');
+      assert(restResponse.data.duration === eventData.duration && grpcEvent.duration === eventData.duration, 'Both APIs should return correct duration');
+      
+      console.log('✓ Create event: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Create event: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Create schedule
+  async testCreateSchedule() {
+    this.totalTests++;
+    try {
+      const availabilityData = {
+        days: [
+          {
+            day: 'Monday',
+            time_ranges: [
+              {
+                start_time: '09:00',
+                end_time: '17:00'
+              }
+            ]
+          }
+        ]
+      };
+      
+      // REST API call
+      const restResponse = await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        availability: availabilityData.days
+      });
+      
+      // gRPC call
+      const grpcResponse = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        {
+          user_id: this.testData.grpcUser.id,
+          availability: availabilityData
+        },
+        this.testData.grpcToken
+      );
+      
+      // Verify both APIs return success
+      assert(restResponse.status === 201 || restResponse.status === 200, 'REST API should return success');
+      assert(grpcResponse.user_id === this.testData.grpcUser.id, 'gRPC API should return correct user ID');
+      
+      console.log('✓ Create schedule: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Create schedule: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Create appointment
+  async testCreateAppointment() {
+    this.totalTests++;
+    try {
+      // Book available slots returned by the slots test
+      const appointmentData = {
+        eventId: this.testData.restEvent.id,
+        inviteeEmail: 'invitee@example.com',
+        startTime: this.testData.restSlots[0].startTime,
+        endTime: this.testData.restSlots[0].endTime
+      };
+      
+      const grpcAppointmentData = {
+        event_id: this.testData.grpcEvent.id,
+        invitee_email: 'grpc_invitee@example.com',
+        start_time: this.testData.grpcSlots[1].start_time,
+        end_time: this.testData.grpcSlots[1].end_time
+      };
+      
+      // REST API call
+      const restResponse = await this.restClient.post('/appointments', appointmentData);
+      this.testData.restAppointment = restResponse.data;
+      
+      // gRPC call
+      const grpcResponse = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointment',
+        grpcAppointmentData,
+        this.testData.grpcToken
+      );
+      this.testData.grpcAppointment = grpcResponse;
+      
+      // Verify both APIs return similar structure
+      assert(restResponse.data.id && grpcResponse.id, 'Both APIs should return appointment ID');
+      assert(restResponse.data.status === 'scheduled' && grpcResponse.status === 'SCHEDULED', 'Both APIs should return scheduled status');
+      
+      console.log('✓ Create appointment: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Create appointment: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Double booking is rejected
+  async testDoubleBooking() {
+    this.totalTests++;
+    try {
+      // REST API call overlapping the appointment created earlier
+      const restStatus = await this.restClient.post('/appointments', {
+        eventId: this.testData.restEvent.id,
+        inviteeEmail: 'other@example.com',
+        startTime: this.testData.restAppointment.startTime,
+        endTime: this.testData.restAppointment.endTime
+      }).then(() => null, err => err.response);
+      
+      // gRPC call overlapping the appointment created earlier
+      const grpcError = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointment',
+        {
+          event_id: this.testData.grpcEvent.id,
+          invitee_email: 'other@example.com',
+          start_time: this.testData.grpcAppointment.start_time,
+          end_time: this.testData.grpcAppointment.end_time
+        },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      
+      // Verify both APIs report the conflict with the clashing appointment
+      assert(restStatus && restStatus.status === 409, 'REST API should return 409');
+      assert(restStatus.data.conflictingAppointmentId === this.testData.restAppointment.id, 'REST API should return the conflicting appointment ID');
+      assert(grpcError && grpcError.code === grpc.status.ALREADY_EXISTS, 'gRPC API should return ALREADY_EXISTS');
+      assert(grpcError.metadata.get('conflicting-appointment-id')[0] === this.testData.grpcAppointment.id,
+             'gRPC API should return the conflicting appointment ID');
+      
+      console.log('✓ Double booking: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Double booking: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Bookings outside availability or with the wrong length are rejected
+  async testBookingRules() {
+    this.totalTests++;
+    try {
+      // Wednesday has no availability; Monday booking has the wrong length
+      const wednesday = nextWeekday(3);
+      const monday = nextWeekday(1);
+      const cases = [
+        { startTime: `${wednesday}T10:00:00Z`, endTime: `${wednesday}T10:45:00Z`, reason: 'OUTSIDE_AVAILABILITY' },
+        { startTime: `${monday}T14:00:00Z`, endTime: `${monday}T14:30:00Z`, reason: 'DURATION_MISMATCH' }
+      ];
+      
+      for (const testCase of cases) {
+        // REST API call
+        const restError = await this.restClient.post('/appointments', {
+          eventId: this.testData.restEvent.id,
+          inviteeEmail: 'other@example.com',
+          startTime: testCase.startTime,
+          endTime: testCase.endTime
+        }).then(() => null, err => err.response);
+        
+        // gRPC call
+        const grpcError = await this.makeAuthenticatedGrpcRequest(
+          this.appointmentClient,
+          'createAppointment',
+          {
+            event_id: this.testData.grpcEvent.id,
+            invitee_email: 'other@example.com',
+            start_time: testCase.startTime,
+            end_time: testCase.endTime
+          },
+          this.testData.grpcToken
+        ).then(() => null, err => err);
+        
+        // Verify both APIs reject the booking with the same reason
+        assert(restError && restError.data.reason === testCase.reason, `REST API should reject with ${testCase.reason}`);
+        assert(grpcError && grpcError.metadata.get('booking-reason')[0] === testCase.reason,
+               `gRPC API should reject with ${testCase.reason}`);
+      }
+      
+      console.log('✓ Booking rules: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Booking rules: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Event booking rules shape the slots and are enforced on booking
+  async testEventRules() {
+    this.totalTests++;
+    try {
+      const monday = nextWeekday(1);
+      const rules = { duration: 30, bufferBefore: 15, bufferAfter: 15, slotIncrement: 15 };
+      const MINUTE_MS = 60 * 1000;
+      
+      // REST API calls
+      const restInvalid = await this.restClient.post('/events', {
+        name: 'Invalid Rules', duration: 30, bufferBefore: -5
+      }).then(() => null, err => err.response);
+      const restEvent = (await this.restClient.post('/events', { name: 'Buffered Event', ...rules })).data;
+      const restSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: monday, to: monday }
+      })).data.slots;
+      
+      // gRPC calls
+      const grpcInvalid = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Invalid Rules', duration: 30, buffer_before: -5 },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Buffered Event', duration: 30, buffer_before: 15, buffer_after: 15, slot_increment: 15 },
+        this.testData.grpcToken
+      );
+      const grpcSlots = (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: monday,
+        to: monday
+      })).slots;
+      
+      // The first free slot after each existing appointment starts once its buffer has passed
+      const restAfter = Date.parse(this.testData.restAppointment.endTime) + 15 * MINUTE_MS;
+      const grpcAfter = Date.parse(this.testData.grpcAppointment.end_time) + 15 * MINUTE_MS;
+      assert(restInvalid && restInvalid.status === 400, 'REST API should reject negative buffers');
+      assert(grpcInvalid && grpcInvalid.code === grpc.status.INVALID_ARGUMENT, 'gRPC API should reject negative buffers');
+      assert(restEvent.bufferBefore === 15 && grpcEvent.buffer_before === 15, 'Both APIs should return the rules');
+      assert(Date.parse(restSlots[0].startTime) === restAfter, 'REST API should keep the buffer after the appointment free');
+      assert(grpcSlots.some(slot => Date.parse(slot.start_time) === grpcAfter) &&
+             !grpcSlots.some(slot => Date.parse(slot.start_time) === grpcAfter - 15 * MINUTE_MS),
+             'gRPC API should keep the buffer after the appointment free');
+      
+      // Booking inside a buffer, off the increment and inside the minimum notice is rejected
+      const restBook = (startTime) => this.restClient.post('/appointments', {
+        eventId: restEvent.id,
+        inviteeEmail: 'other@example.com',
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(startTime + 30 * MINUTE_MS).toISOString()
+      }).then(() => null, err => err.response.data.reason);
+      const grpcBook = (startTime) => this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointment',
+        {
+          event_id: grpcEvent.id,
+          invitee_email: 'other@example.com',
+          start_time: new Date(startTime).toISOString(),
+          end_time: new Date(startTime + 30 * MINUTE_MS).toISOString()
+        },
+        this.testData.grpcToken
+      ).then(() => null, err => err.metadata.get('booking-reason')[0]);
+      
+      assert(await restBook(restAfter - 15 * MINUTE_MS) === 'SLOT_CONFLICT', 'REST API should enforce buffers');
+      assert(await grpcBook(grpcAfter - 15 * MINUTE_MS) === 'SLOT_CONFLICT', 'gRPC API should enforce buffers');
+      assert(await restBook(restAfter + 5 * MINUTE_MS) === 'MISALIGNED_START', 'REST API should enforce the increment');
+      assert(await grpcBook(grpcAfter + 5 * MINUTE_MS) === 'MISALIGNED_START', 'gRPC API should enforce the increment');
+      
+      // A 60-day minimum notice leaves nothing bookable
+      const notice = 60 * 24 * 60;
+      await this.restClient.patch(`/events/${restEvent.id}`, { minimumNotice: notice });
+      await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'updateEvent',
+        { event_id: grpcEvent.id, minimum_notice: notice },
+        this.testData.grpcToken
+      );
+      assert(await restBook(restAfter) === 'INSUFFICIENT_NOTICE', 'REST API should enforce the minimum notice');
+      assert(await grpcBook(grpcAfter) === 'INSUFFICIENT_NOTICE', 'gRPC API should enforce the minimum notice');
+      
+      console.log('✓ Event rules: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Event rules: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Daily limits of an event and weekly limits of a host close the day/week
+  async testBookingLimits() {
+    this.totalTests++;
+    try {
+      const monday = nextWeekday(1);
+      const restSlot = this.testData.restSlots[5];
+      const grpcSlot = this.testData.grpcSlots[5];
+      
+      // Each host already has one Monday appointment, so a limit of 1 is reached
+      const restAttempt = async () => {
+        const slots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+          params: { eventId: this.testData.restEvent.id, from: monday, to: monday }
+        })).data.slots;
+        const reason = await this.restClient.post('/appointments', {
+          eventId: this.testData.restEvent.id,
+          inviteeEmail: 'other@example.com',
+          startTime: restSlot.startTime,
+          endTime: restSlot.endTime
+        }).then(() => null, err => err.response.data.reason);
+        return { slots, reason };
+      };
+      const grpcAttempt = async () => {
+        const { slots } = await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+          user_id: this.testData.grpcUser.id,
+          event_id: this.testData.grpcEvent.id,
+          from: monday,
+          to: monday
+        });
+        const reason = await this.makeAuthenticatedGrpcRequest(
+          this.appointmentClient,
+          'createAppointment',
+          {
+            event_id: this.testData.grpcEvent.id,
+            invitee_email: 'other@example.com',
+            start_time: grpcSlot.start_time,
+            end_time: grpcSlot.end_time
+          },
+          this.testData.grpcToken
+        ).then(() => null, err => err.metadata.get('booking-reason')[0]);
+        return { slots, reason };
+      };
+      const updateEventLimit = (dailyLimit) => Promise.all([
+        this.restClient.patch(`/events/${this.testData.restEvent.id}`, { dailyLimit }),
+        this.makeAuthenticatedGrpcRequest(
+          this.eventClient,
+          'updateEvent',
+          { event_id: this.testData.grpcEvent.id, daily_limit: dailyLimit },
+          this.testData.grpcToken
+        )
+      ]);
+      const updateUserLimit = (weeklyLimit) => Promise.all([
+        this.restClient.patch(`/users/${this.testData.restUser.id}`, { weeklyLimit }),
+        this.makeAuthenticatedGrpcRequest(
+          this.userClient,
+          'updateUser',
+          { user_id: this.testData.grpcUser.id, weekly_limit: weeklyLimit },
+          this.testData.grpcToken
+        )
+      ]);
+      
+      // Event daily limit
+      await updateEventLimit(1);
+      const restDaily = await restAttempt();
+      const grpcDaily = await grpcAttempt();
+      await updateEventLimit(0);
+      
+      // Host weekly limit across all event types
+      const [restUser, grpcUser] = await updateUserLimit(1);
+      const restWeekly = await restAttempt();
+      const grpcWeekly = await grpcAttempt();
+      await updateUserLimit(0);
+      
+      // Verify both APIs hide the capped day and reject bookings on it
+      assert(restUser.data.weeklyLimit === 1 && grpcUser.weekly_limit === 1, 'Both APIs should return the user limit');
+      assert(restDaily.slots.length === 0 && grpcDaily.slots.length === 0, 'Both APIs should hide days at the daily limit');
+      assert(restDaily.reason === 'DAILY_LIMIT_REACHED' && grpcDaily.reason === 'DAILY_LIMIT_REACHED',
+             'Both APIs should reject bookings over the daily limit');
+      assert(restWeekly.slots.length === 0 && grpcWeekly.slots.length === 0, 'Both APIs should hide weeks at the weekly limit');
+      assert(restWeekly.reason === 'WEEKLY_LIMIT_REACHED' && grpcWeekly.reason === 'WEEKLY_LIMIT_REACHED',
+             'Both APIs should reject bookings over the weekly limit');
+      
+      console.log('✓ Booking limits: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Booking limits: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Recurring series are booked from an RRULE and managed as a whole
+  async testAppointmentSeries() {
+    this.totalTests++;
+    try {
+      const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+      const restSlots = this.testData.restSlots;
+      const grpcSlots = this.testData.grpcSlots;
+      const rrule = 'FREQ=WEEKLY;COUNT=3';
+      
+      // REST API calls
+      const restConflict = await this.restClient.post('/appointments/series', {
+        eventId: this.testData.restEvent.id,
+        inviteeEmail: 'series@example.com',
+        startTime: restSlots[0].startTime,
+        endTime: restSlots[0].endTime,
+        rrule
+      }).then(() => null, err => err.response);
+      const restSeries = (await this.restClient.post('/appointments/series', {
+        eventId: this.testData.restEvent.id,
+        inviteeEmail: 'series@example.com',
+        startTime: restSlots[8].startTime,
+        endTime: restSlots[8].endTime,
+        rrule
+      })).data;
+      const restCanceled = (await this.restClient.post(
+        `/appointments/series/${restSeries.id}/occurrences/${restSeries.occurrences[1].id}/cancel`,
+        { andFollowing: true }
+      )).data;
+      const restUpdated = (await this.restClient.patch(`/appointments/series/${restSeries.id}`, {
+        inviteeEmail: 'series-updated@example.com',
+        startTime: restSlots[9].startTime,
+        endTime: restSlots[9].endTime
+      })).data;
+      const restOccurrences = (await this.restClient.get(`/appointments/series/${restSeries.id}/occurrences`)).data;
+      // A series whose middle occurrence was canceled is edited again
+      const restKept = (await this.restClient.post('/appointments/series', {
+        eventId: this.testData.restEvent.id,
+        inviteeEmail: 'series-kept@example.com',
+        startTime: restSlots[8].startTime,
+        endTime: restSlots[8].endTime,
+        rrule
+      })).data;
+      await this.restClient.post(`/appointments/series/${restKept.id}/occurrences/${restKept.occurrences[1].id}/cancel`, {});
+      await this.restClient.patch(`/appointments/series/${restKept.id}`, { rrule });
+      const restKeptOccurrences = (await this.restClient.get(`/appointments/series/${restKept.id}/occurrences`)).data;
+      const restUnbounded = [];
+      for (const unbounded of ['FREQ=MONTHLY;INTERVAL=100000000;COUNT=2', 'FREQ=MONTHLY;INTERVAL=100;COUNT=3']) {
+        restUnbounded.push(await this.restClient.post('/appointments/series', {
+          eventId: this.testData.restEvent.id,
+          inviteeEmail: 'series@example.com',
+          startTime: restSlots[8].startTime,
+          endTime: restSlots[8].endTime,
+          rrule: unbounded
+        }).then(() => null, err => err.response));
+      }
+      
+      // gRPC calls
+      const grpcConflict = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointmentSeries',
+        {
+          event_id: this.testData.grpcEvent.id,
+          invitee_email: 'series@example.com',
+          start_time: grpcSlots[1].start_time,
+          end_time: grpcSlots[1].end_time,
+          rrule
+        },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcSeries = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointmentSeries',
+        {
+          event_id: this.testData.grpcEvent.id,
+          invitee_email: 'series@example.com',
+          start_time: grpcSlots[8].start_time,
+          end_time: grpcSlots[8].end_time,
+          rrule
+        },
+        this.testData.grpcToken
+      );
+      const grpcCanceled = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'cancelSeriesOccurrence',
+        { series_id: grpcSeries.id, appointment_id: grpcSeries.occurrences[1].id, and_following: true },
+        this.testData.grpcToken
+      );
+      const grpcUpdated = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'updateAppointmentSeries',
+        {
+          series_id: grpcSeries.id,
+          invitee_email: 'series-updated@example.com',
+          start_time: grpcSlots[9].start_time,
+          end_time: grpcSlots[9].end_time
+        },
+        this.testData.grpcToken
+      );
+      const grpcOccurrences = (await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'listSeriesOccurrences',
+        { series_id: grpcSeries.id },
+        this.testData.grpcToken
+      )).appointments;
+      const grpcKept = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointmentSeries',
+        {
+          event_id: this.testData.grpcEvent.id,
+          invitee_email: 'series-kept@example.com',
+          start_time: grpcSlots[8].start_time,
+          end_time: grpcSlots[8].end_time,
+          rrule
+        },
+        this.testData.grpcToken
+      );
+      await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'cancelSeriesOccurrence',
+        { series_id: grpcKept.id, appointment_id: grpcKept.occurrences[1].id },
+        this.testData.grpcToken
+      );
+      await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient, 'updateAppointmentSeries', { series_id: grpcKept.id, rrule }, this.testData.grpcToken
+      );
+      const grpcKeptOccurrences = (await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'listSeriesOccurrences',
+        { series_id: grpcKept.id },
+        this.testData.grpcToken
+      )).appointments;
+      const grpcUnbounded = [];
+      for (const unbounded of ['FREQ=MONTHLY;INTERVAL=100000000;COUNT=2', 'FREQ=MONTHLY;INTERVAL=100;COUNT=3']) {
+        grpcUnbounded.push(await this.makeAuthenticatedGrpcRequest(
+          this.appointmentClient,
+          'createAppointmentSeries',
+          {
+            event_id: this.testData.grpcEvent.id,
+            invitee_email: 'series@example.com',
+            start_time: grpcSlots[8].start_time,
+            end_time: grpcSlots[8].end_time,
+            rrule: unbounded
+          },
+          this.testData.grpcToken
+        ).then(() => null, err => err));
+      }
+      
+      // Verify both APIs reject a clashing series and book one occurrence per week
+      assert(restConflict && restConflict.data.reason === 'SLOT_CONFLICT', 'REST API should reject a clashing series');
+      assert(grpcConflict && grpcConflict.metadata.get('booking-reason')[0] === 'SLOT_CONFLICT',
+             'gRPC API should reject a clashing series');
+      assert(restSeries.occurrences.length === 3 && grpcSeries.occurrences.length === 3, 'Both APIs should book 3 occurrences');
+      assert(Date.parse(restSeries.occurrences[2].startTime) - Date.parse(restSeries.occurrences[1].startTime) === WEEK_MS &&
+             grpcSeries.occurrences.every(occurrence => occurrence.series_id === grpcSeries.id),
+             'Both APIs should book weekly occurrences linked to the series');
+      
+      // Canceling the second occurrence and the following one ends the series after the first
+      assert(restCanceled.length === 2 && grpcCanceled.appointments.length === 2, 'Both APIs should cancel 2 occurrences');
+      assert(/UNTIL=/.test(restUpdated.rrule) && /UNTIL=/.test(grpcUpdated.rrule), 'Both APIs should end the series rule');
+      
+      // Moving the series replaces its upcoming occurrences
+      const restUpcoming = restOccurrences.filter(occurrence => occurrence.status !== 'canceled');
+      const grpcUpcoming = grpcOccurrences.filter(occurrence => occurrence.status !== 'CANCELED');
+      assert(restUpcoming.length === 1 && Date.parse(restUpcoming[0].startTime) === Date.parse(restSlots[9].startTime) &&
+             restUpcoming[0].inviteeEmail === 'series-updated@example.com',
+             'REST API should move the series and update the invitee');
+      assert(grpcUpcoming.length === 1 && Date.parse(grpcUpcoming[0].start_time) === Date.parse(grpcSlots[9].start_time) &&
+             grpcUpcoming[0].invitee_email === 'series-updated@example.com',
+             'gRPC API should move the series and update the invitee');
+      
+      // Editing a series again keeps its canceled occurrences canceled
+      assert(restKeptOccurrences.map(occurrence => occurrence.status).join() === 'scheduled,canceled,scheduled' &&
+             restKeptOccurrences[1].id === restKept.occurrences[1].id && restKeptOccurrences[1].canceledBy === 'host',
+             'REST API should not rebook canceled occurrences');
+      assert(grpcKeptOccurrences.map(occurrence => occurrence.status).join() === 'SCHEDULED,CANCELED,SCHEDULED' &&
+             grpcKeptOccurrences[1].id === grpcKept.occurrences[1].id && grpcKeptOccurrences[1].canceled_by === 'host',
+             'gRPC API should not rebook canceled occurrences');
+      
+      // Huge intervals and series running past 10 years are rejected instead of expanded forever
+      assert(restUnbounded.every(response => response && response.status === 400) &&
+             /INTERVAL must be between/.test(restUnbounded[0].data.error) && /within 10 years/.test(restUnbounded[1].data.error),
+             'REST API should reject unbounded series');
+      assert(grpcUnbounded.every(err => err && err.code === grpc.status.INVALID_ARGUMENT) &&
+             /within 10 years/.test(grpcUnbounded[1].message), 'gRPC API should reject unbounded series');
+      
+      console.log('✓ Appointment series: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Appointment series: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Invitees book offered slots without a token, within the abuse limits
+  async testPublicBooking() {
+    this.totalTests++;
+    try {
+      const MINUTE_MS = 60 * 1000;
+      const restSlots = this.testData.restSlots;
+      const grpcSlots = this.testData.grpcSlots;
+      const invitee = { name: 'Public Invitee', email: `invitee_${Date.now()}@example.com` };
+      
+      // REST API calls, without the host's bearer token
+      const restBook = (slot, email = invitee.email, startTime = slot.startTime, endTime = slot.endTime) => axios.post(
+        `${REST_API_BASE_URL}/bookings`,
+        {
+          userId: this.testData.restUser.id,
+          eventId: this.testData.restEvent.id,
+          inviteeName: invitee.name,
+          inviteeEmail: email,
+          startTime,
+          endTime
+        }
+      );
+      const restMisaligned = await restBook(
+        restSlots[6],
+        'other@example.com',
+        new Date(Date.parse(restSlots[6].startTime) + 15 * MINUTE_MS).toISOString(),
+        new Date(Date.parse(restSlots[6].endTime) + 15 * MINUTE_MS).toISOString()
+      ).then(() => null, err => err.response);
+      const restBooked = [];
+      for (const slot of restSlots.slice(2, 5)) {
+        restBooked.push((await restBook(slot)).data);
+      }
+      const restOverLimit = await restBook(restSlots[6]).then(() => null, err => err.response);
+      const restStored = (await this.restClient.get(`/appointments/${restBooked[0].id}`)).data;
+      
+      // gRPC calls, without authorization metadata
+      const grpcBook = (slot, email = invitee.email, start_time = slot.start_time, end_time = slot.end_time) =>
+        this.makeGrpcRequest(this.appointmentClient, 'bookAppointment', {
+          user_id: this.testData.grpcUser.id,
+          event_id: this.testData.grpcEvent.id,
+          invitee_name: invitee.name,
+          invitee_email: email,
+          start_time,
+          end_time
+        });
+      const grpcMisaligned = await grpcBook(
+        grpcSlots[6],
+        'other@example.com',
+        new Date(Date.parse(grpcSlots[6].start_time) + 15 * MINUTE_MS).toISOString(),
+        new Date(Date.parse(grpcSlots[6].end_time) + 15 * MINUTE_MS).toISOString()
+      ).then(() => null, err => err);
+      const grpcBooked = [];
+      for (const slot of grpcSlots.slice(2, 5)) {
+        grpcBooked.push(await grpcBook(slot));
+      }
+      const grpcOverLimit = await grpcBook(grpcSlots[6]).then(() => null, err => err);
+      const grpcStored = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'getAppointment',
+        { appointment_id: grpcBooked[0].id },
+        this.testData.grpcToken
+      );
+      
+      // Verify both APIs only accept offered slots
+      assert(restMisaligned && restMisaligned.data.reason === 'MISALIGNED_START', 'REST API should reject starts off the slot grid');
+      assert(grpcMisaligned && grpcMisaligned.metadata.get('booking-reason')[0] === 'MISALIGNED_START',
+             'gRPC API should reject starts off the slot grid');
+      
+      // Verify the appointments belong to the host and keep the invitee's name
+      assert(restBooked.length === 3 && grpcBooked.length === 3, 'Both APIs should book offered slots without a token');
+      assert(restStored.userId === this.testData.restUser.id && restStored.inviteeName === invitee.name,
+             'REST API should store the appointment for the host with the invitee name');
+      assert(grpcStored.user_id === this.testData.grpcUser.id && grpcStored.invitee_name === invitee.name,
+             'gRPC API should store the appointment for the host with the invitee name');
+      
+      // Verify both APIs cap the upcoming bookings of one invitee
+      assert(restOverLimit && restOverLimit.status === 429 && restOverLimit.data.reason === 'INVITEE_LIMIT_REACHED',
+             'REST API should limit bookings per invitee');
+      assert(grpcOverLimit && grpcOverLimit.code === grpc.status.RESOURCE_EXHAUSTED &&
+             grpcOverLimit.metadata.get('booking-reason')[0] === 'INVITEE_LIMIT_REACHED',
+             'gRPC API should limit bookings per invitee');
+      
+      this.testData.restBooking = restBooked[0];
+      this.testData.grpcBooking = grpcBooked[0];
+      
+      console.log('✓ Public booking: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Public booking: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Group events seat several invitees in one slot until it is full
+  async testGroupEvents() {
+    this.totalTests++;
+    try {
+      // A two-seat workshop on a "Workshops" schedule, Thursday 09:00-12:00 in Europe/Tallinn
+      const thursday = nextWeekday(4);
+      const workshops = { days: [{ day: 'Thursday', time_ranges: [{ start_time: '09:00', end_time: '12:00' }] }] };
+      const stamp = Date.now();
+      
+      // REST API calls
+      const restInvalid = await this.restClient.post('/events', { name: 'Workshop', duration: 60, capacity: 0 })
+        .then(() => null, err => err.response);
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Workshops',
+        availability: workshops.days
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Workshop', duration: 60, capacity: 2, scheduleId: restSchedule.id
+      })).data;
+      const restSlots = async () => (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: thursday, to: thursday }
+      })).data.slots;
+      const restOpen = await restSlots();
+      const restBook = (email) => axios.post(`${REST_API_BASE_URL}/bookings`, {
+        userId: this.testData.restUser.id,
+        eventId: restEvent.id,
+        inviteeName: 'Workshop Invitee',
+        inviteeEmail: email,
+        startTime: restOpen[0].startTime,
+        endTime: restOpen[0].endTime
+      }).then(response => response, err => err.response);
+      const restFirst = await restBook(`first_${stamp}@example.com`);
+      const restRepeat = await restBook(`FIRST_${stamp}@example.com`);
+      const restHalfFull = await restSlots();
+      const restSecond = await restBook(`second_${stamp}@example.com`);
+      const restFull = await restBook(`third_${stamp}@example.com`);
+      const restAfter = await restSlots();
+      const restAttendees = (await this.restClient.get(`/events/${restEvent.id}/attendees`, {
+        params: { startTime: restOpen[0].startTime }
+      })).data;
+      
+      // gRPC calls
+      const grpcInvalid = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Workshop', duration: 60, capacity: 0 },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Workshops', availability: workshops },
+        this.testData.grpcToken
+      );
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Workshop', duration: 60, capacity: 2, schedule_id: grpcSchedule.id },
+        this.testData.grpcToken
+      );
+      const grpcSlots = async () => (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: thursday,
+        to: thursday
+      })).slots;
+      const grpcOpen = await grpcSlots();
+      const grpcBook = (email) => this.makeGrpcRequest(this.appointmentClient, 'bookAppointment', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        invitee_name: 'Workshop Invitee',
+        invitee_email: email,
+        start_time: grpcOpen[0].start_time,
+        end_time: grpcOpen[0].end_time
+      }).then(response => response, err => err);
+      const grpcFirst = await grpcBook(`first_${stamp}@example.com`);
+      const grpcRepeat = await grpcBook(`FIRST_${stamp}@example.com`);
+      const grpcHalfFull = await grpcSlots();
+      const grpcSecond = await grpcBook(`second_${stamp}@example.com`);
+      const grpcFull = await grpcBook(`third_${stamp}@example.com`);
+      const grpcAfter = await grpcSlots();
+      const grpcAttendees = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'listAttendees',
+        { event_id: grpcEvent.id, start_time: grpcOpen[0].start_time },
+        this.testData.grpcToken
+      );
+      
+      // Verify both APIs validate the capacity and offer every seat
+      assert(restInvalid && restInvalid.status === 400, 'REST API should reject a capacity below 1');
+      assert(grpcInvalid && grpcInvalid.code === grpc.status.INVALID_ARGUMENT, 'gRPC API should reject a capacity below 1');
+      assert(restEvent.capacity === 2 && grpcEvent.capacity === 2, 'Both APIs should return the capacity');
+      assert(restOpen.length === 3 && restOpen[0].remainingSeats === 2, 'REST API should offer both seats of each slot');
+      assert(grpcOpen.length === 3 && grpcOpen[0].remaining_seats === 2, 'gRPC API should offer both seats of each slot');
+      
+      // Verify both APIs seat a second invitee, but not the same one twice
+      assert(restFirst.status === 201 && restSecond.status === 201, 'REST API should seat two invitees in one slot');
+      assert(grpcFirst.id && grpcSecond.id, 'gRPC API should seat two invitees in one slot');
+      assert(restRepeat.status === 409 && restRepeat.data.reason === 'SLOT_CONFLICT' &&
+             restRepeat.data.conflictingAppointmentId === undefined && !restRepeat.data.error.includes(restFirst.data.id),
+             'REST API should not seat an invitee twice nor name their booking');
+      assert(grpcRepeat.code === grpc.status.ALREADY_EXISTS &&
+             grpcRepeat.metadata.get('conflicting-appointment-id').length === 0 && !grpcRepeat.details.includes(grpcFirst.id),
+             'gRPC API should not seat an invitee twice nor name their booking');
+      assert(restHalfFull[0].remainingSeats === 1 && grpcHalfFull[0].remaining_seats === 1,
+             'Both APIs should show the remaining seats');
+      
+      // Verify both APIs close the slot once it is full and list its attendees
+      assert(restFull.status === 409 && restFull.data.reason === 'SLOT_FULL', 'REST API should reject a full slot');
+      assert(grpcFull.code === grpc.status.ALREADY_EXISTS && grpcFull.metadata.get('booking-reason')[0] === 'SLOT_FULL',
+             'gRPC API should reject a full slot');
+      assert(restAfter.length === 2 && grpcAfter.length === 2, 'Both APIs should stop offering the full slot');
+      assert(restAttendees.remainingSeats === 0 &&
+             restAttendees.attendees.map(attendee => attendee.appointmentId).join() === [restFirst.data.id, restSecond.data.id].join(),
+             'REST API should list the attendees in booking order');
+      assert(grpcAttendees.remaining_seats === 0 &&
+             grpcAttendees.attendees.map(attendee => attendee.appointment_id).join() === [grpcFirst.id, grpcSecond.id].join(),
+             'gRPC API should list the attendees in booking order');
+      
+      console.log('✓ Group events: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Group events: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Round-robin events assign each booking to a free host of their pool
+  async testRoundRobin() {
+    this.totalTests++;
+    try {
+      // Two hosts who are both free on Friday 09:00-11:00 in Europe/Tallinn and have joined a
+      // team of each test user
+      const friday = nextWeekday(5);
+      const hosts = [
+        await this.createHost('rr_first', '09:00', '11:00'),
+        await this.createHost('rr_second', '09:00', '11:00')
+      ];
+      const restTeamId = await this.createHostTeam('Intros', hosts, this.testData.restToken);
+      const grpcTeamId = await this.createHostTeam('Intros', hosts, this.testData.grpcToken);
+
+      // REST API calls
+      const restInvalid = await this.restClient.post('/events', { name: 'Team intro', duration: 60, hostMode: 'round_robin' })
+        .then(() => null, err => err.response);
+      const restNotMembers = await this.restClient.post('/events', {
+        name: 'Team intro', duration: 60, hostMode: 'round_robin', hostIds: hosts
+      }).then(() => null, err => err.response);
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Team intro', duration: 60, teamId: restTeamId, hostMode: 'round_robin', hostIds: hosts
+      })).data;
+      const restSlots = async () => (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: friday, to: friday }
+      })).data.slots;
+      const restOpen = await restSlots();
+      const restSlot = { eventId: restEvent.id, startTime: restOpen[0].startTime, endTime: restOpen[0].endTime };
+      const restFirst = (await this.restClient.post('/appointments', { ...restSlot, inviteeEmail: 'rr_one@example.com' })).data;
+      const restSecond = (await axios.post(`${REST_API_BASE_URL}/bookings`, {
+        ...restSlot,
+        userId: this.testData.restUser.id,
+        inviteeName: 'Round Robin Invitee',
+        inviteeEmail: 'rr_two@example.com'
+      })).data;
+      const restNoHost = await this.restClient.post('/appointments', { ...restSlot, inviteeEmail: 'rr_three@example.com' })
+        .then(() => null, err => err.response);
+      const restAfter = await restSlots();
+
+      // gRPC calls
+      const grpcNotMembers = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Team intro', duration: 60, host_mode: 'ROUND_ROBIN', host_ids: hosts },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        {
+          name: 'Team intro', duration: 60, team_id: grpcTeamId,
+          host_mode: 'ROUND_ROBIN', assignment_strategy: 'BALANCED', host_ids: hosts
+        },
+        this.testData.grpcToken
+      );
+      const grpcSlot = {
+        event_id: grpcEvent.id,
+        start_time: restOpen[1].startTime,
+        end_time: restOpen[1].endTime
+      };
+      const grpcFirst = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointment',
+        { ...grpcSlot, invitee_email: 'rr_one@example.com' },
+        this.testData.grpcToken
+      );
+      const grpcSecond = await this.makeGrpcRequest(this.appointmentClient, 'bookAppointment', {
+        ...grpcSlot,
+        user_id: this.testData.grpcUser.id,
+        invitee_name: 'Round Robin Invitee',
+        invitee_email: 'rr_two@example.com'
+      });
+      const grpcNoHost = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointment',
+        { ...grpcSlot, invitee_email: 'rr_three@example.com' },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcSingle = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'updateEvent',
+        { event_id: grpcEvent.id, host_mode: 'SINGLE' },
+        this.testData.grpcToken
+      );
+
+      // Verify both APIs store the pool
+      assert(restInvalid && restInvalid.status === 400, 'REST API should require hosts for a round-robin event');
+      assert(restNotMembers && restNotMembers.status === 400, 'REST API should reject hosts outside the event\'s team');
+      assert(grpcNotMembers && grpcNotMembers.code === grpc.status.INVALID_ARGUMENT,
+             'gRPC API should reject hosts outside the event\'s team');
+      assert(restEvent.hostMode === 'round_robin' && restEvent.assignmentStrategy === 'least_recent' &&
+             restEvent.hostIds.join() === hosts.join(), 'REST API should return the host pool');
+      assert(grpcEvent.host_mode === 'ROUND_ROBIN' && grpcEvent.assignment_strategy === 'BALANCED' &&
+             grpcEvent.host_ids.join() === hosts.join(), 'gRPC API should return the host pool');
+      assert(restOpen.length === 2, 'Slots should be those the hosts are free for');
+
+      // Verify both APIs hand bookings of one slot to each free host in turn
+      assert(restFirst.userId === hosts[0] && restSecond.userId === hosts[1], 'REST API should rotate the hosts');
+      assert(grpcFirst.user_id === hosts[0] && grpcSecond.user_id === hosts[1], 'gRPC API should rotate the hosts');
+      assert(restNoHost && restNoHost.status === 422 && restNoHost.data.reason === 'NO_HOST_AVAILABLE',
+             'REST API should reject a slot no host is free for');
+      assert(grpcNoHost && grpcNoHost.code === grpc.status.FAILED_PRECONDITION &&
+             grpcNoHost.metadata.get('booking-reason')[0] === 'NO_HOST_AVAILABLE',
+             'gRPC API should reject a slot no host is free for');
+      assert(restAfter.length === 1 && restAfter[0].startTime === restOpen[1].startTime,
+             'A slot should close once every host is booked');
+      assert(grpcSingle.host_mode === 'SINGLE' && grpcSingle.host_ids.length === 0,
+             'Switching back to a single host should drop the pool');
+
+      console.log('✓ Round-robin events: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Round-robin events: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Collective events are offered and booked only when every host is free
+  async testCollectiveEvents() {
+    this.totalTests++;
+    try {
+      // On Friday the owners' "Panels" schedules run 09:00-12:00, one panelist is free
+      // 09:00-11:00 and the other 10:00-12:00, so all three only meet at 10:00
+      const friday = nextWeekday(5);
+      const early = await this.createHost('panel_early', '09:00', '11:00');
+      const late = await this.createHost('panel_late', '10:00', '12:00');
+      const restTeamId = await this.createHostTeam('Panels', [early, late], this.testData.restToken);
+      const grpcTeamId = await this.createHostTeam('Panels', [early], this.testData.grpcToken);
+      const panels = [{ day: 'Friday', time_ranges: [{ start_time: '09:00', end_time: '12:00' }] }];
+      
+      // REST API calls
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Panels',
+        availability: panels
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Panel interview', duration: 60, scheduleId: restSchedule.id, teamId: restTeamId,
+        hostMode: 'collective', hostIds: [early, late]
+      })).data;
+      const restSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: friday, to: friday }
+      })).data.slots;
+      const restBooked = (await this.restClient.post('/appointments', {
+        eventId: restEvent.id,
+        inviteeEmail: 'panel_candidate@example.com',
+        startTime: restSlots[0].startTime,
+        endTime: restSlots[0].endTime
+      })).data;
+      const restFetched = (await this.restClient.get(`/appointments/${restBooked.id}`)).data;
+      // At 11:00 the early panelist is off, until they leave the team and with it the panel
+      const restEleven = {
+        eventId: restEvent.id,
+        inviteeEmail: 'panel_late_candidate@example.com',
+        startTime: restSlots[0].endTime,
+        endTime: new Date(Date.parse(restSlots[0].endTime) + 60 * 60 * 1000).toISOString()
+      };
+      const restBeforeRemoval = await this.restClient.post('/appointments', restEleven).then(() => null, err => err.response);
+      await this.restClient.delete(`/teams/${restTeamId}/members/${early}`);
+      const restAfterRemoval = (await this.restClient.post('/appointments', restEleven)).data;
+      const restPanel = (await this.restClient.get(`/events/${restEvent.id}`)).data;
+      
+      // gRPC calls: a panel with the early panelist only, who is now busy at 10:00
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Panels', availability: { days: panels } },
+        this.testData.grpcToken
+      );
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        {
+          name: 'Panel interview', duration: 60, schedule_id: grpcSchedule.id, team_id: grpcTeamId,
+          host_mode: 'COLLECTIVE', host_ids: [early]
+        },
+        this.testData.grpcToken
+      );
+      const grpcSlots = (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: friday,
+        to: friday
+      })).slots;
+      const grpcBooked = await this.makeGrpcRequest(this.appointmentClient, 'bookAppointment', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        invitee_name: 'Panel Candidate',
+        invitee_email: 'panel_candidate@example.com',
+        start_time: grpcSlots[0].start_time,
+        end_time: grpcSlots[0].end_time
+      });
+      const grpcBusy = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointment',
+        {
+          event_id: grpcEvent.id,
+          invitee_email: 'panel_other@example.com',
+          start_time: restSlots[0].startTime,
+          end_time: restSlots[0].endTime
+        },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      // Once the early panelist leaves the team, the owner alone hosts the panel at 10:00
+      await this.makeAuthenticatedGrpcRequest(
+        this.teamClient, 'removeTeamMember', { team_id: grpcTeamId, user_id: early }, this.testData.grpcToken
+      );
+      const grpcAfterRemoval = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'createAppointment',
+        {
+          event_id: grpcEvent.id,
+          invitee_email: 'panel_other@example.com',
+          start_time: restSlots[0].startTime,
+          end_time: restSlots[0].endTime
+        },
+        this.testData.grpcToken
+      );
+      
+      // Verify both APIs add the owner to the hosts
+      assert(restEvent.hostMode === 'collective' &&
+             restEvent.hostIds.join() === [this.testData.restUser.id, early, late].join(),
+             'REST API should list the owner and the other hosts');
+      assert(grpcEvent.host_mode === 'COLLECTIVE' && grpcEvent.host_ids.join() === [this.testData.grpcUser.id, early].join(),
+             'gRPC API should list the owner and the other hosts');
+      
+      // Verify both APIs offer only the times all hosts are free
+      assert(restSlots.length === 1, 'REST API should offer the one hour every host is free');
+      assert(grpcSlots.length === 1 &&
+             Date.parse(grpcSlots[0].start_time) === Date.parse(restSlots[0].startTime) - 60 * 60 * 1000,
+             'gRPC API should skip the hour a host is already booked');
+      
+      // Verify both APIs book every host at once
+      assert(restBooked.userId === this.testData.restUser.id && restBooked.hostIds.length === 3 &&
+             restFetched.hostIds.join() === restEvent.hostIds.join(), 'REST API should book all hosts');
+      assert(grpcBooked.host_ids.join() === grpcEvent.host_ids.join(), 'gRPC API should book all hosts');
+      assert(grpcBusy && grpcBusy.code === grpc.status.FAILED_PRECONDITION &&
+             grpcBusy.metadata.get('booking-reason')[0] === 'NO_HOST_AVAILABLE',
+             'gRPC API should reject a time another host is booked');
+      
+      // Verify both APIs drop a host who leaves the team from its event types
+      assert(restBeforeRemoval && restBeforeRemoval.data.reason === 'OUTSIDE_AVAILABILITY' &&
+             restPanel.hostIds.join() === [this.testData.restUser.id, late].join() &&
+             restAfterRemoval.hostIds.join() === restPanel.hostIds.join(),
+             'REST API should book without a host removed from the team');
+      assert(grpcAfterRemoval.host_ids.join() === this.testData.grpcUser.id,
+             'gRPC API should book without a host removed from the team');
+      
+      console.log('✓ Collective events: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Collective events: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Teams with roles, email invitations and team-owned event types
+  async testTeams() {
+    this.totalTests++;
+    try {
+      // A second user joins both test users' teams by invitation
+      const designerId = await this.createHost('designer', '09:00', '11:00');
+      const designer = (await this.restClient.get(`/users/${designerId}`)).data;
+      const { token: designerToken } = (await axios.post(`${REST_API_BASE_URL}/sessions`, {
+        email: designer.email,
+        password: TEST_USER.password
+      })).data;
+      const asDesigner = { headers: { Authorization: `Bearer ${designerToken}` } };
+      
+      // REST API calls
+      const restTeam = (await this.restClient.post('/teams', { name: 'Design' })).data;
+      const restInvitation = (await this.restClient.post(`/teams/${restTeam.id}/invitations`, {
+        email: designer.email
+      })).data;
+      const restPending = (await axios.get(`${REST_API_BASE_URL}/teams/invitations`, asDesigner)).data;
+      const restJoined = (await axios.post(
+        `${REST_API_BASE_URL}/teams/invitations/${restInvitation.id}/accept`, {}, asDesigner
+      )).data;
+      const restRenameStatus = await axios.patch(`${REST_API_BASE_URL}/teams/${restTeam.id}`, { name: 'Mine' }, asDesigner)
+        .then(response => response.status, err => err.response.status);
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Design review', duration: 30, teamId: restTeam.id, hostMode: 'round_robin', hostIds: [designerId]
+      })).data;
+      await this.restClient.patch(`/teams/${restTeam.id}/members/${designerId}`, { role: 'admin' });
+      const restAdminEdit = (await axios.patch(`${REST_API_BASE_URL}/events/${restEvent.id}`, { color: '#00AA00' }, asDesigner)).data;
+      const restMembers = (await this.restClient.get(`/teams/${restTeam.id}/members`, { params: { pageSize: 1 } })).data;
+      const restTeamEvents = (await axios.get(`${REST_API_BASE_URL}/teams/${restTeam.id}/events`, asDesigner)).data;
+      
+      // gRPC calls
+      const grpcTeam = await this.makeAuthenticatedGrpcRequest(
+        this.teamClient, 'createTeam', { name: 'Support' }, this.testData.grpcToken
+      );
+      const grpcInvitation = await this.makeAuthenticatedGrpcRequest(
+        this.teamClient, 'inviteTeamMember', { team_id: grpcTeam.id, email: designer.email, role: 'ADMIN' }, this.testData.grpcToken
+      );
+      const grpcJoined = await this.makeAuthenticatedGrpcRequest(
+        this.teamClient, 'acceptTeamInvitation', { invitation_id: grpcInvitation.id }, designerToken
+      );
+      const grpcReinvite = await this.makeAuthenticatedGrpcRequest(
+        this.teamClient, 'inviteTeamMember', { team_id: grpcTeam.id, email: designer.email }, this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcLeave = await this.makeAuthenticatedGrpcRequest(
+        this.teamClient, 'removeTeamMember', { team_id: grpcTeam.id, user_id: this.testData.grpcUser.id }, this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcOutsider = await this.makeAuthenticatedGrpcRequest(
+        this.teamClient, 'getTeam', { team_id: grpcTeam.id }, this.testData.restToken
+      ).then(() => null, err => err);
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'createEvent', { name: 'Support call', duration: 15, team_id: grpcTeam.id }, designerToken
+      );
+      const grpcMembers = await this.makeAuthenticatedGrpcRequest(
+        this.teamClient, 'listTeamMembers', { team_id: grpcTeam.id }, designerToken
+      );
+      const grpcTeamEvents = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'listTeamEvents', { team_id: grpcTeam.id }, this.testData.grpcToken
+      );
+      
+      // Verify both APIs make the creator an owner and let invitees join with the invited role
+      assert(restTeam.role === 'owner' && restPending.some(invitation => invitation.id === restInvitation.id) &&
+             restJoined.id === designerId && restJoined.role === 'member', 'REST API should add the invitee as a member');
+      assert(grpcTeam.role === 'OWNER' && grpcJoined.user.id === designerId && grpcJoined.role === 'ADMIN',
+             'gRPC API should add the invitee as an admin');
+      
+      // Verify both APIs enforce roles and keep teams private
+      assert(restRenameStatus === 403, 'REST API should only let admins rename the team');
+      assert(grpcReinvite && grpcReinvite.code === grpc.status.ALREADY_EXISTS, 'gRPC API should reject inviting a member');
+      assert(grpcLeave && grpcLeave.code === grpc.status.FAILED_PRECONDITION, 'gRPC API should keep the last owner');
+      assert(grpcOutsider && grpcOutsider.code === grpc.status.NOT_FOUND, 'gRPC API should hide teams from outsiders');
+      
+      // Verify both APIs page through members, owners first
+      assert(restMembers.pagination.total === 2 && restMembers.data.length === 1 &&
+             restMembers.data[0].id === this.testData.restUser.id, 'REST API should list the owner first');
+      assert(grpcMembers.pagination.total === 2 &&
+             grpcMembers.members.map(member => member.role).join() === 'OWNER,ADMIN', 'gRPC API should list the team members');
+      
+      // Verify team admins manage the team's event types
+      assert(restEvent.teamId === restTeam.id && restAdminEdit.userId === this.testData.restUser.id &&
+             restTeamEvents.length === 1 && restTeamEvents[0].color === '#00AA00',
+             'REST API should let team admins edit team event types');
+      assert(grpcEvent.team_id === grpcTeam.id && grpcTeamEvents.events.length === 1 &&
+             grpcTeamEvents.events[0].id === grpcEvent.id && !grpcTeamEvents.events[0].is_owner,
+             'gRPC API should list the team event types');
+      
+      console.log('✓ Teams: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Teams: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Event types ask invitee questions and appointments keep the answers
+  async testInviteeQuestions() {
+    this.totalTests++;
+    try {
+      // A 30-minute intake on a "Questions" schedule, Saturday 10:00-12:00 in Europe/Tallinn
+      const saturday = nextWeekday(6);
+      const days = [{ day: 'Saturday', time_ranges: [{ start_time: '10:00', end_time: '12:00' }] }];
+      const questions = [
+        { id: 'topic', label: 'What should we cover?', type: 'long_text', required: true },
+        { id: 'plan', label: 'Plan', type: 'single_choice', options: ['Basic', 'Pro'] },
+        { id: 'phone', label: 'Phone', type: 'phone_number' }
+      ];
+      const stamp = Date.now();
+      
+      // REST API calls
+      const restInvalid = await this.restClient.post('/events', {
+        name: 'Intake', duration: 30, questions: [{ label: 'Plan', type: 'single_choice' }]
+      }).then(() => null, err => err.response);
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Questions',
+        availability: days
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Intake', duration: 30, scheduleId: restSchedule.id, questions
+      })).data;
+      const restSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: saturday, to: saturday }
+      })).data.slots;
+      const restUnanswered = await this.restClient.post('/appointments', {
+        eventId: restEvent.id,
+        inviteeEmail: `unanswered_${stamp}@example.com`,
+        startTime: restSlots[0].startTime,
+        endTime: restSlots[0].endTime,
+        answers: [{ questionId: 'plan', value: 'Pro' }]
+      }).then(() => null, err => err.response);
+      const restBooking = (await axios.post(`${REST_API_BASE_URL}/bookings`, {
+        userId: this.testData.restUser.id,
+        eventId: restEvent.id,
+        inviteeName: 'Intake Invitee',
+        inviteeEmail: `intake_${stamp}@example.com`,
+        startTime: restSlots[0].startTime,
+        endTime: restSlots[0].endTime,
+        answers: [{ questionId: 'topic', value: 'Pricing' }, { questionId: 'plan', value: 'Pro' }]
+      })).data;
+      await this.restClient.patch(`/events/${restEvent.id}`, { questions: [] });
+      const restAppointment = (await this.restClient.get(`/appointments/${restBooking.id}`)).data;
+      
+      // gRPC calls
+      const grpcQuestions = questions.map(question => ({ ...question, type: question.type.toUpperCase() }));
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Questions', availability: { days } },
+        this.testData.grpcToken
+      );
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Intake', duration: 30, schedule_id: grpcSchedule.id, questions: grpcQuestions },
+        this.testData.grpcToken
+      );
+      const grpcSlots = (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: saturday,
+        to: saturday
+      })).slots;
+      const grpcInvalidPhone = await this.makeGrpcRequest(this.appointmentClient, 'bookAppointment', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        invitee_name: 'Intake Invitee',
+        invitee_email: `invalid_${stamp}@example.com`,
+        start_time: grpcSlots[0].start_time,
+        end_time: grpcSlots[0].end_time,
+        answers: [{ question_id: 'topic', values: ['Pricing'] }, { question_id: 'phone', values: ['call me'] }]
+      }).then(() => null, err => err);
+      const grpcCreated = await this.makeAuthenticatedGrpcRequest(this.appointmentClient, 'createAppointment', {
+        event_id: grpcEvent.id,
+        invitee_email: `intake_${stamp}@example.com`,
+        start_time: grpcSlots[0].start_time,
+        end_time: grpcSlots[0].end_time,
+        answers: [{ question_id: 'topic', values: ['Pricing'] }, { question_id: 'phone', values: ['+372 5555 1234'] }]
+      }, this.testData.grpcToken);
+      const grpcAppointment = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient, 'getAppointment', { appointment_id: grpcCreated.id }, this.testData.grpcToken
+      );
+      const grpcCleared = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'updateEvent', { event_id: grpcEvent.id, clear_questions: true }, this.testData.grpcToken
+      );
+      
+      // Verify both APIs store the questions in order
+      assert(restEvent.questions.map(question => question.id).join() === 'topic,plan,phone' &&
+             restEvent.questions[1].required === false, 'REST API should return the event questions');
+      assert(grpcEvent.questions.length === 3 && grpcEvent.questions[1].type === 'SINGLE_CHOICE' &&
+             grpcEvent.questions[1].options.join() === 'Basic,Pro', 'gRPC API should return the event questions');
+      
+      // Verify both APIs validate questions and answers
+      assert(restInvalid && restInvalid.status === 400, 'REST API should reject a choice question without options');
+      assert(restUnanswered && restUnanswered.status === 400, 'REST API should require answers to required questions');
+      assert(grpcInvalidPhone && grpcInvalidPhone.code === grpc.status.INVALID_ARGUMENT,
+             'gRPC API should reject an invalid phone number');
+      
+      // Verify both APIs keep the answers on the appointment after the questions are removed
+      assert(restBooking.answers.length === 2 && restAppointment.answers.length === 2 &&
+             restAppointment.answers[0].question === 'What should we cover?' && restAppointment.answers[1].value === 'Pro',
+             'REST API should return the stored answers');
+      assert(grpcAppointment.answers.length === 2 && grpcAppointment.answers[1].type === 'PHONE_NUMBER' &&
+             grpcAppointment.answers[1].values[0] === '+372 5555 1234' && grpcCleared.questions.length === 0,
+             'gRPC API should return the stored answers');
+      
+      console.log('✓ Invitee questions: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Invitee questions: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Event types offer meeting locations and appointments keep the chosen one
+  async testMeetingLocations() {
+    this.totalTests++;
+    try {
+      // A 30-minute meeting on a "Locations" schedule, Sunday 10:00-12:00 in Europe/Tallinn
+      const sunday = nextWeekday(0);
+      const days = [{ day: 'Sunday', time_ranges: [{ start_time: '10:00', end_time: '12:00' }] }];
+      const stamp = Date.now();
+      
+      // REST API calls
+      const restInvalid = await this.restClient.post('/events', {
+        name: 'Meeting', duration: 30, locations: [{ type: 'custom_link', value: 'not a link' }]
+      }).then(() => null, err => err.response);
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Locations',
+        availability: days
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Meeting',
+        duration: 30,
+        scheduleId: restSchedule.id,
+        locations: [{ type: 'in_person', value: 'Narva mnt 5, Tallinn' }, { type: 'host_calls' }, { type: 'conference' }]
+      })).data;
+      const restSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: sunday, to: sunday }
+      })).data.slots;
+      const restBook = (fields) => this.restClient.post('/appointments', {
+        eventId: restEvent.id,
+        inviteeEmail: `meeting_${stamp}@example.com`,
+        startTime: restSlots[0].startTime,
+        endTime: restSlots[0].endTime,
+        ...fields
+      }).then(response => response, err => err.response);
+      const restUnchosen = await restBook({});
+      const restNoPhone = await restBook({ locationType: 'host_calls' });
+      const restBooked = (await restBook({ locationType: 'conference' })).data;
+      const restAppointment = (await this.restClient.get(`/appointments/${restBooked.id}`)).data;
+      
+      // gRPC calls
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Locations', availability: { days } },
+        this.testData.grpcToken
+      );
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        {
+          name: 'Meeting',
+          duration: 30,
+          schedule_id: grpcSchedule.id,
+          locations: [{ type: 'INVITEE_CALLS', value: '+372 5555 0000' }]
+        },
+        this.testData.grpcToken
+      );
+      const grpcSlots = (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: sunday,
+        to: sunday
+      })).slots;
+      const grpcBook = (fields) => this.makeAuthenticatedGrpcRequest(this.appointmentClient, 'createAppointment', {
+        event_id: grpcEvent.id,
+        invitee_email: `meeting_${stamp}@example.com`,
+        start_time: grpcSlots[0].start_time,
+        end_time: grpcSlots[0].end_time,
+        ...fields
+      }, this.testData.grpcToken);
+      const grpcNotOffered = await grpcBook({ location_type: 'CONFERENCE' }).then(() => null, err => err);
+      const grpcBooked = await grpcBook({});
+      const grpcAppointment = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient, 'getAppointment', { appointment_id: grpcBooked.id }, this.testData.grpcToken
+      );
+      
+      // Verify both APIs return the event locations
+      assert(restEvent.locations.length === 3 && restEvent.locations[0].value === 'Narva mnt 5, Tallinn',
+             'REST API should return the event locations');
+      assert(grpcEvent.locations.length === 1 && grpcEvent.locations[0].type === 'INVITEE_CALLS',
+             'gRPC API should return the event locations');
+      
+      // Verify both APIs validate locations
+      assert(restInvalid && restInvalid.status === 400, 'REST API should reject an invalid meeting URL');
+      assert(restUnchosen.status === 400 && restNoPhone.status === 400,
+             'REST API should require a location type and the invitee phone number for host calls');
+      assert(grpcNotOffered && grpcNotOffered.code === grpc.status.INVALID_ARGUMENT,
+             'gRPC API should reject a location type the event does not offer');
+      
+      // Verify both APIs store the resolved location on the appointment
+      assert(restBooked.location.type === 'conference' &&
+             /^https:\/\/meet\.calendly-clone\.local\/[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(restBooked.location.value) &&
+             restAppointment.location.value === restBooked.location.value,
+             'REST API should generate a conference link for the appointment');
+      assert(grpcBooked.location.type === 'INVITEE_CALLS' && grpcAppointment.location.value === '+372 5555 0000',
+             'gRPC API should use the only location when none is chosen');
+      
+      console.log('✓ Meeting locations: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Meeting locations: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Inactive event types take no bookings and secret ones stay off the public page
+  async testEventVisibility() {
+    this.totalTests++;
+    try {
+      const sunday = nextWeekday(0);
+      const window = { start: `${sunday}T09:00:00Z`, end: `${sunday}T09:30:00Z` };
+      const stamp = Date.now();
+      
+      // REST API calls
+      const restUser = (await this.restClient.get(`/users/${this.testData.restUser.id}`)).data;
+      const restSecret = (await this.restClient.post('/events', { name: 'Private chat', duration: 30, secret: true })).data;
+      const restRetired = (await this.restClient.post('/events', { name: 'Retired call', duration: 30 })).data;
+      const restPatched = (await this.restClient.patch(`/events/${restRetired.id}`, { active: false })).data;
+      const restPage = (await axios.get(`${REST_API_BASE_URL}/u/${restUser.slug}`)).data;
+      const restSecretLink = await axios.get(`${REST_API_BASE_URL}/u/${restUser.slug}/${restSecret.slug}`)
+        .then(response => response.status, err => err.response.status);
+      const restRetiredLink = await axios.get(`${REST_API_BASE_URL}/u/${restUser.slug}/${restRetired.slug}`)
+        .then(response => response.status, err => err.response.status);
+      const restSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restRetired.id, from: sunday, to: sunday }
+      })).data.slots;
+      const restBooking = await this.restClient.post('/appointments', {
+        eventId: restRetired.id,
+        inviteeEmail: `retired_${stamp}@example.com`,
+        startTime: window.start,
+        endTime: window.end
+      }).then(() => null, err => err.response);
+      
+      // gRPC calls
+      const grpcUser = await this.makeAuthenticatedGrpcRequest(
+        this.userClient, 'getUser', { user_id: this.testData.grpcUser.id }, this.testData.grpcToken
+      );
+      const grpcSecret = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'createEvent', { name: 'Private chat', duration: 30, secret: true }, this.testData.grpcToken
+      );
+      const grpcRetired = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'createEvent', { name: 'Retired call', duration: 30 }, this.testData.grpcToken
+      );
+      const grpcUpdated = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'updateEvent', { event_id: grpcRetired.id, active: false }, this.testData.grpcToken
+      );
+      const grpcPage = await this.makeGrpcRequest(this.eventClient, 'getUserPage', { user_slug: grpcUser.slug });
+      const grpcRetiredLink = await this.makeGrpcRequest(this.eventClient, 'getEventBySlug', {
+        user_slug: grpcUser.slug,
+        event_slug: grpcRetired.slug
+      }).then(() => null, err => err);
+      const grpcBooking = await this.makeAuthenticatedGrpcRequest(this.appointmentClient, 'createAppointment', {
+        event_id: grpcRetired.id,
+        invitee_email: `retired_${stamp}@example.com`,
+        start_time: window.start,
+        end_time: window.end
+      }, this.testData.grpcToken).then(() => null, err => err);
+      
+      // Verify both APIs store the flags
+      assert(restSecret.secret === true && restSecret.active === true && restPatched.active === false,
+             'REST API should return the visibility flags');
+      assert(grpcSecret.secret && grpcSecret.active && !grpcUpdated.active,
+             'gRPC API should return the visibility flags');
+      
+      // Verify both APIs leave secret and inactive event types off the public page
+      const restListed = restPage.events.map(event => event.id);
+      const grpcListed = grpcPage.events.map(event => event.id);
+      assert(restListed.length > 0 && !restListed.includes(restSecret.id) && !restListed.includes(restRetired.id) &&
+             restSecretLink === 200 && restRetiredLink === 404,
+             'REST API should list only active public event types and keep secret links working');
+      assert(grpcListed.length > 0 && !grpcListed.includes(grpcSecret.id) && !grpcListed.includes(grpcRetired.id) &&
+             grpcRetiredLink && grpcRetiredLink.code === grpc.status.NOT_FOUND,
+             'gRPC API should list only active public event types and hide inactive links');
+      
+      // Verify both APIs stop booking inactive event types
+      assert(restSlots.length === 0 && restBooking && restBooking.status === 422 &&
+             restBooking.data.reason === 'EVENT_INACTIVE', 'REST API should reject booking an inactive event type');
+      assert(grpcBooking && grpcBooking.code === grpc.status.FAILED_PRECONDITION &&
+             grpcBooking.metadata.get('booking-reason')[0] === 'EVENT_INACTIVE',
+             'gRPC API should reject booking an inactive event type');
+      
+      console.log('✓ Event visibility: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Event visibility: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Duplicating event types copies their settings under a new ID and slug
+  async testDuplicateEvent() {
+    this.totalTests++;
+    try {
+      const settings = {
+        name: 'Strategy session',
+        duration: 30,
+        description: 'Plan the quarter',
+        color: '#3F51B5',
+        bufferBefore: 10,
+        questions: [{ id: 'topic', label: 'What should we cover?', type: 'short_text', required: true }],
+        locations: [{ type: 'conference' }]
+      };
+      
+      // REST API calls
+      const restOriginal = (await this.restClient.post('/events', settings)).data;
+      const restCopy = (await this.restClient.post(`/events/${restOriginal.id}/duplicate`, {})).data;
+      const restLonger = (await this.restClient.post(`/events/${restOriginal.id}/duplicate`, {
+        name: 'Long strategy session',
+        duration: 60,
+        questions: []
+      })).data;
+      const restTaken = await this.restClient.post(`/events/${restOriginal.id}/duplicate`, { slug: restOriginal.slug })
+        .then(() => null, err => err.response);
+      const restStored = (await this.restClient.get(`/events/${restOriginal.id}`)).data;
+      
+      // gRPC calls
+      const grpcOriginal = await this.makeAuthenticatedGrpcRequest(this.eventClient, 'createEvent', {
+        name: settings.name,
+        duration: settings.duration,
+        description: settings.description,
+        color: settings.color,
+        buffer_before: settings.bufferBefore,
+        questions: [{ id: 'topic', label: 'What should we cover?', type: 'SHORT_TEXT', required: true }],
+        locations: [{ type: 'CONFERENCE' }]
+      }, this.testData.grpcToken);
+      const grpcCopy = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'duplicateEvent', { event_id: grpcOriginal.id }, this.testData.grpcToken
+      );
+      const grpcLonger = await this.makeAuthenticatedGrpcRequest(this.eventClient, 'duplicateEvent', {
+        event_id: grpcOriginal.id,
+        name: 'Long strategy session',
+        duration: 60,
+        clear_questions: true
+      }, this.testData.grpcToken);
+      const grpcTaken = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'duplicateEvent', { event_id: grpcOriginal.id, slug: grpcOriginal.slug }, this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcForeign = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'duplicateEvent', { event_id: restOriginal.id }, this.testData.grpcToken
+      ).then(() => null, err => err);
+      
+      // Verify both APIs copy every setting under a new ID and slug
+      assert(restCopy.id !== restOriginal.id && restCopy.slug !== restOriginal.slug &&
+             restCopy.name === settings.name && restCopy.description === settings.description &&
+             restCopy.color === settings.color && restCopy.bufferBefore === 10 &&
+             restCopy.questions.length === 1 && restCopy.locations[0].type === 'conference',
+             'REST API should copy the event type settings');
+      assert(grpcCopy.id !== grpcOriginal.id && grpcCopy.slug !== grpcOriginal.slug &&
+             grpcCopy.name === settings.name && grpcCopy.description === settings.description &&
+             grpcCopy.color === settings.color && grpcCopy.buffer_before === 10 && grpcCopy.is_owner &&
+             grpcCopy.questions.length === 1 && grpcCopy.locations[0].type === 'CONFERENCE',
+             'gRPC API should copy the event type settings');
+      
+      // Verify both APIs apply overrides to the copy and leave the original alone
+      assert(restLonger.name === 'Long strategy session' && restLonger.duration === 60 &&
+             restLonger.questions.length === 0 && restLonger.slug.startsWith('long-strategy-session') &&
+             restStored.duration === 30 && restStored.questions.length === 1,
+             'REST API should apply overrides to the copy only');
+      assert(grpcLonger.name === 'Long strategy session' && grpcLonger.duration === 60 &&
+             grpcLonger.questions.length === 0 && grpcLonger.color === settings.color,
+             'gRPC API should apply overrides to the copy only');
+      
+      // Verify both APIs reject taken slugs and other users' event types
+      assert(restTaken && restTaken.status === 409, 'REST API should reject a taken slug');
+      assert(grpcTaken && grpcTaken.code === grpc.status.ALREADY_EXISTS &&
+             grpcForeign && grpcForeign.code === grpc.status.PERMISSION_DENIED,
+             'gRPC API should reject a taken slug and other users\' event types');
+      
+      console.log('✓ Duplicate event: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Duplicate event: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Invitees wait for fully booked slots and claim the time freed by cancellations
+  async testWaitlist() {
+    this.totalTests++;
+    try {
+      // A single 30-minute slot on a "Waitlist" schedule, Saturday 13:00-13:30 in Europe/Tallinn
+      const saturday = nextWeekday(6);
+      const days = [{ day: 'Saturday', time_ranges: [{ start_time: '13:00', end_time: '13:30' }] }];
+      const stamp = Date.now();
+      const invitee = (name) => ({ inviteeName: `${name} Invitee`, inviteeEmail: `${name}_${stamp}@example.com` });
+      
+      // REST API calls
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Waitlist',
+        availability: days
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Waitlisted call', duration: 30, scheduleId: restSchedule.id
+      })).data;
+      const [restSlot] = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: saturday, to: saturday }
+      })).data.slots;
+      const restSlotTimes = { startTime: restSlot.startTime, endTime: restSlot.endTime };
+      const restOpen = await axios.post(`${REST_API_BASE_URL}/waitlist`, {
+        eventId: restEvent.id, ...invitee('early'), ...restSlotTimes
+      }).then(() => null, err => err.response);
+      const restBooked = (await this.restClient.post('/appointments', {
+        eventId: restEvent.id, inviteeEmail: `booked_${stamp}@example.com`, ...restSlotTimes
+      })).data;
+      const restFirst = (await axios.post(`${REST_API_BASE_URL}/waitlist`, {
+        eventId: restEvent.id, ...invitee('first'), ...restSlotTimes
+      })).data;
+      const restSecond = (await axios.post(`${REST_API_BASE_URL}/waitlist`, {
+        eventId: restEvent.id, ...invitee('second'), date: saturday
+      })).data;
+      const restAgain = await axios.post(`${REST_API_BASE_URL}/waitlist`, {
+        eventId: restEvent.id, ...invitee('first'), ...restSlotTimes
+      }).then(() => null, err => err.response);
+      const restEarlyClaim = await axios.post(`${REST_API_BASE_URL}/waitlist/${restFirst.waitlistToken}/claim`, {})
+        .then(() => null, err => err.response);
+      await this.restClient.patch(`/appointments/${restBooked.id}`, { status: 'canceled' });
+      const restOffered = (await axios.get(`${REST_API_BASE_URL}/waitlist/${restFirst.waitlistToken}`)).data;
+      const restHeldSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: saturday, to: saturday }
+      })).data.slots;
+      await axios.delete(`${REST_API_BASE_URL}/waitlist/${restFirst.waitlistToken}`);
+      const restList = (await this.restClient.get(`/events/${restEvent.id}/waitlist`)).data;
+      const restClaimed = (await axios.post(`${REST_API_BASE_URL}/waitlist/${restSecond.waitlistToken}/claim`, {})).data;
+      const restBookedEntry = (await axios.get(`${REST_API_BASE_URL}/waitlist/${restSecond.waitlistToken}`)).data;
+      await this.restClient.delete(`/appointments/${restClaimed.id}`);
+      
+      // gRPC calls
+      const grpcInvitee = (name) => ({ invitee_name: `${name} Invitee`, invitee_email: `${name}_${stamp}@example.com` });
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Waitlist', availability: { days } },
+        this.testData.grpcToken
+      );
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Waitlisted call', duration: 30, schedule_id: grpcSchedule.id },
+        this.testData.grpcToken
+      );
+      const [grpcSlot] = (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: saturday,
+        to: saturday
+      })).slots;
+      const grpcSlotTimes = { start_time: grpcSlot.start_time, end_time: grpcSlot.end_time };
+      const grpcBooked = await this.makeAuthenticatedGrpcRequest(this.appointmentClient, 'createAppointment', {
+        event_id: grpcEvent.id, invitee_email: `booked_${stamp}@example.com`, ...grpcSlotTimes
+      }, this.testData.grpcToken);
+      const grpcFirst = await this.makeGrpcRequest(this.appointmentClient, 'joinWaitlist', {
+        event_id: grpcEvent.id, ...grpcInvitee('first'), date: saturday
+      });
+      const grpcSecond = await this.makeGrpcRequest(this.appointmentClient, 'joinWaitlist', {
+        event_id: grpcEvent.id, ...grpcInvitee('second'), ...grpcSlotTimes
+      });
+      const grpcAgain = await this.makeGrpcRequest(this.appointmentClient, 'joinWaitlist', {
+        event_id: grpcEvent.id, ...grpcInvitee('second'), ...grpcSlotTimes
+      }).then(() => null, err => err);
+      await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient, 'deleteAppointment', { appointment_id: grpcBooked.id }, this.testData.grpcToken
+      );
+      const grpcOffered = await this.makeGrpcRequest(
+        this.appointmentClient, 'getWaitlistEntry', { waitlist_token: grpcFirst.waitlist_token }
+      );
+      const grpcHeld = await this.makeAuthenticatedGrpcRequest(this.appointmentClient, 'createAppointment', {
+        event_id: grpcEvent.id, invitee_email: `walkin_${stamp}@example.com`, ...grpcSlotTimes
+      }, this.testData.grpcToken).then(() => null, err => err);
+      // A lapsed claim keeps the time until listing the slots passes it on to the next invitee
+      await this.lapseClaim(grpcFirst.id);
+      const grpcLapsedHeld = await this.makeAuthenticatedGrpcRequest(this.appointmentClient, 'createAppointment', {
+        event_id: grpcEvent.id, invitee_email: `walkin_${stamp}@example.com`, ...grpcSlotTimes
+      }, this.testData.grpcToken).then(() => null, err => err);
+      await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id, event_id: grpcEvent.id, from: saturday, to: saturday
+      });
+      const grpcLapsed = await this.makeGrpcRequest(
+        this.appointmentClient, 'getWaitlistEntry', { waitlist_token: grpcFirst.waitlist_token }
+      );
+      const grpcPassedOn = await this.makeGrpcRequest(
+        this.appointmentClient, 'getWaitlistEntry', { waitlist_token: grpcSecond.waitlist_token }
+      );
+      await this.makeGrpcRequest(this.appointmentClient, 'leaveWaitlist', { waitlist_token: grpcFirst.waitlist_token });
+      const grpcList = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient, 'listWaitlist', { event_id: grpcEvent.id }, this.testData.grpcToken
+      );
+      // Claiming twice at once books the time once
+      const grpcClaims = await Promise.allSettled([1, 2].map(() => this.makeGrpcRequest(
+        this.appointmentClient, 'claimWaitlistOffer', { waitlist_token: grpcSecond.waitlist_token }
+      )));
+      const grpcClaimed = (grpcClaims.find(claim => claim.status === 'fulfilled') || {}).value;
+      const grpcClaimedAgain = (grpcClaims.find(claim => claim.status === 'rejected') || {}).reason;
+      const grpcBookedEntry = await this.makeGrpcRequest(
+        this.appointmentClient, 'getWaitlistEntry', { waitlist_token: grpcSecond.waitlist_token }
+      );
+      await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient, 'deleteAppointment', { appointment_id: grpcClaimed.id }, this.testData.grpcToken
+      );
+      
+      // Verify both APIs only put invitees in line once for fully booked slots
+      assert(restOpen && restOpen.status === 422 && restOpen.data.reason === 'SLOT_AVAILABLE' &&
+             restFirst.status === 'waiting' && restSecond.startTime === null && restSecond.date === saturday &&
+             restAgain && restAgain.status === 409 && restAgain.data.reason === 'ALREADY_WAITLISTED',
+             'REST API should only waitlist fully booked slots and days once per invitee');
+      assert(grpcFirst.status === 'WAITING' && grpcFirst.start_time === '' && grpcFirst.waitlist_token &&
+             grpcAgain && grpcAgain.code === grpc.status.ALREADY_EXISTS &&
+             grpcAgain.metadata.get('booking-reason')[0] === 'ALREADY_WAITLISTED',
+             'gRPC API should only waitlist fully booked slots and days once per invitee');
+      
+      // Verify both APIs give the freed time to the first invitee in line and keep it for them
+      assert(restEarlyClaim && restEarlyClaim.status === 409 && restOffered.status === 'offered' &&
+             restOffered.offerStartTime === restSlot.startTime && Date.parse(restOffered.offerExpiresAt) > Date.now() &&
+             restHeldSlots.length === 0, 'REST API should offer a canceled slot to the first invitee in line');
+      assert(grpcOffered.status === 'OFFERED' && grpcOffered.offer_start_time === grpcSlot.start_time &&
+             grpcHeld && grpcHeld.code === grpc.status.ALREADY_EXISTS,
+             'gRPC API should offer a deleted slot to the first invitee in line');
+      assert(grpcLapsedHeld && grpcLapsedHeld.code === grpc.status.ALREADY_EXISTS && grpcLapsed.status === 'EXPIRED' &&
+             grpcPassedOn.status === 'OFFERED' && grpcPassedOn.offer_start_time === grpcSlot.start_time,
+             'gRPC API should keep a lapsed claim blocking until it is passed on');
+      
+      // Verify both APIs pass the claim on and book it for the next invitee
+      assert(restList.length === 1 && restList[0].id === restSecond.id && restList[0].status === 'offered' &&
+             restList[0].waitlistToken === undefined && restClaimed.startTime === restSlot.startTime &&
+             restClaimed.inviteeEmail === restSecond.inviteeEmail && restBookedEntry.status === 'booked' &&
+             restBookedEntry.appointmentId === restClaimed.id, 'REST API should pass the claim to the next invitee');
+      assert(grpcList.entries.length === 1 && grpcList.entries[0].id === grpcSecond.id &&
+             grpcList.entries[0].waitlist_token === '' && grpcClaimed.start_time === grpcSlot.start_time &&
+             grpcClaimed.invitee_email === grpcSecond.invitee_email &&
+             grpcClaimedAgain && grpcClaimedAgain.code === grpc.status.FAILED_PRECONDITION &&
+             grpcBookedEntry.status === 'BOOKED' && grpcBookedEntry.appointment_id === grpcClaimed.id,
+             'gRPC API should pass the claim to the next invitee and book it once');
+      
+      console.log('✓ Waitlist: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Waitlist: FAILED', err.message);
+      throw err;
+    }
+  }
+
+  // Test: Hosts poll participants on candidate times and book the winner for all of them
+  async testMeetingPolls() {
+    this.totalTests++;
+    try {
+      // Two 30-minute slots on a "Polls" schedule, Saturday 15:00-16:00 in Europe/Tallinn, of a
+      // one-seat event that gets a second seat for the two participants
+      const saturday = nextWeekday(6);
+      const days = [{ day: 'Saturday', time_ranges: [{ start_time: '15:00', end_time: '16:00' }] }];
+      const stamp = Date.now();
+      const email = (name) => `${name}_poll_${stamp}@example.com`;
+      
+      // REST API calls
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Polls',
+        availability: days
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Planning session', duration: 30, scheduleId: restSchedule.id
+      })).data;
+      const restSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: saturday, to: saturday }
+      })).data.slots;
+      const restOutside = await this.restClient.post('/polls', {
+        eventId: restEvent.id,
+        options: [{ startTime: restSlots[1].endTime, endTime: new Date(Date.parse(restSlots[1].endTime) + 30 * 60000).toISOString() }]
+      }).then(() => null, err => err.response);
+      const restPoll = (await this.restClient.post('/polls', {
+        eventId: restEvent.id,
+        title: 'Roadmap planning',
+        options: restSlots.map(slot => ({ startTime: slot.startTime, endTime: slot.endTime }))
+      })).data;
+      const [restFirst, restSecond] = restPoll.options;
+      const restAlice = (await axios.post(`${REST_API_BASE_URL}/polls/${restPoll.id}/votes`, {
+        inviteeName: 'Alice', inviteeEmail: email('alice'),
+        votes: [{ optionId: restFirst.id, answer: 'yes' }, { optionId: restSecond.id, answer: 'no' }]
+      })).data;
+      const restBob = (await axios.post(`${REST_API_BASE_URL}/polls/${restPoll.id}/votes`, {
+        inviteeName: 'Bob', inviteeEmail: email('bob'),
+        votes: [{ optionId: restFirst.id, answer: 'no' }, { optionId: restSecond.id, answer: 'yes' }]
+      })).data;
+      const restTwice = await axios.post(`${REST_API_BASE_URL}/polls/${restPoll.id}/votes`, {
+        inviteeName: 'Alice', inviteeEmail: email('alice'),
+        votes: [{ optionId: restFirst.id, answer: 'yes' }, { optionId: restSecond.id, answer: 'yes' }]
+      }).then(() => null, err => err.response);
+      const restChanged = (await axios.put(`${REST_API_BASE_URL}/polls/${restPoll.id}/votes/${restBob.voteToken}`, {
+        votes: [{ optionId: restFirst.id, answer: 'maybe' }, { optionId: restSecond.id, answer: 'yes' }]
+      })).data;
+      const restPublic = (await axios.get(`${REST_API_BASE_URL}/polls/${restPoll.id}`)).data;
+      const restNoSeats = await this.restClient.post(`/polls/${restPoll.id}/schedule`, { optionId: restFirst.id })
+        .then(() => null, err => err.response);
+      await this.restClient.patch(`/events/${restEvent.id}`, { capacity: 2 });
+      const restScheduled = (await this.restClient.post(`/polls/${restPoll.id}/schedule`, { optionId: restFirst.id })).data;
+      const restAppointment = (await this.restClient.get(`/appointments/${restScheduled.participants[1].appointmentId}`)).data;
+      const restSlotsAfter = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: saturday, to: saturday }
+      })).data.slots;
+      const restLate = await axios.put(`${REST_API_BASE_URL}/polls/${restPoll.id}/votes/${restAlice.voteToken}`, {
+        votes: [{ optionId: restFirst.id, answer: 'no' }, { optionId: restSecond.id, answer: 'no' }]
+      }).then(() => null, err => err.response);
+      
+      // gRPC calls
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Polls', availability: { days } },
+        this.testData.grpcToken
+      );
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Planning session', duration: 30, schedule_id: grpcSchedule.id },
+        this.testData.grpcToken
+      );
+      const grpcSlots = (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: saturday,
+        to: saturday
+      })).slots;
+      const grpcPoll = await this.makeAuthenticatedGrpcRequest(this.pollClient, 'createPoll', {
+        event_id: grpcEvent.id,
+        title: 'Roadmap planning',
+        options: grpcSlots.map(slot => ({ start_time: slot.start_time, end_time: slot.end_time }))
+      }, this.testData.grpcToken);
+      const [grpcFirst, grpcSecond] = grpcPoll.options;
+      const grpcAlice = await this.makeGrpcRequest(this.pollClient, 'vote', {
+        poll_id: grpcPoll.id, invitee_name: 'Alice', invitee_email: email('alice'),
+        votes: [{ option_id: grpcFirst.id, answer: 'YES' }, { option_id: grpcSecond.id, answer: 'NO' }]
+      });
+      const grpcBob = await this.makeGrpcRequest(this.pollClient, 'vote', {
+        poll_id: grpcPoll.id, invitee_name: 'Bob', invitee_email: email('bob'),
+        votes: [{ option_id: grpcFirst.id, answer: 'NO' }, { option_id: grpcSecond.id, answer: 'YES' }]
+      });
+      const grpcPartial = await this.makeGrpcRequest(this.pollClient, 'vote', {
+        poll_id: grpcPoll.id, invitee_name: 'Carol', invitee_email: email('carol'),
+        votes: [{ option_id: grpcFirst.id, answer: 'YES' }]
+      }).then(() => null, err => err);
+      const grpcChanged = await this.makeGrpcRequest(this.pollClient, 'changeVote', {
+        vote_token: grpcBob.vote_token,
+        votes: [{ option_id: grpcFirst.id, answer: 'MAYBE' }, { option_id: grpcSecond.id, answer: 'YES' }]
+      });
+      const grpcPublic = await this.makeGrpcRequest(this.pollClient, 'getPoll', { poll_id: grpcPoll.id });
+      const grpcNoSeats = await this.makeAuthenticatedGrpcRequest(
+        this.pollClient, 'schedulePoll', { poll_id: grpcPoll.id, option_id: grpcFirst.id }, this.testData.grpcToken
+      ).then(() => null, err => err);
+      await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'updateEvent', { event_id: grpcEvent.id, capacity: 2 }, this.testData.grpcToken
+      );
+      const grpcScheduled = await this.makeAuthenticatedGrpcRequest(
+        this.pollClient, 'schedulePoll', { poll_id: grpcPoll.id, option_id: grpcFirst.id }, this.testData.grpcToken
+      );
+      const grpcAgain = await this.makeAuthenticatedGrpcRequest(
+        this.pollClient, 'schedulePoll', { poll_id: grpcPoll.id, option_id: grpcSecond.id }, this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcAppointment = await this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'getAppointment',
+        { appointment_id: grpcScheduled.participants[1].appointment_id },
+        this.testData.grpcToken
+      );
+      const grpcPolls = await this.makeAuthenticatedGrpcRequest(this.pollClient, 'listPolls', {}, this.testData.grpcToken);
+      
+      // Verify both APIs only take open slots as options and one answer per option from each email
+      assert(restOutside && restOutside.status === 400 && restPoll.status === 'open' &&
+             restPoll.options.length === 2 && restFirst.startTime === restSlots[0].startTime &&
+             restAlice.voteToken && restTwice && restTwice.status === 409,
+             'REST API should poll on open slots and take one vote per email');
+      assert(grpcPoll.status === 'OPEN' && grpcPoll.options.length === 2 && grpcFirst.start_time === grpcSlots[0].start_time &&
+             grpcAlice.vote_token && grpcPartial && grpcPartial.code === grpc.status.INVALID_ARGUMENT,
+             'gRPC API should poll on open slots and need an answer for every option');
+      
+      // Verify both APIs tally changed votes and keep participant emails from the public view
+      assert(restChanged.votes[0].answer === 'maybe' && restPublic.options[0].yesCount === 1 &&
+             restPublic.options[0].maybeCount === 1 && restPublic.options[1].noCount === 1 &&
+             restPublic.participants.length === 2 && restPublic.participants[0].inviteeEmail === undefined &&
+             restPublic.participants[0].voteToken === undefined,
+             'REST API should tally votes without revealing participant emails');
+      assert(grpcChanged.votes[0].answer === 'MAYBE' && grpcPublic.options[0].yes_count === 1 &&
+             grpcPublic.options[0].maybe_count === 1 && grpcPublic.options[1].no_count === 1 &&
+             grpcPublic.participants.length === 2 && grpcPublic.participants[0].invitee_email === '',
+             'gRPC API should tally votes without revealing participant emails');
+      
+      // Verify both APIs only schedule a poll once its event seats every participant
+      assert(restNoSeats && restNoSeats.status === 409 && restNoSeats.data.reason === 'SLOT_FULL',
+             'REST API should not book two participants into a one-seat event');
+      assert(grpcNoSeats && grpcNoSeats.code === grpc.status.ALREADY_EXISTS &&
+             grpcNoSeats.metadata.get('booking-reason')[0] === 'SLOT_FULL',
+             'gRPC API should not book two participants into a one-seat event');
+      
+      // Verify both APIs book the chosen option for every participant and close the poll
+      assert(restScheduled.status === 'closed' && restScheduled.chosenOptionId === restFirst.id &&
+             restScheduled.participants.every(participant => participant.appointmentId) &&
+             restAppointment.inviteeEmail === email('bob') && restAppointment.startTime === restFirst.startTime &&
+             restSlotsAfter.length === 1 && restSlotsAfter[0].startTime === restSecond.startTime &&
+             restLate && restLate.status === 409,
+             'REST API should book the chosen option for every participant');
+      assert(grpcScheduled.status === 'CLOSED' && grpcScheduled.chosen_option_id === grpcFirst.id &&
+             grpcScheduled.participants.every(participant => participant.appointment_id) &&
+             grpcAppointment.invitee_email === email('bob') && grpcAppointment.start_time === grpcFirst.start_time &&
+             grpcAgain && grpcAgain.code === grpc.status.FAILED_PRECONDITION &&
+             grpcPolls.polls.some(poll => poll.id === grpcPoll.id && poll.participants[0].invitee_email === email('alice')),
+             'gRPC API should book the chosen option for every participant');
+      
+      console.log('✓ Meeting polls: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Meeting polls: FAILED', err.message);
       throw err;
     }
   }
-  
-  // Test: Login
-  async testLogin() {
+
+  // Test: Scheduling links take a limited number of bookings and can be revoked
+  async testSchedulingLinks() {
     this.totalTests++;
     try {
-      // REST API call
-      const restResponse = await this.restClient.post('/sessions', {
-        email: TEST_USER.email,
-        password: TEST_USER.password
-      });
-      this.testData.restToken = restResponse.data.token;
+      // Two 30-minute slots on a "Links" schedule, Saturday 17:00-18:00 in Europe/Tallinn
+      const saturday = nextWeekday(6);
+      const days = [{ day: 'Saturday', time_ranges: [{ start_time: '17:00', end_time: '18:00' }] }];
+      const candidate = `candidate_${Date.now()}@example.com`;
       
-      // gRPC call
-      const grpcResponse = await this.makeGrpcRequest(this.sessionClient, 'login', {
-        email: this.testData.grpcUser.email,
-        password: TEST_USER.password
+      // REST API calls
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Links',
+        availability: days
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Candidate interview', duration: 30, scheduleId: restSchedule.id, linkOnly: true
+      })).data;
+      const restSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: saturday, to: saturday }
+      })).data.slots;
+      const restInvalid = await this.restClient.post(`/events/${restEvent.id}/links`, { maxUses: 0 })
+        .then(() => null, err => err.response);
+      const restLink = (await this.restClient.post(`/events/${restEvent.id}/links`, {
+        expiresInDays: 3, inviteeEmail: candidate
+      })).data;
+      const restPage = (await axios.get(`${REST_API_BASE_URL}/links/${restLink.id}`)).data;
+      const restBooked = (await axios.post(`${REST_API_BASE_URL}/bookings`, {
+        linkId: restLink.id, inviteeName: 'Candidate', startTime: restSlots[0].startTime, endTime: restSlots[0].endTime
+      })).data;
+      const restReused = await axios.post(`${REST_API_BASE_URL}/bookings`, {
+        linkId: restLink.id, inviteeName: 'Candidate', startTime: restSlots[1].startTime, endTime: restSlots[1].endTime
+      }).then(() => null, err => err.response);
+      const restBypass = await axios.post(`${REST_API_BASE_URL}/bookings/holds`, {
+        userId: this.testData.restUser.id, eventId: restEvent.id,
+        startTime: restSlots[1].startTime, endTime: restSlots[1].endTime
+      }).then(() => null, err => err.response);
+      const restShared = (await this.restClient.post(`/events/${restEvent.id}/links`, { maxUses: 5 })).data;
+      const restRevoked = (await this.restClient.post(`/events/${restEvent.id}/links/${restShared.id}/revoke`)).data;
+      const restAfterRevoke = await axios.post(`${REST_API_BASE_URL}/bookings`, {
+        linkId: restShared.id, inviteeName: 'Someone', inviteeEmail: `someone_${Date.now()}@example.com`,
+        startTime: restSlots[1].startTime, endTime: restSlots[1].endTime
+      }).then(() => null, err => err.response);
+      const restLinks = (await this.restClient.get(`/events/${restEvent.id}/links`)).data;
+      
+      // gRPC calls
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Links', availability: { days } },
+        this.testData.grpcToken
+      );
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Candidate interview', duration: 30, schedule_id: grpcSchedule.id, link_only: true },
+        this.testData.grpcToken
+      );
+      const grpcSlots = (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: saturday,
+        to: saturday
+      })).slots;
+      const grpcLink = await this.makeAuthenticatedGrpcRequest(this.eventClient, 'createSchedulingLink', {
+        event_id: grpcEvent.id, expires_in_days: 3, invitee_email: candidate
+      }, this.testData.grpcToken);
+      const grpcPage = await this.makeGrpcRequest(this.eventClient, 'getSchedulingLinkPage', { link_id: grpcLink.id });
+      const grpcBooked = await this.makeGrpcRequest(this.appointmentClient, 'bookAppointment', {
+        scheduling_link_id: grpcLink.id, invitee_name: 'Candidate',
+        start_time: grpcSlots[0].start_time, end_time: grpcSlots[0].end_time
       });
-      this.testData.grpcToken = grpcResponse.token;
-      
-      // Update REST client with token
-      this.restClient.defaults.headers.common['Authorization'] = `Bearer ${this.testData.restToken}`;
-      
-      // Verify both APIs return token
-      assert(this.testData.restToken, 'REST API should return token');
-      assert(this.testData.grpcToken, 'gRPC API should return token');
+      const grpcReused = await this.makeGrpcRequest(this.appointmentClient, 'bookAppointment', {
+        scheduling_link_id: grpcLink.id, invitee_name: 'Candidate',
+        start_time: grpcSlots[1].start_time, end_time: grpcSlots[1].end_time
+      }).then(() => null, err => err);
+      const grpcBypass = await this.makeGrpcRequest(this.appointmentClient, 'reserveSlot', {
+        user_id: this.testData.grpcUser.id, event_id: grpcEvent.id,
+        start_time: grpcSlots[1].start_time, end_time: grpcSlots[1].end_time
+      }).then(() => null, err => err);
+      const grpcShared = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'createSchedulingLink', { event_id: grpcEvent.id, max_uses: 5 }, this.testData.grpcToken
+      );
+      const grpcRevoked = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'revokeSchedulingLink', { event_id: grpcEvent.id, link_id: grpcShared.id }, this.testData.grpcToken
+      );
+      const grpcLinks = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'listSchedulingLinks', { event_id: grpcEvent.id }, this.testData.grpcToken
+      );
       
-      console.log('✓ Login: PASSED');
+      // Verify both APIs create single-use links by default and resolve them publicly
+      assert(restInvalid && restInvalid.status === 400 && restLink.maxUses === 1 && restLink.useCount === 0 &&
+             restLink.status === 'active' && Date.parse(restLink.expiresAt) > Date.now() + 2 * 24 * 3600000 &&
+             restPage.event.id === restEvent.id && restPage.host.id === this.testData.restUser.id &&
+             restPage.link.inviteeEmail === candidate, 'REST API should create and resolve scheduling links');
+      assert(grpcLink.max_uses === 1 && grpcLink.status === 'LINK_ACTIVE' && grpcPage.event.id === grpcEvent.id &&
+             grpcPage.host.id === this.testData.grpcUser.id && grpcPage.link.invitee_email === candidate,
+             'gRPC API should create and resolve scheduling links');
+      
+      // Verify both APIs book through a link with its pre-filled email and use it up
+      assert(restBooked.eventId === restEvent.id && restBooked.userId === this.testData.restUser.id &&
+             restBooked.inviteeEmail === candidate && restReused && restReused.status === 410 &&
+             restReused.data.reason === 'LINK_UNAVAILABLE', 'REST API should book through a link once');
+      assert(grpcBooked.event_id === grpcEvent.id && grpcBooked.invitee_email === candidate &&
+             grpcReused && grpcReused.code === grpc.status.FAILED_PRECONDITION &&
+             grpcReused.metadata.get('booking-reason')[0] === 'LINK_UNAVAILABLE',
+             'gRPC API should book through a link once');
+      
+      // Verify both APIs keep link-only event types from being booked or held without a link
+      assert(restEvent.linkOnly === true && restBypass && restBypass.status === 403 &&
+             restBypass.data.reason === 'LINK_REQUIRED', 'REST API should require a link for link-only events');
+      assert(grpcEvent.link_only === true && grpcBypass && grpcBypass.code === grpc.status.PERMISSION_DENIED &&
+             grpcBypass.metadata.get('booking-reason')[0] === 'LINK_REQUIRED',
+             'gRPC API should require a link for link-only events');
+      
+      // Verify both APIs stop revoked links and list links with their status
+      assert(restRevoked.status === 'revoked' && restRevoked.revokedAt && restAfterRevoke &&
+             restAfterRevoke.status === 410 && restLinks.length === 2 &&
+             restLinks.map(link => link.status).join() === 'revoked,used' && restLinks[1].useCount === 1,
+             'REST API should revoke links and list them');
+      assert(grpcRevoked.status === 'LINK_REVOKED' && grpcRevoked.revoked_at && grpcLinks.links.length === 2 &&
+             grpcLinks.links.map(link => link.status).join() === 'LINK_REVOKED,LINK_USED',
+             'gRPC API should revoke links and list them');
+      
+      console.log('✓ Scheduling links: PASSED');
       this.passedTests++;
     } catch (err) {
-      console.error('✗ Login: FAILED', err.message);
+      console.error('✗ Scheduling links: FAILED', err.message);
       throw err;
     }
   }
-  
-  // Test: Create event
-  async testCreateEvent() {
+
+  // Test: Slot holds keep a slot from other invitees until it is booked with the hold token
+  async testSlotHolds() {
     this.totalTests++;
     try {
-      const eventData = {
-        name: 'Test Meeting',
-        duration: 30,
-        description: 'Test description',
-        color: '#FF5733'
-      };
-      
-      // REST API call
-      const restResponse = await this.restClient.post('/events', eventData);
-      this.testData.restEvent = restResponse.data;
+      const MINUTE_MS = 60 * 1000;
+      // Two 30-minute slots on a "Holds" schedule, Sunday 13:00-14:00 in Europe/Tallinn
+      const sunday = nextWeekday(0);
+      const days = [{ day: 'Sunday', time_ranges: [{ start_time: '13:00', end_time: '14:00' }] }];
+      const invitee = { name: 'Held Invitee', email: `held_${Date.now()}@example.com` };
+      
+      // REST API calls
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Holds',
+        availability: days
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Held call', duration: 30, scheduleId: restSchedule.id
+      })).data;
+      const restSlots = () => this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: restEvent.id, from: sunday, to: sunday }
+      }).then(response => response.data.slots);
+      const [restFirst, restSecond] = await restSlots();
+      const restHold = (await axios.post(`${REST_API_BASE_URL}/bookings/holds`, {
+        userId: this.testData.restUser.id, eventId: restEvent.id, startTime: restFirst.startTime, endTime: restFirst.endTime
+      })).data;
+      const restHeldSlots = await restSlots();
+      const restTaken = await axios.post(`${REST_API_BASE_URL}/bookings/holds`, {
+        userId: this.testData.restUser.id, eventId: restEvent.id, startTime: restFirst.startTime, endTime: restFirst.endTime
+      }).then(() => null, err => err.response);
+      const restBooked = (await axios.post(`${REST_API_BASE_URL}/bookings`, {
+        holdToken: restHold.holdToken, inviteeName: invitee.name, inviteeEmail: invitee.email
+      })).data;
+      const restReused = await axios.post(`${REST_API_BASE_URL}/bookings`, {
+        holdToken: restHold.holdToken, inviteeName: invitee.name, inviteeEmail: invitee.email
+      }).then(() => null, err => err.response);
+      const restBookedSlots = await restSlots();
+      
+      // REST API calls for pooled event types of a team whose hosts are free 13:00-14:30: a
+      // round-robin hold doesn't count as an assignment, and a collective hold blocks every host
+      const restHosts = [
+        await this.createHost('hold_first', '13:00', '14:30', 'Sunday'),
+        await this.createHost('hold_second', '13:00', '14:30', 'Sunday')
+      ];
+      const restTeamId = await this.createHostTeam('Held hosts', restHosts, this.testData.restToken);
+      const restPool = (await this.restClient.post('/events', {
+        name: 'Held pool', duration: 30, teamId: restTeamId, hostMode: 'round_robin', hostIds: restHosts
+      })).data;
+      const restPanel = (await this.restClient.post('/events', {
+        name: 'Held panel', duration: 30, scheduleId: restSchedule.id, teamId: restTeamId,
+        hostMode: 'collective', hostIds: [restHosts[1]]
+      })).data;
+      const restAt = (minutes) => ({
+        startTime: new Date(Date.parse(restFirst.startTime) + minutes * MINUTE_MS).toISOString(),
+        endTime: new Date(Date.parse(restFirst.startTime) + (minutes + 30) * MINUTE_MS).toISOString()
+      });
+      const restPoolHold = (await axios.post(`${REST_API_BASE_URL}/bookings/holds`, {
+        userId: this.testData.restUser.id, eventId: restPool.id, ...restAt(0)
+      })).data;
+      const restPoolBooked = (await this.restClient.post('/appointments', {
+        eventId: restPool.id, inviteeEmail: `pool_${invitee.email}`, ...restAt(60)
+      })).data;
+      await axios.post(`${REST_API_BASE_URL}/bookings/holds`, {
+        userId: this.testData.restUser.id, eventId: restPanel.id, ...restAt(30)
+      });
+      const restCoHostBooked = (await this.restClient.post('/appointments', {
+        eventId: restPool.id, inviteeEmail: `cohost_${invitee.email}`, ...restAt(30)
+      })).data;
       
-      // gRPC call
+      // gRPC calls
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Holds', availability: { days } },
+        this.testData.grpcToken
+      );
       const grpcEvent = await this.makeAuthenticatedGrpcRequest(
         this.eventClient,
         'createEvent',
-        eventData,
+        { name: 'Held call', duration: 30, schedule_id: grpcSchedule.id },
         this.testData.grpcToken
       );
-      this.testData.grpcEvent = grpcEvent;
-      
-      // Verify both APIs return similar structure
-      assert(restResponse.data.id && grpcEvent.id, 'Both APIs should return event ID');
-      assert(restResponse.data.name === eventData.name && grpcEvent.name === eventData.name, 'Both APIs should return correct event name');
-      assert(restResponse.data.duration === eventData.duration && grpcEvent.duration === eventData.duration, 'Both APIs should return correct duration');
-      
-      console.log('✓ Create event: PASSED');
+      const grpcSlots = () => this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: sunday,
+        to: sunday
+      }).then(response => response.slots);
+      const [grpcFirst, grpcSecond] = await grpcSlots();
+      const reserve = (slot) => this.makeGrpcRequest(this.appointmentClient, 'reserveSlot', {
+        user_id: this.testData.grpcUser.id, event_id: grpcEvent.id, start_time: slot.start_time, end_time: slot.end_time
+      });
+      const grpcHold = await reserve(grpcFirst);
+      const grpcHeldSlots = await grpcSlots();
+      const grpcTaken = await reserve(grpcFirst).then(() => null, err => err);
+      const grpcBooked = await this.makeGrpcRequest(this.appointmentClient, 'bookAppointment', {
+        hold_token: grpcHold.hold_token, invitee_name: invitee.name, invitee_email: invitee.email
+      });
+      const grpcBookedSlots = await grpcSlots();
+      
+      // gRPC calls for pooled event types of a team whose hosts are free 13:00-14:30
+      const grpcHosts = [
+        await this.createHost('hold_first', '13:00', '14:30', 'Sunday'),
+        await this.createHost('hold_second', '13:00', '14:30', 'Sunday')
+      ];
+      const grpcTeamId = await this.createHostTeam('Held hosts', grpcHosts, this.testData.grpcToken);
+      const grpcPool = await this.makeAuthenticatedGrpcRequest(this.eventClient, 'createEvent', {
+        name: 'Held pool', duration: 30, team_id: grpcTeamId, host_mode: 'ROUND_ROBIN', host_ids: grpcHosts
+      }, this.testData.grpcToken);
+      const grpcPanel = await this.makeAuthenticatedGrpcRequest(this.eventClient, 'createEvent', {
+        name: 'Held panel', duration: 30, schedule_id: grpcSchedule.id, team_id: grpcTeamId,
+        host_mode: 'COLLECTIVE', host_ids: [grpcHosts[1]]
+      }, this.testData.grpcToken);
+      const grpcAt = (minutes) => ({
+        start_time: new Date(Date.parse(grpcFirst.start_time) + minutes * MINUTE_MS).toISOString(),
+        end_time: new Date(Date.parse(grpcFirst.start_time) + (minutes + 30) * MINUTE_MS).toISOString()
+      });
+      const grpcPoolHold = await this.makeGrpcRequest(this.appointmentClient, 'reserveSlot', {
+        user_id: this.testData.grpcUser.id, event_id: grpcPool.id, ...grpcAt(0)
+      });
+      const grpcPoolBooked = await this.makeAuthenticatedGrpcRequest(this.appointmentClient, 'createAppointment', {
+        event_id: grpcPool.id, invitee_email: `pool_${invitee.email}`, ...grpcAt(60)
+      }, this.testData.grpcToken);
+      await this.makeGrpcRequest(this.appointmentClient, 'reserveSlot', {
+        user_id: this.testData.grpcUser.id, event_id: grpcPanel.id, ...grpcAt(30)
+      });
+      const grpcCoHostBooked = await this.makeAuthenticatedGrpcRequest(this.appointmentClient, 'createAppointment', {
+        event_id: grpcPool.id, invitee_email: `cohost_${invitee.email}`, ...grpcAt(30)
+      }, this.testData.grpcToken);
+      
+      // Verify both APIs hold an offered slot for a few minutes and hide it from other invitees
+      const expiresIn = (expiresAt) => Date.parse(expiresAt) - Date.now();
+      assert(restSecond && restHold.userId === this.testData.restUser.id && restHold.startTime === restFirst.startTime &&
+             restHold.holdToken && expiresIn(restHold.expiresAt) > 4 * MINUTE_MS && expiresIn(restHold.expiresAt) <= 5 * MINUTE_MS &&
+             restHeldSlots.map(slot => slot.startTime).join() === restSecond.startTime &&
+             restTaken && restTaken.status === 409 && restTaken.data.reason === 'SLOT_CONFLICT',
+             'REST API should hold a slot from other invitees');
+      assert(grpcSecond && grpcHold.user_id === this.testData.grpcUser.id && grpcHold.start_time === grpcFirst.start_time &&
+             grpcHold.hold_token && expiresIn(grpcHold.expires_at) > 4 * MINUTE_MS &&
+             grpcHeldSlots.map(slot => slot.start_time).join() === grpcSecond.start_time &&
+             grpcTaken && grpcTaken.code === grpc.status.ALREADY_EXISTS &&
+             grpcTaken.metadata.get('booking-reason')[0] === 'SLOT_CONFLICT',
+             'gRPC API should hold a slot from other invitees');
+      
+      // Verify both APIs turn the hold into the appointment, once
+      assert(restBooked.eventId === restEvent.id && restBooked.startTime === restFirst.startTime &&
+             restBooked.inviteeEmail === invitee.email && restReused && restReused.status === 410 &&
+             restReused.data.reason === 'HOLD_EXPIRED' && restBookedSlots.length === 1,
+             'REST API should book the held slot with the hold token');
+      assert(grpcBooked.event_id === grpcEvent.id && grpcBooked.start_time === grpcFirst.start_time &&
+             grpcBooked.invitee_email === invitee.email && grpcBookedSlots.length === 1,
+             'gRPC API should book the held slot with the hold token');
+      
+      // Verify both APIs leave the round-robin rotation to bookings and hold every collective host
+      assert(restPoolHold.userId === restHosts[0] && restPoolBooked.userId === restHosts[0] &&
+             restCoHostBooked.userId === restHosts[0],
+             'REST API should not assign round-robin holds and should block every collective host');
+      assert(grpcPoolHold.user_id === grpcHosts[0] && grpcPoolBooked.user_id === grpcHosts[0] &&
+             grpcCoHostBooked.user_id === grpcHosts[0],
+             'gRPC API should not assign round-robin holds and should block every collective host');
+      
+      console.log('✓ Slot holds: PASSED');
       this.passedTests++;
     } catch (err) {
-      console.error('✗ Create event: FAILED', err.message);
+      console.error('✗ Slot holds: FAILED', err.message);
       throw err;
     }
   }
-  
-  // Test: Create schedule
-  async testCreateSchedule() {
+
+  // Test: Invitees fetch, reschedule and cancel with their manage token
+  async testManageBooking() {
     this.totalTests++;
     try {
-      const availabilityData = {
-        days: [
-          {
-            day: 'Monday',
-            time_ranges: [
-              {
-                start_time: '09:00',
-                end_time: '17:00'
-              }
-            ]
-          }
-        ]
-      };
-      
-      // REST API call
-      const restResponse = await this.restClient.post('/schedules', {
-        userId: this.testData.restUser.id,
-        availability: availabilityData.days
+      const restToken = this.testData.restBooking.manageToken;
+      const grpcToken = this.testData.grpcBooking.manage_token;
+      const restSlot = this.testData.restSlots[7];
+      const grpcSlot = this.testData.grpcSlots[7];
+      const reason = 'Something came up';
+      
+      // REST API calls, without the host's bearer token
+      const restForged = await axios.get(`${REST_API_BASE_URL}/bookings/${restToken.slice(0, -2)}xx`)
+        .then(() => null, err => err.response);
+      const restFetched = (await axios.get(`${REST_API_BASE_URL}/bookings/${restToken}`)).data;
+      const restMoved = (await axios.post(`${REST_API_BASE_URL}/bookings/${restToken}/reschedule`, {
+        startTime: restSlot.startTime,
+        endTime: restSlot.endTime
+      })).data;
+      const restCanceled = (await axios.post(`${REST_API_BASE_URL}/bookings/${restToken}/cancel`, { reason })).data;
+      const restCanceledAgain = await axios.post(`${REST_API_BASE_URL}/bookings/${restToken}/cancel`, {})
+        .then(() => null, err => err.response);
+      
+      // gRPC calls, without authorization metadata
+      const grpcForged = await this.makeGrpcRequest(this.appointmentClient, 'getBooking', {
+        manage_token: `${grpcToken.slice(0, -2)}xx`
+      }).then(() => null, err => err);
+      const grpcFetched = await this.makeGrpcRequest(this.appointmentClient, 'getBooking', { manage_token: grpcToken });
+      const grpcMoved = await this.makeGrpcRequest(this.appointmentClient, 'rescheduleBooking', {
+        manage_token: grpcToken,
+        start_time: grpcSlot.start_time,
+        end_time: grpcSlot.end_time
       });
-      
-      // gRPC call
-      const grpcResponse = await this.makeAuthenticatedGrpcRequest(
-        this.scheduleClient,
-        'createSchedule',
-        {
-          user_id: this.testData.grpcUser.id,
-          availability: availabilityData
-        },
-        this.testData.grpcToken
-      );
-      
-      // Verify both APIs return success
-      assert(restResponse.status === 201 || restResponse.status === 200, 'REST API should return success');
-      assert(grpcResponse.user_id === this.testData.grpcUser.id, 'gRPC API should return correct user ID');
-      
-      console.log('✓ Create schedule: PASSED');
+      const grpcCanceled = await this.makeGrpcRequest(this.appointmentClient, 'cancelBooking', {
+        manage_token: grpcToken,
+        reason
+      });
+      const grpcCanceledAgain = await this.makeGrpcRequest(this.appointmentClient, 'cancelBooking', {
+        manage_token: grpcToken
+      }).then(() => null, err => err);
+      
+      // Verify every appointment gets a token and forged tokens are refused
+      assert(this.testData.restAppointment.manageToken && this.testData.grpcAppointment.manage_token,
+             'Both APIs should issue manage tokens for host bookings');
+      assert(restForged && restForged.status === 404, 'REST API should refuse a forged token');
+      assert(grpcForged && grpcForged.code === grpc.status.NOT_FOUND, 'gRPC API should refuse a forged token');
+      assert(restFetched.id === this.testData.restBooking.id && grpcFetched.id === this.testData.grpcBooking.id,
+             'Both APIs should fetch the appointment by its token');
+      
+      // Verify the invitee can move and cancel their appointment
+      assert(Date.parse(restMoved.startTime) === Date.parse(restSlot.startTime) &&
+             Date.parse(grpcMoved.start_time) === Date.parse(grpcSlot.start_time),
+             'Both APIs should reschedule into another offered slot');
+      assert(restCanceled.status === 'canceled' && restCanceled.cancellationReason === reason &&
+             restCanceled.canceledBy === 'invitee',
+             'REST API should cancel with the reason');
+      assert(grpcCanceled.status === 'CANCELED' && grpcCanceled.cancellation_reason === reason &&
+             grpcCanceled.canceled_by === 'invitee',
+             'gRPC API should cancel with the reason');
+      assert(restCanceledAgain && restCanceledAgain.status === 409, 'REST API should not cancel twice');
+      assert(grpcCanceledAgain && grpcCanceledAgain.code === grpc.status.FAILED_PRECONDITION, 'gRPC API should not cancel twice');
+      
+      console.log('✓ Manage booking: PASSED');
       this.passedTests++;
     } catch (err) {
-      console.error('✗ Create schedule: FAILED', err.message);
+      console.error('✗ Manage booking: FAILED', err.message);
       throw err;
     }
   }
   
-  // Test: Create appointment
-  async testCreateAppointment() {
+  // Test: Time zones are validated and appointments render in a requested zone
+  async testTimezones() {
     this.totalTests++;
     try {
-      const appointmentData = {
-        eventId: this.testData.restEvent.id,
-        inviteeEmail: 'invitee@example.com',
-        startTime: '2025-05-15T10:00:00Z',
-        endTime: '2025-05-15T10:30:00Z'
-      };
-      
-      const grpcAppointmentData = {
-        event_id: this.testData.grpcEvent.id,
-        invitee_email: 'grpc_invitee@example.com',
-        start_time: '2025-05-15T11:00:00Z',
-        end_time: '2025-05-15T11:30:00Z'
-      };
-      
-      // REST API call
-      const restResponse = await this.restClient.post('/appointments', appointmentData);
-      this.testData.restAppointment = restResponse.data;
-      
-      // gRPC call
-      const grpcResponse = await this.makeAuthenticatedGrpcRequest(
+      // REST API call with an unknown time zone
+      const restError = await this.restClient.post('/users', {
+        ...TEST_USER,
+        email: `tz_${Date.now()}@example.com`,
+        timezone: 'Mars/Olympus_Mons'
+      }).then(() => null, err => err.response);
+      
+      // gRPC call with an unknown time zone
+      const grpcError = await this.makeGrpcRequest(this.userClient, 'createUser', {
+        ...TEST_USER,
+        email: `tz_grpc_${Date.now()}@example.com`,
+        timezone: 'Mars/Olympus_Mons'
+      }).then(() => null, err => err);
+      
+      // Render the stored UTC appointment in New York time
+      const restAppointment = await this.restClient.get(`/appointments/${this.testData.restAppointment.id}`, {
+        params: { timeZone: 'America/New_York' }
+      });
+      const grpcAppointment = await this.makeAuthenticatedGrpcRequest(
         this.appointmentClient,
-        'createAppointment',
-        grpcAppointmentData,
+        'getAppointment',
+        { appointment_id: this.testData.grpcAppointment.id, time_zone: 'America/New_York' },
         this.testData.grpcToken
       );
-      this.testData.grpcAppointment = grpcResponse;
       
-      // Verify both APIs return similar structure
-      assert(restResponse.data.id && grpcResponse.id, 'Both APIs should return appointment ID');
-      assert(restResponse.data.status === 'scheduled' && grpcResponse.status === 'scheduled', 'Both APIs should return scheduled status');
+      // Verify both APIs reject the zone and render the same instant with a New York offset
+      assert(restError && restError.status === 400, 'REST API should reject unknown time zones');
+      assert(grpcError && grpcError.code === grpc.status.INVALID_ARGUMENT, 'gRPC API should reject unknown time zones');
+      assert(/-0[45]:00$/.test(restAppointment.data.startTime) && /-0[45]:00$/.test(grpcAppointment.start_time),
+             'Both APIs should render times with a New York offset');
+      assert(Date.parse(restAppointment.data.startTime) === Date.parse(this.testData.restAppointment.startTime) &&
+             Date.parse(grpcAppointment.start_time) === Date.parse(this.testData.grpcAppointment.start_time),
+             'Both APIs should render the same instant');
       
-      console.log('✓ Create appointment: PASSED');
+      console.log('✓ Time zones: PASSED');
       this.passedTests++;
     } catch (err) {
-      console.error('✗ Create appointment: FAILED', err.message);
+      console.error('✗ Time zones: FAILED', err.message);
       throw err;
     }
   }
@@ -344,14 +2598,14 @@ class CalendlyAPITest {
         'updateAppointment',
         {
           appointment_id: this.testData.grpcAppointment.id,
-          status: updateData.status
+          status: 'CONFIRMED'
         },
         this.testData.grpcToken
       );
       
       // Verify both APIs updated correctly
-      assert(restResponse.data.status === updateData.status, 'REST API should update status');
-      assert(grpcResponse.status === updateData.status, 'gRPC API should update status');
+      assert(restResponse.data.status === updateData.status && restResponse.data.confirmedAt, 'REST API should update status');
+      assert(grpcResponse.status === 'CONFIRMED' && grpcResponse.confirmed_at, 'gRPC API should update status');
       
       console.log('✓ Update appointment: PASSED');
       this.passedTests++;
@@ -361,6 +2615,56 @@ class CalendlyAPITest {
     }
   }
   
+  // Test: Status changes follow the state machine and cancellations are recorded
+  async testStatusTransitions() {
+    this.totalTests++;
+    try {
+      const reason = 'Host is unavailable';
+      const restUpdate = (data) => this.restClient.patch(`/appointments/${this.testData.restAppointment.id}`, data);
+      const grpcUpdate = (data) => this.makeAuthenticatedGrpcRequest(
+        this.appointmentClient,
+        'updateAppointment',
+        { appointment_id: this.testData.grpcAppointment.id, ...data },
+        this.testData.grpcToken
+      );
+      
+      // REST API calls
+      const restUnknown = await restUpdate({ status: 'banana' }).then(() => null, err => err.response);
+      const restEarly = await restUpdate({ status: 'completed' }).then(() => null, err => err.response);
+      const restCanceled = (await restUpdate({ status: 'canceled', cancellationReason: reason })).data;
+      const restReopened = await restUpdate({ status: 'scheduled' }).then(() => null, err => err.response);
+      const restStored = (await this.restClient.get(`/appointments/${this.testData.restAppointment.id}`)).data;
+      
+      // gRPC calls
+      const grpcUnknown = await grpcUpdate({ status: 'STATUS_UNSPECIFIED' }).then(() => null, err => err);
+      const grpcEarly = await grpcUpdate({ status: 'COMPLETED' }).then(() => null, err => err);
+      const grpcCanceled = await grpcUpdate({ status: 'CANCELED', cancellation_reason: reason });
+      const grpcReopened = await grpcUpdate({ status: 'SCHEDULED' }).then(() => null, err => err);
+      
+      // Verify both APIs reject unknown statuses and disallowed transitions
+      assert(restUnknown && restUnknown.status === 400, 'REST API should reject unknown statuses');
+      assert(grpcUnknown && grpcUnknown.code === grpc.status.INVALID_ARGUMENT, 'gRPC API should reject an unset status');
+      assert(restEarly && restEarly.status === 409 && grpcEarly && grpcEarly.code === grpc.status.FAILED_PRECONDITION,
+             'Both APIs should not complete an appointment before it starts');
+      assert(restReopened && restReopened.status === 409 && grpcReopened && grpcReopened.code === grpc.status.FAILED_PRECONDITION,
+             'Both APIs should keep canceled appointments canceled');
+      
+      // Verify both APIs record who canceled, why and when
+      assert(restCanceled.status === 'canceled' && restStored.canceledBy === 'host' &&
+             restStored.cancellationReason === reason && restStored.canceledAt && restStored.confirmedAt,
+             'REST API should record the cancellation and transition times');
+      assert(grpcCanceled.status === 'CANCELED' && grpcCanceled.canceled_by === 'host' &&
+             grpcCanceled.cancellation_reason === reason && grpcCanceled.canceled_at && grpcCanceled.confirmed_at,
+             'gRPC API should record the cancellation and transition times');
+      
+      console.log('✓ Status transitions: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Status transitions: FAILED', err.message);
+      throw err;
+    }
+  }
+  
   // Test: Logout
   async testLogout() {
     this.totalTests++;
@@ -573,6 +2877,71 @@ class CalendlyAPITest {
     }
   }
   
+  // Test: Slugs with redirect history and public lookup
+  async testSlugs() {
+    this.totalTests++;
+    try {
+      const restSlug = `rest-host-${Date.now()}`;
+      const grpcSlug = `grpc-host-${Date.now()}`;
+      
+      // REST API calls
+      await this.restClient.patch(`/users/${this.testData.restUser.id}`, { slug: restSlug });
+      const restEvent = (await this.restClient.post('/events', { name: 'Intro call', duration: 20 })).data;
+      const restPage = (await axios.get(`${REST_API_BASE_URL}/u/${restSlug}/intro-call`)).data;
+      await this.restClient.patch(`/events/${restEvent.id}`, { slug: 'intro' });
+      const restOld = await axios.get(`${REST_API_BASE_URL}/u/${restSlug}/intro-call`, { maxRedirects: 0 })
+        .then(response => response, err => err.response);
+      const restFollowed = (await axios.get(`${REST_API_BASE_URL}/u/${restSlug}/intro-call`)).data;
+      const restTakenStatus = await this.restClient.post('/events', { name: 'Intro', duration: 20, slug: 'intro' })
+        .then(response => response.status, err => err.response.status);
+      
+      // gRPC calls
+      await this.makeAuthenticatedGrpcRequest(
+        this.userClient, 'updateUser', { user_id: this.testData.grpcUser.id, slug: grpcSlug }, this.testData.grpcToken
+      );
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'createEvent', { name: 'Intro call', duration: 20, slug: 'intro' }, this.testData.grpcToken
+      );
+      const grpcPage = await this.makeGrpcRequest(this.eventClient, 'getEventBySlug', {
+        user_slug: grpcSlug,
+        event_slug: 'intro'
+      });
+      const grpcRenamed = await this.makeAuthenticatedGrpcRequest(
+        this.userClient, 'updateUser', { user_id: this.testData.grpcUser.id, slug: `${grpcSlug}-new` }, this.testData.grpcToken
+      );
+      const grpcOld = await this.makeGrpcRequest(this.eventClient, 'getEventBySlug', {
+        user_slug: grpcSlug,
+        event_slug: 'intro'
+      });
+      const grpcInvalid = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient, 'updateEvent', { event_id: grpcEvent.id, slug: 'Not A Slug' }, this.testData.grpcToken
+      ).then(() => null, err => err);
+      
+      // Verify both APIs make slugs from names and resolve public links
+      assert(restEvent.slug === 'intro-call' && restPage.host.slug === restSlug &&
+             restPage.host.id === this.testData.restUser.id && restPage.event.id === restEvent.id &&
+             !('email' in restPage.host), 'REST API should resolve the link to the event type and host profile');
+      assert(grpcEvent.slug === 'intro' && !grpcPage.redirected && grpcPage.host.id === this.testData.grpcUser.id &&
+             grpcPage.event.id === grpcEvent.id, 'gRPC API should resolve the link to the event type and host profile');
+      
+      // Verify both APIs keep old slugs as redirects
+      assert(restOld.status === 301 && restOld.headers.location === `/u/${restSlug}/intro` &&
+             restFollowed.event.slug === 'intro', 'REST API should redirect an old event slug');
+      assert(grpcRenamed.slug === `${grpcSlug}-new` && grpcOld.redirected && grpcOld.host.slug === grpcRenamed.slug &&
+             grpcOld.event.id === grpcEvent.id, 'gRPC API should resolve an old user slug');
+      
+      // Verify both APIs validate slugs
+      assert(restTakenStatus === 409, 'REST API should reject a slug in use');
+      assert(grpcInvalid && grpcInvalid.code === grpc.status.INVALID_ARGUMENT, 'gRPC API should reject an invalid slug');
+      
+      console.log('✓ Slugs: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Slugs: FAILED', err.message);
+      throw err;
+    }
+  }
+  
   // Test: Get schedule
   async testGetSchedule() {
     this.totalTests++;
@@ -823,6 +3192,229 @@ class CalendlyAPITest {
     }
   }
   
+  // Test: Get available slots
+  async testGetAvailableSlots() {
+    this.totalTests++;
+    try {
+      // Updated schedule: Monday 10:00-18:00 in the users' Europe/Tallinn zone, event duration 45 minutes
+      const monday = nextWeekday(1);
+      
+      // REST API call, without a bearer token like an invitee's
+      const restResponse = await axios.get(`${REST_API_BASE_URL}/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: this.testData.restEvent.id, from: monday, to: monday, timeZone: TEST_USER.timezone }
+      });
+      
+      // gRPC call, without authorization metadata
+      const grpcResponse = await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: this.testData.grpcEvent.id,
+        from: monday,
+        to: monday,
+        time_zone: TEST_USER.timezone
+      });
+      this.testData.restSlots = restResponse.data.slots;
+      this.testData.grpcSlots = grpcResponse.slots;
+      
+      // Verify both APIs cut the same slots out of the availability window
+      assert(restResponse.data.slots.length === 10, 'REST API should return 10 slots');
+      assert(grpcResponse.slots.length === 10, 'gRPC API should return 10 slots');
+      assert(restResponse.data.slots[0].startTime.startsWith(`${monday}T10:00:00+0`) &&
+             grpcResponse.slots[0].start_time.startsWith(`${monday}T10:00:00+0`),
+             'Both APIs should start slots at the beginning of the window in the host time zone');
+      
+      console.log('✓ Get available slots: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Get available slots: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Date overrides replace the weekly availability on their date
+  async testDateOverrides() {
+    this.totalTests++;
+    try {
+      // Tuesday is shortened to 13:00-14:30, Monday is blocked and unblocked again
+      const tuesday = nextWeekday(2);
+      const monday = nextWeekday(1);
+      const [from, to] = [monday, tuesday].sort();
+      const tuesdayOverride = { date: tuesday, time_ranges: [{ start_time: '13:00', end_time: '14:30' }] };
+      
+      // REST API calls
+      const restResponse = await this.restClient.patch(`/schedules/${this.testData.restUser.id}`, {
+        upsertDateOverrides: [tuesdayOverride, { date: monday, unavailable: true }]
+      });
+      const restSlots = await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: { eventId: this.testData.restEvent.id, from, to }
+      });
+      await this.restClient.patch(`/schedules/${this.testData.restUser.id}`, { removeOverrideDates: [monday] });
+      
+      // gRPC calls
+      const grpcResponse = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'updateSchedule',
+        {
+          user_id: this.testData.grpcUser.id,
+          upsert_date_overrides: [tuesdayOverride, { date: monday, unavailable: true }]
+        },
+        this.testData.grpcToken
+      );
+      const grpcSlots = await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: this.testData.grpcEvent.id,
+        from,
+        to
+      });
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'updateSchedule',
+        { user_id: this.testData.grpcUser.id, remove_override_dates: [monday] },
+        this.testData.grpcToken
+      );
+      
+      // Verify both APIs store the overrides and only offer the two Tuesday slots
+      assert(restResponse.data.dateOverrides.length === 2, 'REST API should store both overrides');
+      assert(grpcResponse.availability.date_overrides.length === 2, 'gRPC API should store both overrides');
+      assert(restSlots.data.slots.length === 2, 'REST API should only return slots from the Tuesday override');
+      assert(grpcSlots.slots.length === 2, 'gRPC API should only return slots from the Tuesday override');
+      assert(grpcSchedule.availability.date_overrides.length === 1 &&
+             grpcSchedule.availability.days.length === 2,
+             'gRPC API should remove the Monday override and keep the weekly availability');
+      
+      console.log('✓ Date overrides: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Date overrides: FAILED', err.message);
+      throw err;
+    }
+  }
+  
+  // Test: Events can pick one of several named schedules; the default covers the rest
+  async testNamedSchedules() {
+    this.totalTests++;
+    try {
+      // "Evening calls" offers Monday 18:00-21:00 in the users' Europe/Tallinn zone
+      const monday = nextWeekday(1);
+      const evening = { days: [{ day: 'Monday', time_ranges: [{ start_time: '18:00', end_time: '21:00' }] }] };
+      const slotParams = (eventId) => ({ eventId, from: monday, to: monday, timeZone: TEST_USER.timezone });
+      
+      // REST API calls
+      const restDefault = (await this.restClient.get(`/schedules/${this.testData.restUser.id}`)).data;
+      const restSchedule = (await this.restClient.post('/schedules', {
+        userId: this.testData.restUser.id,
+        name: 'Evening calls',
+        availability: evening.days
+      })).data;
+      const restEvent = (await this.restClient.post('/events', {
+        name: 'Evening Call', duration: 60, scheduleId: restSchedule.id
+      })).data;
+      const restSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: slotParams(restEvent.id)
+      })).data.slots;
+      const restRenamed = (await this.restClient.patch(`/schedules/by-id/${restSchedule.id}`, {
+        name: 'Late calls', isDefault: true
+      })).data;
+      const restNewDefault = (await this.restClient.get(`/schedules/${this.testData.restUser.id}`)).data;
+      const restUnset = await this.restClient.patch(`/schedules/by-id/${restSchedule.id}`, { isDefault: false })
+        .then(() => null, err => err.response);
+      await this.restClient.patch(`/schedules/by-id/${restDefault.id}`, { isDefault: true });
+      const restDelete = await this.restClient.delete(`/schedules/by-id/${restSchedule.id}`);
+      const restFallback = (await this.restClient.get(`/events/${restEvent.id}`)).data;
+      const restFallbackSlots = (await this.restClient.get(`/schedules/${this.testData.restUser.id}/slots`, {
+        params: slotParams(restEvent.id)
+      })).data.slots;
+      
+      // gRPC calls
+      const grpcSchedule = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'createSchedule',
+        { user_id: this.testData.grpcUser.id, name: 'Evening calls', availability: evening },
+        this.testData.grpcToken
+      );
+      const grpcForeign = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Evening Call', duration: 60, schedule_id: restSchedule.id },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      const grpcEvent = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'createEvent',
+        { name: 'Evening Call', duration: 60, schedule_id: grpcSchedule.id },
+        this.testData.grpcToken
+      );
+      const grpcSlots = (await this.makeGrpcRequest(this.scheduleClient, 'getAvailableSlots', {
+        user_id: this.testData.grpcUser.id,
+        event_id: grpcEvent.id,
+        from: monday,
+        to: monday,
+        time_zone: TEST_USER.timezone
+      })).slots;
+      const grpcById = await this.makeGrpcRequest(this.scheduleClient, 'getScheduleById', {
+        schedule_id: grpcSchedule.id
+      });
+      const grpcRenamed = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'updateScheduleById',
+        { schedule_id: grpcSchedule.id, name: 'Late calls' },
+        this.testData.grpcToken
+      );
+      const grpcForbidden = await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'deleteScheduleById',
+        { schedule_id: restDefault.id },
+        this.testData.grpcToken
+      ).then(() => null, err => err);
+      await this.makeAuthenticatedGrpcRequest(
+        this.scheduleClient,
+        'deleteScheduleById',
+        { schedule_id: grpcSchedule.id },
+        this.testData.grpcToken
+      );
+      const grpcFallback = await this.makeAuthenticatedGrpcRequest(
+        this.eventClient,
+        'getEvent',
+        { event_id: grpcEvent.id },
+        this.testData.grpcToken
+      );
+      
+      // Verify both APIs only offer the evening slots for the event while the schedule exists
+      assert(restSchedule.name === 'Evening calls' && restSchedule.isDefault === false,
+             'REST API should create a named schedule that is not the default');
+      assert(grpcSchedule.name === 'Evening calls' && grpcSchedule.is_default === false,
+             'gRPC API should create a named schedule that is not the default');
+      assert(grpcForeign && grpcForeign.code === grpc.status.INVALID_ARGUMENT,
+             "gRPC API should reject another user's schedule");
+      assert(restEvent.scheduleId === restSchedule.id && grpcEvent.schedule_id === grpcSchedule.id,
+             'Both APIs should return the event schedule');
+      assert(restSlots.length === 3 && restSlots[0].startTime.startsWith(`${monday}T18:00:00+0`),
+             'REST API should take the slots from the event schedule');
+      assert(grpcSlots.length === 3 && grpcSlots[0].start_time.startsWith(`${monday}T18:00:00+0`),
+             'gRPC API should take the slots from the event schedule');
+      
+      // Verify the id-based calls and default handling
+      assert(restRenamed.name === 'Late calls' && restNewDefault.id === restSchedule.id,
+             'REST API should rename the schedule and make it the default');
+      assert(restUnset && restUnset.status === 400, 'REST API should keep one default schedule');
+      assert(grpcById.name === 'Evening calls' && grpcRenamed.name === 'Late calls',
+             'gRPC API should get and rename the schedule by ID');
+      assert(grpcForbidden && grpcForbidden.code === grpc.status.PERMISSION_DENIED,
+             "gRPC API should not delete another user's schedule");
+      
+      // Verify the event falls back to the default schedule once its schedule is deleted
+      assert(restDelete.status === 204, 'REST API should delete the schedule by ID');
+      assert(restFallback.scheduleId === null && restFallbackSlots[0].startTime.startsWith(`${monday}T10:00:00+0`),
+             'REST API should fall back to the default schedule');
+      assert(grpcFallback.schedule_id === 0, 'gRPC API should fall back to the default schedule');
+      
+      console.log('✓ Named schedules: PASSED');
+      this.passedTests++;
+    } catch (err) {
+      console.error('✗ Named schedules: FAILED', err.message);
+      throw err;
+    }
+  }
+  
   // Test: Delete schedule
   async testDeleteSchedule() {
     this.totalTests++;
@@ -864,18 +3456,43 @@ class CalendlyAPITest {
       await this.testGetEvent();
       await this.testListEvents();
       await this.testUpdateEvent();
+      await this.testSlugs();
       
       // Schedule service tests
       await this.testCreateSchedule();
       await this.testGetSchedule();
       await this.testListSchedules();
       await this.testUpdateSchedule();
+      await this.testGetAvailableSlots();
+      await this.testDateOverrides();
+      await this.testNamedSchedules();
       
       // Appointment service tests
       await this.testCreateAppointment();
+      await this.testDoubleBooking();
+      await this.testBookingRules();
+      await this.testEventRules();
+      await this.testBookingLimits();
+      await this.testAppointmentSeries();
+      await this.testPublicBooking();
+      await this.testManageBooking();
+      await this.testGroupEvents();
+      await this.testRoundRobin();
+      await this.testCollectiveEvents();
+      await this.testTeams();
+      await this.testInviteeQuestions();
+      await this.testMeetingLocations();
+      await this.testEventVisibility();
+      await this.testDuplicateEvent();
+      await this.testWaitlist();
+      await this.testMeetingPolls();
+      await this.testSchedulingLinks();
+      await this.testSlotHolds();
+      await this.testTimezones();
       await this.testGetAppointment();
       await this.testListAppointments();
       await this.testUpdateAppointment();
+      await this.testStatusTransitions();
       
       // Deletion tests (do these last to avoid breaking other tests)
       await this.testDeleteAppointment();